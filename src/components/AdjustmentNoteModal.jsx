@@ -0,0 +1,175 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, FileText, Plus, X } from 'lucide-react';
+import { useState } from 'react';
+import { DOCUMENT_TYPES, createNoteForm, validateNote } from '../utils/adjustmentNotes';
+import { normalizeLineItem } from '../utils/gst';
+import LineItemsEditor from './LineItemsEditor';
+
+const inputClass = (hasError) =>
+  `w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white placeholder-slate-500 ${
+    hasError
+      ? 'border-red-500 focus:ring-red-500/50'
+      : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+  }`;
+
+// ============================================
+// ADJUSTMENT NOTE MODAL COMPONENT
+// ============================================
+
+// Issues a credit or debit note (`type`) against an evaluated invoice.
+const AdjustmentNoteModal = ({ type, invoice, today, onIssue, onClose }) => {
+  const [formData, setFormData] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const draftKey = invoice && type ? `${type}:${invoice.id}` : null;
+  const [loadedKey, setLoadedKey] = useState(null);
+  if (draftKey !== loadedKey) {
+    setLoadedKey(draftKey);
+    setFormData(draftKey ? createNoteForm(type, invoice, today) : null);
+    setErrors({});
+  }
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => {
+      const newErrors = { ...prev };
+      delete newErrors[field];
+      if (field === 'lineItems') delete newErrors.lineItemErrors;
+      return newErrors;
+    });
+  };
+
+  const handleSubmit = () => {
+    const validationErrors = validateNote(formData, invoice);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    onIssue({
+      ...formData,
+      noteReason: formData.noteReason.trim(),
+      lineItems: formData.lineItems.map(normalizeLineItem)
+    });
+    onClose();
+  };
+
+  const label = type && DOCUMENT_TYPES[type].label;
+
+  return (
+    <AnimatePresence>
+      {draftKey && formData && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[60]"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ x: 400, opacity: 0 }}
+            animate={{ x: 0, opacity: 1 }}
+            exit={{ x: 400, opacity: 0 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed right-0 top-0 h-full w-full max-w-xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-[70] overflow-y-auto"
+          >
+            <div className="flex flex-col h-full">
+              {/* Header */}
+              <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+                <div>
+                  <h2 className="text-xl font-bold text-white">New {label}</h2>
+                  <p className="text-sm text-slate-300 mt-1">
+                    Against {invoice.id} · {invoice.customerName} · net ₹{invoice.netAmount.toLocaleString('en-IN')}
+                  </p>
+                </div>
+                <motion.button
+                  whileHover={{ rotate: 90, scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={onClose}
+                  className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  <X size={22} />
+                </motion.button>
+              </div>
+
+              {/* Form */}
+              <div className="flex-1 p-6 space-y-5 overflow-y-auto">
+                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
+                  <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider flex items-center gap-2">
+                    <FileText size={16} />
+                    Note Details
+                  </h3>
+                  <div>
+                    <label className="block text-sm font-semibold text-slate-200 mb-2">
+                      Note Date <span className="text-red-400">*</span>
+                    </label>
+                    <input
+                      type="date"
+                      value={formData.invoiceDate}
+                      onChange={(e) => handleChange('invoiceDate', e.target.value)}
+                      className={inputClass(errors.invoiceDate)}
+                    />
+                    {errors.invoiceDate && (
+                      <p className="text-red-400 text-xs font-semibold mt-1 flex items-center gap-1">
+                        <AlertCircle size={14} />
+                        {errors.invoiceDate}
+                      </p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-slate-200 mb-2">
+                      Reason <span className="text-red-400">*</span>
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.noteReason}
+                      onChange={(e) => handleChange('noteReason', e.target.value)}
+                      placeholder={type === 'credit_note' ? 'e.g. 2 units returned damaged' : 'e.g. Additional freight charges'}
+                      className={inputClass(errors.noteReason)}
+                    />
+                    {errors.noteReason && (
+                      <p className="text-red-400 text-xs font-semibold mt-1 flex items-center gap-1">
+                        <AlertCircle size={14} />
+                        {errors.noteReason}
+                      </p>
+                    )}
+                  </div>
+                </div>
+
+                <LineItemsEditor
+                  lineItems={formData.lineItems}
+                  placeOfSupply={formData.placeOfSupply}
+                  errors={errors}
+                  onChange={(lineItems) => handleChange('lineItems', lineItems)}
+                />
+              </div>
+
+              {/* Footer */}
+              <div className="flex gap-3 p-6 border-t border-white/10 bg-slate-800/90 backdrop-blur-md sticky bottom-0">
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleSubmit}
+                  className="flex-1 flex items-center justify-center gap-2 text-white py-3.5 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500"
+                >
+                  <Plus size={18} />
+                  Issue {label}
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={onClose}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3.5 px-4 rounded-xl font-bold transition-all"
+                >
+                  Cancel
+                </motion.button>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default AdjustmentNoteModal;
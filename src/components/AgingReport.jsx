@@ -0,0 +1,163 @@
+import { motion } from 'framer-motion';
+import { Download } from 'lucide-react';
+import { useMemo } from 'react';
+import { Bar, BarChart, CartesianGrid, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { AGING_BUCKETS, buildAgingReport } from '../utils/aging';
+import { downloadCSV } from '../utils/csv';
+
+const formatMoney = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+const AgingTooltip = ({ active, payload, label }) => {
+  if (active && payload && payload.length) {
+    return (
+      <div className="bg-white/95 backdrop-blur-md border border-gray-200 p-3 rounded-lg shadow-xl">
+        <p className="font-bold text-gray-800 text-sm mb-1">{label}</p>
+        {payload.filter(entry => entry.value > 0).map(entry => (
+          <p key={entry.dataKey} className="text-gray-600 text-sm">
+            <span style={{ color: entry.color }}>●</span> {entry.name}: {formatMoney(entry.value)}
+          </p>
+        ))}
+      </div>
+    );
+  }
+  return null;
+};
+
+// ============================================
+// AGING REPORT COMPONENT
+// ============================================
+
+const AgingReport = ({ invoices, today }) => {
+  const report = useMemo(() => buildAgingReport(invoices, today), [invoices, today]);
+
+  const handleExport = () => {
+    const headers = ['Customer', 'Invoices', ...AGING_BUCKETS.map(b => b.label), 'Total'];
+    const rows = report.customers.map(row => [
+      row.customerName,
+      row.invoiceCount,
+      ...AGING_BUCKETS.map(b => row[b.key]),
+      row.total
+    ]);
+    rows.push([
+      'Total',
+      report.customers.reduce((sum, row) => sum + row.invoiceCount, 0),
+      ...AGING_BUCKETS.map(b => report.totals[b.key]),
+      report.total
+    ]);
+    downloadCSV(`aging-report-${today}.csv`, headers, rows, { bom: true });
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+      className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800">Receivables Aging</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Outstanding balances by days past due, as of today
+          </p>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={handleExport}
+          disabled={report.customers.length === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-semibold hover:bg-gray-200 transition-colors border border-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Download size={16} />
+          <span className="hidden sm:inline">Export</span>
+        </motion.button>
+      </div>
+
+      {/* Bucket Totals */}
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3 mb-6">
+        {AGING_BUCKETS.map(bucket => (
+          <div key={bucket.key} className="rounded-lg border border-gray-200 p-3">
+            <p className="text-xs font-bold text-gray-500 uppercase flex items-center gap-1.5">
+              <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: bucket.color }} />
+              {bucket.label}
+            </p>
+            <p className="text-lg font-black text-gray-800 mt-1">
+              {formatMoney(report.totals[bucket.key])}
+            </p>
+          </div>
+        ))}
+        <div className="rounded-lg border border-gray-200 bg-gray-50 p-3">
+          <p className="text-xs font-bold text-gray-500 uppercase">Total</p>
+          <p className="text-lg font-black text-gray-900 mt-1">{formatMoney(report.total)}</p>
+        </div>
+      </div>
+
+      {report.customers.length > 0 ? (
+        <>
+          <div style={{ height: Math.max(240, report.customers.length * 44 + 80) }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={report.customers} layout="vertical" margin={{ left: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+                <XAxis
+                  type="number"
+                  tickFormatter={(value) => `₹${(value / 1000).toLocaleString('en-IN')}k`}
+                  fontSize={12}
+                />
+                <YAxis type="category" dataKey="customerName" width={160} fontSize={12} />
+                <Tooltip content={<AgingTooltip />} />
+                <Legend
+                  formatter={(value) => (
+                    <span className="text-gray-700 font-semibold text-sm">{value}</span>
+                  )}
+                />
+                {AGING_BUCKETS.map(bucket => (
+                  <Bar
+                    key={bucket.key}
+                    dataKey={bucket.key}
+                    name={bucket.label}
+                    stackId="aging"
+                    fill={bucket.color}
+                  />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Per-Customer Breakdown */}
+          <div className="overflow-x-auto mt-6">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-left text-xs font-bold text-gray-500 uppercase">
+                  <th className="py-2 pr-4">Customer</th>
+                  {AGING_BUCKETS.map(bucket => (
+                    <th key={bucket.key} className="py-2 px-2 text-right">{bucket.label}</th>
+                  ))}
+                  <th className="py-2 pl-2 text-right">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {report.customers.map(row => (
+                  <tr key={row.customerId}>
+                    <td className="py-2 pr-4 font-medium text-gray-800">{row.customerName}</td>
+                    {AGING_BUCKETS.map(bucket => (
+                      <td key={bucket.key} className="py-2 px-2 text-right text-gray-600">
+                        {row[bucket.key] > 0 ? formatMoney(row[bucket.key]) : '—'}
+                      </td>
+                    ))}
+                    <td className="py-2 pl-2 text-right font-bold text-gray-900">{formatMoney(row.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : (
+        <div className="h-40 flex items-center justify-center text-gray-400">
+          No outstanding balances
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default AgingReport;
@@ -0,0 +1,68 @@
+import { motion } from 'framer-motion';
+import { ArrowRightLeft, CheckCircle, Download, FileDown, Tag, Trash2, X } from 'lucide-react';
+
+// ============================================
+// BULK ACTION BAR COMPONENT
+// ============================================
+
+const ACTION_BUTTONS = [
+  { key: 'mark_paid', label: 'Mark Paid', icon: CheckCircle, className: 'bg-green-100 text-green-700 hover:bg-green-600 hover:text-white' },
+  { key: 'status', label: 'Status', icon: ArrowRightLeft, className: 'bg-purple-100 text-purple-700 hover:bg-purple-600 hover:text-white' },
+  { key: 'tag', label: 'Tag', icon: Tag, className: 'bg-cyan-100 text-cyan-700 hover:bg-cyan-600 hover:text-white' },
+  { key: 'export', label: 'Export', icon: Download, className: 'bg-slate-100 text-slate-700 hover:bg-slate-600 hover:text-white' },
+  { key: 'pdf', label: 'PDFs', icon: FileDown, className: 'bg-slate-100 text-slate-700 hover:bg-slate-600 hover:text-white' },
+  { key: 'delete', label: 'Delete', icon: Trash2, className: 'bg-red-100 text-red-700 hover:bg-red-600 hover:text-white' }
+];
+
+// Shown above the table while invoices are selected. When the whole page is
+// selected it offers to extend the selection to every invoice matching the
+// current search and filters.
+const BulkActionBar = ({
+  selectedCount,
+  matchingCount,
+  pageSelected,
+  onSelectAllMatching,
+  onClear,
+  onAction
+}) => (
+  <div className="flex flex-wrap items-center justify-between gap-3 mt-4 px-4 py-3 bg-blue-50 border border-blue-200 rounded-lg">
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <span className="font-semibold text-blue-800">
+        {selectedCount} selected
+      </span>
+      {pageSelected && selectedCount < matchingCount && (
+        <button
+          type="button"
+          onClick={onSelectAllMatching}
+          className="font-semibold text-blue-600 hover:text-blue-800 underline"
+        >
+          Select all {matchingCount} matching invoices
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={onClear}
+        className="flex items-center gap-1 font-semibold text-gray-500 hover:text-gray-700"
+      >
+        <X size={14} />
+        Clear
+      </button>
+    </div>
+    <div className="flex flex-wrap gap-2">
+      {ACTION_BUTTONS.map(({ key, label, icon: Icon, className }) => (
+        <motion.button
+          key={key}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => onAction(key)}
+          className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors ${className}`}
+        >
+          <Icon size={14} />
+          {label}
+        </motion.button>
+      ))}
+    </div>
+  </div>
+);
+
+export default BulkActionBar;
@@ -0,0 +1,203 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, X } from 'lucide-react';
+import { useState } from 'react';
+import { BULK_ACTIONS, getBulkTransitions, groupSkipped, planBulkAction } from '../utils/bulkActions';
+import { STATUS_BY_KEY, TRANSITIONS_BY_KEY } from '../utils/invoiceStatus';
+import TagInput from './TagInput';
+
+const formatMoney = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+const plural = (count, word = 'invoice') => `${count} ${word}${count !== 1 ? 's' : ''}`;
+
+// Long id lists are cut short in the summary.
+const listIds = (ids, max = 6) =>
+  ids.length > max ? `${ids.slice(0, max).join(', ')} and ${ids.length - max} more` : ids.join(', ');
+
+const EMPTY_OPTIONS = { transitionKey: '', reason: '', tags: [], mode: 'add' };
+
+// ============================================
+// BULK ACTION DIALOG COMPONENT
+// ============================================
+
+// The one confirmation for a bulk action: what will change, which selected
+// invoices are skipped and why, and any input the action needs.
+// `onConfirm` receives the options and the ids the action applies to.
+const BulkActionDialog = ({ actionKey, invoices, tagSuggestions, onConfirm, onClose }) => {
+  const [options, setOptions] = useState(EMPTY_OPTIONS);
+
+  const [loadedKey, setLoadedKey] = useState(actionKey);
+  if (actionKey !== loadedKey) {
+    setLoadedKey(actionKey);
+    setOptions(EMPTY_OPTIONS);
+  }
+
+  const action = BULK_ACTIONS[actionKey];
+  const update = (changes) => setOptions(prev => ({ ...prev, ...changes }));
+
+  const transitions = actionKey === 'status' ? getBulkTransitions(invoices) : [];
+  const transition = TRANSITIONS_BY_KEY[options.transitionKey];
+  const needsInput = (actionKey === 'status' && !transition) || (actionKey === 'tag' && options.tags.length === 0);
+  const { eligible, skipped } = action && !needsInput
+    ? planBulkAction(actionKey, invoices, options)
+    : { eligible: [], skipped: [] };
+  const missingReason = transition?.reason === 'required' && !options.reason.trim();
+
+  const summary = () => {
+    const count = plural(eligible.length);
+    switch (actionKey) {
+      case 'mark_paid':
+        return `${count} will be settled in full, recording ${formatMoney(eligible.reduce((sum, inv) => sum + inv.balanceDue, 0))} of payments.`;
+      case 'status':
+        return `${count} will move to ${STATUS_BY_KEY[transition.to].label}.`;
+      case 'tag':
+        return `${count} will ${options.mode === 'remove' ? 'lose' : 'get'} ${options.tags.map(t => `"${t}"`).join(', ')}.`;
+      case 'delete':
+        return `${count} will be deleted: ${listIds(eligible.map(inv => inv.id))}.`;
+      default:
+        return '';
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {action && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="absolute inset-0 bg-black/60 backdrop-blur-sm"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border border-white/10 rounded-2xl shadow-2xl"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-white/10">
+              <div>
+                <h2 className="text-xl font-bold text-white">{action.label}</h2>
+                <p className="text-sm text-slate-300 mt-1">{plural(invoices.length)} selected</p>
+              </div>
+              <motion.button
+                whileHover={{ rotate: 90, scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={onClose}
+                className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+              >
+                <X size={22} />
+              </motion.button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {actionKey === 'status' && (
+                transitions.length === 0 ? (
+                  <p className="text-sm text-slate-400">No status changes are available for the selected invoices.</p>
+                ) : (
+                  <div className="space-y-3">
+                    <select
+                      value={options.transitionKey}
+                      onChange={(e) => update({ transitionKey: e.target.value })}
+                      className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30 cursor-pointer"
+                    >
+                      <option value="">Choose a status change…</option>
+                      {transitions.map(t => (
+                        <option key={t.key} value={t.key}>{t.label} → {STATUS_BY_KEY[t.to].label}</option>
+                      ))}
+                    </select>
+                    {transition?.reason && (
+                      <textarea
+                        value={options.reason}
+                        onChange={(e) => update({ reason: e.target.value })}
+                        rows={2}
+                        className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white placeholder-slate-500 border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30"
+                        placeholder={transition.reason === 'required' ? 'Reason (required), recorded on every invoice' : 'Reason (optional)'}
+                      />
+                    )}
+                  </div>
+                )
+              )}
+
+              {actionKey === 'tag' && (
+                <div className="space-y-3">
+                  <div className="flex gap-4">
+                    {[{ value: 'add', label: 'Add tags' }, { value: 'remove', label: 'Remove tags' }].map(option => (
+                      <label key={option.value} className="flex items-center gap-2 text-sm text-slate-200 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="bulk-tag-mode"
+                          checked={options.mode === option.value}
+                          onChange={() => update({ mode: option.value })}
+                          className="accent-cyan-400"
+                        />
+                        {option.label}
+                      </label>
+                    ))}
+                  </div>
+                  <TagInput
+                    tags={options.tags}
+                    onChange={(tags) => update({ tags })}
+                    suggestions={tagSuggestions}
+                  />
+                </div>
+              )}
+
+              {!needsInput && (
+                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-4 space-y-3 text-sm">
+                  <p className="text-white font-semibold">
+                    {eligible.length > 0 ? summary() : 'None of the selected invoices can be changed this way.'}
+                  </p>
+                  {groupSkipped(skipped).map(({ reason, ids }) => (
+                    <p key={reason} className="text-slate-400">
+                      <span className="text-amber-300 font-semibold">{plural(ids.length)} skipped</span>
+                      {' '}({reason}): {listIds(ids)}
+                    </p>
+                  ))}
+                  {eligible.length > 0 && (
+                    <p className="text-xs text-slate-400">You can undo this for a few seconds afterwards.</p>
+                  )}
+                </div>
+              )}
+
+              {missingReason && eligible.length > 0 && (
+                <p className="text-red-400 text-xs font-semibold flex items-center gap-1">
+                  <AlertCircle size={14} />
+                  A reason is required
+                </p>
+              )}
+            </div>
+
+            {/* Footer */}
+            <div className="flex gap-3 p-6 border-t border-white/10">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => onConfirm(options, eligible.map(inv => inv.id))}
+                disabled={eligible.length === 0 || missingReason}
+                className={`flex-1 text-white py-3 px-4 rounded-xl font-bold transition-all shadow-lg disabled:opacity-50 disabled:cursor-not-allowed ${
+                  actionKey === 'delete'
+                    ? 'bg-red-600 hover:bg-red-500'
+                    : 'bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500'
+                }`}
+              >
+                {action.label} {eligible.length > 0 ? plural(eligible.length) : ''}
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onClose}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3 px-4 rounded-xl font-bold transition-all"
+              >
+                Cancel
+              </motion.button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default BulkActionDialog;
@@ -0,0 +1,173 @@
+import { motion } from 'framer-motion';
+import { useMemo, useState } from 'react';
+import { Area, CartesianGrid, ComposedChart, Legend, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { addDays, formatDate } from '../utils/dates';
+import {
+  FORECAST_HORIZONS,
+  FORECAST_SCENARIOS,
+  SCENARIOS_BY_KEY,
+  buildCashFlowForecast,
+  buildPaymentHistory
+} from '../utils/forecast';
+
+const formatMoney = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+const formatWeek = (dateStr) =>
+  new Date(dateStr).toLocaleDateString('en-IN', { day: '2-digit', month: 'short' });
+
+const ForecastTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const row = payload[0].payload;
+    return (
+      <div className="bg-white/95 backdrop-blur-md border border-gray-200 p-3 rounded-lg shadow-xl">
+        <p className="font-bold text-gray-800 text-sm mb-1">
+          {formatDate(row.weekStart)} – {formatDate(addDays(row.weekStart, 6))}
+        </p>
+        {payload.map(entry => (
+          <p key={entry.dataKey} className="text-gray-600 text-sm">
+            <span style={{ color: entry.color }}>●</span> {entry.name}: {formatMoney(entry.value)}
+          </p>
+        ))}
+      </div>
+    );
+  }
+  return null;
+};
+
+// ============================================
+// CASH-FLOW FORECAST COMPONENT
+// ============================================
+
+// Expected receipts week by week. `invoices` is every evaluated invoice:
+// their open balances are what is collected, and their payments show how
+// late each customer pays. Like the schedules, they are not narrowed by the
+// table filters.
+const CashFlowForecast = ({ invoices, schedules, today }) => {
+  const [scenarioKey, setScenarioKey] = useState('expected');
+  const [weeks, setWeeks] = useState(13);
+
+  const paymentHistory = useMemo(() => buildPaymentHistory(invoices), [invoices]);
+
+  const forecasts = useMemo(
+    () => Object.fromEntries(FORECAST_SCENARIOS.map(scenario => [
+      scenario.key,
+      buildCashFlowForecast({ invoices, schedules, history: paymentHistory, today, weeks, scenario })
+    ])),
+    [invoices, schedules, paymentHistory, today, weeks]
+  );
+
+  const scenario = SCENARIOS_BY_KEY[scenarioKey];
+  const forecast = forecasts[scenarioKey];
+  const hasInflows = forecast.total > 0 || forecast.later > 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.45 }}
+      className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8"
+    >
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800">Cash-Flow Forecast</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Expected collections per week from all open invoices and recurring schedules, whatever the table filters
+          </p>
+        </div>
+        <select
+          value={weeks}
+          onChange={(e) => setWeeks(Number(e.target.value))}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-semibold text-gray-700 bg-white cursor-pointer"
+        >
+          {FORECAST_HORIZONS.map(count => (
+            <option key={count} value={count}>Next {count} weeks</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Scenario Totals */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-2">
+        {FORECAST_SCENARIOS.map(s => (
+          <button
+            key={s.key}
+            type="button"
+            onClick={() => setScenarioKey(s.key)}
+            className={`rounded-lg border p-3 text-left transition-colors ${
+              s.key === scenarioKey ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+            }`}
+          >
+            <p className="text-xs font-bold text-gray-500 uppercase">{s.label}</p>
+            <p className="text-lg font-black text-gray-800 mt-1">{formatMoney(forecasts[s.key].total)}</p>
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mb-6">
+        {scenario.description}.
+        {forecast.later > 0 && ` ${formatMoney(forecast.later)} more is expected after week ${weeks}.`}
+      </p>
+
+      {hasInflows ? (
+        <div className="h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={forecast.weeks}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="weekStart" tickFormatter={formatWeek} fontSize={12} />
+              <YAxis
+                yAxisId="weekly"
+                tickFormatter={(value) => `₹${(value / 1000).toLocaleString('en-IN')}k`}
+                fontSize={12}
+              />
+              <YAxis
+                yAxisId="cumulative"
+                orientation="right"
+                tickFormatter={(value) => `₹${(value / 1000).toLocaleString('en-IN')}k`}
+                fontSize={12}
+              />
+              <Tooltip content={<ForecastTooltip />} />
+              <Legend
+                formatter={(value) => (
+                  <span className="text-gray-700 font-semibold text-sm">{value}</span>
+                )}
+              />
+              <Area
+                yAxisId="weekly"
+                type="monotone"
+                dataKey="invoices"
+                name="Open invoices"
+                stackId="inflow"
+                stroke="#3b82f6"
+                fill="#3b82f6"
+                fillOpacity={0.3}
+              />
+              <Area
+                yAxisId="weekly"
+                type="monotone"
+                dataKey="recurring"
+                name="Recurring"
+                stackId="inflow"
+                stroke="#a855f7"
+                fill="#a855f7"
+                fillOpacity={0.3}
+              />
+              <Line
+                yAxisId="cumulative"
+                type="monotone"
+                dataKey="cumulative"
+                name="Cumulative"
+                stroke="#10b981"
+                strokeWidth={2}
+                dot={false}
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      ) : (
+        <div className="h-40 flex items-center justify-center text-gray-400">
+          No collections expected
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default CashFlowForecast;
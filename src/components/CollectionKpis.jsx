@@ -0,0 +1,172 @@
+import { motion } from 'framer-motion';
+import { ArrowDownRight, ArrowUpRight, Minus } from 'lucide-react';
+import { useMemo, useState } from 'react';
+import { formatDate } from '../utils/dates';
+import {
+  COLLECTION_KPIS,
+  KPI_PERIODS,
+  buildCollectionKpis,
+  getKpiTrend,
+  getPeriod,
+  getPreviousPeriod
+} from '../utils/kpis';
+
+const formatMoney = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+const formatKpi = (kpi, value) => {
+  if (value === null) return '—';
+  return kpi.unit === '%' ? `${value.toFixed(1)}%` : `${value.toFixed(1)} days`;
+};
+
+const TrendBadge = ({ kpi, trend, days }) => {
+  if (!trend) return <p className="text-xs text-gray-400 mt-2">No comparison for the previous {days} days</p>;
+  const Icon = trend.change === 0 ? Minus : trend.change > 0 ? ArrowUpRight : ArrowDownRight;
+  const color = trend.improved === null ? 'text-gray-500' : trend.improved ? 'text-green-600' : 'text-red-600';
+  const amount = kpi.unit === '%' ? `${Math.abs(trend.change).toFixed(1)} pts` : `${Math.abs(trend.change).toFixed(1)} days`;
+  return (
+    <p className={`text-xs font-semibold mt-2 flex items-center gap-1 ${color}`}>
+      <Icon size={14} />
+      {trend.change === 0 ? 'No change' : amount} vs previous {days} days
+    </p>
+  );
+};
+
+// ============================================
+// COLLECTION KPIS COMPONENT
+// ============================================
+
+// DSO, Collection Effectiveness Index and average days to pay over a rolling
+// period, each against the period before it. Selecting a KPI lists the
+// invoices behind it. `invoices` is every evaluated invoice: the table
+// filters describe invoices as they stand today, which would skew figures
+// about the past.
+const CollectionKpis = ({ invoices, today, onOpenInvoice }) => {
+  const [days, setDays] = useState(90);
+  const [drillKey, setDrillKey] = useState(null);
+
+  const { current, previous } = useMemo(() => {
+    const period = getPeriod(today, days);
+    return {
+      current: buildCollectionKpis(invoices, period),
+      previous: buildCollectionKpis(invoices, getPreviousPeriod(period))
+    };
+  }, [invoices, today, days]);
+
+  const drillKpi = COLLECTION_KPIS.find(kpi => kpi.key === drillKey);
+  const drillRows = drillKpi ? current.drillDown[drillKpi.key] : [];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8"
+    >
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800">Collection KPIs</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            {formatDate(current.period.start)} – {formatDate(current.period.end)} · all invoices, whatever the table filters
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-semibold text-gray-700 bg-white cursor-pointer"
+        >
+          {KPI_PERIODS.map(p => (
+            <option key={p.days} value={p.days}>{p.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {COLLECTION_KPIS.map(kpi => (
+          <button
+            key={kpi.key}
+            type="button"
+            onClick={() => setDrillKey(drillKey === kpi.key ? null : kpi.key)}
+            className={`rounded-lg border p-4 text-left transition-colors ${
+              kpi.key === drillKey ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+            }`}
+            title={kpi.description}
+          >
+            <p className="text-xs font-bold text-gray-500 uppercase">{kpi.label}</p>
+            <p className="text-2xl font-black text-gray-900 mt-1">{formatKpi(kpi, current.values[kpi.key])}</p>
+            <TrendBadge
+              kpi={kpi}
+              trend={getKpiTrend(kpi, current.values[kpi.key], previous.values[kpi.key])}
+              days={days}
+            />
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Opening receivables {formatMoney(current.opening)} · Sales {formatMoney(current.sales)} · Closing receivables {formatMoney(current.closing)}
+      </p>
+
+      {/* Drill-down */}
+      {drillKpi && (
+        <div className="mt-6">
+          <p className="text-sm font-semibold text-gray-700 mb-2">
+            {drillKpi.key === 'dso' && 'Balances open at the end of the period'}
+            {drillKpi.key === 'cei' && 'Balances overdue and not collected by the end of the period'}
+            {drillKpi.key === 'avgDaysToPay' && 'Invoices settled in the period, slowest first'}
+          </p>
+          {drillRows.length === 0 ? (
+            <p className="text-sm text-gray-400 py-4">No invoices</p>
+          ) : (
+            <div className="overflow-x-auto max-h-80 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-left text-xs font-bold text-gray-500 uppercase">
+                    <th className="py-2 pr-4">Invoice</th>
+                    <th className="py-2 pr-4">Customer</th>
+                    <th className="py-2 px-2">Invoice Date</th>
+                    {drillKpi.key === 'avgDaysToPay' ? (
+                      <>
+                        <th className="py-2 px-2">Settled</th>
+                        <th className="py-2 pl-2 text-right">Days to Pay</th>
+                      </>
+                    ) : (
+                      <>
+                        <th className="py-2 px-2">Due Date</th>
+                        <th className="py-2 pl-2 text-right">Balance</th>
+                      </>
+                    )}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {drillRows.map(row => (
+                    <tr
+                      key={row.invoice.id}
+                      onClick={() => onOpenInvoice(row.invoice.id)}
+                      className="cursor-pointer hover:bg-gray-50"
+                    >
+                      <td className="py-2 pr-4 font-semibold text-blue-600">{row.invoice.id}</td>
+                      <td className="py-2 pr-4 text-gray-800">{row.invoice.customerName}</td>
+                      <td className="py-2 px-2 text-gray-600">{formatDate(row.invoice.invoiceDate)}</td>
+                      {drillKpi.key === 'avgDaysToPay' ? (
+                        <>
+                          <td className="py-2 px-2 text-gray-600">{formatDate(row.settledOn)}</td>
+                          <td className="py-2 pl-2 text-right font-bold text-gray-900">{row.days}</td>
+                        </>
+                      ) : (
+                        <>
+                          <td className="py-2 px-2 text-gray-600">{formatDate(row.invoice.dueDate)}</td>
+                          <td className="py-2 pl-2 text-right font-bold text-gray-900">{formatMoney(row.balance)}</td>
+                        </>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default CollectionKpis;
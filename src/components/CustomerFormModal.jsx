@@ -0,0 +1,255 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, Save, X } from 'lucide-react';
+import { useState } from 'react';
+import { INDIAN_STATES } from '../utils/gst';
+import { PAYMENT_TERMS_OPTIONS, createEmptyCustomer, validateCustomer } from '../utils/customers';
+import { TEMPLATE_LANGUAGES } from '../utils/messageTemplates';
+
+const inputClass = (hasError) =>
+  `w-full px-4 py-2.5 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
+    hasError
+      ? 'border-red-500 focus:ring-red-500/50'
+      : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+  }`;
+
+const toFormData = (initialData) => ({
+  ...createEmptyCustomer(),
+  ...initialData,
+  creditLimit: initialData?.creditLimit ?? ''
+});
+
+const Field = ({ label, required, error, children, className = '' }) => (
+  <div className={className}>
+    <label className="block text-sm font-semibold text-slate-200 mb-1.5">
+      {label} {required && <span className="text-red-400">*</span>}
+    </label>
+    {children}
+    {error && (
+      <p className="text-red-400 text-xs font-semibold mt-1.5 flex items-center gap-1">
+        <AlertCircle size={14} />
+        {error}
+      </p>
+    )}
+  </div>
+);
+
+// ============================================
+// CUSTOMER FORM MODAL COMPONENT
+// ============================================
+
+const CustomerFormModal = ({ isOpen, initialData = null, customers, onSave, onClose }) => {
+  const [formData, setFormData] = useState(() => toFormData(initialData));
+  const [errors, setErrors] = useState({});
+
+  const [loadedData, setLoadedData] = useState(initialData);
+  if (initialData !== loadedData) {
+    setLoadedData(initialData);
+    setFormData(toFormData(initialData));
+    setErrors({});
+  }
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => {
+        const newErrors = { ...prev };
+        delete newErrors[field];
+        return newErrors;
+      });
+    }
+  };
+
+  const handleSubmit = () => {
+    const validationErrors = validateCustomer(formData, customers);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    onSave(formData);
+  };
+
+  const isEditing = Boolean(initialData?.id);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="absolute inset-0 bg-black/60 backdrop-blur-sm"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border border-white/10 rounded-2xl shadow-2xl"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-white/10">
+              <div>
+                <h2 className="text-xl font-bold text-white">
+                  {isEditing ? 'Edit Customer' : 'New Customer'}
+                </h2>
+                <p className="text-sm text-slate-300 mt-1">
+                  {isEditing ? 'Update the customer profile' : 'Add a customer to the master'}
+                </p>
+              </div>
+              <motion.button
+                whileHover={{ rotate: 90, scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={onClose}
+                className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+              >
+                <X size={22} />
+              </motion.button>
+            </div>
+
+            {/* Form */}
+            <div className="p-6 grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <Field label="Legal Name" required error={errors.legalName} className="sm:col-span-2">
+                <input
+                  type="text"
+                  value={formData.legalName}
+                  onChange={(e) => handleChange('legalName', e.target.value)}
+                  className={inputClass(errors.legalName)}
+                  placeholder="As registered under GST"
+                />
+              </Field>
+              <Field label="GSTIN" error={errors.gstin}>
+                <input
+                  type="text"
+                  value={formData.gstin}
+                  onChange={(e) => handleChange('gstin', e.target.value.toUpperCase())}
+                  className={inputClass(errors.gstin)}
+                  placeholder="Leave blank if unregistered"
+                  maxLength={15}
+                />
+              </Field>
+              <Field label="PAN" error={errors.pan}>
+                <input
+                  type="text"
+                  value={formData.pan}
+                  onChange={(e) => handleChange('pan', e.target.value.toUpperCase())}
+                  className={inputClass(errors.pan)}
+                  maxLength={10}
+                />
+              </Field>
+              <Field label="State" required error={errors.stateCode}>
+                <select
+                  value={formData.stateCode}
+                  onChange={(e) => handleChange('stateCode', e.target.value)}
+                  className={`${inputClass(errors.stateCode)} cursor-pointer`}
+                >
+                  <option value="">Select state</option>
+                  {INDIAN_STATES.map(state => (
+                    <option key={state.code} value={state.code}>
+                      {state.code} - {state.name}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Default Payment Terms">
+                <select
+                  value={formData.defaultPaymentTerms}
+                  onChange={(e) => handleChange('defaultPaymentTerms', parseInt(e.target.value))}
+                  className={`${inputClass(false)} cursor-pointer`}
+                >
+                  {PAYMENT_TERMS_OPTIONS.map(days => (
+                    <option key={days} value={days}>{days} days</option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Email" error={errors.email}>
+                <input
+                  type="email"
+                  value={formData.email}
+                  onChange={(e) => handleChange('email', e.target.value)}
+                  className={inputClass(errors.email)}
+                />
+              </Field>
+              <Field label="Phone" error={errors.phone}>
+                <input
+                  type="tel"
+                  value={formData.phone}
+                  onChange={(e) => handleChange('phone', e.target.value)}
+                  className={inputClass(errors.phone)}
+                />
+              </Field>
+              <Field label="Message Language">
+                <select
+                  value={formData.language}
+                  onChange={(e) => handleChange('language', e.target.value)}
+                  className={`${inputClass(false)} cursor-pointer`}
+                >
+                  {TEMPLATE_LANGUAGES.map(language => (
+                    <option key={language.value} value={language.value}>{language.label}</option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Billing Address" className="sm:col-span-2">
+                <textarea
+                  rows={2}
+                  value={formData.billingAddress}
+                  onChange={(e) => handleChange('billingAddress', e.target.value)}
+                  className={inputClass(false)}
+                />
+              </Field>
+              <Field label="Shipping Address" className="sm:col-span-2">
+                <textarea
+                  rows={2}
+                  value={formData.shippingAddress}
+                  onChange={(e) => handleChange('shippingAddress', e.target.value)}
+                  className={inputClass(false)}
+                />
+                <button
+                  type="button"
+                  onClick={() => handleChange('shippingAddress', formData.billingAddress)}
+                  className="text-xs text-cyan-300 hover:text-cyan-200 mt-1.5 font-semibold"
+                >
+                  Same as billing address
+                </button>
+              </Field>
+              <Field label="Credit Limit (₹)" error={errors.creditLimit}>
+                <input
+                  type="number"
+                  min="0"
+                  step="1000"
+                  value={formData.creditLimit}
+                  onChange={(e) => handleChange('creditLimit', e.target.value)}
+                  className={inputClass(errors.creditLimit)}
+                  placeholder="No limit"
+                />
+              </Field>
+            </div>
+
+            {/* Footer */}
+            <div className="flex gap-3 p-6 border-t border-white/10">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={handleSubmit}
+                className="flex-1 flex items-center justify-center gap-2 text-white py-3 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500"
+              >
+                <Save size={18} />
+                {isEditing ? 'Update Customer' : 'Save Customer'}
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onClose}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3 px-4 rounded-xl font-bold transition-all"
+              >
+                Cancel
+              </motion.button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default CustomerFormModal;
@@ -0,0 +1,142 @@
+import { AlertCircle, Plus, Search } from 'lucide-react';
+import { useState } from 'react';
+import { getStateName } from '../utils/gst';
+import { searchCustomers } from '../utils/customers';
+
+const MAX_SUGGESTIONS = 8;
+
+// ============================================
+// CUSTOMER PICKER COMPONENT
+// ============================================
+
+// Autocomplete over the customer master. Typing filters by name, GSTIN or
+// email; an unknown name can be turned into a new customer via onCreate,
+// when given.
+const CustomerPicker = ({ customers, value, onChange, onCreate, error }) => {
+  const selected = customers.find(c => c.id === value) || null;
+  const [query, setQuery] = useState(selected?.legalName || '');
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  // Keep the text in sync when the selection changes from outside (e.g. a
+  // customer was just created, or the form was reset).
+  const [syncedId, setSyncedId] = useState(value);
+  if (value !== syncedId) {
+    setSyncedId(value);
+    setQuery(selected?.legalName || '');
+  }
+
+  const matches = searchCustomers(customers, isOpen && query !== selected?.legalName ? query : '')
+    .slice(0, MAX_SUGGESTIONS);
+  const canCreate = Boolean(onCreate) && query.trim() && !customers.some(
+    c => c.legalName.toLowerCase() === query.trim().toLowerCase()
+  );
+  const optionCount = matches.length + (canCreate ? 1 : 0);
+
+  const choose = (customer) => {
+    onChange(customer);
+    setQuery(customer.legalName);
+    setIsOpen(false);
+  };
+
+  const create = () => {
+    setIsOpen(false);
+    onCreate(query.trim());
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setHighlighted(prev => Math.min(prev + 1, optionCount - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && isOpen) {
+      e.preventDefault();
+      if (highlighted < matches.length) choose(matches[highlighted]);
+      else if (canCreate) create();
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+      <input
+        type="text"
+        role="combobox"
+        aria-expanded={isOpen}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setHighlighted(0);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => {
+          setIsOpen(false);
+          setQuery(selected?.legalName || '');
+        }}
+        onKeyDown={handleKeyDown}
+        className={`w-full pl-11 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
+          error
+            ? 'border-red-500 focus:ring-red-500/50'
+            : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+        }`}
+        placeholder="Search customers by name or GSTIN"
+      />
+
+      {isOpen && optionCount > 0 && (
+        <ul className="absolute z-20 mt-1 w-full bg-slate-800 border border-slate-600 rounded-lg shadow-2xl max-h-72 overflow-y-auto">
+          {matches.map((customer, index) => (
+            <li
+              key={customer.id}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(customer);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`px-4 py-2.5 cursor-pointer ${
+                highlighted === index ? 'bg-slate-700' : ''
+              }`}
+            >
+              <p className="text-white text-sm font-semibold">{customer.legalName}</p>
+              <p className="text-xs text-slate-400">
+                {[customer.gstin || 'Unregistered', customer.stateCode && getStateName(customer.stateCode)]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </p>
+            </li>
+          ))}
+          {canCreate && (
+            <li
+              onMouseDown={(e) => {
+                e.preventDefault();
+                create();
+              }}
+              onMouseEnter={() => setHighlighted(matches.length)}
+              className={`px-4 py-2.5 cursor-pointer text-cyan-300 text-sm font-semibold flex items-center gap-2 border-t border-slate-700 ${
+                highlighted === matches.length ? 'bg-slate-700' : ''
+              }`}
+            >
+              <Plus size={14} />
+              Add &ldquo;{query.trim()}&rdquo; as a new customer
+            </li>
+          )}
+        </ul>
+      )}
+
+      {error && (
+        <p className="text-red-400 text-xs font-semibold mt-2 flex items-center gap-1">
+          <AlertCircle size={14} />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CustomerPicker;
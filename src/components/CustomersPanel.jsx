@@ -0,0 +1,180 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { Edit2, Plus, Search, Trash2, Users, X } from 'lucide-react';
+import { useState } from 'react';
+import { getStateName } from '../utils/gst';
+import { searchCustomers } from '../utils/customers';
+import CustomerFormModal from './CustomerFormModal';
+
+const formatMoney = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+// ============================================
+// CUSTOMERS PANEL COMPONENT
+// ============================================
+
+const CustomersPanel = ({ isOpen, onClose, customers, invoiceStats, onAdd, onUpdate, onDelete }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  const visibleCustomers = searchCustomers(customers, searchTerm)
+    .slice()
+    .sort((a, b) => a.legalName.localeCompare(b.legalName));
+
+  const openForm = (customer = null) => {
+    setEditingCustomer(customer);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingCustomer(null);
+  };
+
+  return (
+    <>
+      <AnimatePresence>
+        {isOpen && (
+          <>
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
+              onClick={onClose}
+            />
+            <motion.div
+              initial={{ x: 400, opacity: 0 }}
+              animate={{ x: 0, opacity: 1 }}
+              exit={{ x: 400, opacity: 0 }}
+              transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+              className="fixed right-0 top-0 h-full w-full max-w-xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
+            >
+              <div className="flex flex-col h-full">
+                {/* Header */}
+                <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+                  <div>
+                    <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                      <Users size={20} />
+                      Customers
+                    </h2>
+                    <p className="text-sm text-slate-300 mt-1">
+                      {customers.length} customer{customers.length !== 1 ? 's' : ''} in the master
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => openForm()}
+                      className="flex items-center gap-2 px-4 py-2 bg-cyan-500 text-white rounded-lg font-semibold hover:bg-cyan-400 transition-colors"
+                    >
+                      <Plus size={16} />
+                      New
+                    </motion.button>
+                    <motion.button
+                      whileHover={{ rotate: 90, scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                      onClick={onClose}
+                      className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                    >
+                      <X size={22} />
+                    </motion.button>
+                  </div>
+                </div>
+
+                <div className="flex-1 p-6 space-y-4">
+                  <div className="relative">
+                    <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+                    <input
+                      type="text"
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                      className="w-full pl-11 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30"
+                      placeholder="Search by name, GSTIN or email"
+                    />
+                  </div>
+
+                  {visibleCustomers.length === 0 ? (
+                    <p className="text-center text-slate-400 py-10">No customers found</p>
+                  ) : (
+                    visibleCustomers.map(customer => {
+                      const stats = invoiceStats.get(customer.id) || { count: 0, outstanding: 0 };
+                      const overLimit = customer.creditLimit !== null && stats.outstanding > customer.creditLimit;
+                      return (
+                        <div
+                          key={customer.id}
+                          className="bg-slate-700/50 border border-white/10 rounded-xl p-4 flex items-start justify-between gap-4"
+                        >
+                          <div className="min-w-0">
+                            <p className="text-white font-semibold truncate">{customer.legalName}</p>
+                            <p className="text-xs text-slate-400 mt-0.5">
+                              {[customer.gstin || 'Unregistered', customer.stateCode && getStateName(customer.stateCode)]
+                                .filter(Boolean)
+                                .join(' · ')}
+                            </p>
+                            <p className="text-xs text-slate-300 mt-2">
+                              {stats.count} invoice{stats.count !== 1 ? 's' : ''} · Outstanding{' '}
+                              <span className={overLimit ? 'text-red-400 font-bold' : 'font-semibold'}>
+                                {formatMoney(stats.outstanding)}
+                              </span>
+                              {customer.creditLimit !== null && ` of ${formatMoney(customer.creditLimit)} limit`}
+                            </p>
+                          </div>
+                          <div className="flex gap-2 shrink-0">
+                            <motion.button
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.9 }}
+                              onClick={() => openForm(customer)}
+                              className="p-2 bg-slate-800 text-blue-300 rounded-lg hover:bg-blue-600 hover:text-white transition-colors"
+                              title="Edit Customer"
+                            >
+                              <Edit2 size={16} />
+                            </motion.button>
+                            <motion.button
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.9 }}
+                              onClick={() => {
+                                if (stats.count > 0) {
+                                  window.alert(`${customer.legalName} has ${stats.count} invoice(s) and cannot be deleted.`);
+                                  return;
+                                }
+                                if (window.confirm(`Delete customer ${customer.legalName}?`)) {
+                                  onDelete(customer.id);
+                                }
+                              }}
+                              className="p-2 bg-slate-800 text-red-300 rounded-lg hover:bg-red-600 hover:text-white transition-colors"
+                              title="Delete Customer"
+                            >
+                              <Trash2 size={16} />
+                            </motion.button>
+                          </div>
+                        </div>
+                      );
+                    })
+                  )}
+                </div>
+              </div>
+            </motion.div>
+          </>
+        )}
+      </AnimatePresence>
+
+      <CustomerFormModal
+        isOpen={isFormOpen}
+        initialData={editingCustomer}
+        customers={customers}
+        onSave={(data) => {
+          if (editingCustomer) {
+            onUpdate(editingCustomer.id, data);
+          } else {
+            onAdd(data);
+          }
+          closeForm();
+        }}
+        onClose={closeForm}
+      />
+    </>
+  );
+};
+
+export default CustomersPanel;
@@ -1,178 +1,552 @@
 import { AnimatePresence, motion } from 'framer-motion';
 import {
   AlertCircle,
+  ArrowDown,
+  ArrowRightLeft,
+  ArrowUp,
+  ArrowUpDown,
+  BellRing,
+  Bookmark,
   Calendar,
   CheckCircle,
   ChevronLeft,
   ChevronRight,
-  DollarSign,
+  Columns3,
   Download,
   Edit2,
+  FileDown,
   FileText,
+  Filter,
+  Hash,
   Plus,
+  Printer,
+  Repeat,
   Search,
   Trash2,
   TrendingUp,
+  Upload,
+  Users,
+  Wallet,
   X
 } from 'lucide-react';
-import { useCallback, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { Cell, Legend, Pie, PieChart, ResponsiveContainer, Tooltip } from 'recharts';
+import { COMPANY_PROFILE } from '../config/company';
+import useAttachments from '../hooks/useAttachments';
+import useAuditLog from '../hooks/useAuditLog';
+import useCustomers from '../hooks/useCustomers';
+import useDunning from '../hooks/useDunning';
+import useMessageTemplates from '../hooks/useMessageTemplates';
+import useNumbering from '../hooks/useNumbering';
+import usePersistentState from '../hooks/usePersistentState';
+import useRecurringSchedules from '../hooks/useRecurringSchedules';
+import useRoute from '../hooks/useRoute';
+import useSavedViews from '../hooks/useSavedViews';
+import useStorageFailures from '../hooks/useStorageFailures';
+import useToday from '../hooks/useToday';
+import { INVOICE_SCHEMA_VERSION, invoiceMigrations } from '../storage/migrations';
+import {
+  DOCUMENT_TYPES,
+  canIssueNote,
+  getAdjustmentsByInvoice,
+  getSignedAmount,
+  isAdjustmentNote
+} from '../utils/adjustmentNotes';
+import { buildRevertedInvoice, diffInvoice, getDeletedDraftIds, getInvoiceHistory } from '../utils/auditLog';
+import { BULK_ACTIONS, applyTagChange } from '../utils/bulkActions';
+import { downloadCSV } from '../utils/csv';
+import { formatDate, getTodayDate } from '../utils/dates';
+import {
+  REMINDER_CHANNELS,
+  buildDunningQueue,
+  getLegacyLevelTemplate,
+  getUpgradedTemplateIds,
+  isLegacyLevel
+} from '../utils/dunning';
+import { cleanFilters, countConditions, getFieldOptions, matchesFilters } from '../utils/filters';
+import { calculateInvoiceTotals, createLineItem, normalizeLineItem } from '../utils/gst';
+import { createId } from '../utils/ids';
+import {
+  INVOICE_STATUSES,
+  STATUS_BY_KEY,
+  STATUS_LABELS,
+  TRANSITIONS_BY_KEY,
+  checkDelete,
+  checkTransition,
+  describeDueDate,
+  evaluateInvoice,
+  getUnpaidAmount,
+  stripDerivedFields
+} from '../utils/invoiceStatus';
+import { validateInvoice } from '../utils/invoiceValidation';
+import { createPayment } from '../utils/payments';
+import { buildInvoiceExport } from '../utils/invoiceExport';
+import { buildInvoiceFromSchedule, getDueRunDates } from '../utils/recurring';
+import { getViewDefinition, isDefaultTableState, isViewActive } from '../utils/savedViews';
+import { sortInvoices, toggleSortKey } from '../utils/sorting';
+import AdjustmentNoteModal from './AdjustmentNoteModal';
+import AgingReport from './AgingReport';
+import BulkActionBar from './BulkActionBar';
+import BulkActionDialog from './BulkActionDialog';
+import CashFlowForecast from './CashFlowForecast';
+import CollectionKpis from './CollectionKpis';
+import CustomerFormModal from './CustomerFormModal';
+import CustomerPicker from './CustomerPicker';
+import CustomersPanel from './CustomersPanel';
+import DunningPanel from './DunningPanel';
+import ExportDialog from './ExportDialog';
+import FilterBuilder from './FilterBuilder';
+import FilterChips from './FilterChips';
+import ImportWizard from './ImportWizard';
+import InvoiceDetailPage from './InvoiceDetailPage';
+import LineItemsEditor from './LineItemsEditor';
+import NumberingPanel from './NumberingPanel';
+import RecordPaymentPanel from './RecordPaymentPanel';
+import RecurringSchedulesPanel from './RecurringSchedulesPanel';
+import SavedViewsPanel from './SavedViewsPanel';
+import StatusChangeDialog from './StatusChangeDialog';
+import TagInput from './TagInput';
+import TemplatesPanel from './TemplatesPanel';
+import TrendCharts from './TrendCharts';
+import UndoToast from './UndoToast';
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
-const getTodayDate = () => new Date().toISOString().split('T')[0];
-
-const formatDate = (dateStr) => {
-  if (!dateStr) return '';
-  const date = new Date(dateStr);
-  return date.toLocaleDateString('en-IN', { 
-    day: '2-digit', 
-    month: 'short', 
-    year: 'numeric' 
-  });
-};
-
-const calculateDueDate = (invoiceDate, paymentTerms) => {
-  const date = new Date(invoiceDate);
-  date.setDate(date.getDate() + paymentTerms);
-  return date.toISOString().split('T')[0];
-};
-
-const calculateDaysDisplay = (invoice) => {
-  const today = new Date();
-  const dueDate = new Date(invoice.dueDate);
-  const diffTime = dueDate - today;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  
-  if (invoice.status === 'paid') return '✓ Paid';
-  if (diffDays < 0) return `${Math.abs(diffDays)} days overdue`;
-  if (diffDays === 0) return 'Due today';
-  return `${diffDays} days left`;
-};
+const calculateDaysDisplay = (invoice, today = getTodayDate()) =>
+  isAdjustmentNote(invoice) ? `Against ${invoice.referenceInvoiceId}` : describeDueDate(invoice, today);
 
 // ============================================
 // CALCULATION FUNCTIONS
 // ============================================
 
+// These expect invoices that have been through evaluateInvoice, so `status`
+// is the effective status rather than the stored one.
 const calculateTotalOutstanding = (invoices) =>
-  invoices.filter(i => i.status !== 'paid').reduce((sum, i) => sum + (i.amount || 0), 0);
+  invoices.reduce((sum, i) => sum + (i.balanceDue || 0), 0);
 
 const calculateTotalOverdue = (invoices) =>
-  invoices.filter(i => i.status === 'overdue').reduce((sum, i) => sum + (i.amount || 0), 0);
+  invoices.filter(i => i.status === 'overdue').reduce((sum, i) => sum + (i.balanceDue || 0), 0);
 
 const calculateTotalPaid = (invoices) =>
-  invoices.filter(i => i.status === 'paid').reduce((sum, i) => sum + (i.amount || 0), 0);
+  invoices.reduce((sum, i) => sum + (i.amountPaid || 0), 0);
 
 // ============================================
 // CUSTOM HOOK FOR INVOICES
 // ============================================
 
-const useInvoices = () => {
-  const [invoices, setInvoices] = useState([
-    { 
-      id: 'INV-001', 
-      customerName: 'Acme Corporation', 
-      amount: 50000, 
-      invoiceDate: '2024-01-15', 
-      paymentTerms: 30, 
-      status: 'paid' 
-    },
-    { 
-      id: 'INV-002', 
-      customerName: 'Tech Solutions Inc', 
-      amount: 75000, 
-      invoiceDate: '2024-01-20', 
-      paymentTerms: 30, 
-      status: 'pending' 
-    },
-    { 
-      id: 'INV-003', 
-      customerName: 'Global Industries Ltd', 
-      amount: 120000, 
-      invoiceDate: '2023-12-10', 
-      paymentTerms: 45, 
-      status: 'overdue' 
-    },
-    { 
-      id: 'INV-004', 
-      customerName: 'Digital Marketing Pro', 
-      amount: 35000, 
-      invoiceDate: '2024-01-18', 
-      paymentTerms: 15, 
-      status: 'pending' 
-    },
-    { 
-      id: 'INV-005', 
-      customerName: 'Cloud Services Ltd', 
-      amount: 95000, 
-      invoiceDate: '2024-01-12', 
-      paymentTerms: 30, 
-      status: 'paid' 
-    },
-    { 
-      id: 'INV-006', 
-      customerName: 'Software Development Co', 
-      amount: 150000, 
-      invoiceDate: '2024-01-08', 
-      paymentTerms: 45, 
-      status: 'overdue' 
-    },
-  ]);
+const SAMPLE_INVOICES = [
+  { 
+    id: 'INV-001', 
+    customerId: 'cus-acme-corporation',
+    customerName: 'Acme Corporation', 
+    invoiceDate: '2024-01-15', 
+    paymentTerms: 30, 
+    status: 'sent',
+    placeOfSupply: '27',
+    lineItems: [
+      { id: 'INV-001-1', description: 'Annual maintenance contract', hsnSac: '998713', quantity: 1, unitPrice: 42000, discount: 0, gstRate: 18 }
+    ],
+    payments: [
+      { id: 'INV-001-P1', date: '2024-02-10', amount: 49560, mode: 'neft', reference: 'UTR240210001' }
+    ]
+  },
+  { 
+    id: 'INV-002', 
+    customerId: 'cus-tech-solutions-inc',
+    customerName: 'Tech Solutions Inc', 
+    invoiceDate: '2024-01-20', 
+    paymentTerms: 30, 
+    status: 'sent',
+    placeOfSupply: '29',
+    lineItems: [
+      { id: 'INV-002-1', description: 'Laptop', hsnSac: '8471', quantity: 5, unitPrice: 12000, discount: 5, gstRate: 18 },
+      { id: 'INV-002-2', description: 'Setup and configuration', hsnSac: '998313', quantity: 5, unitPrice: 1500, discount: 0, gstRate: 18 }
+    ],
+    payments: [
+      { id: 'INV-002-P1', date: '2024-02-05', amount: 30000, mode: 'upi', reference: 'UPI402051234' }
+    ]
+  },
+  { 
+    id: 'INV-003', 
+    customerId: 'cus-global-industries-ltd',
+    customerName: 'Global Industries Ltd', 
+    invoiceDate: '2023-12-10', 
+    paymentTerms: 45, 
+    status: 'sent',
+    placeOfSupply: '07',
+    lineItems: [
+      { id: 'INV-003-1', description: 'ERP implementation services', hsnSac: '998311', quantity: 1, unitPrice: 100000, discount: 0, gstRate: 18 }
+    ],
+    payments: []
+  },
+  { 
+    id: 'INV-004', 
+    customerId: 'cus-digital-marketing-pro',
+    customerName: 'Digital Marketing Pro', 
+    invoiceDate: '2024-01-18', 
+    paymentTerms: 15, 
+    status: 'sent',
+    placeOfSupply: '27',
+    lineItems: [
+      { id: 'INV-004-1', description: 'Printed brochures', hsnSac: '4911', quantity: 500, unitPrice: 50, discount: 0, gstRate: 12 },
+      { id: 'INV-004-2', description: 'Design services', hsnSac: '998391', quantity: 1, unitPrice: 8000, discount: 10, gstRate: 18 }
+    ],
+    payments: []
+  },
+  { 
+    id: 'INV-005', 
+    customerId: 'cus-cloud-services-ltd',
+    customerName: 'Cloud Services Ltd', 
+    invoiceDate: '2024-01-12', 
+    paymentTerms: 30, 
+    status: 'sent',
+    placeOfSupply: '33',
+    lineItems: [
+      { id: 'INV-005-1', description: 'Cloud hosting - quarterly', hsnSac: '998315', quantity: 3, unitPrice: 27000, discount: 0, gstRate: 18 }
+    ],
+    payments: [
+      { id: 'INV-005-P1', date: '2024-01-25', amount: 50000, mode: 'cheque', reference: '004512' },
+      { id: 'INV-005-P2', date: '2024-02-08', amount: 45580, mode: 'neft', reference: 'UTR240208117' }
+    ]
+  },
+  { 
+    id: 'INV-006', 
+    customerId: 'cus-software-development-co',
+    customerName: 'Software Development Co', 
+    invoiceDate: '2024-01-08', 
+    paymentTerms: 45, 
+    status: 'sent',
+    placeOfSupply: '27',
+    lineItems: [
+      { id: 'INV-006-1', description: 'Software licence', hsnSac: '997331', quantity: 10, unitPrice: 12000, discount: 0, gstRate: 18 },
+      { id: 'INV-006-2', description: 'Training sessions', hsnSac: '999293', quantity: 2, unitPrice: 5000, discount: 0, gstRate: 0 }
+    ],
+    payments: []
+  },
+];
+
+const useInvoices = ({ adapter, customers = [] } = {}) => {
+  const [invoices, setInvoices, { isLoaded }] = usePersistentState('invoices', SAMPLE_INVOICES, {
+    adapter,
+    version: INVOICE_SCHEMA_VERSION,
+    migrations: invoiceMigrations
+  });
+
+  const numbering = useNumbering({ adapter });
+  const { allocateNumber, registerNumber } = numbering;
+  const auditLog = useAuditLog({ adapter });
+  const { events, recordEvent } = auditLog;
+  const today = useToday();
+  // Filters, search and sorting are read from and written to the URL.
+  // Changing any of them goes back to the first page.
+  const [route, navigate] = useRoute();
+  const { search: searchTerm, sort: sortBy, filters } = route;
+  const filterStatus = STATUS_BY_KEY[route.status] ? route.status : 'all';
 
-  const [filterStatus, setFilterStatus] = useState('all');
-  const [searchTerm, setSearchTerm] = useState('');
+  const setFilterStatus = useCallback((status) => {
+    navigate({ status, page: 1 });
+  }, [navigate]);
+
+  const setSearchTerm = useCallback((search) => {
+    navigate({ search, page: 1 }, { replace: true });
+  }, [navigate]);
+
+  const setFilters = useCallback((next) => {
+    navigate({ filters: cleanFilters(next), page: 1 });
+  }, [navigate]);
+
+  // Names come from the customer master so a rename shows everywhere; the
+  // stored name is only a fallback for customers that no longer exist.
+  // Credit and debit notes are folded into the net amount of the invoice
+  // they reference.
+  const evaluatedInvoices = useMemo(() => {
+    const customersById = new Map(customers.map(c => [c.id, c]));
+    const adjustments = getAdjustmentsByInvoice(invoices);
+    return invoices.map(inv => evaluateInvoice({
+      ...inv,
+      customerName: customersById.get(inv.customerId)?.legalName ?? inv.customerName
+    }, today, adjustments.get(inv.id) || 0));
+  }, [invoices, customers, today]);
 
   const filteredAndSorted = useMemo(() => {
-    return invoices
-      .map(inv => ({ 
-        ...inv, 
-        dueDate: calculateDueDate(inv.invoiceDate, inv.paymentTerms) 
-      }))
+    const filtered = evaluatedInvoices
       .filter(inv => 
         (filterStatus === 'all' || inv.status === filterStatus) &&
         (inv.customerName.toLowerCase().includes(searchTerm.toLowerCase()) || 
-         inv.id.toLowerCase().includes(searchTerm.toLowerCase()))
+         inv.id.toLowerCase().includes(searchTerm.toLowerCase())) &&
+        matchesFilters(inv, filters, today)
       );
-  }, [invoices, filterStatus, searchTerm]);
+    return sortInvoices(filtered, sortBy, today);
+  }, [evaluatedInvoices, filterStatus, searchTerm, filters, sortBy, today]);
+
+  const toggleSort = useCallback((key, options) => {
+    navigate(current => ({ sort: toggleSortKey(current.sort, key, options), page: 1 }));
+  }, [navigate]);
 
+  // Every change goes through here so it lands in the audit log with a
+  // before/after diff. `change` maps the stored invoice to its new version
+  // and may return it unchanged to skip the update.
+  const commitChange = useCallback((id, action, change, note = '') => {
+    const before = invoices.find(inv => inv.id === id);
+    if (!before) return;
+    const after = change(before);
+    if (after === before || diffInvoice(before, after).length === 0) return;
+    recordEvent({ action, before, after, note });
+    setInvoices(prev => prev.map(inv => (inv.id === id ? after : inv)));
+  }, [invoices, recordEvent, setInvoices]);
+
+  // New invoices take the next number of the invoice series; imported ones
+  // keep their own number and move the series past it. Invoices are issued
+  // straight away unless saved as a draft.
   const addInvoice = useCallback((formData) => {
-    const newId = `INV-${String(invoices.length + 1).padStart(3, '0')}`;
-    setInvoices(prev => [...prev, { 
-      id: newId, 
+    let id = formData.id;
+    if (id) {
+      registerNumber('invoice', formData.invoiceDate, id);
+    } else {
+      id = allocateNumber('invoice', formData.invoiceDate, invoices.map(inv => inv.id));
+    }
+    const invoice = { 
       ...formData, 
-      status: 'pending' 
-    }]);
-  }, [invoices.length]);
+      id,
+      status: formData.status === 'draft' ? 'draft' : 'sent',
+      payments: []
+    };
+    const note = formData.id ? 'Imported' : formData.recurringScheduleId ? 'Generated by a recurring schedule' : '';
+    recordEvent({ action: 'created', after: invoice, note });
+    setInvoices(prev => [...prev, invoice]);
+    return id;
+  }, [invoices, allocateNumber, registerNumber, recordEvent, setInvoices]);
 
+  const evaluatedById = useMemo(
+    () => new Map(evaluatedInvoices.map(inv => [inv.id, inv])),
+    [evaluatedInvoices]
+  );
+
+  const isInStatus = useCallback((id, flag) =>
+    Boolean(STATUS_BY_KEY[evaluatedById.get(id)?.status]?.[flag]),
+  [evaluatedById]);
+
+  // Void and written-off invoices are part of the books and cannot change.
   const updateInvoice = useCallback((id, data) => {
-    setInvoices(prev => prev.map(inv => 
-      inv.id === id ? { ...inv, ...data } : inv
-    ));
-  }, []);
+    if (isInStatus(id, 'locked')) return;
+    commitChange(id, 'updated', inv => ({ ...inv, ...stripDerivedFields(data) }));
+  }, [isInStatus, commitChange]);
+
+  // Moves an invoice along INVOICE_TRANSITIONS. Returns an error message
+  // when the change is not allowed, or null once it has been applied.
+  const transitionInvoice = useCallback((id, transitionKey, reason = '') => {
+    const invoice = evaluatedById.get(id);
+    if (!invoice) return 'Invoice not found';
+    const error = checkTransition(invoice, transitionKey, reason);
+    if (error) return error;
+    commitChange(id, 'status_changed', inv => ({
+      ...inv,
+      status: TRANSITIONS_BY_KEY[transitionKey].to,
+      statusReason: reason.trim(),
+      statusChangedAt: new Date().toISOString()
+    }), TRANSITIONS_BY_KEY[transitionKey].label);
+    return null;
+  }, [evaluatedById, commitChange]);
 
+  // Restores the document fields saved by an earlier event. Status and
+  // payments stay as they are; see buildRevertedInvoice.
+  const revertInvoice = useCallback((id, eventId) => {
+    if (isInStatus(id, 'locked')) return 'Void and written-off invoices cannot be reverted';
+    const event = events.find(e => e.id === eventId && e.invoiceId === id);
+    if (!event?.snapshot) return 'That version is no longer available';
+    const current = invoices.find(inv => inv.id === id);
+    if (diffInvoice(current, buildRevertedInvoice(current, event.snapshot)).length === 0) {
+      return 'The invoice already matches that version';
+    }
+    commitChange(
+      id,
+      'reverted',
+      inv => buildRevertedInvoice(inv, event.snapshot),
+      `Back to the version of ${new Date(event.at).toLocaleString('en-IN')}`
+    );
+    return null;
+  }, [events, invoices, isInStatus, commitChange]);
+
+  // Notes take the next number of their own series and are issued at once.
+  // They can only be raised against an invoice that has been sent.
+  const addNote = useCallback((noteData) => {
+    const original = evaluatedById.get(noteData.referenceInvoiceId);
+    if (!original || !canIssueNote(original)) return;
+    const { series } = DOCUMENT_TYPES[noteData.documentType];
+    const note = {
+      ...noteData,
+      id: allocateNumber(series, noteData.invoiceDate, invoices.map(inv => inv.id)),
+      paymentTerms: 0,
+      status: 'issued',
+      payments: []
+    };
+    recordEvent({ action: 'created', after: note, note: `Against ${original.id}` });
+    setInvoices(prev => [...prev, note]);
+  }, [invoices, evaluatedById, allocateNumber, recordEvent, setInvoices]);
+
+  // Only drafts are deleted (see checkDelete). Notes are only issued against
+  // sent invoices, so they always keep pointing at something.
   const deleteInvoice = useCallback((id) => {
+    const invoice = invoices.find(inv => inv.id === id);
+    if (!invoice || checkDelete(invoice)) return;
+    recordEvent({ action: 'deleted', before: invoice });
     setInvoices(prev => prev.filter(inv => inv.id !== id));
-  }, []);
+  }, [invoices, recordEvent, setInvoices]);
+
+  // Reminders are sent from the user's mail client; the log records that
+  // one went out without changing the invoice.
+  const logReminder = useCallback((id, note) => {
+    const invoice = invoices.find(inv => inv.id === id);
+    if (!invoice || !isInStatus(id, 'receivable')) return;
+    recordEvent({ action: 'reminder_sent', before: invoice, after: invoice, note });
+  }, [invoices, isInStatus, recordEvent]);
 
+  // Payments are only taken against invoices that are being collected.
+  const recordPayment = useCallback((id, paymentData) => {
+    if (!isInStatus(id, 'receivable')) return;
+    commitChange(id, 'payment_recorded', inv => ({
+      ...inv,
+      payments: [...(inv.payments || []), createPayment(paymentData)]
+    }));
+  }, [isInStatus, commitChange]);
+
+  // Paid invoices can still have a payment taken off; void and written-off
+  // ones are locked.
+  const deletePayment = useCallback((id, paymentId) => {
+    if (isInStatus(id, 'locked')) return;
+    commitChange(id, 'payment_deleted', inv => ({
+      ...inv,
+      payments: (inv.payments || []).filter(p => p.id !== paymentId)
+    }));
+  }, [isInStatus, commitChange]);
+
+  // Settles the remaining balance as a single payment so the ledger always
+  // adds up to the invoice total.
   const markAsPaid = useCallback((id) => {
-    setInvoices(prev => prev.map(inv => 
-      inv.id === id ? { ...inv, status: 'paid' } : inv
-    ));
-  }, []);
+    if (!isInStatus(id, 'receivable')) return;
+    const { balanceDue } = evaluatedById.get(id);
+    commitChange(id, 'payment_recorded', inv => {
+      if (balanceDue <= 0) return inv;
+      return {
+        ...inv,
+        payments: [...(inv.payments || []), createPayment({ amount: balanceDue, mode: 'other' })]
+      };
+    }, 'Marked as paid');
+  }, [evaluatedById, isInStatus, commitChange]);
+
+  // Bulk actions save all their changes in one update, with an audit event
+  // per invoice. `change` works like commitChange's and may also return
+  // null to delete the invoice. The changes made are returned so
+  // undoBulkChange can put them back.
+  const bulkChange = useCallback((ids, action, change, note = '') => {
+    const targets = new Set(ids);
+    const changes = [];
+    invoices.forEach(before => {
+      if (!targets.has(before.id)) return;
+      const after = change(before);
+      if (after === before || (after && diffInvoice(before, after).length === 0)) return;
+      recordEvent({ action, before, after, note });
+      changes.push({ before, after });
+    });
+    if (changes.length === 0) return changes;
+    const updated = new Map(changes.map(c => [c.before.id, c.after]));
+    setInvoices(prev => prev.flatMap(inv => {
+      if (!updated.has(inv.id)) return [inv];
+      return updated.get(inv.id) ? [updated.get(inv.id)] : [];
+    }));
+    return changes;
+  }, [invoices, recordEvent, setInvoices]);
+
+  const bulkMarkAsPaid = useCallback((ids) =>
+    bulkChange(ids.filter(id => isInStatus(id, 'receivable')), 'payment_recorded', inv => {
+      const { balanceDue } = evaluatedById.get(inv.id);
+      if (balanceDue <= 0) return inv;
+      return {
+        ...inv,
+        payments: [...(inv.payments || []), createPayment({ amount: balanceDue, mode: 'other' })]
+      };
+    }, 'Marked as paid (bulk)'),
+  [evaluatedById, isInStatus, bulkChange]);
+
+  const bulkTransition = useCallback((ids, transitionKey, reason = '') => {
+    const allowed = ids.filter(id => evaluatedById.has(id) && !checkTransition(evaluatedById.get(id), transitionKey, reason));
+    const statusChangedAt = new Date().toISOString();
+    return bulkChange(allowed, 'status_changed', inv => ({
+      ...inv,
+      status: TRANSITIONS_BY_KEY[transitionKey].to,
+      statusReason: reason.trim(),
+      statusChangedAt
+    }), `${TRANSITIONS_BY_KEY[transitionKey].label} (bulk)`);
+  }, [evaluatedById, bulkChange]);
+
+  const bulkUpdateTags = useCallback((ids, tagChange) =>
+    bulkChange(ids.filter(id => !isInStatus(id, 'locked')), 'updated', inv => {
+      const tags = applyTagChange(inv.tags, tagChange);
+      return JSON.stringify(tags) === JSON.stringify(inv.tags || []) ? inv : { ...inv, tags };
+    }),
+  [isInStatus, bulkChange]);
+
+  // Same rule as deleteInvoice: only drafts are deleted.
+  const bulkDelete = useCallback((ids) =>
+    bulkChange(ids, 'deleted', inv => (checkDelete(inv) ? inv : null)),
+  [bulkChange]);
+
+  // Puts back what a bulk action changed, skipping invoices that have been
+  // changed again since. Returns how many were restored.
+  const undoBulkChange = useCallback((changes) => {
+    const current = new Map(invoices.map(inv => [inv.id, inv]));
+    const restorable = changes.filter(({ before, after }) => (after
+      ? current.has(after.id) && diffInvoice(current.get(after.id), after).length === 0
+      : !current.has(before.id)));
+    if (restorable.length === 0) return 0;
+    const restoredById = new Map();
+    const recreated = [];
+    restorable.forEach(({ before, after }) => {
+      if (after) {
+        recordEvent({ action: 'reverted', before: after, after: before, note: 'Bulk action undone' });
+        restoredById.set(before.id, before);
+      } else {
+        recordEvent({ action: 'created', after: before, note: 'Restored after a bulk delete' });
+        recreated.push(before);
+      }
+    });
+    setInvoices(prev => [...prev.map(inv => restoredById.get(inv.id) || inv), ...recreated]);
+    return restorable.length;
+  }, [invoices, recordEvent, setInvoices]);
 
   return {
     invoices,
+    isLoaded,
+    today,
+    evaluatedInvoices,
     filteredAndSorted,
     filterStatus,
     setFilterStatus,
     searchTerm,
     setSearchTerm,
+    filters,
+    setFilters,
+    sortBy,
+    toggleSort,
     addInvoice,
     updateInvoice,
+    transitionInvoice,
+    revertInvoice,
+    addNote,
     deleteInvoice,
-    markAsPaid
+    markAsPaid,
+    recordPayment,
+    deletePayment,
+    logReminder,
+    bulkMarkAsPaid,
+    bulkTransition,
+    bulkUpdateTags,
+    bulkDelete,
+    undoBulkChange,
+    numbering,
+    auditLog
   };
 };
 
@@ -180,54 +554,124 @@ const useInvoices = () => {
 // ADD/EDIT INVOICE MODAL COMPONENT
 // ============================================
 
-const AddInvoiceModal = ({ isOpen, onClose, onAdd, onEdit, initialData = null }) => {
-  const [formData, setFormData] = useState(
-    initialData || { 
-      customerName: '', 
-      amount: '', 
-      invoiceDate: getTodayDate(), 
-      paymentTerms: 30 
-    }
-  );
+const createEmptyForm = () => ({ 
+  customerId: '',
+  customerName: '', 
+  invoiceDate: getTodayDate(), 
+  paymentTerms: 30,
+  placeOfSupply: COMPANY_PROFILE.stateCode,
+  lineItems: [createLineItem()],
+  tags: []
+});
+
+// A new invoice for the same customer and lines, dated today.
+const createDuplicateForm = (invoice) => ({
+  ...createEmptyForm(),
+  customerId: invoice.customerId,
+  customerName: invoice.customerName,
+  paymentTerms: invoice.paymentTerms,
+  placeOfSupply: invoice.placeOfSupply,
+  lineItems: invoice.lineItems.map(item => ({ ...item, id: createId() })),
+  tags: invoice.tags || []
+});
+
+const AddInvoiceModal = ({
+  isOpen,
+  onClose,
+  onAdd,
+  onEdit,
+  initialData = null,
+  prefill = null,
+  customers,
+  customerStats,
+  tagSuggestions,
+  onAddCustomer
+}) => {
+  const getInitialForm = () =>
+    initialData ? stripDerivedFields(initialData) : prefill || createEmptyForm();
+  const [formData, setFormData] = useState(getInitialForm);
   const [errors, setErrors] = useState({});
+  const [newCustomerDraft, setNewCustomerDraft] = useState(null);
 
-  const validate = () => {
-    const newErrors = {};
-    if (!formData.customerName.trim()) {
-      newErrors.customerName = 'Customer name is required';
-    }
-    if (!formData.amount || parseFloat(formData.amount) <= 0) {
-      newErrors.amount = 'Amount must be greater than 0';
-    }
-    if (!formData.invoiceDate) {
-      newErrors.invoiceDate = 'Invoice date is required';
-    }
-    return newErrors;
-  };
+  // The modal stays mounted between opens, so reload the form whenever a
+  // different invoice (or none) is handed in for editing, or new values to
+  // start from (`prefill`). Invoices are compared by id: the object is
+  // re-evaluated whenever any invoice changes.
+  const initialId = initialData?.id ?? null;
+  const [loadedId, setLoadedId] = useState(initialId);
+  const [loadedPrefill, setLoadedPrefill] = useState(prefill);
+  if (initialId !== loadedId || prefill !== loadedPrefill) {
+    setLoadedId(initialId);
+    setLoadedPrefill(prefill);
+    setFormData(getInitialForm());
+    setErrors({});
+  }
 
-  const handleSubmit = () => {
-    const validationErrors = validate();
+  // New invoices are issued on save; `asDraft` keeps them out of
+  // receivables until they are marked as sent.
+  const handleSubmit = (asDraft = false) => {
+    const validationErrors = validateInvoice(formData);
     if (Object.keys(validationErrors).length > 0) {
       setErrors(validationErrors);
       return;
     }
+
+    const invoiceData = {
+      ...formData,
+      lineItems: formData.lineItems.map(normalizeLineItem)
+    };
     
     if (initialData) {
-      onEdit(initialData.id, formData);
+      onEdit(initialData.id, invoiceData);
     } else {
-      onAdd(formData);
+      onAdd({ ...invoiceData, status: asDraft ? 'draft' : 'sent' });
     }
     
-    setFormData({ 
-      customerName: '', 
-      amount: '', 
-      invoiceDate: getTodayDate(), 
-      paymentTerms: 30 
-    });
+    setFormData(createEmptyForm());
     setErrors({});
     onClose();
   };
 
+  // Picking a customer fills in their state (place of supply) and default
+  // payment terms; both can still be changed for this invoice.
+  const handleCustomerSelect = (customer) => {
+    setFormData(prev => ({
+      ...prev,
+      customerId: customer.id,
+      customerName: customer.legalName,
+      placeOfSupply: customer.stateCode || prev.placeOfSupply,
+      paymentTerms: customer.defaultPaymentTerms || prev.paymentTerms
+    }));
+    if (errors.customerId) {
+      setErrors(prev => {
+        const newErrors = { ...prev };
+        delete newErrors.customerId;
+        return newErrors;
+      });
+    }
+  };
+
+  const selectedCustomer = customers.find(c => c.id === formData.customerId);
+  const creditExposure = selectedCustomer && selectedCustomer.creditLimit !== null
+    ? (customerStats.get(selectedCustomer.id)?.outstanding || 0)
+      - (initialData?.balanceDue || 0)
+      + calculateInvoiceTotals(formData).grandTotal
+    : 0;
+  const exceedsCreditLimit = selectedCustomer && selectedCustomer.creditLimit !== null
+    && creditExposure > selectedCustomer.creditLimit;
+
+  const handleLineItemsChange = (lineItems) => {
+    setFormData(prev => ({ ...prev, lineItems }));
+    if (errors.lineItems || errors.lineItemErrors) {
+      setErrors(prev => {
+        const newErrors = { ...prev };
+        delete newErrors.lineItems;
+        delete newErrors.lineItemErrors;
+        return newErrors;
+      });
+    }
+  };
+
   const handleChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     if (errors[field]) {
@@ -240,193 +684,194 @@ const AddInvoiceModal = ({ isOpen, onClose, onAdd, onEdit, initialData = null })
   };
 
   return (
-    <AnimatePresence>
-      {isOpen && (
-        <>
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
-            onClick={onClose}
-          />
-          <motion.div
-            initial={{ x: 400, opacity: 0 }}
-            animate={{ x: 0, opacity: 1 }}
-            exit={{ x: 400, opacity: 0 }}
-            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
-            className="fixed right-0 top-0 h-full w-full max-w-md bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
-            onClick={e => e.stopPropagation()}
-          >
-            <div className="flex flex-col h-full">
-              {/* Header */}
-              <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
-                <div>
-                  <h2 className="text-xl font-bold text-white">
-                    {initialData ? 'Edit Invoice' : 'New Invoice'}
-                  </h2>
-                  <p className="text-sm text-slate-300 mt-1">
-                    {initialData ? 'Update invoice details' : 'Create a new invoice'}
-                  </p>
-                </div>
-                <motion.button
-                  whileHover={{ rotate: 90, scale: 1.1 }}
-                  whileTap={{ scale: 0.9 }}
-                  onClick={onClose}
-                  className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
-                >
-                  <X size={22} />
-                </motion.button>
-              </div>
-
-              {/* Form */}
-              <div className="flex-1 p-6 space-y-5 overflow-y-auto">
-                {/* Customer Details */}
-                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
-                  <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider flex items-center gap-2">
-                    <FileText size={16} />
-                    Customer Details
-                  </h3>
-                  <div>
-                    <label className="block text-sm font-semibold text-slate-200 mb-2">
-                      Customer Name <span className="text-red-400">*</span>
-                    </label>
-                    <input
-                      type="text"
-                      value={formData.customerName}
-                      onChange={(e) => handleChange('customerName', e.target.value)}
-                      className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
-                        errors.customerName
-                          ? 'border-red-500 focus:ring-red-500/50'
-                          : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
-                      }`}
-                      placeholder="Enter customer name"
-                    />
-                    {errors.customerName && (
-                      <motion.p
-                        initial={{ opacity: 0, y: -5 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        className="text-red-400 text-xs font-semibold mt-2 flex items-center gap-1"
-                      >
-                        <AlertCircle size={14} />
-                        {errors.customerName}
-                      </motion.p>
-                    )}
-                  </div>
-                </div>
-
-                {/* Amount */}
-                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
-                  <h3 className="text-xs font-bold text-green-400 uppercase tracking-wider flex items-center gap-2">
-                    <DollarSign size={16} />
-                    Invoice Amount
-                  </h3>
+    <>
+      <AnimatePresence>
+        {isOpen && (
+          <>
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
+              onClick={onClose}
+            />
+            <motion.div
+              initial={{ x: 400, opacity: 0 }}
+              animate={{ x: 0, opacity: 1 }}
+              exit={{ x: 400, opacity: 0 }}
+              transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+              className="fixed right-0 top-0 h-full w-full max-w-xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
+              onClick={e => e.stopPropagation()}
+            >
+              <div className="flex flex-col h-full">
+                {/* Header */}
+                <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
                   <div>
-                    <label className="block text-sm font-semibold text-slate-200 mb-2">
-                      Amount (₹) <span className="text-red-400">*</span>
-                    </label>
-                    <div className="relative">
-                      <span className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-300 font-bold text-lg">
-                        ₹
-                      </span>
-                      <input
-                        type="number"
-                        min="0"
-                        step="0.01"
-                        value={formData.amount}
-                        onChange={(e) => handleChange('amount', e.target.value)}
-                        className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
-                          errors.amount
-                            ? 'border-red-500 focus:ring-red-500/50'
-                            : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
-                        }`}
-                        placeholder="0.00"
-                      />
-                    </div>
-                    {errors.amount && (
-                      <motion.p
-                        initial={{ opacity: 0, y: -5 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        className="text-red-400 text-xs font-semibold mt-2 flex items-center gap-1"
-                      >
-                        <AlertCircle size={14} />
-                        {errors.amount}
-                      </motion.p>
-                    )}
+                    <h2 className="text-xl font-bold text-white">
+                      {initialData ? 'Edit Invoice' : 'New Invoice'}
+                    </h2>
+                    <p className="text-sm text-slate-300 mt-1">
+                      {initialData ? 'Update invoice details' : 'Create a new invoice'}
+                    </p>
                   </div>
+                  <motion.button
+                    whileHover={{ rotate: 90, scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={onClose}
+                    className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                  >
+                    <X size={22} />
+                  </motion.button>
                 </div>
 
-                {/* Payment Details */}
-                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
-                  <h3 className="text-xs font-bold text-amber-400 uppercase tracking-wider flex items-center gap-2">
-                    <Calendar size={16} />
-                    Payment Terms
-                  </h3>
-                  <div className="grid grid-cols-2 gap-4">
+                {/* Form */}
+                <div className="flex-1 p-6 space-y-5 overflow-y-auto">
+                  {/* Customer Details */}
+                  <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
+                    <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider flex items-center gap-2">
+                      <FileText size={16} />
+                      Customer Details
+                    </h3>
                     <div>
                       <label className="block text-sm font-semibold text-slate-200 mb-2">
-                        Invoice Date <span className="text-red-400">*</span>
+                        Customer <span className="text-red-400">*</span>
                       </label>
-                      <input
-                        type="date"
-                        value={formData.invoiceDate}
-                        onChange={(e) => handleChange('invoiceDate', e.target.value)}
-                        className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
-                          errors.invoiceDate
-                            ? 'border-red-500 focus:ring-red-500/50'
-                            : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
-                        }`}
+                      <CustomerPicker
+                        customers={customers}
+                        value={formData.customerId}
+                        onChange={handleCustomerSelect}
+                        onCreate={(legalName) => setNewCustomerDraft({ legalName })}
+                        error={errors.customerId}
                       />
+                      {selectedCustomer && (
+                        <p className="text-xs text-slate-400 mt-2">
+                          {[selectedCustomer.gstin || 'Unregistered', selectedCustomer.billingAddress]
+                            .filter(Boolean)
+                            .join(' · ')}
+                        </p>
+                      )}
+                      {exceedsCreditLimit && (
+                        <p className="text-amber-300 text-xs font-semibold mt-2 flex items-center gap-1">
+                          <AlertCircle size={14} />
+                          Outstanding would be ₹{creditExposure.toLocaleString('en-IN')}, above the ₹{selectedCustomer.creditLimit.toLocaleString('en-IN')} credit limit
+                        </p>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Line Items */}
+                  <LineItemsEditor
+                    lineItems={formData.lineItems}
+                    placeOfSupply={formData.placeOfSupply}
+                    errors={errors}
+                    onChange={handleLineItemsChange}
+                    onPlaceOfSupplyChange={(value) => handleChange('placeOfSupply', value)}
+                  />
+
+                  {/* Payment Details */}
+                  <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
+                    <h3 className="text-xs font-bold text-amber-400 uppercase tracking-wider flex items-center gap-2">
+                      <Calendar size={16} />
+                      Payment Terms
+                    </h3>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-semibold text-slate-200 mb-2">
+                          Invoice Date <span className="text-red-400">*</span>
+                        </label>
+                        <input
+                          type="date"
+                          value={formData.invoiceDate}
+                          onChange={(e) => handleChange('invoiceDate', e.target.value)}
+                          className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
+                            errors.invoiceDate
+                              ? 'border-red-500 focus:ring-red-500/50'
+                              : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+                          }`}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-slate-200 mb-2">
+                          Payment Terms
+                        </label>
+                        <select
+                          value={formData.paymentTerms}
+                          onChange={(e) => handleChange('paymentTerms', parseInt(e.target.value))}
+                          className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30 cursor-pointer"
+                        >
+                          <option value={7}>7 days</option>
+                          <option value={15}>15 days</option>
+                          <option value={30}>30 days</option>
+                          <option value={45}>45 days</option>
+                          <option value={60}>60 days</option>
+                        </select>
+                      </div>
                     </div>
                     <div>
                       <label className="block text-sm font-semibold text-slate-200 mb-2">
-                        Payment Terms
+                        Tags
                       </label>
-                      <select
-                        value={formData.paymentTerms}
-                        onChange={(e) => handleChange('paymentTerms', parseInt(e.target.value))}
-                        className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30 cursor-pointer"
-                      >
-                        <option value={7}>7 days</option>
-                        <option value={15}>15 days</option>
-                        <option value={30}>30 days</option>
-                        <option value={45}>45 days</option>
-                        <option value={60}>60 days</option>
-                      </select>
+                      <TagInput
+                        tags={formData.tags || []}
+                        onChange={(tags) => handleChange('tags', tags)}
+                        suggestions={tagSuggestions}
+                      />
                     </div>
                   </div>
                 </div>
-              </div>
 
-              {/* Footer */}
-              <div className="flex gap-3 p-6 border-t border-white/10 bg-slate-800/90 backdrop-blur-md sticky bottom-0">
-                <motion.button
-                  whileHover={{ scale: 1.02 }}
-                  whileTap={{ scale: 0.98 }}
-                  onClick={handleSubmit}
-                  className={`flex-1 flex items-center justify-center gap-2 text-white py-3.5 px-4 rounded-xl font-bold transition-all shadow-lg ${
-                    initialData
-                      ? 'bg-gradient-to-r from-purple-600 to-purple-500 hover:from-purple-500 hover:to-purple-400'
-                      : 'bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500'
-                  }`}
-                >
-                  {initialData ? <Edit2 size={18} /> : <Plus size={18} />}
-                  {initialData ? 'Update Invoice' : 'Create Invoice'}
-                </motion.button>
-                <motion.button
-                  whileHover={{ scale: 1.02 }}
-                  whileTap={{ scale: 0.98 }}
-                  onClick={onClose}
-                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3.5 px-4 rounded-xl font-bold transition-all"
-                >
-                  Cancel
-                </motion.button>
+                {/* Footer */}
+                <div className="flex gap-3 p-6 border-t border-white/10 bg-slate-800/90 backdrop-blur-md sticky bottom-0">
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={() => handleSubmit()}
+                    className={`flex-1 flex items-center justify-center gap-2 text-white py-3.5 px-4 rounded-xl font-bold transition-all shadow-lg ${
+                      initialData
+                        ? 'bg-gradient-to-r from-purple-600 to-purple-500 hover:from-purple-500 hover:to-purple-400'
+                        : 'bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500'
+                    }`}
+                  >
+                    {initialData ? <Edit2 size={18} /> : <Plus size={18} />}
+                    {initialData ? 'Update Invoice' : 'Create Invoice'}
+                  </motion.button>
+                  {!initialData && (
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={() => handleSubmit(true)}
+                      className="flex-1 flex items-center justify-center gap-2 bg-slate-600 hover:bg-slate-500 text-white py-3.5 px-4 rounded-xl font-bold transition-all"
+                    >
+                      <FileText size={18} />
+                      Save as Draft
+                    </motion.button>
+                  )}
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={onClose}
+                    className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3.5 px-4 rounded-xl font-bold transition-all"
+                  >
+                    Cancel
+                  </motion.button>
+                </div>
               </div>
-            </div>
-          </motion.div>
-        </>
-      )}
-    </AnimatePresence>
+            </motion.div>
+          </>
+        )}
+      </AnimatePresence>
+
+      <CustomerFormModal
+        isOpen={Boolean(newCustomerDraft)}
+        initialData={newCustomerDraft}
+        customers={customers}
+        onSave={(data) => {
+          handleCustomerSelect(onAddCustomer(data));
+          setNewCustomerDraft(null);
+        }}
+        onClose={() => setNewCustomerDraft(null)}
+      />
+    </>
   );
 };
 
@@ -435,39 +880,32 @@ const AddInvoiceModal = ({ isOpen, onClose, onAdd, onEdit, initialData = null })
 // ============================================
 
 const ChartSection = ({ invoices }) => {
-  const statusData = [
-    {
-      name: 'Paid',
-      value: invoices.filter(i => i.status === 'paid').length,
-      color: '#10b981'
-    },
-    {
-      name: 'Pending',
-      value: invoices.filter(i => i.status === 'pending').length,
-      color: '#f59e0b'
-    },
-    {
-      name: 'Overdue',
-      value: invoices.filter(i => i.status === 'overdue').length,
-      color: '#ef4444'
-    }
-  ].filter(item => item.value > 0);
+  const documents = invoices.filter(i => !isAdjustmentNote(i));
+  const notes = invoices.filter(i => isAdjustmentNote(i) && i.status !== 'void');
+  const statuses = INVOICE_STATUSES.filter(s => !s.note);
+
+  const statusData = statuses.map(({ key, label, color }) => ({
+    name: label,
+    value: documents.filter(i => i.status === key).length,
+    color
+  })).filter(item => item.value > 0);
 
+  // Money received counts as Paid wherever it sits; the other slices show
+  // only what has not been received on invoices in that status. Debit notes
+  // are already part of those balances; credit notes get their own slice
+  // for the amount taken off invoices.
   const amountData = [
+    ...statuses.map(({ key, label, color }) => ({
+      name: label,
+      value: key === 'paid'
+        ? documents.reduce((acc, curr) => acc + curr.amountPaid, 0)
+        : documents.filter(i => i.status === key).reduce((acc, curr) => acc + getUnpaidAmount(curr), 0),
+      color
+    })),
     {
-      name: 'Paid',
-      value: invoices.filter(i => i.status === 'paid').reduce((acc, curr) => acc + curr.amount, 0),
-      color: '#10b981'
-    },
-    {
-      name: 'Pending',
-      value: invoices.filter(i => i.status === 'pending').reduce((acc, curr) => acc + curr.amount, 0),
-      color: '#f59e0b'
-    },
-    {
-      name: 'Overdue',
-      value: invoices.filter(i => i.status === 'overdue').reduce((acc, curr) => acc + curr.amount, 0),
-      color: '#ef4444'
+      name: DOCUMENT_TYPES.credit_note.label,
+      value: notes.filter(i => i.documentType === 'credit_note').reduce((acc, curr) => acc + curr.amount, 0),
+      color: DOCUMENT_TYPES.credit_note.color
     }
   ].filter(item => item.value > 0);
 
@@ -582,53 +1020,472 @@ const ChartSection = ({ invoices }) => {
   );
 };
 
+// ============================================
+// SORTABLE HEADER COMPONENT
+// ============================================
+
+// Every column but the invoice number can be hidden (see ColumnToggle).
+const TABLE_COLUMNS = [
+  { key: 'id', label: 'Invoice #', required: true },
+  { key: 'customerName', label: 'Customer' },
+  { key: 'invoiceDate', label: 'Invoice Date' },
+  { key: 'dueDate', label: 'Due Date' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'status', label: 'Status' },
+  { key: 'days', label: 'Days' }
+];
+
+const SortableHeader = ({ column, sortBy, onSort }) => {
+  const index = sortBy.findIndex(s => s.key === column.key);
+  const direction = index === -1 ? null : sortBy[index].direction;
+  const SortIcon = direction === 'asc' ? ArrowUp : direction === 'desc' ? ArrowDown : ArrowUpDown;
+
+  return (
+    <th
+      aria-sort={direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : 'none'}
+      className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider"
+    >
+      <button
+        type="button"
+        onClick={(e) => onSort(column.key, { multi: e.shiftKey })}
+        className="inline-flex items-center gap-1.5 uppercase tracking-wider hover:text-blue-100 transition-colors select-none"
+        title="Click to sort, Shift+click to add a secondary sort"
+      >
+        {column.label}
+        <SortIcon size={14} className={direction ? 'opacity-100' : 'opacity-50'} />
+        {sortBy.length > 1 && index !== -1 && (
+          <span className="text-[10px] bg-white/20 rounded px-1">{index + 1}</span>
+        )}
+      </button>
+    </th>
+  );
+};
+
+// A menu of checkboxes for the hideable table columns.
+const ColumnToggle = ({ hidden, onToggle }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => setIsOpen(open => !open)}
+        className={`flex items-center gap-2 px-4 py-2 rounded-lg font-semibold text-sm border transition-colors ${
+          hidden.length > 0
+            ? 'bg-blue-50 text-blue-700 border-blue-300'
+            : 'bg-gray-100 text-gray-700 border-gray-300 hover:bg-gray-200'
+        }`}
+      >
+        <Columns3 size={16} />
+        Columns
+        {hidden.length > 0 && <span className="text-xs">({hidden.length} hidden)</span>}
+      </motion.button>
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+          <div className="absolute right-0 mt-2 w-52 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-2">
+            {TABLE_COLUMNS.filter(column => !column.required).map(column => (
+              <label
+                key={column.key}
+                className="flex items-center gap-3 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={!hidden.includes(column.key)}
+                  onChange={() => onToggle(column.key)}
+                  className="w-4 h-4 accent-blue-600"
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 // ============================================
 // MAIN DASHBOARD COMPONENT
 // ============================================
 
 export default function Dashboard() {
+  const {
+    customers,
+    isLoaded: customersLoaded,
+    addCustomer,
+    updateCustomer,
+    deleteCustomer,
+    ensureCustomers
+  } = useCustomers();
+
   const {
     invoices,
+    isLoaded,
+    today,
+    evaluatedInvoices,
     filteredAndSorted,
     filterStatus,
     setFilterStatus,
     searchTerm,
     setSearchTerm,
+    filters,
+    setFilters,
+    sortBy,
+    toggleSort,
     addInvoice,
     updateInvoice,
+    transitionInvoice,
+    revertInvoice,
+    addNote,
     deleteInvoice,
-    markAsPaid
-  } = useInvoices();
+    markAsPaid,
+    recordPayment,
+    deletePayment,
+    logReminder,
+    bulkMarkAsPaid,
+    bulkTransition,
+    bulkUpdateTags,
+    bulkDelete,
+    undoBulkChange,
+    numbering,
+    auditLog
+  } = useInvoices({ customers });
+
+  const { attachments, canAttach, addAttachment, deleteAttachment, deleteInvoiceAttachments } = useAttachments();
+
+  const {
+    schedules,
+    isLoaded: schedulesLoaded,
+    addSchedule,
+    updateSchedule,
+    deleteSchedule,
+    markRun
+  } = useRecurringSchedules();
+
+  const dunning = useDunning();
+  const messageTemplates = useMessageTemplates();
+
+  const {
+    views: savedViews,
+    isLoaded: viewsLoaded,
+    addView,
+    updateView,
+    deleteView,
+    setDefaultView,
+    importViews
+  } = useSavedViews();
+
+  // Dunning levels saved before message templates existed carry their own
+  // text; move each into a template once both have loaded. The ref stops a
+  // level being moved twice before its update has rendered.
+  const { isLoaded: dunningLoaded, levels: dunningLevels, updateLevel } = dunning;
+  const { isLoaded: templatesLoaded, addTemplate } = messageTemplates;
+  const upgradedLevels = useRef(new Set());
+  useEffect(() => {
+    if (!dunningLoaded || !templatesLoaded) return;
+    dunningLevels.filter(isLegacyLevel).forEach(level => {
+      if (upgradedLevels.current.has(level.id)) return;
+      upgradedLevels.current.add(level.id);
+      const template = addTemplate(getLegacyLevelTemplate(level));
+      updateLevel(level.id, { templateIds: getUpgradedTemplateIds(level, template.id) });
+    });
+  }, [dunningLoaded, dunningLevels, templatesLoaded, addTemplate, updateLevel]);
+
+  // Invoices saved before the customer master existed reference customers
+  // by an id given in the v5 migration; create those records once both are
+  // loaded.
+  useEffect(() => {
+    if (!isLoaded || !customersLoaded) return;
+    ensureCustomers(invoices.map(inv => ({ id: inv.customerId, legalName: inv.customerName })));
+  }, [invoices, isLoaded, customersLoaded, ensureCustomers]);
+
+  // Schedules create a draft for every run that has come round since they
+  // last ran, e.g. all the months the app was not opened. The ref stops a
+  // run being generated twice before its invoice and the schedule's
+  // lastRunDate have been saved.
+  const generatedRuns = useRef(new Set());
+  useEffect(() => {
+    if (!isLoaded || !schedulesLoaded || !numbering.isLoaded || !auditLog.isLoaded) return;
+    const existingRuns = new Set(
+      invoices
+        .filter(inv => inv.recurringScheduleId)
+        .map(inv => `${inv.recurringScheduleId}:${inv.recurringRunDate}`)
+    );
+    schedules.forEach(schedule => {
+      const dueDates = getDueRunDates(schedule, today);
+      if (dueDates.length === 0) return;
+      dueDates.forEach(date => {
+        const key = `${schedule.id}:${date}`;
+        if (existingRuns.has(key) || generatedRuns.current.has(key)) return;
+        generatedRuns.current.add(key);
+        addInvoice(buildInvoiceFromSchedule(schedule, date));
+      });
+      markRun(schedule.id, dueDates[dueDates.length - 1]);
+    });
+  }, [invoices, schedules, today, isLoaded, schedulesLoaded, numbering.isLoaded, auditLog.isLoaded, addInvoice, markRun]);
+
+  const scheduleInvoiceCounts = useMemo(() => {
+    const counts = new Map();
+    invoices.forEach(inv => {
+      if (inv.recurringScheduleId) {
+        counts.set(inv.recurringScheduleId, (counts.get(inv.recurringScheduleId) || 0) + 1);
+      }
+    });
+    return counts;
+  }, [invoices]);
 
+  const dunningQueue = useMemo(
+    () => buildDunningQueue(evaluatedInvoices, dunning.levels, dunning.sent, today),
+    [evaluatedInvoices, dunning.levels, dunning.sent, today]
+  );
+
+  // Newest invoices first, so the preview starts on a realistic one.
+  const templatePreviewInvoices = useMemo(
+    () => evaluatedInvoices
+      .filter(inv => !isAdjustmentNote(inv))
+      .sort((a, b) => b.invoiceDate.localeCompare(a.invoiceDate)),
+    [evaluatedInvoices]
+  );
+
+  // Reminders go into the dunning log, which drives the queue, and the
+  // invoice's audit timeline.
+  const handleReminderSent = useCallback(({ invoice, level, channel, to }) => {
+    dunning.recordSent({ invoiceId: invoice.id, level, channel, to });
+    logReminder(invoice.id, [
+      level?.name,
+      `${REMINDER_CHANNELS[channel]}${to ? ` to ${to}` : ''}`,
+      `₹${invoice.balanceDue.toLocaleString('en-IN')} due`
+    ].filter(Boolean).join(' · '));
+  }, [dunning, logReminder]);
+
+  const customerStats = useMemo(() => {
+    const stats = new Map();
+    evaluatedInvoices.forEach(inv => {
+      const entry = stats.get(inv.customerId) || { count: 0, outstanding: 0 };
+      entry.count += 1;
+      entry.outstanding += inv.balanceDue;
+      stats.set(inv.customerId, entry);
+    });
+    return stats;
+  }, [evaluatedInvoices]);
+
+  const [route, navigate] = useRoute();
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [editingInvoice, setEditingInvoice] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [duplicateDraft, setDuplicateDraft] = useState(null);
+  const [paymentInvoiceId, setPaymentInvoiceId] = useState(null);
+  const [statusInvoiceId, setStatusInvoiceId] = useState(null);
+  const [noteDraft, setNoteDraft] = useState(null);
+  const [isCustomersOpen, setIsCustomersOpen] = useState(false);
+  const [isRecurringOpen, setIsRecurringOpen] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isNumberingOpen, setIsNumberingOpen] = useState(false);
+  const [isFilterBuilderOpen, setIsFilterBuilderOpen] = useState(false);
+  const [isViewsOpen, setIsViewsOpen] = useState(false);
+  const [isRemindersOpen, setIsRemindersOpen] = useState(false);
+  const [isTemplatesOpen, setIsTemplatesOpen] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkActionKey, setBulkActionKey] = useState(null);
+  const [undoToast, setUndoToast] = useState(null);
+  const [pdfError, setPdfError] = useState(null);
+  const storageFailures = useStorageFailures();
+
+  // /invoices/:id shows the invoice's detail page and /invoices/:id/edit
+  // opens the edit form over it (invoices that can no longer be edited just
+  // show the page). Both wait for the saved invoices so a link never opens
+  // sample data.
+  const routeInvoice = isLoaded && route.invoiceId
+    ? evaluatedInvoices.find(inv => inv.id === route.invoiceId) || null
+    : null;
+  const editingInvoice = route.mode === 'edit' && routeInvoice && !STATUS_BY_KEY[routeInvoice.status].locked
+    ? routeInvoice
+    : null;
+  const missingInvoiceId = isLoaded && route.invoiceId && !routeInvoice ? route.invoiceId : null;
+
+  const openInvoice = useCallback((invoiceId, mode = 'detail') => {
+    navigate({ invoiceId, mode });
+  }, [navigate]);
+
+  const closeInvoice = useCallback(() => {
+    navigate({ invoiceId: null, mode: null });
+  }, [navigate]);
+
+  const applyView = useCallback((view) => {
+    navigate({ ...getViewDefinition(view), invoiceId: null, mode: null, page: 1 });
+  }, [navigate]);
+
+  // The default view opens with the dashboard, unless the URL already asks
+  // for a particular table state or invoice.
+  const checkedDefaultView = useRef(false);
+  useEffect(() => {
+    if (!viewsLoaded || checkedDefaultView.current) return;
+    checkedDefaultView.current = true;
+    const defaultView = savedViews.find(v => v.isDefault);
+    if (defaultView && !route.invoiceId && isDefaultTableState(route)) {
+      navigate({ ...getViewDefinition(defaultView), page: 1 }, { replace: true });
+    }
+  }, [viewsLoaded, savedViews, route, navigate]);
+
+  const pinnedViews = savedViews.filter(v => v.pinned);
+  const visibleColumns = TABLE_COLUMNS.filter(column => column.required || !route.hidden.includes(column.key));
+  const showColumn = (key) => visibleColumns.some(column => column.key === key);
+  const toggleColumn = useCallback((key) => {
+    navigate(current => ({
+      hidden: current.hidden.includes(key)
+        ? current.hidden.filter(k => k !== key)
+        : [...current.hidden, key]
+    }));
+  }, [navigate]);
 
   const itemsPerPage = 10;
+  const totalPages = Math.ceil(filteredAndSorted.length / itemsPerPage);
+  // A bookmarked page past the end shows the last page instead.
+  const currentPage = Math.min(route.page, Math.max(totalPages, 1));
+
+  const setCurrentPage = useCallback((page) => {
+    navigate({ page });
+  }, [navigate]);
+
+  const appliedFilterCount = countConditions(filters);
+  const tagSuggestions = useMemo(
+    () => getFieldOptions('tags', { invoices }).map(option => option.value),
+    [invoices]
+  );
+
   const paginatedInvoices = useMemo(() => {
     const start = (currentPage - 1) * itemsPerPage;
     return filteredAndSorted.slice(start, start + itemsPerPage);
   }, [filteredAndSorted, currentPage]);
 
-  const totalPages = Math.ceil(filteredAndSorted.length / itemsPerPage);
+  // Only selected invoices that still match the search and filters count,
+  // so the selection never acts on rows the table is not showing.
+  const selectedInvoices = useMemo(
+    () => filteredAndSorted.filter(inv => selectedIds.has(inv.id)),
+    [filteredAndSorted, selectedIds]
+  );
+  const pageSelected = paginatedInvoices.length > 0 && paginatedInvoices.every(inv => selectedIds.has(inv.id));
+  const pagePartlySelected = !pageSelected && paginatedInvoices.some(inv => selectedIds.has(inv.id));
+
+  const toggleSelected = useCallback((id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  }, []);
+
+  const togglePageSelected = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      paginatedInvoices.forEach(inv => (pageSelected ? next.delete(inv.id) : next.add(inv.id)));
+      return next;
+    });
+  };
+
+  const handleExport = useCallback(({ scope, columns, bom }) => {
+    const invoicesToExport = scope === 'all'
+      ? sortInvoices(evaluatedInvoices, sortBy, today)
+      : scope === 'selected'
+        ? selectedInvoices
+        : filteredAndSorted;
+    const { headers, rows } = buildInvoiceExport(invoicesToExport, columns, {
+      today,
+      customersById: new Map(customers.map(c => [c.id, c]))
+    });
+    downloadCSV(`invoices-${today}.csv`, headers, rows, { bom });
+  }, [evaluatedInvoices, filteredAndSorted, selectedInvoices, sortBy, today, customers]);
+
+  const existingInvoiceIds = useMemo(() => invoices.map(inv => inv.id), [invoices]);
+
+  const deletedDraftIds = useMemo(() => getDeletedDraftIds(auditLog.events), [auditLog.events]);
+
+  const handleImport = useCallback((entries) => {
+    ensureCustomers(entries.filter(entry => entry.newCustomer).map(entry => entry.newCustomer));
+    entries.forEach(entry => addInvoice(entry.invoice));
+  }, [ensureCustomers, addInvoice]);
+
+  // jsPDF is loaded on first use so it stays out of the main bundle. A
+  // chunk that fails to load (e.g. offline) is reported in a banner.
+  const handleInvoicePdf = useCallback(async (invoice, action) => {
+    setPdfError(null);
+    try {
+      const { downloadInvoicePdf, printInvoicePdf } = await import('../utils/invoicePdf');
+      const customer = customers.find(c => c.id === invoice.customerId);
+      if (action === 'print') {
+        printInvoicePdf(invoice, customer);
+      } else {
+        downloadInvoicePdf(invoice, customer);
+      }
+    } catch (err) {
+      setPdfError(`Could not create the PDF for ${invoice.id}: ${err.message}`);
+    }
+  }, [customers]);
+
+  // One file with every selected invoice, in table order.
+  const handleBulkPdf = useCallback(async (invoicesToDownload) => {
+    setPdfError(null);
+    try {
+      const { downloadInvoicesPdf } = await import('../utils/invoicePdf');
+      const customersById = new Map(customers.map(c => [c.id, c]));
+      downloadInvoicesPdf(
+        invoicesToDownload.map(invoice => ({ invoice, customer: customersById.get(invoice.customerId) })),
+        `invoices-${today}.pdf`
+      );
+    } catch (err) {
+      setPdfError(`Could not create the PDF for ${invoicesToDownload.length} invoices: ${err.message}`);
+    }
+  }, [customers, today]);
+
+  const handleBulkAction = (key) => {
+    if (key === 'export') {
+      setIsExportOpen(true);
+    } else if (key === 'pdf') {
+      handleBulkPdf(selectedInvoices);
+    } else {
+      setBulkActionKey(key);
+    }
+  };
+
+  // Attachments of bulk-deleted invoices are only removed once the undo
+  // has expired, so an undo brings them back too.
+  const finalizeBulkChange = useCallback(() => {
+    undoToast?.changes
+      .filter(change => !change.after)
+      .forEach(change => deleteInvoiceAttachments(change.before.id));
+    setUndoToast(null);
+  }, [undoToast, deleteInvoiceAttachments]);
+
+  const handleBulkConfirm = (options, ids) => {
+    const apply = {
+      mark_paid: () => bulkMarkAsPaid(ids),
+      status: () => bulkTransition(ids, options.transitionKey, options.reason),
+      tag: () => bulkUpdateTags(ids, options),
+      delete: () => bulkDelete(ids)
+    }[bulkActionKey];
+    const changes = apply();
+    finalizeBulkChange();
+    setUndoToast({
+      id: createId(),
+      message: BULK_ACTIONS[bulkActionKey].done(changes.length),
+      changes
+    });
+    setBulkActionKey(null);
+    setSelectedIds(new Set());
+  };
 
-  const handleExportCSV = useCallback(() => {
-    const headers = ['Invoice #', 'Customer', 'Date', 'Due Date', 'Amount', 'Status'];
-    const rows = filteredAndSorted.map(i => [
-      i.id,
-      i.customerName,
-      i.invoiceDate,
-      i.dueDate,
-      i.amount,
-      i.status
-    ].join(','));
-
-    const csv = headers.join(',') + '\n' + rows.join('\n');
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
-    link.download = `invoices-${getTodayDate()}.csv`;
-    link.click();
-  }, [filteredAndSorted]);
+  const handleUndo = () => {
+    const restored = undoBulkChange(undoToast.changes);
+    const skipped = undoToast.changes.length - restored;
+    setUndoToast({
+      id: createId(),
+      message: skipped > 0
+        ? `Undone for ${restored}; ${skipped} changed again since and ${skipped !== 1 ? 'were' : 'was'} left as is`
+        : 'Undone',
+      changes: []
+    });
+  };
 
   const outstanding = calculateTotalOutstanding(filteredAndSorted);
   const overdue = calculateTotalOverdue(filteredAndSorted);
@@ -667,7 +1524,7 @@ export default function Dashboard() {
     },
     { 
       label: 'Total Invoices', 
-      value: filteredAndSorted.length, 
+      value: filteredAndSorted.filter(inv => !isAdjustmentNote(inv)).length, 
       color: 'purple', 
       icon: FileText,
       bgGradient: 'from-purple-50 to-purple-100',
@@ -698,7 +1555,65 @@ export default function Dashboard() {
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                onClick={handleExportCSV}
+                onClick={() => setIsCustomersOpen(true)}
+                className="flex items-center gap-2 px-5 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-semibold hover:bg-gray-200 transition-colors border border-gray-300"
+              >
+                <Users size={18} />
+                <span className="hidden sm:inline">Customers</span>
+              </motion.button>
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setIsRemindersOpen(true)}
+                className="relative flex items-center gap-2 px-5 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-semibold hover:bg-gray-200 transition-colors border border-gray-300"
+                title="Payment Reminders"
+              >
+                <BellRing size={18} />
+                <span className="hidden sm:inline">Reminders</span>
+                {dunning.isLoaded && dunningQueue.length > 0 && (
+                  <span className="absolute -top-2 -right-2 px-1.5 min-w-[1.25rem] py-0.5 bg-red-600 text-white rounded-full text-xs">
+                    {dunningQueue.length}
+                  </span>
+                )}
+              </motion.button>
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setIsRecurringOpen(true)}
+                className="flex items-center gap-2 px-5 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-semibold hover:bg-gray-200 transition-colors border border-gray-300"
+                title="Recurring Invoices"
+              >
+                <Repeat size={18} />
+                <span className="hidden sm:inline">Recurring</span>
+              </motion.button>
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setIsNumberingOpen(true)}
+                className="flex items-center gap-2 px-5 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-semibold hover:bg-gray-200 transition-colors border border-gray-300"
+                title="Document Numbering"
+              >
+                <Hash size={18} />
+                <span className="hidden sm:inline">Numbering</span>
+              </motion.button>
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setIsImportOpen(true)}
+                className="flex items-center gap-2 px-5 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-semibold hover:bg-gray-200 transition-colors border border-gray-300"
+              >
+                <Upload size={18} />
+                <span className="hidden sm:inline">Import</span>
+              </motion.button>
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setIsExportOpen(true)}
                 className="flex items-center gap-2 px-5 py-2.5 bg-gray-100 text-gray-700 rounded-lg font-semibold hover:bg-gray-200 transition-colors border border-gray-300"
               >
                 <Download size={18} />
@@ -709,7 +1624,6 @@ export default function Dashboard() {
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
                 onClick={() => {
-                  setEditingInvoice(null);
                   setIsModalOpen(true);
                 }}
                 className="flex items-center gap-2 px-5 py-2.5 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md hover:shadow-lg"
@@ -723,350 +1637,774 @@ export default function Dashboard() {
       </header>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Search and Filters */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          className="bg-white rounded-xl shadow-sm p-6 mb-8 border border-gray-200"
-        >
-          <div className="space-y-5">
-            {/* Search Bar */}
-            <div className="relative">
-              <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
-              <input
-                type="text"
-                placeholder="Search by customer name or invoice number..."
-                value={searchTerm}
-                onChange={(e) => {
-                  setSearchTerm(e.target.value);
-                  setCurrentPage(1);
-                }}
-                className="w-full pl-12 pr-4 py-3.5 bg-gray-50 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-gray-800 transition-all"
-              />
-            </div>
-
-            {/* Status Filters */}
-            <div className="flex gap-3 flex-wrap">
-              {['all', 'paid', 'pending', 'overdue'].map((status) => (
-                <motion.button
-                  key={status}
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={() => {
-                    setFilterStatus(status);
-                    setCurrentPage(1);
-                  }}
-                  className={`px-6 py-2.5 rounded-lg font-semibold transition-all ${
-                    filterStatus === status
-                      ? 'bg-blue-600 text-white shadow-lg'
-                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200 border border-gray-300'
-                  }`}
-                >
-                  {status === 'all' ? 'All Invoices' : status.charAt(0).toUpperCase() + status.slice(1)}
-                </motion.button>
+        {/* Storage Failures */}
+        {storageFailures.length > 0 && (
+          <div className="mb-6 flex items-start gap-2 bg-red-50 border border-red-200 text-red-800 rounded-xl px-5 py-3 text-sm font-semibold">
+            <AlertCircle size={18} className="shrink-0" />
+            <div>
+              {storageFailures.map(failure => (
+                <p key={failure.key}>
+                  {failure.action === 'load'
+                    ? `Saved ${failure.key} could not be read (${failure.message}); changes to them are not being saved.`
+                    : `Changes to ${failure.key} could not be saved (${failure.message}) and will be lost on reload.`}
+                </p>
               ))}
             </div>
           </div>
-        </motion.div>
-
-        {/* Summary Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-          {summaryCards.map((card, index) => {
-            const Icon = card.icon;
-            return (
-              <motion.div
-                key={index}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: index * 0.1 }}
-                className={`bg-gradient-to-br ${card.bgGradient} rounded-xl shadow-sm border border-gray-200 p-6 hover:shadow-md transition-shadow`}
-              >
-                <div className="flex items-start justify-between mb-4">
-                  <div className={`${card.iconBg} p-3 rounded-lg`}>
-                    <Icon size={24} className={card.iconColor} />
-                  </div>
-                </div>
-                <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-2">
-                  {card.label}
-                </h3>
-                <p className={`text-3xl font-black ${card.textColor}`}>
-                  {card.isCount ? card.value : `₹${card.value.toLocaleString('en-IN')}`}
-                </p>
-              </motion.div>
-            );
-          })}
-        </div>
+        )}
 
-        {/* Charts Section */}
-        <ChartSection invoices={filteredAndSorted} />
-
-        {/* Invoice Table */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.2 }}
-          className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden"
-        >
-          <div className="p-6 border-b border-gray-200">
-            <div className="flex items-center justify-between">
-              <div>
-                <h2 className="text-xl font-bold text-gray-800">Invoice List</h2>
-                <p className="text-sm text-gray-500 mt-1">
-                  Showing {filteredAndSorted.length} invoice{filteredAndSorted.length !== 1 ? 's' : ''}
-                </p>
-              </div>
-            </div>
+        {/* Broken Invoice Link */}
+        {missingInvoiceId && (
+          <div className="mb-6 flex items-center justify-between gap-4 bg-amber-50 border border-amber-200 text-amber-800 rounded-xl px-5 py-3">
+            <p className="flex items-center gap-2 text-sm font-semibold">
+              <AlertCircle size={18} />
+              Invoice {missingInvoiceId} does not exist. It may have been deleted.
+            </p>
+            <motion.button
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={closeInvoice}
+              className="p-1.5 text-amber-700 hover:bg-amber-100 rounded-lg transition-colors"
+              title="Dismiss"
+            >
+              <X size={18} />
+            </motion.button>
           </div>
+        )}
 
-          {paginatedInvoices.length === 0 ? (
-            <div className="text-center py-16 px-4">
-              <motion.div
-                animate={{ y: [0, -10, 0] }}
-                transition={{ duration: 2, repeat: Infinity }}
-                className="inline-block mb-6"
-              >
-                <FileText size={64} className="text-gray-300" />
-              </motion.div>
-              <h3 className="text-xl font-bold text-gray-700 mb-2">No invoices found</h3>
-              <p className="text-gray-500 mb-6">
-                {searchTerm || filterStatus !== 'all' 
-                  ? 'Try adjusting your search or filters' 
-                  : 'Create your first invoice to get started'}
-              </p>
-              <motion.button
-                whileHover={{ scale: 1.05 }}
-                whileTap={{ scale: 0.95 }}
-                onClick={() => {
-                  setEditingInvoice(null);
-                  setIsModalOpen(true);
-                }}
-                className="px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors inline-flex items-center gap-2"
-              >
-                <Plus size={20} />
-                Create Invoice
-              </motion.button>
-            </div>
-          ) : (
-            <>
-              <div className="overflow-x-auto">
-                <table className="w-full">
-                  <thead>
-                    <tr className="bg-gradient-to-r from-blue-600 to-blue-700">
-                      <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
-                        Invoice #
-                      </th>
-                      <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
-                        Customer
-                      </th>
-                      <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
-                        Invoice Date
-                      </th>
-                      <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
-                        Due Date
-                      </th>
-                      <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
-                        Amount
-                      </th>
-                      <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
-                        Status
-                      </th>
-                      <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
-                        Days
-                      </th>
-                      <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
-                        Actions
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody className="divide-y divide-gray-200 bg-white">
-                    {paginatedInvoices.map((invoice, idx) => (
-                      <motion.tr
-                        key={invoice.id}
-                        initial={{ opacity: 0, y: 10 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        transition={{ delay: idx * 0.05 }}
-                        className="hover:bg-gray-50 transition-colors"
-                      >
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className="font-bold text-gray-900">{invoice.id}</span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className="text-gray-700 font-medium">{invoice.customerName}</span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                          {formatDate(invoice.invoiceDate)}
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                          {formatDate(invoice.dueDate)}
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className="font-bold text-gray-900">
-                            ₹{invoice.amount.toLocaleString('en-IN')}
-                          </span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span
-                            className={`inline-flex px-3 py-1 rounded-full text-xs font-bold uppercase ${
-                              invoice.status === 'paid'
-                                ? 'bg-green-100 text-green-700'
-                                : invoice.status === 'pending'
-                                ? 'bg-yellow-100 text-yellow-700'
-                                : 'bg-red-100 text-red-700'
-                            }`}
-                          >
-                            {invoice.status}
-                          </span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span
-                            className={`text-xs font-semibold px-3 py-1.5 rounded-lg inline-block ${
-                              invoice.status === 'overdue'
-                                ? 'bg-red-100 text-red-700'
-                                : invoice.status === 'paid'
-                                ? 'bg-green-100 text-green-700'
-                                : 'bg-gray-100 text-gray-700'
-                            }`}
-                          >
-                            {calculateDaysDisplay(invoice)}
-                          </span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="flex gap-2">
-                            {invoice.status !== 'paid' && (
-                              <motion.button
-                                whileHover={{ scale: 1.1 }}
-                                whileTap={{ scale: 0.9 }}
-                                onClick={() => markAsPaid(invoice.id)}
-                                className="p-2 bg-green-100 text-green-600 rounded-lg hover:bg-green-600 hover:text-white transition-colors"
-                                title="Mark as Paid"
-                              >
-                                <CheckCircle size={16} />
-                              </motion.button>
-                            )}
-                            <motion.button
-                              whileHover={{ scale: 1.1 }}
-                              whileTap={{ scale: 0.9 }}
-                              onClick={() => {
-                                setEditingInvoice(invoice);
-                                setIsModalOpen(true);
-                              }}
-                              className="p-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-600 hover:text-white transition-colors"
-                              title="Edit Invoice"
-                            >
-                              <Edit2 size={16} />
-                            </motion.button>
-                            <motion.button
-                              whileHover={{ scale: 1.1 }}
-                              whileTap={{ scale: 0.9 }}
-                              onClick={() => {
-                                if (window.confirm(`Delete invoice ${invoice.id}?`)) {
-                                  deleteInvoice(invoice.id);
-                                  if (paginatedInvoices.length === 1 && currentPage > 1) {
-                                    setCurrentPage(currentPage - 1);
-                                  }
-                                }
-                              }}
-                              className="p-2 bg-red-100 text-red-600 rounded-lg hover:bg-red-600 hover:text-white transition-colors"
-                              title="Delete Invoice"
-                            >
-                              <Trash2 size={16} />
-                            </motion.button>
-                          </div>
-                        </td>
-                      </motion.tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+        {/* PDF Error */}
+        {pdfError && (
+          <div className="mb-6 flex items-center justify-between gap-4 bg-red-50 border border-red-200 text-red-800 rounded-xl px-5 py-3">
+            <p className="flex items-center gap-2 text-sm font-semibold">
+              <AlertCircle size={18} />
+              {pdfError}
+            </p>
+            <motion.button
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={() => setPdfError(null)}
+              className="p-1.5 text-red-700 hover:bg-red-100 rounded-lg transition-colors"
+              title="Dismiss"
+            >
+              <X size={18} />
+            </motion.button>
+          </div>
+        )}
 
-              {/* Pagination */}
-              {totalPages > 1 && (
-                <div className="flex items-center justify-between px-6 py-4 border-t border-gray-200 bg-gray-50">
-                  <div className="text-sm text-gray-600">
-                    Showing{' '}
-                    <span className="font-semibold text-gray-900">
-                      {(currentPage - 1) * itemsPerPage + 1}
-                    </span>{' '}
-                    to{' '}
-                    <span className="font-semibold text-gray-900">
-                      {Math.min(currentPage * itemsPerPage, filteredAndSorted.length)}
-                    </span>{' '}
-                    of{' '}
-                    <span className="font-semibold text-gray-900">
-                      {filteredAndSorted.length}
-                    </span>{' '}
-                    results
+        {routeInvoice ? (
+          <InvoiceDetailPage
+            invoice={routeInvoice}
+            storedInvoice={invoices.find(inv => inv.id === routeInvoice.id) || null}
+            customer={customers.find(c => c.id === routeInvoice.customerId) || null}
+            today={today}
+            history={getInvoiceHistory(auditLog.events, routeInvoice.id)}
+            actor={auditLog.actor}
+            onActorChange={auditLog.setActor}
+            onRevert={revertInvoice}
+            notes={evaluatedInvoices.filter(inv => inv.referenceInvoiceId === routeInvoice.id)}
+            attachments={attachments.filter(a => a.invoiceId === routeInvoice.id)}
+            canAttach={canAttach}
+            dunningLevels={dunning.levels}
+            reminders={dunning.sent.filter(r => r.invoiceId === routeInvoice.id)}
+            templates={messageTemplates.templates}
+            onBack={closeInvoice}
+            onOpenInvoice={openInvoice}
+            onEdit={(id) => openInvoice(id, 'edit')}
+            onChangeStatus={setStatusInvoiceId}
+            onRecordPayment={setPaymentInvoiceId}
+            onReminderSent={handleReminderSent}
+            onDuplicate={(invoice) => setDuplicateDraft(createDuplicateForm(invoice))}
+            onPdf={handleInvoicePdf}
+            onIssueNote={(type) => setNoteDraft({ type, invoiceId: routeInvoice.id })}
+            onAddAttachment={addAttachment}
+            onDeleteAttachment={deleteAttachment}
+          />
+        ) : (
+          <>
+            {/* Search and Filters */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="bg-white rounded-xl shadow-sm p-6 mb-8 border border-gray-200"
+            >
+              <div className="space-y-5">
+                {/* Search Bar */}
+                <div className="flex gap-3">
+                  <div className="relative flex-1">
+                    <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                    <input
+                      type="text"
+                      placeholder="Search by customer name or invoice number..."
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                      className="w-full pl-12 pr-4 py-3.5 bg-gray-50 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200 text-gray-800 transition-all"
+                    />
                   </div>
-                  <div className="flex gap-2">
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => setIsFilterBuilderOpen(open => !open)}
+                    className={`flex items-center gap-2 px-5 rounded-lg font-semibold transition-all border ${
+                      isFilterBuilderOpen || appliedFilterCount > 0
+                        ? 'bg-blue-50 text-blue-700 border-blue-300'
+                        : 'bg-gray-100 text-gray-700 border-gray-300 hover:bg-gray-200'
+                    }`}
+                  >
+                    <Filter size={18} />
+                    Filters
+                    {appliedFilterCount > 0 && (
+                      <span className="px-2 py-0.5 bg-blue-600 text-white rounded-full text-xs">
+                        {appliedFilterCount}
+                      </span>
+                    )}
+                  </motion.button>
+                </div>
+
+                {/* Status Filters */}
+                <div className="flex gap-3 flex-wrap">
+                  {['all', ...INVOICE_STATUSES.map(({ key }) => key)].map((status) => (
                     <motion.button
+                      key={status}
                       whileHover={{ scale: 1.05 }}
                       whileTap={{ scale: 0.95 }}
-                      onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
-                      disabled={currentPage === 1}
-                      className="flex items-center gap-1 px-3 py-2 bg-white border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-100 transition-colors text-gray-700 font-medium"
+                      onClick={() => setFilterStatus(status)}
+                      className={`px-4 py-2.5 rounded-lg font-semibold transition-all ${
+                        filterStatus === status
+                          ? 'bg-blue-600 text-white shadow-lg'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200 border border-gray-300'
+                      }`}
                     >
-                      <ChevronLeft size={18} />
-                      Previous
+                      {status === 'all' ? 'All Invoices' : STATUS_LABELS[status]}
                     </motion.button>
+                  ))}
 
-                    <div className="flex gap-1">
-                      {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
-                        let page;
-                        if (totalPages <= 5) {
-                          page = i + 1;
-                        } else if (currentPage <= 3) {
-                          page = i + 1;
-                        } else if (currentPage >= totalPages - 2) {
-                          page = totalPages - 4 + i;
-                        } else {
-                          page = currentPage - 2 + i;
-                        }
-                        return (
-                          <motion.button
-                            key={page}
-                            whileHover={{ scale: 1.05 }}
-                            whileTap={{ scale: 0.95 }}
-                            onClick={() => setCurrentPage(page)}
-                            className={`px-4 py-2 rounded-lg font-semibold transition-all ${
-                              currentPage === page
-                                ? 'bg-blue-600 text-white shadow-md'
-                                : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-300'
-                            }`}
-                          >
-                            {page}
-                          </motion.button>
-                        );
-                      })}
-                    </div>
-
+                  {/* Saved Views */}
+                  <div className="flex gap-3 flex-wrap items-center pl-3 border-l border-gray-300">
+                    {pinnedViews.map(view => (
+                      <motion.button
+                        key={view.id}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => applyView(view)}
+                        className={`flex items-center gap-2 px-4 py-2.5 rounded-lg font-semibold transition-all ${
+                          isViewActive(view, route)
+                            ? 'bg-indigo-600 text-white shadow-lg'
+                            : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border border-indigo-200'
+                        }`}
+                        title={view.isDefault ? `${view.name} (default view)` : view.name}
+                      >
+                        <Bookmark size={16} fill={view.isDefault ? 'currentColor' : 'none'} />
+                        {view.name}
+                      </motion.button>
+                    ))}
                     <motion.button
                       whileHover={{ scale: 1.05 }}
                       whileTap={{ scale: 0.95 }}
-                      onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
-                      disabled={currentPage === totalPages}
-                      className="flex items-center gap-1 px-3 py-2 bg-white border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-100 transition-colors text-gray-700 font-medium"
+                      onClick={() => setIsViewsOpen(true)}
+                      className="flex items-center gap-2 px-4 py-2.5 rounded-lg font-semibold text-gray-600 hover:bg-gray-100 border border-dashed border-gray-300 transition-all"
                     >
-                      Next
-                      <ChevronRight size={18} />
+                      <Plus size={16} />
+                      {savedViews.length > 0 ? 'Views' : 'Save View'}
                     </motion.button>
                   </div>
                 </div>
+
+                {/* Advanced Filters */}
+                <AnimatePresence>
+                  {isFilterBuilderOpen && (
+                    <FilterBuilder
+                      filters={filters}
+                      customers={customers}
+                      invoices={invoices}
+                      onApply={setFilters}
+                      onClose={() => setIsFilterBuilderOpen(false)}
+                    />
+                  )}
+                </AnimatePresence>
+              </div>
+            </motion.div>
+
+            {/* Summary Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+              {summaryCards.map((card, index) => {
+                const Icon = card.icon;
+                return (
+                  <motion.div
+                    key={index}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: index * 0.1 }}
+                    className={`bg-gradient-to-br ${card.bgGradient} rounded-xl shadow-sm border border-gray-200 p-6 hover:shadow-md transition-shadow`}
+                  >
+                    <div className="flex items-start justify-between mb-4">
+                      <div className={`${card.iconBg} p-3 rounded-lg`}>
+                        <Icon size={24} className={card.iconColor} />
+                      </div>
+                    </div>
+                    <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-2">
+                      {card.label}
+                    </h3>
+                    <p className={`text-3xl font-black ${card.textColor}`}>
+                      {card.isCount ? card.value : `₹${card.value.toLocaleString('en-IN')}`}
+                    </p>
+                  </motion.div>
+                );
+              })}
+            </div>
+
+            {/* Collection KPIs */}
+            <CollectionKpis invoices={evaluatedInvoices} today={today} onOpenInvoice={openInvoice} />
+
+            {/* Charts Section */}
+            <ChartSection invoices={filteredAndSorted} />
+
+            {/* Revenue & Collections Trends */}
+            <TrendCharts invoices={evaluatedInvoices} today={today} />
+
+            {/* Cash-Flow Forecast */}
+            <CashFlowForecast invoices={evaluatedInvoices} schedules={schedules} today={today} />
+
+            {/* Aging Report */}
+            <AgingReport invoices={filteredAndSorted} today={today} />
+
+            {/* Invoice Table */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.2 }}
+              className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden"
+            >
+              <div className="p-6 border-b border-gray-200">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h2 className="text-xl font-bold text-gray-800">Invoice List</h2>
+                    <p className="text-sm text-gray-500 mt-1">
+                      Showing {filteredAndSorted.length} invoice{filteredAndSorted.length !== 1 ? 's' : ''}
+                    </p>
+                  </div>
+                  <ColumnToggle hidden={route.hidden} onToggle={toggleColumn} />
+                </div>
+                <FilterChips
+                  filters={filters}
+                  customers={customers}
+                  invoices={invoices}
+                  onChange={setFilters}
+                />
+                {selectedInvoices.length > 0 && (
+                  <BulkActionBar
+                    selectedCount={selectedInvoices.length}
+                    matchingCount={filteredAndSorted.length}
+                    pageSelected={pageSelected}
+                    onSelectAllMatching={() => setSelectedIds(new Set(filteredAndSorted.map(inv => inv.id)))}
+                    onClear={() => setSelectedIds(new Set())}
+                    onAction={handleBulkAction}
+                  />
+                )}
+              </div>
+
+              {!isLoaded ? (
+                <div className="text-center py-16 px-4 text-gray-500">
+                  Loading invoices...
+                </div>
+              ) : paginatedInvoices.length === 0 ? (
+                <div className="text-center py-16 px-4">
+                  <motion.div
+                    animate={{ y: [0, -10, 0] }}
+                    transition={{ duration: 2, repeat: Infinity }}
+                    className="inline-block mb-6"
+                  >
+                    <FileText size={64} className="text-gray-300" />
+                  </motion.div>
+                  <h3 className="text-xl font-bold text-gray-700 mb-2">No invoices found</h3>
+                  <p className="text-gray-500 mb-6">
+                    {searchTerm || filterStatus !== 'all' || appliedFilterCount > 0
+                      ? 'Try adjusting your search or filters' 
+                      : 'Create your first invoice to get started'}
+                  </p>
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => {
+                      setIsModalOpen(true);
+                    }}
+                    className="px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors inline-flex items-center gap-2"
+                  >
+                    <Plus size={20} />
+                    Create Invoice
+                  </motion.button>
+                </div>
+              ) : (
+                <>
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="bg-gradient-to-r from-blue-600 to-blue-700">
+                          <th className="pl-6 py-4 w-4">
+                            <input
+                              type="checkbox"
+                              checked={pageSelected}
+                              ref={(el) => {
+                                if (el) el.indeterminate = pagePartlySelected;
+                              }}
+                              onChange={togglePageSelected}
+                              className="w-4 h-4 accent-white cursor-pointer"
+                              title={pageSelected ? 'Deselect this page' : 'Select this page'}
+                            />
+                          </th>
+                          {visibleColumns.map(column => (
+                            <SortableHeader
+                              key={column.key}
+                              column={column}
+                              sortBy={sortBy}
+                              onSort={toggleSort}
+                            />
+                          ))}
+                          <th className="px-6 py-4 text-left text-xs font-bold text-white uppercase tracking-wider">
+                            Actions
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200 bg-white">
+                        {paginatedInvoices.map((invoice, idx) => (
+                          <motion.tr
+                            key={invoice.id}
+                            initial={{ opacity: 0, y: 10 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: idx * 0.05 }}
+                            onClick={(e) => {
+                              if (!e.target.closest('button, a, input')) openInvoice(invoice.id);
+                            }}
+                            className={`transition-colors cursor-pointer ${
+                              selectedIds.has(invoice.id) ? 'bg-blue-50 hover:bg-blue-100' : 'hover:bg-gray-50'
+                            }`}
+                          >
+                            <td className="pl-6 py-4 w-4">
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.has(invoice.id)}
+                                onChange={() => toggleSelected(invoice.id)}
+                                className="w-4 h-4 accent-blue-600 cursor-pointer"
+                                aria-label={`Select ${invoice.id}`}
+                              />
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <span className="font-bold text-gray-900">{invoice.id}</span>
+                              {isAdjustmentNote(invoice) && (
+                                <span className={`ml-2 inline-flex px-2 py-0.5 rounded-full text-[10px] font-bold uppercase ${DOCUMENT_TYPES[invoice.documentType].badgeClass}`}>
+                                  {DOCUMENT_TYPES[invoice.documentType].label}
+                                </span>
+                              )}
+                            </td>
+                            {showColumn('customerName') && (
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <span className="text-gray-700 font-medium">{invoice.customerName}</span>
+                                {invoice.tags?.length > 0 && (
+                                  <div className="flex flex-wrap gap-1 mt-1">
+                                    {invoice.tags.map(tag => (
+                                      <span key={tag} className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-[10px] font-semibold">
+                                        {tag}
+                                      </span>
+                                    ))}
+                                  </div>
+                                )}
+                              </td>
+                            )}
+                            {showColumn('invoiceDate') && (
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                                {formatDate(invoice.invoiceDate)}
+                              </td>
+                            )}
+                            {showColumn('dueDate') && (
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                                {formatDate(invoice.dueDate)}
+                              </td>
+                            )}
+                            {showColumn('amount') && (
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <span className="font-bold text-gray-900">
+                                  {getSignedAmount(invoice) < 0 && '−'}₹{invoice.amount.toLocaleString('en-IN')}
+                                </span>
+                                {invoice.adjustments !== 0 && (
+                                  <span className="block text-xs text-gray-500 mt-0.5">
+                                    Net ₹{invoice.netAmount.toLocaleString('en-IN')}
+                                  </span>
+                                )}
+                                {invoice.amountPaid > 0 && invoice.balanceDue > 0 && (
+                                  <span className="block text-xs text-gray-500 mt-0.5">
+                                    Balance ₹{invoice.balanceDue.toLocaleString('en-IN')}
+                                  </span>
+                                )}
+                              </td>
+                            )}
+                            {showColumn('status') && (
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <span
+                                  className={`inline-flex px-3 py-1 rounded-full text-xs font-bold uppercase ${STATUS_BY_KEY[invoice.status].badgeClass}`}
+                                >
+                                  {STATUS_LABELS[invoice.status]}
+                                </span>
+                                {invoice.statusReason && (
+                                  <p className="text-xs text-gray-500 mt-1 max-w-[12rem] truncate" title={invoice.statusReason}>
+                                    {invoice.statusReason}
+                                  </p>
+                                )}
+                              </td>
+                            )}
+                            {showColumn('days') && (
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <span
+                                  className={`text-xs font-semibold px-3 py-1.5 rounded-lg inline-block ${
+                                    invoice.status === 'overdue'
+                                      ? 'bg-red-100 text-red-700'
+                                      : invoice.status === 'paid'
+                                      ? 'bg-green-100 text-green-700'
+                                      : 'bg-gray-100 text-gray-700'
+                                  }`}
+                                >
+                                  {calculateDaysDisplay(invoice, today)}
+                                </span>
+                              </td>
+                            )}
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="flex gap-2">
+                                {STATUS_BY_KEY[invoice.status].receivable && (
+                                  <motion.button
+                                    whileHover={{ scale: 1.1 }}
+                                    whileTap={{ scale: 0.9 }}
+                                    onClick={() => markAsPaid(invoice.id)}
+                                    className="p-2 bg-green-100 text-green-600 rounded-lg hover:bg-green-600 hover:text-white transition-colors"
+                                    title="Mark as Paid"
+                                  >
+                                    <CheckCircle size={16} />
+                                  </motion.button>
+                                )}
+                                {STATUS_BY_KEY[invoice.status].receivable && (
+                                  <motion.button
+                                    whileHover={{ scale: 1.1 }}
+                                    whileTap={{ scale: 0.9 }}
+                                    onClick={() => setPaymentInvoiceId(invoice.id)}
+                                    className="p-2 bg-emerald-100 text-emerald-600 rounded-lg hover:bg-emerald-600 hover:text-white transition-colors"
+                                    title="Record Payment"
+                                  >
+                                    <Wallet size={16} />
+                                  </motion.button>
+                                )}
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => setStatusInvoiceId(invoice.id)}
+                                  className="p-2 bg-purple-100 text-purple-600 rounded-lg hover:bg-purple-600 hover:text-white transition-colors"
+                                  title="Change Status"
+                                >
+                                  <ArrowRightLeft size={16} />
+                                </motion.button>
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => handleInvoicePdf(invoice, 'download')}
+                                  className="p-2 bg-slate-100 text-slate-600 rounded-lg hover:bg-slate-600 hover:text-white transition-colors"
+                                  title="Download PDF"
+                                >
+                                  <FileDown size={16} />
+                                </motion.button>
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => handleInvoicePdf(invoice, 'print')}
+                                  className="p-2 bg-slate-100 text-slate-600 rounded-lg hover:bg-slate-600 hover:text-white transition-colors"
+                                  title="Print Invoice"
+                                >
+                                  <Printer size={16} />
+                                </motion.button>
+                                {!STATUS_BY_KEY[invoice.status].locked && (
+                                  <motion.button
+                                    whileHover={{ scale: 1.1 }}
+                                    whileTap={{ scale: 0.9 }}
+                                    onClick={() => openInvoice(invoice.id, 'edit')}
+                                    className="p-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-600 hover:text-white transition-colors"
+                                    title="Edit Invoice"
+                                  >
+                                    <Edit2 size={16} />
+                                  </motion.button>
+                                )}
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={() => {
+                                    const blocked = checkDelete(invoice);
+                                    if (blocked) {
+                                      window.alert(`${invoice.id}: ${blocked}.`);
+                                      return;
+                                    }
+                                    if (window.confirm(`Delete invoice ${invoice.id}?`)) {
+                                      deleteInvoice(invoice.id);
+                                      deleteInvoiceAttachments(invoice.id);
+                                      if (paginatedInvoices.length === 1 && currentPage > 1) {
+                                        setCurrentPage(currentPage - 1);
+                                      }
+                                    }
+                                  }}
+                                  className="p-2 bg-red-100 text-red-600 rounded-lg hover:bg-red-600 hover:text-white transition-colors"
+                                  title="Delete Invoice"
+                                >
+                                  <Trash2 size={16} />
+                                </motion.button>
+                              </div>
+                            </td>
+                          </motion.tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {/* Pagination */}
+                  {totalPages > 1 && (
+                    <div className="flex items-center justify-between px-6 py-4 border-t border-gray-200 bg-gray-50">
+                      <div className="text-sm text-gray-600">
+                        Showing{' '}
+                        <span className="font-semibold text-gray-900">
+                          {(currentPage - 1) * itemsPerPage + 1}
+                        </span>{' '}
+                        to{' '}
+                        <span className="font-semibold text-gray-900">
+                          {Math.min(currentPage * itemsPerPage, filteredAndSorted.length)}
+                        </span>{' '}
+                        of{' '}
+                        <span className="font-semibold text-gray-900">
+                          {filteredAndSorted.length}
+                        </span>{' '}
+                        results
+                      </div>
+                      <div className="flex gap-2">
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                          disabled={currentPage === 1}
+                          className="flex items-center gap-1 px-3 py-2 bg-white border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-100 transition-colors text-gray-700 font-medium"
+                        >
+                          <ChevronLeft size={18} />
+                          Previous
+                        </motion.button>
+
+                        <div className="flex gap-1">
+                          {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
+                            let page;
+                            if (totalPages <= 5) {
+                              page = i + 1;
+                            } else if (currentPage <= 3) {
+                              page = i + 1;
+                            } else if (currentPage >= totalPages - 2) {
+                              page = totalPages - 4 + i;
+                            } else {
+                              page = currentPage - 2 + i;
+                            }
+                            return (
+                              <motion.button
+                                key={page}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                onClick={() => setCurrentPage(page)}
+                                className={`px-4 py-2 rounded-lg font-semibold transition-all ${
+                                  currentPage === page
+                                    ? 'bg-blue-600 text-white shadow-md'
+                                    : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-300'
+                                }`}
+                              >
+                                {page}
+                              </motion.button>
+                            );
+                          })}
+                        </div>
+
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                          disabled={currentPage === totalPages}
+                          className="flex items-center gap-1 px-3 py-2 bg-white border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-100 transition-colors text-gray-700 font-medium"
+                        >
+                          Next
+                          <ChevronRight size={18} />
+                        </motion.button>
+                      </div>
+                    </div>
+                  )}
+                </>
               )}
-            </>
-          )}
-        </motion.div>
+            </motion.div>
+          </>
+        )}
       </div>
 
       {/* Add/Edit Modal */}
       <AddInvoiceModal
-        isOpen={isModalOpen}
+        isOpen={isModalOpen || Boolean(editingInvoice || duplicateDraft)}
         onClose={() => {
           setIsModalOpen(false);
-          setEditingInvoice(null);
+          setDuplicateDraft(null);
+          if (editingInvoice) openInvoice(editingInvoice.id);
+        }}
+        onAdd={(data) => {
+          const id = addInvoice(data);
+          if (duplicateDraft) openInvoice(id);
         }}
-        onAdd={addInvoice}
         onEdit={updateInvoice}
         initialData={editingInvoice}
+        prefill={duplicateDraft}
+        customers={customers}
+        customerStats={customerStats}
+        tagSuggestions={tagSuggestions}
+        onAddCustomer={addCustomer}
+      />
+
+      {/* Customers Panel */}
+      <CustomersPanel
+        isOpen={isCustomersOpen}
+        onClose={() => setIsCustomersOpen(false)}
+        customers={customers}
+        invoiceStats={customerStats}
+        onAdd={addCustomer}
+        onUpdate={updateCustomer}
+        onDelete={deleteCustomer}
+      />
+
+      {/* Saved Views Panel */}
+      <SavedViewsPanel
+        isOpen={isViewsOpen}
+        onClose={() => setIsViewsOpen(false)}
+        views={savedViews}
+        route={route}
+        onSave={(name) => addView(name, route)}
+        onApply={(view) => {
+          applyView(view);
+          setIsViewsOpen(false);
+        }}
+        onUpdate={updateView}
+        onDelete={deleteView}
+        onSetDefault={setDefaultView}
+        onImport={importViews}
+      />
+
+      {/* Payment Reminders Panel */}
+      <DunningPanel
+        isOpen={isRemindersOpen}
+        onClose={() => setIsRemindersOpen(false)}
+        queue={dunningQueue}
+        levels={dunning.levels}
+        templates={messageTemplates.templates}
+        customers={customers}
+        today={today}
+        onSent={handleReminderSent}
+        onOpenInvoice={(id) => {
+          setIsRemindersOpen(false);
+          openInvoice(id);
+        }}
+        onAddLevel={dunning.addLevel}
+        onUpdateLevel={dunning.updateLevel}
+        onDeleteLevel={dunning.deleteLevel}
+        onResetLevels={dunning.resetLevels}
+        onEditTemplates={() => {
+          setIsRemindersOpen(false);
+          setIsTemplatesOpen(true);
+        }}
+      />
+
+      {/* Message Templates Panel */}
+      {messageTemplates.isLoaded && (
+        <TemplatesPanel
+          isOpen={isTemplatesOpen}
+          onClose={() => setIsTemplatesOpen(false)}
+          templates={messageTemplates.templates}
+          levels={dunning.levels}
+          previewInvoices={templatePreviewInvoices}
+          customers={customers}
+          today={today}
+          onAdd={messageTemplates.addTemplate}
+          onUpdate={messageTemplates.updateTemplate}
+          onDelete={messageTemplates.deleteTemplate}
+        />
+      )}
+
+      {/* Recurring Schedules Panel */}
+      <RecurringSchedulesPanel
+        isOpen={isRecurringOpen}
+        onClose={() => setIsRecurringOpen(false)}
+        schedules={schedules}
+        customers={customers}
+        generatedCounts={scheduleInvoiceCounts}
+        today={today}
+        onAdd={addSchedule}
+        onUpdate={updateSchedule}
+        onDelete={deleteSchedule}
+      />
+
+      {/* Record Payment Panel */}
+      <RecordPaymentPanel
+        invoice={evaluatedInvoices.find(inv => inv.id === paymentInvoiceId) || null}
+        onClose={() => setPaymentInvoiceId(null)}
+        onRecord={recordPayment}
+        onDeletePayment={deletePayment}
+      />
+
+      {/* Credit / Debit Note Modal */}
+      <AdjustmentNoteModal
+        type={noteDraft?.type}
+        invoice={evaluatedInvoices.find(inv => inv.id === noteDraft?.invoiceId) || null}
+        today={today}
+        onIssue={addNote}
+        onClose={() => setNoteDraft(null)}
+      />
+
+      {/* Status Change Dialog */}
+      <StatusChangeDialog
+        invoice={evaluatedInvoices.find(inv => inv.id === statusInvoiceId) || null}
+        onClose={() => setStatusInvoiceId(null)}
+        onTransition={transitionInvoice}
+      />
+
+      {/* Export Dialog */}
+      <ExportDialog
+        isOpen={isExportOpen}
+        onClose={() => setIsExportOpen(false)}
+        filteredCount={filteredAndSorted.length}
+        totalCount={evaluatedInvoices.length}
+        selectedCount={selectedInvoices.length}
+        onExport={handleExport}
+      />
+
+      {/* Bulk Actions */}
+      <BulkActionDialog
+        actionKey={bulkActionKey}
+        invoices={selectedInvoices}
+        tagSuggestions={tagSuggestions}
+        onConfirm={handleBulkConfirm}
+        onClose={() => setBulkActionKey(null)}
+      />
+
+      <UndoToast
+        toast={undoToast}
+        onUndo={handleUndo}
+        onExpire={finalizeBulkChange}
+      />
+
+      {/* Import Wizard */}
+      <ImportWizard
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        customers={customers}
+        existingIds={existingInvoiceIds}
+        onImport={handleImport}
+      />
+
+      {/* Numbering Panel */}
+      <NumberingPanel
+        isOpen={isNumberingOpen}
+        onClose={() => setIsNumberingOpen(false)}
+        numbering={numbering}
+        documentIds={existingInvoiceIds}
+        deletedIds={deletedDraftIds}
+        today={today}
       />
     </div>
   );
@@ -0,0 +1,307 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { BellRing, Copy, FileDown, FileText, Mail, MessageCircle, Plus, RotateCcw, Trash2, X } from 'lucide-react';
+import { useState } from 'react';
+import { downloadFile } from '../utils/csv';
+import {
+  buildDunningMessage,
+  createDunningLevel,
+  describeOffset,
+  sortLevels
+} from '../utils/dunning';
+import { FALLBACK_LANGUAGE, LANGUAGE_LABELS } from '../utils/messageTemplates';
+import { buildEmlFile, buildMailtoLink, buildWhatsAppLink } from '../utils/reminders';
+
+const formatMoney = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+const inputClass =
+  'w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white text-sm border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30';
+
+const channelButtonClass =
+  'flex items-center gap-1.5 px-3 py-1.5 bg-slate-700 text-slate-200 rounded-lg text-xs font-semibold hover:bg-slate-600 transition-colors';
+
+// ============================================
+// DUNNING PANEL COMPONENT
+// ============================================
+
+// The reminders due today, each ready to go out by email, as an .eml draft
+// or as WhatsApp text, and the levels that decide when they are due and
+// which template each language gets. `onSent` records a reminder once it
+// has been handed to the mail client or WhatsApp.
+const DunningPanel = ({
+  isOpen,
+  onClose,
+  queue,
+  levels,
+  templates,
+  customers,
+  today,
+  onSent,
+  onOpenInvoice,
+  onAddLevel,
+  onUpdateLevel,
+  onDeleteLevel,
+  onResetLevels,
+  onEditTemplates
+}) => {
+  const [tab, setTab] = useState('queue');
+  const [notice, setNotice] = useState(null);
+
+  const customerFor = (invoice) => customers.find(c => c.id === invoice.customerId);
+
+  const send = ({ invoice, level }, channel) => {
+    const customer = customerFor(invoice);
+    const message = buildDunningMessage(level, invoice, customer, today, templates);
+    setNotice(null);
+    if (channel === 'email') {
+      if (!message.to) {
+        setNotice(`Add an email address for ${invoice.customerName} in Customers, or download an .eml draft`);
+        return;
+      }
+      window.location.assign(buildMailtoLink(message));
+    } else if (channel === 'eml') {
+      downloadFile(buildEmlFile(message), `${invoice.id}-${level.id}.eml`, 'message/rfc822');
+    } else if (channel === 'whatsapp') {
+      window.open(buildWhatsAppLink(message.phone, message.whatsapp), '_blank', 'noopener');
+    }
+    onSent({ invoice, level, channel, to: channel === 'whatsapp' ? message.phone : message.to });
+  };
+
+  // Copying does not count as sending; the reminder stays in the queue
+  // until one of the send actions is used.
+  const copyText = async ({ invoice, level }) => {
+    const message = buildDunningMessage(level, invoice, customerFor(invoice), today, templates);
+    try {
+      await navigator.clipboard.writeText(message.whatsapp);
+      setNotice(`WhatsApp text for ${invoice.id} copied`);
+    } catch {
+      setNotice('Could not copy to the clipboard');
+    }
+  };
+
+  // English always gets a select; other languages once they have a
+  // reminder template.
+  const reminderTemplates = templates.filter(t => t.purpose === 'reminder');
+  const languages = [
+    FALLBACK_LANGUAGE,
+    ...new Set(reminderTemplates.map(t => t.language).filter(l => l !== FALLBACK_LANGUAGE))
+  ];
+
+  const setLevelTemplate = (level, language, templateId) => {
+    const templateIds = { ...level.templateIds };
+    if (templateId) templateIds[language] = templateId;
+    else delete templateIds[language];
+    onUpdateLevel(level.id, { templateIds });
+  };
+
+  const addLevel = () => {
+    const last = sortLevels(levels).pop();
+    onAddLevel(createDunningLevel(last ? last.offsetDays + 15 : 0));
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ x: 400, opacity: 0 }}
+            animate={{ x: 0, opacity: 1 }}
+            exit={{ x: 400, opacity: 0 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed right-0 top-0 h-full w-full max-w-2xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
+          >
+            <div className="flex flex-col h-full">
+              {/* Header */}
+              <div className="p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                      <BellRing size={20} />
+                      Payment Reminders
+                    </h2>
+                    <p className="text-sm text-slate-300 mt-1">
+                      {queue.length} reminder{queue.length !== 1 ? 's' : ''} due today
+                    </p>
+                  </div>
+                  <motion.button
+                    whileHover={{ rotate: 90, scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={onClose}
+                    className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                  >
+                    <X size={22} />
+                  </motion.button>
+                </div>
+                <div className="flex gap-2 mt-4">
+                  {[{ key: 'queue', label: 'Due Today' }, { key: 'levels', label: 'Levels & Templates' }].map(t => (
+                    <button
+                      key={t.key}
+                      type="button"
+                      onClick={() => setTab(t.key)}
+                      className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                        tab === t.key ? 'bg-cyan-500 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                      }`}
+                    >
+                      {t.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex-1 p-6 space-y-4">
+                {notice && (
+                  <p className="text-sm text-amber-300 bg-amber-500/10 border border-amber-500/30 rounded-lg px-4 py-2">
+                    {notice}
+                  </p>
+                )}
+
+                {tab === 'queue' && (
+                  queue.length === 0 ? (
+                    <p className="text-center text-slate-400 py-10">No reminders are due today</p>
+                  ) : (
+                    queue.map(entry => (
+                      <div key={entry.invoice.id} className="bg-slate-700/50 border border-white/10 rounded-xl p-4 space-y-3">
+                        <div className="flex items-start justify-between gap-4">
+                          <div>
+                            <button
+                              type="button"
+                              onClick={() => onOpenInvoice(entry.invoice.id)}
+                              className="font-bold text-white hover:text-cyan-300"
+                            >
+                              {entry.invoice.id}
+                            </button>
+                            <p className="text-sm text-slate-300">{entry.invoice.customerName}</p>
+                          </div>
+                          <div className="text-right">
+                            <p className="font-bold text-white">{formatMoney(entry.invoice.balanceDue)}</p>
+                            <p className="text-xs text-slate-400">
+                              {entry.level.name} · {describeOffset(entry.level.offsetDays)}
+                            </p>
+                          </div>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                          <button type="button" onClick={() => send(entry, 'email')} className={channelButtonClass}>
+                            <Mail size={14} />
+                            Email
+                          </button>
+                          <button type="button" onClick={() => send(entry, 'eml')} className={channelButtonClass}>
+                            <FileDown size={14} />
+                            .eml Draft
+                          </button>
+                          <button type="button" onClick={() => send(entry, 'whatsapp')} className={channelButtonClass}>
+                            <MessageCircle size={14} />
+                            WhatsApp
+                          </button>
+                          <button type="button" onClick={() => copyText(entry)} className={channelButtonClass}>
+                            <Copy size={14} />
+                            Copy Text
+                          </button>
+                        </div>
+                      </div>
+                    ))
+                  )
+                )}
+
+                {tab === 'levels' && (
+                  <>
+                    {sortLevels(levels).map(level => (
+                      <div key={level.id} className="bg-slate-700/50 border border-white/10 rounded-xl p-4 space-y-3">
+                        <div className="flex gap-3 items-end">
+                          <label className="flex-1 text-xs font-semibold text-slate-300">
+                            Name
+                            <input
+                              type="text"
+                              value={level.name}
+                              onChange={(e) => onUpdateLevel(level.id, { name: e.target.value })}
+                              className={`${inputClass} mt-1`}
+                            />
+                          </label>
+                          <label className="w-36 text-xs font-semibold text-slate-300">
+                            Days after due
+                            <input
+                              type="number"
+                              value={level.offsetDays}
+                              onChange={(e) => onUpdateLevel(level.id, { offsetDays: parseInt(e.target.value, 10) || 0 })}
+                              className={`${inputClass} mt-1`}
+                            />
+                          </label>
+                          <button
+                            type="button"
+                            onClick={() => onDeleteLevel(level.id)}
+                            className="p-2 text-slate-400 hover:text-red-400 transition-colors"
+                            title="Delete level"
+                          >
+                            <Trash2 size={18} />
+                          </button>
+                        </div>
+                        <p className="text-xs text-slate-400">{describeOffset(level.offsetDays)}</p>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                          {languages.map(language => (
+                            <label key={language} className="text-xs font-semibold text-slate-300">
+                              {LANGUAGE_LABELS[language]} template
+                              <select
+                                value={level.templateIds?.[language] || ''}
+                                onChange={(e) => setLevelTemplate(level, language, e.target.value)}
+                                className={`${inputClass} mt-1 cursor-pointer`}
+                              >
+                                <option value="">
+                                  {language === FALLBACK_LANGUAGE ? 'General reminder' : `Use ${LANGUAGE_LABELS[FALLBACK_LANGUAGE]}`}
+                                </option>
+                                {reminderTemplates.filter(t => t.language === language).map(t => (
+                                  <option key={t.id} value={t.id}>{t.name}</option>
+                                ))}
+                              </select>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                    <div className="flex gap-3">
+                      <motion.button
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        onClick={addLevel}
+                        className="flex items-center gap-2 px-4 py-2 bg-cyan-500 text-white rounded-lg font-semibold hover:bg-cyan-400 transition-colors text-sm"
+                      >
+                        <Plus size={16} />
+                        Add Level
+                      </motion.button>
+                      <motion.button
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        onClick={() => {
+                          if (window.confirm('Replace all levels with the defaults?')) onResetLevels();
+                        }}
+                        className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-white rounded-lg font-semibold hover:bg-slate-600 transition-colors text-sm"
+                      >
+                        <RotateCcw size={16} />
+                        Reset to Defaults
+                      </motion.button>
+                      <motion.button
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        onClick={onEditTemplates}
+                        className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-white rounded-lg font-semibold hover:bg-slate-600 transition-colors text-sm ml-auto"
+                      >
+                        <FileText size={16} />
+                        Edit Templates
+                      </motion.button>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default DunningPanel;
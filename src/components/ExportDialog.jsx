@@ -0,0 +1,175 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { Download, X } from 'lucide-react';
+import usePersistentState from '../hooks/usePersistentState';
+import { DEFAULT_EXPORT_COLUMNS, EXPORT_COLUMNS } from '../utils/invoiceExport';
+
+const DEFAULT_PREFERENCES = {
+  scope: 'filtered',
+  columns: DEFAULT_EXPORT_COLUMNS,
+  bom: true
+};
+
+// ============================================
+// EXPORT DIALOG COMPONENT
+// ============================================
+
+// `selectedCount` offers the table's current selection as a third scope.
+const ExportDialog = ({ isOpen, onClose, filteredCount, totalCount, selectedCount = 0, onExport }) => {
+  // Remember the last export setup so the weekly export is one click.
+  const [preferences, setPreferences] = usePersistentState('exportPreferences', DEFAULT_PREFERENCES);
+
+  const update = (changes) => setPreferences(prev => ({ ...prev, ...changes }));
+
+  const toggleColumn = (key) => {
+    update({
+      columns: preferences.columns.includes(key)
+        ? preferences.columns.filter(k => k !== key)
+        : [...preferences.columns, key]
+    });
+  };
+
+  // A remembered "selected" scope falls back to the filters when nothing is
+  // selected.
+  const scope = preferences.scope === 'selected' && selectedCount === 0 ? 'filtered' : preferences.scope;
+  const exportCount = { all: totalCount, filtered: filteredCount, selected: selectedCount }[scope];
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="absolute inset-0 bg-black/60 backdrop-blur-sm"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="relative w-full max-w-xl max-h-[90vh] overflow-y-auto bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border border-white/10 rounded-2xl shadow-2xl"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-white/10">
+              <div>
+                <h2 className="text-xl font-bold text-white">Export Invoices</h2>
+                <p className="text-sm text-slate-300 mt-1">Download a CSV in the current sort order</p>
+              </div>
+              <motion.button
+                whileHover={{ rotate: 90, scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={onClose}
+                className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+              >
+                <X size={22} />
+              </motion.button>
+            </div>
+
+            <div className="p-6 space-y-5">
+              {/* Scope */}
+              <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-3">
+                <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider">Invoices</h3>
+                {[
+                  { value: 'filtered', label: `Current filters and search (${filteredCount})` },
+                  { value: 'all', label: `All invoices (${totalCount})` },
+                  ...(selectedCount > 0 ? [{ value: 'selected', label: `Selected invoices (${selectedCount})` }] : [])
+                ].map(option => (
+                  <label key={option.value} className="flex items-center gap-3 text-sm text-slate-200 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="export-scope"
+                      checked={scope === option.value}
+                      onChange={() => update({ scope: option.value })}
+                      className="accent-cyan-400"
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+
+              {/* Columns */}
+              <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-3">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider">Columns</h3>
+                  <div className="flex gap-3 text-xs font-semibold">
+                    <button
+                      type="button"
+                      onClick={() => update({ columns: EXPORT_COLUMNS.map(c => c.key) })}
+                      className="text-cyan-300 hover:text-cyan-200"
+                    >
+                      All
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => update({ columns: DEFAULT_EXPORT_COLUMNS })}
+                      className="text-cyan-300 hover:text-cyan-200"
+                    >
+                      Default
+                    </button>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {EXPORT_COLUMNS.map(column => (
+                    <label key={column.key} className="flex items-center gap-2 text-sm text-slate-200 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={preferences.columns.includes(column.key)}
+                        onChange={() => toggleColumn(column.key)}
+                        className="accent-cyan-400"
+                      />
+                      {column.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Format */}
+              <label className="flex items-start gap-3 text-sm text-slate-200 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={preferences.bom}
+                  onChange={(e) => update({ bom: e.target.checked })}
+                  className="accent-cyan-400 mt-0.5"
+                />
+                <span>
+                  Excel compatible
+                  <span className="block text-xs text-slate-400">
+                    Adds a UTF-8 byte order mark so Excel shows ₹ and other characters correctly
+                  </span>
+                </span>
+              </label>
+            </div>
+
+            {/* Footer */}
+            <div className="flex gap-3 p-6 border-t border-white/10">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => {
+                  onExport({ ...preferences, scope });
+                  onClose();
+                }}
+                disabled={preferences.columns.length === 0 || exportCount === 0}
+                className="flex-1 flex items-center justify-center gap-2 text-white py-3 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Download size={18} />
+                Export {exportCount} Invoice{exportCount !== 1 ? 's' : ''}
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onClose}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3 px-4 rounded-xl font-bold transition-all"
+              >
+                Cancel
+              </motion.button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,270 @@
+import { motion } from 'framer-motion';
+import { AlertCircle, Filter, Plus, Trash2 } from 'lucide-react';
+import { useState } from 'react';
+import {
+  EMPTY_FILTERS,
+  FILTER_FIELDS,
+  MATCH_OPTIONS,
+  createCondition,
+  createGroup,
+  getConditionError,
+  getFieldOptions
+} from '../utils/filters';
+
+// ============================================
+// FILTER BUILDER COMPONENT
+// ============================================
+
+const inputClass = 'px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200';
+
+const MatchSelect = ({ value, onChange, label }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    aria-label={label}
+    className={`${inputClass} py-1.5 font-semibold cursor-pointer`}
+  >
+    {MATCH_OPTIONS.map(option => (
+      <option key={option.value} value={option.value}>{option.label}</option>
+    ))}
+  </select>
+);
+
+const RangeEditor = ({ condition, onChange }) => {
+  const { type } = FILTER_FIELDS[condition.field];
+  const inputType = type === 'dateRange' ? 'date' : 'number';
+  const labels = type === 'dateRange' ? ['From', 'To'] : ['Min', 'Max'];
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap">
+      {['min', 'max'].map((bound, index) => (
+        <label key={bound} className="flex items-center gap-2 text-sm text-gray-600">
+          {labels[index]}
+          <input
+            type={inputType}
+            min={inputType === 'number' ? 0 : undefined}
+            value={condition[bound] ?? ''}
+            onChange={(e) => onChange({ [bound]: e.target.value })}
+            className={`${inputClass} w-40`}
+          />
+        </label>
+      ))}
+    </div>
+  );
+};
+
+const MultiSelectEditor = ({ condition, options, onChange }) => {
+  if (options.length === 0) {
+    return <p className="text-sm text-gray-500 py-2">No {FILTER_FIELDS[condition.field].label.toLowerCase()} to pick from yet</p>;
+  }
+
+  const toggle = (value) => {
+    onChange({
+      values: condition.values.includes(value)
+        ? condition.values.filter(v => v !== value)
+        : [...condition.values, value]
+    });
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {options.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => toggle(option.value)}
+          className={`px-3 py-1.5 rounded-full text-xs font-semibold border transition-colors ${
+            condition.values.includes(option.value)
+              ? 'bg-blue-600 text-white border-blue-600'
+              : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Edits a copy of the applied filters; nothing reaches the table (or the
+// URL) until Apply. Conditions left empty are dropped on apply.
+const FilterBuilder = ({ filters, customers, invoices, onApply, onClose }) => {
+  const [draft, setDraft] = useState(() =>
+    filters.groups.length > 0 ? filters : { ...EMPTY_FILTERS, groups: [createGroup()] }
+  );
+  const [showErrors, setShowErrors] = useState(false);
+
+  const updateGroup = (groupIndex, change) => {
+    setDraft(prev => ({
+      ...prev,
+      groups: prev.groups.map((group, i) => (i === groupIndex ? change(group) : group))
+    }));
+  };
+
+  const updateCondition = (groupIndex, conditionIndex, changes) => {
+    updateGroup(groupIndex, group => ({
+      ...group,
+      conditions: group.conditions.map((c, i) => (i === conditionIndex ? { ...c, ...changes } : c))
+    }));
+  };
+
+  const removeCondition = (groupIndex, conditionIndex) => {
+    setDraft(prev => ({
+      ...prev,
+      groups: prev.groups
+        .map((group, i) => (i === groupIndex
+          ? { ...group, conditions: group.conditions.filter((_, j) => j !== conditionIndex) }
+          : group))
+        .filter(group => group.conditions.length > 0)
+    }));
+  };
+
+  const hasErrors = draft.groups.some(group => group.conditions.some(getConditionError));
+
+  const handleApply = () => {
+    if (hasErrors) {
+      setShowErrors(true);
+      return;
+    }
+    onApply(draft);
+    onClose();
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      className="overflow-hidden"
+    >
+      <div className="border border-gray-200 rounded-xl bg-gray-50 p-5 space-y-4">
+        <div className="flex items-center gap-2 text-sm text-gray-700">
+          <Filter size={16} className="text-blue-600" />
+          Show invoices matching
+          <MatchSelect
+            value={draft.match}
+            onChange={(match) => setDraft(prev => ({ ...prev, match }))}
+            label="Match groups"
+          />
+          of these groups
+        </div>
+
+        {draft.groups.map((group, groupIndex) => (
+          <div key={groupIndex} className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <span className="font-bold text-gray-800">Group {groupIndex + 1}</span>
+              <span>·</span>
+              <MatchSelect
+                value={group.match}
+                onChange={(match) => updateGroup(groupIndex, g => ({ ...g, match }))}
+                label={`Match conditions in group ${groupIndex + 1}`}
+              />
+              of
+            </div>
+
+            {group.conditions.map((condition, conditionIndex) => {
+              const error = showErrors && getConditionError(condition);
+              return (
+                <div key={conditionIndex}>
+                  <div className="flex items-start gap-3">
+                    <select
+                      value={condition.field}
+                      onChange={(e) => updateCondition(groupIndex, conditionIndex, createCondition(e.target.value))}
+                      aria-label="Filter field"
+                      className={`${inputClass} w-44 cursor-pointer`}
+                    >
+                      {Object.entries(FILTER_FIELDS).map(([key, field]) => (
+                        <option key={key} value={key}>{field.label}</option>
+                      ))}
+                    </select>
+                    <div className="flex-1">
+                      {FILTER_FIELDS[condition.field].type === 'multiSelect' ? (
+                        <MultiSelectEditor
+                          condition={condition}
+                          options={getFieldOptions(condition.field, { customers, invoices })}
+                          onChange={(changes) => updateCondition(groupIndex, conditionIndex, changes)}
+                        />
+                      ) : (
+                        <RangeEditor
+                          condition={condition}
+                          onChange={(changes) => updateCondition(groupIndex, conditionIndex, changes)}
+                        />
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeCondition(groupIndex, conditionIndex)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Remove condition"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                  {error && (
+                    <p className="text-red-600 text-xs font-semibold mt-2 flex items-center gap-1">
+                      <AlertCircle size={14} />
+                      {error}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+
+            <button
+              type="button"
+              onClick={() => updateGroup(groupIndex, g => ({
+                ...g,
+                conditions: [...g.conditions, createCondition('amount')]
+              }))}
+              className="flex items-center gap-1 text-sm font-semibold text-blue-600 hover:text-blue-700"
+            >
+              <Plus size={14} />
+              Add condition
+            </button>
+          </div>
+        ))}
+
+        <button
+          type="button"
+          onClick={() => setDraft(prev => ({ ...prev, groups: [...prev.groups, createGroup()] }))}
+          className="flex items-center gap-1 text-sm font-semibold text-blue-600 hover:text-blue-700"
+        >
+          <Plus size={14} />
+          Add group
+        </button>
+
+        <div className="flex gap-3 pt-2 border-t border-gray-200">
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={handleApply}
+            className="px-5 py-2.5 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+          >
+            Apply Filters
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={() => {
+              onApply(EMPTY_FILTERS);
+              onClose();
+            }}
+            className="px-5 py-2.5 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg font-semibold hover:bg-gray-200 transition-colors"
+          >
+            Clear All
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={onClose}
+            className="px-5 py-2.5 text-gray-600 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
+          >
+            Cancel
+          </motion.button>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default FilterBuilder;
@@ -0,0 +1,66 @@
+import { X } from 'lucide-react';
+import { MATCH_OPTIONS, cleanFilters, describeCondition, getFieldOptions } from '../utils/filters';
+
+// ============================================
+// FILTER CHIPS COMPONENT
+// ============================================
+
+const joinerFor = (match) => MATCH_OPTIONS.find(o => o.value === match).joiner;
+
+const Joiner = ({ match }) => (
+  <span className="text-xs font-bold uppercase text-gray-400">{joinerFor(match)}</span>
+);
+
+// The applied advanced filters as removable chips. Groups with more than
+// one condition are boxed so the and/or reads the way it is evaluated.
+const FilterChips = ({ filters, customers, invoices, onChange }) => {
+  if (filters.groups.length === 0) return null;
+
+  const removeCondition = (groupIndex, conditionIndex) => {
+    onChange(cleanFilters({
+      ...filters,
+      groups: filters.groups.map((group, i) => (i === groupIndex
+        ? { ...group, conditions: group.conditions.filter((_, j) => j !== conditionIndex) }
+        : group))
+    }));
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-4">
+      {filters.groups.map((group, groupIndex) => (
+        <div key={groupIndex} className="flex flex-wrap items-center gap-2">
+          {groupIndex > 0 && <Joiner match={filters.match} />}
+          <div className={`flex flex-wrap items-center gap-2 ${
+            group.conditions.length > 1 ? 'px-2 py-1 border border-dashed border-gray-300 rounded-lg' : ''
+          }`}>
+            {group.conditions.map((condition, conditionIndex) => (
+              <div key={conditionIndex} className="flex items-center gap-2">
+                {conditionIndex > 0 && <Joiner match={group.match} />}
+                <span className="flex items-center gap-1.5 pl-3 pr-1.5 py-1 bg-blue-50 text-blue-700 border border-blue-200 rounded-full text-xs font-semibold">
+                  {describeCondition(condition, getFieldOptions(condition.field, { customers, invoices }))}
+                  <button
+                    type="button"
+                    onClick={() => removeCondition(groupIndex, conditionIndex)}
+                    className="p-0.5 rounded-full hover:bg-blue-100"
+                    title="Remove filter"
+                  >
+                    <X size={12} />
+                  </button>
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange({ ...filters, groups: [] })}
+        className="text-xs font-semibold text-gray-500 hover:text-gray-700 underline"
+      >
+        Clear all
+      </button>
+    </div>
+  );
+};
+
+export default FilterChips;
@@ -0,0 +1,364 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, ArrowLeft, CheckCircle, FileSpreadsheet, Upload, X } from 'lucide-react';
+import { useMemo, useState } from 'react';
+import { parseCSV } from '../utils/csv';
+import { formatDate } from '../utils/dates';
+import { IMPORT_FIELDS, buildImportPreview, getMissingRequiredFields, guessMapping } from '../utils/invoiceImport';
+import { readXLSXRows } from '../utils/xlsx';
+
+const formatMoney = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'map', label: 'Map Columns' },
+  { key: 'preview', label: 'Preview' }
+];
+
+const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.xlsx')) return readXLSXRows(await file.arrayBuffer());
+  if (name.endsWith('.csv') || name.endsWith('.txt')) return parseCSV(await file.text());
+  if (name.endsWith('.xls')) throw new Error('Old .xls workbooks are not supported; save the sheet as .xlsx or CSV first');
+  throw new Error('Choose a .csv or .xlsx file');
+};
+
+// ============================================
+// IMPORT WIZARD COMPONENT
+// ============================================
+
+const ImportWizard = ({ isOpen, onClose, customers, existingIds, onImport }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [fileError, setFileError] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  const [importedCount, setImportedCount] = useState(null);
+
+  const headers = rows[0] || [];
+  const missingFields = getMissingRequiredFields(mapping);
+
+  const preview = useMemo(
+    () => (step === 'preview' ? buildImportPreview(rows, mapping, { customers, existingIds }) : []),
+    [step, rows, mapping, customers, existingIds]
+  );
+  const readyEntries = preview.filter(entry => entry.errors.length === 0);
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setRows([]);
+    setMapping({});
+    setFileError('');
+    setImportedCount(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setFileError('');
+    try {
+      const sheetRows = await readSpreadsheet(file);
+      if (sheetRows.length < 2) {
+        throw new Error('The file needs a header row and at least one invoice row');
+      }
+      setFileName(file.name);
+      setRows(sheetRows);
+      setMapping(guessMapping(sheetRows[0]));
+      setStep('map');
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  const handleImport = () => {
+    onImport(readyEntries);
+    setImportedCount(readyEntries.length);
+  };
+
+  const stepIndex = STEPS.findIndex(s => s.key === step);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="absolute inset-0 bg-black/60 backdrop-blur-sm"
+            onClick={handleClose}
+          />
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="relative w-full max-w-4xl max-h-[90vh] flex flex-col bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border border-white/10 rounded-2xl shadow-2xl"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-white/10">
+              <div>
+                <h2 className="text-xl font-bold text-white">Import Invoices</h2>
+                <p className="text-sm text-slate-300 mt-1">
+                  {fileName || 'Bulk-load invoices from a CSV or Excel sheet'}
+                </p>
+              </div>
+              <motion.button
+                whileHover={{ rotate: 90, scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={handleClose}
+                className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+              >
+                <X size={22} />
+              </motion.button>
+            </div>
+
+            {/* Steps */}
+            {importedCount === null && (
+              <div className="flex gap-2 px-6 pt-5">
+                {STEPS.map((s, index) => (
+                  <div
+                    key={s.key}
+                    className={`flex-1 text-center text-xs font-bold uppercase tracking-wider pb-2 border-b-2 ${
+                      index <= stepIndex ? 'text-cyan-400 border-cyan-400' : 'text-slate-500 border-slate-700'
+                    }`}
+                  >
+                    {index + 1}. {s.label}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex-1 overflow-y-auto p-6">
+              {importedCount !== null ? (
+                <div className="py-12 text-center">
+                  <CheckCircle size={48} className="mx-auto text-emerald-400" />
+                  <p className="text-white text-lg font-bold mt-4">
+                    Imported {importedCount} invoice{importedCount !== 1 ? 's' : ''}
+                  </p>
+                  {preview.length > importedCount && (
+                    <p className="text-sm text-slate-400 mt-1">
+                      {preview.length - importedCount} with errors were skipped
+                    </p>
+                  )}
+                </div>
+              ) : step === 'upload' ? (
+                <div>
+                  <label
+                    onDragOver={(e) => {
+                      e.preventDefault();
+                      setIsDragging(true);
+                    }}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      setIsDragging(false);
+                      handleFile(e.dataTransfer.files[0]);
+                    }}
+                    className={`flex flex-col items-center justify-center gap-3 py-14 border-2 border-dashed rounded-xl cursor-pointer transition-colors ${
+                      isDragging ? 'border-cyan-400 bg-cyan-400/10' : 'border-slate-600 hover:border-cyan-400'
+                    }`}
+                  >
+                    <FileSpreadsheet size={40} className="text-cyan-400" />
+                    <span className="text-white font-semibold">Drop a file here or click to browse</span>
+                    <span className="text-xs text-slate-400">
+                      .csv or .xlsx · first row must be column headers · one line item per row
+                    </span>
+                    <input
+                      type="file"
+                      accept=".csv,.xlsx,text/csv"
+                      className="hidden"
+                      onChange={(e) => {
+                        handleFile(e.target.files[0]);
+                        e.target.value = '';
+                      }}
+                    />
+                  </label>
+                  {fileError && (
+                    <p className="text-red-400 text-sm font-semibold mt-3 flex items-center gap-1">
+                      <AlertCircle size={16} />
+                      {fileError}
+                    </p>
+                  )}
+                  <p className="text-xs text-slate-400 mt-4">
+                    Rows that share an invoice number become line items of one invoice. Customers not yet
+                    in the master are added automatically.
+                  </p>
+                </div>
+              ) : step === 'map' ? (
+                <div className="space-y-3">
+                  <p className="text-sm text-slate-300">
+                    {rows.length - 1} row{rows.length !== 2 ? 's' : ''} found. Match each invoice field to a
+                    column in your file.
+                  </p>
+                  {IMPORT_FIELDS.map(field => {
+                    const column = mapping[field.key];
+                    const sample = column === '' ? '' : rows[1][column];
+                    return (
+                      <div key={field.key} className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:items-center">
+                        <label className="text-sm font-semibold text-slate-200">
+                          {field.label} {field.required && <span className="text-red-400">*</span>}
+                        </label>
+                        <select
+                          value={column}
+                          onChange={(e) => setMapping(prev => ({
+                            ...prev,
+                            [field.key]: e.target.value === '' ? '' : Number(e.target.value)
+                          }))}
+                          className="px-3 py-2 border rounded-lg bg-slate-800 text-white border-slate-600 focus:outline-none focus:border-cyan-400 cursor-pointer"
+                        >
+                          <option value="">— Not in file —</option>
+                          {headers.map((header, index) => (
+                            <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                          ))}
+                        </select>
+                        <span className="text-xs text-slate-400 truncate">
+                          {sample ? `e.g. ${sample}` : ''}
+                        </span>
+                      </div>
+                    );
+                  })}
+                  {missingFields.length > 0 && (
+                    <p className="text-red-400 text-sm font-semibold flex items-center gap-1 pt-2">
+                      <AlertCircle size={16} />
+                      Map the required fields: {missingFields.map(f => f.label).join(', ')}
+                    </p>
+                  )}
+                </div>
+              ) : (
+                <div>
+                  <p className="text-sm text-slate-300 mb-4">
+                    <span className="text-emerald-400 font-bold">{readyEntries.length} ready</span>
+                    {' · '}
+                    <span className={preview.length > readyEntries.length ? 'text-red-400 font-bold' : ''}>
+                      {preview.length - readyEntries.length} with errors
+                    </span>
+                    {' '}— only invoices without errors are imported.
+                  </p>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-white/10 text-left text-xs font-bold text-slate-400 uppercase">
+                          <th className="py-2 pr-3">Row</th>
+                          <th className="py-2 px-3">Invoice #</th>
+                          <th className="py-2 px-3">Customer</th>
+                          <th className="py-2 px-3">Date</th>
+                          <th className="py-2 px-3 text-right">Amount</th>
+                          <th className="py-2 pl-3">Result</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-white/5">
+                        {preview.map(entry => (
+                          <tr key={entry.key} className="align-top">
+                            <td className="py-2 pr-3 text-slate-400">
+                              {entry.rowNumbers.length > 1
+                                ? `${entry.rowNumbers[0]}–${entry.rowNumbers[entry.rowNumbers.length - 1]}`
+                                : entry.rowNumbers[0]}
+                            </td>
+                            <td className="py-2 px-3 text-white font-semibold">{entry.invoice.id || 'Auto'}</td>
+                            <td className="py-2 px-3 text-slate-200">
+                              {entry.invoice.customerName || '—'}
+                              {entry.newCustomer && (
+                                <span className="ml-2 px-1.5 py-0.5 rounded bg-cyan-500/20 text-cyan-300 text-xs font-semibold">
+                                  New
+                                </span>
+                              )}
+                            </td>
+                            <td className="py-2 px-3 text-slate-200">
+                              {entry.invoice.invoiceDate ? formatDate(entry.invoice.invoiceDate) : '—'}
+                            </td>
+                            <td className="py-2 px-3 text-right text-slate-200">{formatMoney(entry.grandTotal)}</td>
+                            <td className="py-2 pl-3">
+                              {entry.errors.length === 0 ? (
+                                <span className="text-emerald-400 font-semibold flex items-center gap-1">
+                                  <CheckCircle size={14} />
+                                  Ready
+                                </span>
+                              ) : (
+                                entry.errors.map(error => (
+                                  <p key={error} className="text-red-400 text-xs font-semibold flex items-start gap-1">
+                                    <AlertCircle size={14} className="shrink-0" />
+                                    {error}
+                                  </p>
+                                ))
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Footer */}
+            <div className="flex gap-3 p-6 border-t border-white/10">
+              {importedCount !== null ? (
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleClose}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3 px-4 rounded-xl font-bold transition-all"
+                >
+                  Done
+                </motion.button>
+              ) : (
+                <>
+                  {step !== 'upload' && (
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={() => setStep(step === 'preview' ? 'map' : 'upload')}
+                      className="flex items-center justify-center gap-2 bg-slate-700 hover:bg-slate-600 text-white py-3 px-5 rounded-xl font-bold transition-all"
+                    >
+                      <ArrowLeft size={18} />
+                      Back
+                    </motion.button>
+                  )}
+                  {step === 'map' && (
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={() => setStep('preview')}
+                      disabled={missingFields.length > 0}
+                      className="flex-1 text-white py-3 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Preview Import
+                    </motion.button>
+                  )}
+                  {step === 'preview' && (
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={handleImport}
+                      disabled={readyEntries.length === 0}
+                      className="flex-1 flex items-center justify-center gap-2 text-white py-3 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Upload size={18} />
+                      Import {readyEntries.length} Invoice{readyEntries.length !== 1 ? 's' : ''}
+                    </motion.button>
+                  )}
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={handleClose}
+                    className={`${step === 'upload' ? 'flex-1' : ''} bg-slate-700 hover:bg-slate-600 text-white py-3 px-5 rounded-xl font-bold transition-all`}
+                  >
+                    Cancel
+                  </motion.button>
+                </>
+              )}
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,681 @@
+import { motion } from 'framer-motion';
+import {
+  AlertCircle,
+  ArrowLeft,
+  BellRing,
+  ArrowRightLeft,
+  Copy,
+  Download,
+  Edit2,
+  FileDown,
+  History,
+  Mail,
+  Paperclip,
+  Plus,
+  Printer,
+  RotateCcw,
+  Send,
+  Trash2,
+  Wallet
+} from 'lucide-react';
+import { useState } from 'react';
+import { COMPANY_PROFILE } from '../config/company';
+import { DOCUMENT_TYPES, NOTE_TYPES, canIssueNote, getDocumentType, isAdjustmentNote } from '../utils/adjustmentNotes';
+import { formatFileSize, readAttachment } from '../utils/attachments';
+import { AUDIT_ACTIONS, buildRevertedInvoice, diffInvoice, formatAuditValue, getFieldLabel } from '../utils/auditLog';
+import { daysBetween, formatDate } from '../utils/dates';
+import { calculateLineItem, getStateName } from '../utils/gst';
+import { STATUS_BY_KEY, describeDueDate } from '../utils/invoiceStatus';
+import { getPaymentModeLabel } from '../utils/payments';
+import { REMINDER_CHANNELS, buildDunningMessage, describeOffset, getCurrentLevel, isDunnable, sortLevels } from '../utils/dunning';
+import { pickInvoiceTemplate, renderTemplate } from '../utils/messageTemplates';
+import { buildMailtoLink } from '../utils/reminders';
+
+const formatMoney = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+const ACTION_ICONS = {
+  created: Plus,
+  updated: Edit2,
+  status_changed: ArrowRightLeft,
+  payment_recorded: Wallet,
+  payment_deleted: Trash2,
+  reminder_sent: Mail,
+  reverted: RotateCcw,
+  deleted: Trash2
+};
+
+// Creates and deletes carry every field; the timeline only lists the diff
+// for changes to an existing invoice.
+const SHOWS_CHANGES = ['updated', 'status_changed', 'payment_recorded', 'payment_deleted', 'reverted'];
+
+const TIMELINE_FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'status', label: 'Status', actions: ['created', 'status_changed', 'reminder_sent'] },
+  { key: 'payments', label: 'Payments', actions: ['payment_recorded', 'payment_deleted'] }
+];
+
+const actionButtonClass =
+  'flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-semibold hover:bg-gray-200 transition-colors border border-gray-300 text-sm';
+
+const cardClass = 'bg-white rounded-xl shadow-sm border border-gray-200 p-6';
+
+const ActionButton = ({ icon, label, onClick, primary = false }) => {
+  const Icon = icon;
+  return (
+    <motion.button
+      whileHover={{ scale: 1.05 }}
+      whileTap={{ scale: 0.95 }}
+      onClick={onClick}
+      className={primary
+        ? 'flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md text-sm'
+        : actionButtonClass}
+    >
+      <Icon size={16} />
+      {label}
+    </motion.button>
+  );
+};
+
+const ErrorText = ({ children }) => (
+  <p className="text-red-600 text-xs font-semibold flex items-center gap-1">
+    <AlertCircle size={14} />
+    {children}
+  </p>
+);
+
+// ============================================
+// INVOICE DETAIL PAGE COMPONENT
+// ============================================
+
+// Everything about one invoice or note: the document as issued, payments,
+// notes, attachments and its audit timeline, with the common actions.
+// `storedInvoice` is the invoice as saved, used to offer only reverts that
+// change something; `onRevert` returns an error message when the invoice
+// cannot be reverted.
+const InvoiceDetailPage = ({
+  invoice,
+  storedInvoice,
+  customer,
+  today,
+  history,
+  actor,
+  onActorChange,
+  onRevert,
+  notes = [],
+  attachments = [],
+  canAttach = true,
+  dunningLevels = [],
+  reminders = [],
+  templates = [],
+  onBack,
+  onOpenInvoice,
+  onEdit,
+  onChangeStatus,
+  onRecordPayment,
+  onReminderSent,
+  onDuplicate,
+  onPdf,
+  onIssueNote,
+  onAddAttachment,
+  onDeleteAttachment
+}) => {
+  const [revertError, setRevertError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [timelineFilter, setTimelineFilter] = useState('all');
+
+  const [loadedId, setLoadedId] = useState(invoice.id);
+  if (invoice.id !== loadedId) {
+    setLoadedId(invoice.id);
+    setRevertError(null);
+    setActionError(null);
+    setAttachmentError(null);
+    setTimelineFilter('all');
+  }
+
+  const status = STATUS_BY_KEY[invoice.status];
+  const documentType = DOCUMENT_TYPES[getDocumentType(invoice)];
+  const isNote = isAdjustmentNote(invoice);
+  const { totals } = invoice;
+  const daysToDue = daysBetween(today, invoice.dueDate);
+  const canCollect = status.receivable && invoice.balanceDue > 0;
+  const canEmail = !isNote && !['void', 'written_off'].includes(invoice.status);
+  const currentLevel = isDunnable(invoice) ? getCurrentLevel(dunningLevels, invoice, today) : null;
+  const sentLevelIds = new Set(reminders.map(r => r.levelId));
+
+  const handleRevert = (event) => {
+    if (!window.confirm(`Revert ${invoice.id} to the version of ${new Date(event.at).toLocaleString('en-IN')}?`)) return;
+    setRevertError(onRevert(invoice.id, event.id));
+  };
+
+  const canRevert = (event) =>
+    Boolean(event.snapshot && storedInvoice && !status.locked)
+    && diffInvoice(storedInvoice, buildRevertedInvoice(storedInvoice, event.snapshot)).length > 0;
+
+  const handleReminder = () => {
+    if (!customer?.email) {
+      setActionError(`Add an email address for ${invoice.customerName} in Customers to send reminders`);
+      return;
+    }
+    setActionError(null);
+    // The message of the dunning level reached, or a general reminder
+    // before the first level is due.
+    const email = currentLevel
+      ? buildDunningMessage(currentLevel, invoice, customer, today, templates)
+      : renderTemplate(null, invoice, customer, today);
+    window.location.assign(buildMailtoLink(email));
+    onReminderSent({ invoice, level: currentLevel, channel: 'email', to: email.to });
+  };
+
+  // The invoice email in the customer's language; the PDF is attached by
+  // hand from the download.
+  const handleEmailInvoice = () => {
+    if (!customer?.email) {
+      setActionError(`Add an email address for ${invoice.customerName} in Customers to email invoices`);
+      return;
+    }
+    const template = pickInvoiceTemplate(templates, customer.language);
+    if (!template) {
+      setActionError('Add an invoice email template under Reminders → Edit Templates');
+      return;
+    }
+    setActionError(null);
+    window.location.assign(buildMailtoLink(renderTemplate(template, invoice, customer, today)));
+  };
+
+  const handleFiles = async (files) => {
+    setAttachmentError(null);
+    for (const file of files) {
+      try {
+        onAddAttachment(await readAttachment(file, invoice.id));
+      } catch (err) {
+        setAttachmentError(err.message);
+      }
+    }
+  };
+
+  const timelineActions = TIMELINE_FILTERS.find(f => f.key === timelineFilter).actions;
+  const visibleHistory = timelineActions
+    ? history.filter(event => timelineActions.includes(event.action))
+    : history;
+
+  const billTo = [
+    customer?.billingAddress,
+    customer?.gstin ? `GSTIN: ${customer.gstin}` : 'Unregistered',
+    `Place of supply: ${getStateName(invoice.placeOfSupply)} (${invoice.placeOfSupply})`
+  ].filter(Boolean);
+
+  const payments = [...(invoice.payments || [])].sort((a, b) => a.date.localeCompare(b.date));
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-6">
+      {/* Header */}
+      <div className={cardClass}>
+        <button
+          type="button"
+          onClick={onBack}
+          className="flex items-center gap-1 text-sm font-semibold text-blue-600 hover:text-blue-800 mb-4"
+        >
+          <ArrowLeft size={16} />
+          All invoices
+        </button>
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-gray-900 flex flex-wrap items-center gap-3">
+              {invoice.id}
+              <span className={`inline-flex px-3 py-1 rounded-full text-xs font-bold uppercase ${status.badgeClass}`}>
+                {status.label}
+              </span>
+              {isNote && (
+                <span className={`inline-flex px-3 py-1 rounded-full text-xs font-bold uppercase ${documentType.badgeClass}`}>
+                  {documentType.label}
+                </span>
+              )}
+            </h2>
+            <p className="text-gray-600 mt-1">
+              {invoice.customerName}
+              {invoice.statusReason && <span className="text-gray-400"> · {invoice.statusReason}</span>}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {canCollect && <ActionButton icon={Wallet} label="Record Payment" onClick={() => onRecordPayment(invoice.id)} primary />}
+            {canCollect && <ActionButton icon={Mail} label="Send Reminder" onClick={handleReminder} />}
+            {canEmail && <ActionButton icon={Send} label="Email Invoice" onClick={handleEmailInvoice} />}
+            {!isNote && <ActionButton icon={Copy} label="Duplicate" onClick={() => onDuplicate(invoice)} />}
+            <ActionButton icon={FileDown} label="PDF" onClick={() => onPdf(invoice, 'download')} />
+            <ActionButton icon={Printer} label="Print" onClick={() => onPdf(invoice, 'print')} />
+            {!status.locked && <ActionButton icon={Edit2} label="Edit" onClick={() => onEdit(invoice.id)} />}
+            <ActionButton icon={ArrowRightLeft} label="Change Status" onClick={() => onChangeStatus(invoice.id)} />
+          </div>
+        </div>
+        {actionError && <div className="mt-3"><ErrorText>{actionError}</ErrorText></div>}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          {/* Document */}
+          <div className={cardClass}>
+            <div className="flex flex-wrap justify-between gap-6 pb-5 border-b border-gray-200">
+              <div className="text-sm text-gray-600 max-w-xs">
+                <p className="font-bold text-gray-900">{COMPANY_PROFILE.name}</p>
+                <p>{COMPANY_PROFILE.address}</p>
+                <p>GSTIN: {COMPANY_PROFILE.gstin}</p>
+              </div>
+              <div className="text-sm text-right">
+                <p className="text-lg font-black text-gray-900 uppercase">
+                  {isNote ? documentType.label : 'Tax Invoice'}
+                </p>
+                <p className="text-gray-600">
+                  {isNote ? 'Note' : 'Invoice'} # <span className="font-semibold text-gray-900">{invoice.id}</span>
+                </p>
+                <p className="text-gray-600">Date: {formatDate(invoice.invoiceDate)}</p>
+                {isNote ? (
+                  <p className="text-gray-600">
+                    Against{' '}
+                    <button
+                      type="button"
+                      onClick={() => onOpenInvoice(invoice.referenceInvoiceId)}
+                      className="font-semibold text-blue-600 hover:text-blue-800"
+                    >
+                      {invoice.referenceInvoiceId}
+                    </button>
+                  </p>
+                ) : (
+                  <p className="text-gray-600">Due: {formatDate(invoice.dueDate)} ({invoice.paymentTerms} days)</p>
+                )}
+              </div>
+            </div>
+
+            <div className="py-5 text-sm">
+              <p className="text-xs font-bold text-gray-500 uppercase tracking-wider mb-1">Bill To</p>
+              <p className="font-semibold text-gray-900">{invoice.customerName}</p>
+              {billTo.map(line => <p key={line} className="text-gray-600">{line}</p>)}
+              {isNote && invoice.noteReason && <p className="text-gray-600 mt-2">Reason: {invoice.noteReason}</p>}
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="bg-gray-50 text-xs font-bold text-gray-500 uppercase tracking-wider">
+                    <th className="px-3 py-2 text-left">Description</th>
+                    <th className="px-3 py-2 text-left">HSN/SAC</th>
+                    <th className="px-3 py-2 text-right">Qty</th>
+                    <th className="px-3 py-2 text-right">Rate</th>
+                    <th className="px-3 py-2 text-right">Disc.</th>
+                    <th className="px-3 py-2 text-right">Taxable</th>
+                    <th className="px-3 py-2 text-right">GST</th>
+                    <th className="px-3 py-2 text-right">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {invoice.lineItems.map(item => {
+                    const line = calculateLineItem(item);
+                    return (
+                      <tr key={item.id}>
+                        <td className="px-3 py-2 text-gray-900">{item.description}</td>
+                        <td className="px-3 py-2 text-gray-600">{item.hsnSac || '—'}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{item.quantity}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{formatMoney(Number(item.unitPrice))}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{item.discount ? `${item.discount}%` : '—'}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{formatMoney(line.taxableValue)}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{line.gstRate}%</td>
+                        <td className="px-3 py-2 text-right font-semibold text-gray-900">{formatMoney(line.total)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <dl className="mt-5 ml-auto max-w-xs text-sm space-y-1">
+              {[
+                ['Taxable value', totals.subtotal],
+                ...(totals.interState
+                  ? [['IGST', totals.igst]]
+                  : [['CGST', totals.cgst], ['SGST', totals.sgst]]),
+                ...(totals.roundOff ? [['Round off', totals.roundOff]] : [])
+              ].map(([label, value]) => (
+                <div key={label} className="flex justify-between text-gray-600">
+                  <dt>{label}</dt>
+                  <dd>{formatMoney(value)}</dd>
+                </div>
+              ))}
+              <div className="flex justify-between font-bold text-gray-900 border-t border-gray-200 pt-1">
+                <dt>Grand total</dt>
+                <dd>{formatMoney(invoice.amount)}</dd>
+              </div>
+              {!isNote && invoice.adjustments !== 0 && (
+                <>
+                  <div className="flex justify-between text-gray-600">
+                    <dt>Credit / debit notes</dt>
+                    <dd>{invoice.adjustments < 0 ? '−' : '+'}{formatMoney(Math.abs(invoice.adjustments))}</dd>
+                  </div>
+                  <div className="flex justify-between font-bold text-gray-900">
+                    <dt>Net amount</dt>
+                    <dd>{formatMoney(invoice.netAmount)}</dd>
+                  </div>
+                </>
+              )}
+            </dl>
+          </div>
+
+          {/* Payments */}
+          {!isNote && (
+            <div className={cardClass}>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-bold text-gray-800">Payment History</h3>
+                <p className="text-sm text-gray-500">
+                  {formatMoney(invoice.amountPaid)} received of {formatMoney(invoice.netAmount)}
+                </p>
+              </div>
+              {payments.length === 0 ? (
+                <p className="text-sm text-gray-500">No payments recorded</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs font-bold text-gray-500 uppercase tracking-wider text-left">
+                      <th className="py-2">Date</th>
+                      <th className="py-2">Mode</th>
+                      <th className="py-2">Reference</th>
+                      <th className="py-2 text-right">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {payments.map(payment => (
+                      <tr key={payment.id}>
+                        <td className="py-2 text-gray-900">{formatDate(payment.date)}</td>
+                        <td className="py-2 text-gray-600">{getPaymentModeLabel(payment.mode)}</td>
+                        <td className="py-2 text-gray-600">{payment.reference || '—'}</td>
+                        <td className="py-2 text-right font-semibold text-gray-900">{formatMoney(payment.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-6">
+          {/* Summary */}
+          <div className={cardClass}>
+            {!isNote && (
+              <p className={`text-2xl font-black ${
+                status.receivable && daysToDue < 0 ? 'text-red-600' : 'text-gray-900'
+              }`}>
+                {describeDueDate(invoice, today)}
+              </p>
+            )}
+            <dl className="mt-3 grid grid-cols-2 gap-3 text-sm">
+              {(isNote
+                ? [['Amount', formatMoney(invoice.amount)], ['Issued', formatDate(invoice.invoiceDate)]]
+                : [
+                    ['Due Date', formatDate(invoice.dueDate)],
+                    ['Net Amount', formatMoney(invoice.netAmount)],
+                    ['Paid', formatMoney(invoice.amountPaid)],
+                    ['Balance Due', formatMoney(invoice.balanceDue)]
+                  ]
+              ).map(([label, value]) => (
+                <div key={label}>
+                  <dt className="text-xs text-gray-500">{label}</dt>
+                  <dd className="font-semibold text-gray-900">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+
+          {/* Credit & Debit Notes */}
+          {!isNote && (
+            <div className={cardClass}>
+              <div className="flex items-center justify-between gap-3 mb-3">
+                <h3 className="text-lg font-bold text-gray-800">Credit &amp; Debit Notes</h3>
+                {canIssueNote(invoice) && (
+                  <div className="flex gap-3 text-xs font-semibold">
+                    {NOTE_TYPES.map(type => (
+                      <button
+                        key={type}
+                        type="button"
+                        onClick={() => onIssueNote(type)}
+                        className="flex items-center gap-1 text-blue-600 hover:text-blue-800"
+                      >
+                        <Plus size={12} />
+                        {DOCUMENT_TYPES[type].label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {notes.length === 0 ? (
+                <p className="text-sm text-gray-500">None issued</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {notes.map(note => (
+                    <li key={note.id} className="flex items-start justify-between gap-3">
+                      <span>
+                        <button
+                          type="button"
+                          onClick={() => onOpenInvoice(note.id)}
+                          className="font-semibold text-blue-600 hover:text-blue-800"
+                        >
+                          {note.id}
+                        </button>
+                        <span className="block text-xs text-gray-500">
+                          {formatDate(note.invoiceDate)} · {note.noteReason}
+                        </span>
+                      </span>
+                      <span className={`shrink-0 font-semibold ${note.status === 'void' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                        {DOCUMENT_TYPES[note.documentType].sign < 0 ? '−' : '+'}{formatMoney(note.amount)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* Reminders */}
+          {!isNote && (
+            <div className={cardClass}>
+              <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2 mb-3">
+                <BellRing size={18} />
+                Reminders
+              </h3>
+              {isDunnable(invoice) && (
+                <ul className="space-y-1 text-sm mb-3">
+                  {sortLevels(dunningLevels).map(level => (
+                    <li key={level.id} className="flex items-center justify-between gap-3">
+                      <span className={sentLevelIds.has(level.id) ? 'text-gray-900' : 'text-gray-500'}>
+                        {level.name}
+                        <span className="block text-xs text-gray-400">{describeOffset(level.offsetDays)}</span>
+                      </span>
+                      <span className="text-xs font-semibold">
+                        {sentLevelIds.has(level.id)
+                          ? <span className="text-green-600">Sent</span>
+                          : level.id === currentLevel?.id
+                            ? <span className="text-amber-600">Due now</span>
+                            : <span className="text-gray-400">—</span>}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {reminders.length === 0 ? (
+                <p className="text-sm text-gray-500">No reminders sent</p>
+              ) : (
+                <ul className="space-y-2 text-sm border-t border-gray-100 pt-3">
+                  {[...reminders].reverse().map(record => (
+                    <li key={record.id}>
+                      <span className="font-semibold text-gray-900">{record.levelName}</span>
+                      <span className="block text-xs text-gray-500">
+                        {new Date(record.sentAt).toLocaleString('en-IN')} · {REMINDER_CHANNELS[record.channel]}
+                        {record.to && ` to ${record.to}`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* Attachments */}
+          <div className={cardClass}>
+            <div className="flex items-center justify-between gap-3 mb-3">
+              <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+                <Paperclip size={18} />
+                Attachments
+              </h3>
+              {canAttach && (
+                <label className="flex items-center gap-1 text-xs font-semibold text-blue-600 hover:text-blue-800 cursor-pointer">
+                  <Plus size={12} />
+                  Attach
+                  <input
+                    type="file"
+                    multiple
+                    className="hidden"
+                    onChange={(e) => {
+                      handleFiles([...e.target.files]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+              )}
+            </div>
+            {!canAttach && (
+              <p className="text-xs text-gray-500 mb-2">
+                Attachments need IndexedDB storage; this browser is saving to localStorage, which has no room for files.
+              </p>
+            )}
+            {attachmentError && <div className="mb-2"><ErrorText>{attachmentError}</ErrorText></div>}
+            {attachments.length === 0 ? (
+              <p className="text-sm text-gray-500">Purchase orders, delivery challans or signed copies</p>
+            ) : (
+              <ul className="space-y-2 text-sm">
+                {attachments.map(file => (
+                  <li key={file.id} className="flex items-center justify-between gap-3">
+                    <span className="min-w-0">
+                      <span className="block font-semibold text-gray-900 truncate">{file.name}</span>
+                      <span className="block text-xs text-gray-500">
+                        {formatFileSize(file.size)} · {new Date(file.addedAt).toLocaleDateString('en-IN')}
+                      </span>
+                    </span>
+                    <span className="flex gap-1 shrink-0">
+                      <a
+                        href={file.dataUrl}
+                        download={file.name}
+                        className="p-1.5 text-blue-600 hover:bg-blue-50 rounded-lg"
+                        title="Download"
+                      >
+                        <Download size={14} />
+                      </a>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          if (window.confirm(`Remove ${file.name}?`)) onDeleteAttachment(file.id);
+                        }}
+                        className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg"
+                        title="Remove"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Timeline */}
+          <div className={`${cardClass} space-y-4`}>
+            <div className="flex items-center justify-between gap-3">
+              <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+                <History size={18} />
+                Timeline
+              </h3>
+              <div className="flex gap-1">
+                {TIMELINE_FILTERS.map(filter => (
+                  <button
+                    key={filter.key}
+                    type="button"
+                    onClick={() => setTimelineFilter(filter.key)}
+                    className={`px-2 py-1 rounded-md text-xs font-semibold ${
+                      timelineFilter === filter.key ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    {filter.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <label className="flex items-center gap-2 text-xs text-gray-500">
+              Recording as
+              <input
+                type="text"
+                value={actor}
+                onChange={(e) => onActorChange(e.target.value)}
+                placeholder="Your name"
+                className="flex-1 px-2 py-1 border border-gray-300 rounded-lg text-gray-800 focus:outline-none focus:border-blue-500"
+              />
+            </label>
+
+            {revertError && <ErrorText>{revertError}</ErrorText>}
+
+            {visibleHistory.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No changes recorded yet. Changes made from now on will appear here.
+              </p>
+            ) : (
+              <ol className="relative border-l border-gray-200 ml-2 space-y-5">
+                {visibleHistory.map(event => {
+                  const Icon = ACTION_ICONS[event.action] || Edit2;
+                  return (
+                    <li key={event.id} className="ml-5">
+                      <span className="absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full bg-white border border-gray-300 text-blue-600">
+                        <Icon size={12} />
+                      </span>
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <p className="text-sm font-semibold text-gray-900">
+                            {AUDIT_ACTIONS[event.action] || event.action}
+                            {event.note && <span className="text-gray-500 font-normal"> · {event.note}</span>}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {new Date(event.at).toLocaleString('en-IN')} · {event.actor || 'Unknown user'}
+                          </p>
+                        </div>
+                        {canRevert(event) && (
+                          <button
+                            type="button"
+                            onClick={() => handleRevert(event)}
+                            className="shrink-0 flex items-center gap-1 text-xs font-semibold text-blue-600 hover:text-blue-800"
+                            title="Revert to this version"
+                          >
+                            <RotateCcw size={12} />
+                            Revert
+                          </button>
+                        )}
+                      </div>
+                      {SHOWS_CHANGES.includes(event.action) && event.changes.length > 0 && (
+                        <ul className="mt-2 space-y-1 text-xs">
+                          {event.changes.map(change => (
+                            <li key={change.field} className="text-gray-600">
+                              <span className="text-gray-500">{getFieldLabel(change.field)}:</span>{' '}
+                              <span className="line-through text-gray-400">{formatAuditValue(change.field, change.before)}</span>
+                              {' → '}
+                              <span className="text-gray-900">{formatAuditValue(change.field, change.after)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default InvoiceDetailPage;
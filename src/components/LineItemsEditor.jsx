@@ -0,0 +1,227 @@
+import { motion } from 'framer-motion';
+import { AlertCircle, Package, Plus, Trash2 } from 'lucide-react';
+import { COMPANY_PROFILE } from '../config/company';
+import {
+  GST_RATES,
+  INDIAN_STATES,
+  calculateInvoiceTotals,
+  calculateLineItem,
+  createLineItem
+} from '../utils/gst';
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white text-sm ${
+    hasError
+      ? 'border-red-500 focus:ring-red-500/50'
+      : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+  }`;
+
+const formatMoney = (value) =>
+  `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// ============================================
+// LINE ITEMS EDITOR COMPONENT
+// ============================================
+
+// Without `onPlaceOfSupplyChange` the place of supply is shown read-only.
+const LineItemsEditor = ({ lineItems, placeOfSupply, errors = {}, onChange, onPlaceOfSupplyChange }) => {
+  const totals = calculateInvoiceTotals({ lineItems, placeOfSupply });
+
+  const updateItem = (id, field, value) => {
+    onChange(lineItems.map(item => (item.id === id ? { ...item, [field]: value } : item)));
+  };
+
+  const removeItem = (id) => {
+    onChange(lineItems.filter(item => item.id !== id));
+  };
+
+  const addItem = () => {
+    onChange([...lineItems, createLineItem()]);
+  };
+
+  return (
+    <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
+      <h3 className="text-xs font-bold text-green-400 uppercase tracking-wider flex items-center gap-2">
+        <Package size={16} />
+        Line Items
+      </h3>
+
+      {lineItems.map((item, index) => {
+        const line = calculateLineItem(item);
+        const itemErrors = errors.lineItemErrors?.[item.id] || {};
+        return (
+          <div key={item.id} className="bg-slate-800/60 border border-white/5 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-semibold text-slate-400">Item {index + 1}</span>
+              {lineItems.length > 1 && (
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={() => removeItem(item.id)}
+                  className="p-1.5 text-slate-400 hover:text-red-400 hover:bg-slate-700 rounded-lg transition-colors"
+                  title="Remove line item"
+                >
+                  <Trash2 size={14} />
+                </motion.button>
+              )}
+            </div>
+
+            <input
+              type="text"
+              value={item.description}
+              onChange={(e) => updateItem(item.id, 'description', e.target.value)}
+              className={inputClass(itemErrors.description)}
+              placeholder="Description of goods or services"
+            />
+
+            <div className="grid grid-cols-3 gap-2">
+              <div>
+                <label className="block text-xs font-semibold text-slate-300 mb-1">HSN/SAC</label>
+                <input
+                  type="text"
+                  value={item.hsnSac}
+                  onChange={(e) => updateItem(item.id, 'hsnSac', e.target.value)}
+                  className={inputClass(itemErrors.hsnSac)}
+                  placeholder="998314"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-slate-300 mb-1">Qty</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={item.quantity}
+                  onChange={(e) => updateItem(item.id, 'quantity', e.target.value)}
+                  className={inputClass(itemErrors.quantity)}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-slate-300 mb-1">Unit Price (₹)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={item.unitPrice}
+                  onChange={(e) => updateItem(item.id, 'unitPrice', e.target.value)}
+                  className={inputClass(itemErrors.unitPrice)}
+                  placeholder="0.00"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-slate-300 mb-1">Disc %</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={item.discount}
+                  onChange={(e) => updateItem(item.id, 'discount', e.target.value)}
+                  className={inputClass(itemErrors.discount)}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-slate-300 mb-1">GST %</label>
+                <select
+                  value={item.gstRate}
+                  onChange={(e) => updateItem(item.id, 'gstRate', parseFloat(e.target.value))}
+                  className={`${inputClass(false)} cursor-pointer`}
+                >
+                  {GST_RATES.map(rate => (
+                    <option key={rate} value={rate}>{rate}%</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-slate-300 mb-1">Line Total</label>
+                <div className="px-3 py-2 text-sm font-bold text-white">{formatMoney(line.total)}</div>
+              </div>
+            </div>
+
+            {Object.values(itemErrors).map(message => (
+              <p key={message} className="text-red-400 text-xs font-semibold flex items-center gap-1">
+                <AlertCircle size={14} />
+                {message}
+              </p>
+            ))}
+          </div>
+        );
+      })}
+
+      {errors.lineItems && (
+        <p className="text-red-400 text-xs font-semibold flex items-center gap-1">
+          <AlertCircle size={14} />
+          {errors.lineItems}
+        </p>
+      )}
+
+      <motion.button
+        whileHover={{ scale: 1.02 }}
+        whileTap={{ scale: 0.98 }}
+        onClick={addItem}
+        className="w-full flex items-center justify-center gap-2 py-2.5 border border-dashed border-slate-500 text-slate-300 rounded-lg hover:border-cyan-400 hover:text-cyan-300 transition-colors text-sm font-semibold"
+      >
+        <Plus size={16} />
+        Add Line Item
+      </motion.button>
+
+      <div>
+        <label className="block text-sm font-semibold text-slate-200 mb-2">
+          Place of Supply
+        </label>
+        <select
+          value={placeOfSupply}
+          onChange={(e) => onPlaceOfSupplyChange(e.target.value)}
+          disabled={!onPlaceOfSupplyChange}
+          className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30 cursor-pointer disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {INDIAN_STATES.map(state => (
+            <option key={state.code} value={state.code}>
+              {state.code} - {state.name}
+            </option>
+          ))}
+        </select>
+        <p className="text-xs text-slate-400 mt-2">
+          {totals.interState
+            ? 'Inter-state supply: IGST applies'
+            : `Intra-state supply (${COMPANY_PROFILE.stateCode}): CGST + SGST apply`}
+        </p>
+      </div>
+
+      {/* Totals */}
+      <div className="border-t border-white/10 pt-4 space-y-1.5 text-sm">
+        <div className="flex justify-between text-slate-300">
+          <span>Subtotal (taxable value)</span>
+          <span>{formatMoney(totals.subtotal)}</span>
+        </div>
+        {totals.interState ? (
+          <div className="flex justify-between text-slate-300">
+            <span>IGST</span>
+            <span>{formatMoney(totals.igst)}</span>
+          </div>
+        ) : (
+          <>
+            <div className="flex justify-between text-slate-300">
+              <span>CGST</span>
+              <span>{formatMoney(totals.cgst)}</span>
+            </div>
+            <div className="flex justify-between text-slate-300">
+              <span>SGST</span>
+              <span>{formatMoney(totals.sgst)}</span>
+            </div>
+          </>
+        )}
+        <div className="flex justify-between text-slate-400">
+          <span>Round off</span>
+          <span>{formatMoney(totals.roundOff)}</span>
+        </div>
+        <div className="flex justify-between text-white font-bold text-base pt-1">
+          <span>Grand Total</span>
+          <span>{formatMoney(totals.grandTotal)}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LineItemsEditor;
@@ -0,0 +1,245 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, CheckCircle, Download, Hash, Save, X } from 'lucide-react';
+import { useMemo, useState } from 'react';
+import { downloadCSV } from '../utils/csv';
+import {
+  NUMBERING_SERIES,
+  NUMBER_PADDING_OPTIONS,
+  NUMBER_SEPARATORS,
+  buildGapReport,
+  validateNumberingSettings
+} from '../utils/numbering';
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
+    hasError
+      ? 'border-red-500 focus:ring-red-500/50'
+      : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+  }`;
+
+// ============================================
+// NUMBERING PANEL COMPONENT
+// ============================================
+
+// Edits the numbering series and lists gaps in issued numbers for audit.
+// `deletedIds` are the deleted drafts, which account for their gaps.
+const NumberingPanel = ({ isOpen, onClose, numbering, documentIds, deletedIds, today }) => {
+  const { settings, setSettings, counters, previewNumber } = numbering;
+  const [draft, setDraft] = useState(settings);
+  const [errors, setErrors] = useState({});
+
+  const [loadedSettings, setLoadedSettings] = useState(settings);
+  if (settings !== loadedSettings) {
+    setLoadedSettings(settings);
+    setDraft(settings);
+    setErrors({});
+  }
+
+  const gapReport = useMemo(() => buildGapReport(documentIds, counters, deletedIds), [documentIds, counters, deletedIds]);
+  const isDirty = draft !== settings;
+
+  const updateSeries = (series, changes) => {
+    setDraft(prev => ({ ...prev, [series]: { ...prev[series], ...changes } }));
+    // Prefix clashes involve both series, so clear every message.
+    setErrors({});
+  };
+
+  const handleSave = () => {
+    const validationErrors = validateNumberingSettings(draft);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    setSettings(NUMBERING_SERIES.reduce((next, { key }) => ({
+      ...next,
+      [key]: { ...draft[key], prefix: draft[key].prefix.trim() }
+    }), {}));
+  };
+
+  const handleExportGaps = () => {
+    downloadCSV(
+      `numbering-gaps-${today}.csv`,
+      ['Series', 'First #', 'Last #', 'Issued', 'Deleted Drafts', 'Deleted Numbers', 'Missing Count', 'Missing Numbers'],
+      gapReport.map(row => [
+        row.stem, row.from, row.to, row.count, row.deletedCount, row.deletedLabel, row.missingCount, row.missingLabel
+      ]),
+      { bom: true }
+    );
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ x: 400, opacity: 0 }}
+            animate={{ x: 0, opacity: 1 }}
+            exit={{ x: 400, opacity: 0 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed right-0 top-0 h-full w-full max-w-xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+              <div>
+                <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                  <Hash size={20} />
+                  Document Numbering
+                </h2>
+                <p className="text-sm text-slate-300 mt-1">Series formats and gap report</p>
+              </div>
+              <motion.button
+                whileHover={{ rotate: 90, scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={onClose}
+                className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+              >
+                <X size={22} />
+              </motion.button>
+            </div>
+
+            <div className="p-6 space-y-5">
+              {NUMBERING_SERIES.map(({ key, label }) => {
+                const config = draft[key];
+                return (
+                  <div key={key} className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-3">
+                    <div className="flex items-center justify-between">
+                      <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider">{label}</h3>
+                      <span className="text-xs text-slate-400">
+                        Next: <span className="text-white font-mono font-semibold">
+                          {errors[key] ? '—' : previewNumber(key, today, documentIds, draft)}
+                        </span>
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-3 gap-3">
+                      <div>
+                        <label className="block text-xs font-semibold text-slate-300 mb-1">Prefix</label>
+                        <input
+                          type="text"
+                          value={config.prefix}
+                          onChange={(e) => updateSeries(key, { prefix: e.target.value.toUpperCase() })}
+                          className={inputClass(errors[key])}
+                          maxLength={10}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs font-semibold text-slate-300 mb-1">Separator</label>
+                        <select
+                          value={config.separator}
+                          onChange={(e) => updateSeries(key, { separator: e.target.value })}
+                          className={`${inputClass(false)} cursor-pointer`}
+                        >
+                          {NUMBER_SEPARATORS.map(separator => (
+                            <option key={separator} value={separator}>{separator}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs font-semibold text-slate-300 mb-1">Digits</label>
+                        <select
+                          value={config.padding}
+                          onChange={(e) => updateSeries(key, { padding: parseInt(e.target.value, 10) })}
+                          className={`${inputClass(false)} cursor-pointer`}
+                        >
+                          {NUMBER_PADDING_OPTIONS.map(padding => (
+                            <option key={padding} value={padding}>{padding}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-slate-200 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={config.includeFinancialYear}
+                        onChange={(e) => updateSeries(key, { includeFinancialYear: e.target.checked })}
+                        className="accent-cyan-400"
+                      />
+                      Include financial year and restart numbering every April
+                    </label>
+                    {errors[key] && (
+                      <p className="text-red-400 text-xs font-semibold flex items-center gap-1">
+                        <AlertCircle size={14} />
+                        {errors[key]}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={handleSave}
+                disabled={!isDirty}
+                className="w-full flex items-center justify-center gap-2 text-white py-3 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Save size={18} />
+                Save Numbering
+              </motion.button>
+              <p className="text-xs text-slate-400">
+                Changes apply to new documents only. Existing numbers never change, and numbers of
+                deleted documents are never issued again.
+              </p>
+
+              {/* Gap Report */}
+              <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider">Gap Report</h3>
+                  <button
+                    type="button"
+                    onClick={handleExportGaps}
+                    disabled={gapReport.length === 0}
+                    className="flex items-center gap-1 text-xs font-semibold text-cyan-300 hover:text-cyan-200 disabled:opacity-50"
+                  >
+                    <Download size={14} />
+                    Export
+                  </button>
+                </div>
+                {gapReport.length === 0 ? (
+                  <p className="text-sm text-slate-400">No numbered documents yet</p>
+                ) : (
+                  <div className="space-y-3">
+                    {gapReport.map(row => (
+                      <div key={row.stem} className="text-sm">
+                        <p className="text-white font-mono font-semibold">
+                          {row.stem}
+                          <span className="text-slate-400 font-sans font-normal">
+                            {' '}#{row.from}–{row.to} · {row.count} issued
+                          </span>
+                        </p>
+                        {row.deletedCount > 0 && (
+                          <p className="text-slate-400 text-xs mt-1">
+                            {row.deletedCount} deleted draft{row.deletedCount !== 1 ? 's' : ''}: {row.deletedLabel}
+                          </p>
+                        )}
+                        {row.missingCount === 0 ? (
+                          <p className="text-emerald-400 text-xs font-semibold flex items-center gap-1 mt-1">
+                            <CheckCircle size={14} />
+                            No gaps
+                          </p>
+                        ) : (
+                          <p className="text-amber-300 text-xs font-semibold flex items-start gap-1 mt-1">
+                            <AlertCircle size={14} className="shrink-0" />
+                            {row.missingCount} missing: {row.missingLabel}
+                          </p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default NumberingPanel;
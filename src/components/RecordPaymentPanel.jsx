@@ -0,0 +1,257 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, Trash2, Wallet, X } from 'lucide-react';
+import { useState } from 'react';
+import { formatDate, getTodayDate } from '../utils/dates';
+import { PAYMENT_MODES, getPaymentModeLabel, validatePayment } from '../utils/payments';
+
+const formatMoney = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+const createEmptyPayment = (balanceDue = 0) => ({
+  date: getTodayDate(),
+  amount: balanceDue > 0 ? String(balanceDue) : '',
+  mode: 'upi',
+  reference: ''
+});
+
+// ============================================
+// RECORD PAYMENT PANEL COMPONENT
+// ============================================
+
+const RecordPaymentPanel = ({ invoice, onClose, onRecord, onDeletePayment }) => {
+  const [formData, setFormData] = useState(() => createEmptyPayment(invoice?.balanceDue));
+  const [errors, setErrors] = useState({});
+
+  // Reset the form whenever the panel is opened for another invoice.
+  const [loadedId, setLoadedId] = useState(invoice?.id);
+  if (invoice?.id !== loadedId) {
+    setLoadedId(invoice?.id);
+    setFormData(createEmptyPayment(invoice?.balanceDue));
+    setErrors({});
+  }
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => {
+        const newErrors = { ...prev };
+        delete newErrors[field];
+        return newErrors;
+      });
+    }
+  };
+
+  const handleSubmit = () => {
+    const validationErrors = validatePayment(formData, invoice.balanceDue);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    onRecord(invoice.id, formData);
+    onClose();
+  };
+
+  const payments = [...(invoice?.payments || [])].sort((a, b) => a.date.localeCompare(b.date));
+
+  return (
+    <AnimatePresence>
+      {invoice && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ x: 400, opacity: 0 }}
+            animate={{ x: 0, opacity: 1 }}
+            exit={{ x: 400, opacity: 0 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed right-0 top-0 h-full w-full max-w-md bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex flex-col h-full">
+              {/* Header */}
+              <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+                <div>
+                  <h2 className="text-xl font-bold text-white">Record Payment</h2>
+                  <p className="text-sm text-slate-300 mt-1">
+                    {invoice.id} · {invoice.customerName}
+                  </p>
+                </div>
+                <motion.button
+                  whileHover={{ rotate: 90, scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={onClose}
+                  className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  <X size={22} />
+                </motion.button>
+              </div>
+
+              <div className="flex-1 p-6 space-y-5 overflow-y-auto">
+                {/* Balance Summary */}
+                <div className="grid grid-cols-3 gap-3 text-center">
+                  <div className="bg-slate-700/50 border border-white/10 rounded-xl p-3">
+                    <p className="text-xs text-slate-400 uppercase font-bold">Total</p>
+                    <p className="text-white font-bold mt-1">{formatMoney(invoice.amount)}</p>
+                  </div>
+                  <div className="bg-slate-700/50 border border-white/10 rounded-xl p-3">
+                    <p className="text-xs text-slate-400 uppercase font-bold">Received</p>
+                    <p className="text-green-400 font-bold mt-1">{formatMoney(invoice.amountPaid)}</p>
+                  </div>
+                  <div className="bg-slate-700/50 border border-white/10 rounded-xl p-3">
+                    <p className="text-xs text-slate-400 uppercase font-bold">Balance</p>
+                    <p className="text-amber-400 font-bold mt-1">{formatMoney(invoice.balanceDue)}</p>
+                  </div>
+                </div>
+
+                {/* New Payment */}
+                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
+                  <h3 className="text-xs font-bold text-green-400 uppercase tracking-wider flex items-center gap-2">
+                    <Wallet size={16} />
+                    New Payment
+                  </h3>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-semibold text-slate-200 mb-2">
+                        Date <span className="text-red-400">*</span>
+                      </label>
+                      <input
+                        type="date"
+                        value={formData.date}
+                        max={getTodayDate()}
+                        onChange={(e) => handleChange('date', e.target.value)}
+                        className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
+                          errors.date
+                            ? 'border-red-500 focus:ring-red-500/50'
+                            : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+                        }`}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-slate-200 mb-2">
+                        Amount (₹) <span className="text-red-400">*</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={formData.amount}
+                        onChange={(e) => handleChange('amount', e.target.value)}
+                        className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
+                          errors.amount
+                            ? 'border-red-500 focus:ring-red-500/50'
+                            : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+                        }`}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-slate-200 mb-2">
+                        Mode
+                      </label>
+                      <select
+                        value={formData.mode}
+                        onChange={(e) => handleChange('mode', e.target.value)}
+                        className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30 cursor-pointer"
+                      >
+                        {PAYMENT_MODES.map(mode => (
+                          <option key={mode.value} value={mode.value}>{mode.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-semibold text-slate-200 mb-2">
+                        Reference No.
+                      </label>
+                      <input
+                        type="text"
+                        value={formData.reference}
+                        onChange={(e) => handleChange('reference', e.target.value)}
+                        className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
+                          errors.reference
+                            ? 'border-red-500 focus:ring-red-500/50'
+                            : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+                        }`}
+                        placeholder="UTR / cheque no."
+                      />
+                    </div>
+                  </div>
+                  {Object.values(errors).map(message => (
+                    <p key={message} className="text-red-400 text-xs font-semibold flex items-center gap-1">
+                      <AlertCircle size={14} />
+                      {message}
+                    </p>
+                  ))}
+                </div>
+
+                {/* Ledger */}
+                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-3">
+                  <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider">
+                    Payment History
+                  </h3>
+                  {payments.length === 0 ? (
+                    <p className="text-sm text-slate-400">No payments recorded yet</p>
+                  ) : (
+                    payments.map(payment => (
+                      <div
+                        key={payment.id}
+                        className="flex items-center justify-between bg-slate-800/60 rounded-lg px-4 py-3"
+                      >
+                        <div>
+                          <p className="text-white font-semibold">{formatMoney(payment.amount)}</p>
+                          <p className="text-xs text-slate-400">
+                            {formatDate(payment.date)} · {getPaymentModeLabel(payment.mode)}
+                            {payment.reference && ` · ${payment.reference}`}
+                          </p>
+                        </div>
+                        <motion.button
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                          onClick={() => {
+                            if (window.confirm(`Delete payment of ${formatMoney(payment.amount)}?`)) {
+                              onDeletePayment(invoice.id, payment.id);
+                            }
+                          }}
+                          className="p-1.5 text-slate-400 hover:text-red-400 hover:bg-slate-700 rounded-lg transition-colors"
+                          title="Delete payment"
+                        >
+                          <Trash2 size={14} />
+                        </motion.button>
+                      </div>
+                    ))
+                  )}
+                </div>
+              </div>
+
+              {/* Footer */}
+              <div className="flex gap-3 p-6 border-t border-white/10 bg-slate-800/90 backdrop-blur-md sticky bottom-0">
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleSubmit}
+                  disabled={invoice.balanceDue <= 0}
+                  className="flex-1 flex items-center justify-center gap-2 text-white py-3.5 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-green-600 to-emerald-500 hover:from-green-500 hover:to-emerald-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Wallet size={18} />
+                  Record Payment
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={onClose}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3.5 px-4 rounded-xl font-bold transition-all"
+                >
+                  Cancel
+                </motion.button>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default RecordPaymentPanel;
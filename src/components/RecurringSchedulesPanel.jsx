@@ -0,0 +1,225 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { Edit2, Pause, Play, Plus, Repeat, Trash2, X } from 'lucide-react';
+import { useState } from 'react';
+import { formatDate } from '../utils/dates';
+import { calculateInvoiceTotals } from '../utils/gst';
+import {
+  RECURRENCE_FREQUENCIES,
+  buildInvoiceFromSchedule,
+  getUpcomingRunDates
+} from '../utils/recurring';
+import ScheduleFormModal from './ScheduleFormModal';
+
+const formatMoney = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+const FREQUENCY_LABELS = Object.fromEntries(RECURRENCE_FREQUENCIES.map(f => [f.value, f.label]));
+
+const UPCOMING_PER_SCHEDULE = 3;
+const UPCOMING_LIMIT = 8;
+
+// ============================================
+// RECURRING SCHEDULES PANEL COMPONENT
+// ============================================
+
+const RecurringSchedulesPanel = ({ isOpen, onClose, schedules, customers, generatedCounts, today, onAdd, onUpdate, onDelete }) => {
+  const [editingSchedule, setEditingSchedule] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  const nextRuns = new Map(
+    schedules.map(s => [s.id, s.active ? getUpcomingRunDates(s, today, UPCOMING_PER_SCHEDULE) : []])
+  );
+
+  // Runs are due on the morning of their date, so "today" has already been
+  // generated and the preview starts tomorrow.
+  const upcoming = schedules
+    .flatMap(s => nextRuns.get(s.id).map(date => ({ schedule: s, date })))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(0, UPCOMING_LIMIT)
+    .map(({ schedule, date }) => {
+      const invoice = buildInvoiceFromSchedule(schedule, date);
+      return {
+        key: `${schedule.id}:${date}`,
+        date,
+        schedule,
+        description: invoice.lineItems.map(item => item.description).join(', '),
+        amount: calculateInvoiceTotals(invoice).grandTotal
+      };
+    });
+
+  const visibleSchedules = schedules.slice().sort((a, b) => a.name.localeCompare(b.name));
+
+  const openForm = (schedule = null) => {
+    setEditingSchedule(schedule);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingSchedule(null);
+  };
+
+  return (
+    <>
+      <AnimatePresence>
+        {isOpen && (
+          <>
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
+              onClick={onClose}
+            />
+            <motion.div
+              initial={{ x: 400, opacity: 0 }}
+              animate={{ x: 0, opacity: 1 }}
+              exit={{ x: 400, opacity: 0 }}
+              transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+              className="fixed right-0 top-0 h-full w-full max-w-xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
+            >
+              <div className="flex flex-col h-full">
+                {/* Header */}
+                <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+                  <div>
+                    <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                      <Repeat size={20} />
+                      Recurring Invoices
+                    </h2>
+                    <p className="text-sm text-slate-300 mt-1">
+                      {schedules.length} schedule{schedules.length !== 1 ? 's' : ''} · drafts are created when the app opens
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => openForm()}
+                      className="flex items-center gap-2 px-4 py-2 bg-cyan-500 text-white rounded-lg font-semibold hover:bg-cyan-400 transition-colors"
+                    >
+                      <Plus size={16} />
+                      New
+                    </motion.button>
+                    <motion.button
+                      whileHover={{ rotate: 90, scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                      onClick={onClose}
+                      className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                    >
+                      <X size={22} />
+                    </motion.button>
+                  </div>
+                </div>
+
+                <div className="flex-1 p-6 space-y-4">
+                  {visibleSchedules.length === 0 ? (
+                    <p className="text-center text-slate-400 py-10">No recurring schedules yet</p>
+                  ) : (
+                    visibleSchedules.map(schedule => {
+                      const next = nextRuns.get(schedule.id)[0];
+                      const generated = generatedCounts.get(schedule.id) || 0;
+                      return (
+                        <div
+                          key={schedule.id}
+                          className={`bg-slate-700/50 border border-white/10 rounded-xl p-4 flex items-start justify-between gap-4 ${
+                            schedule.active ? '' : 'opacity-60'
+                          }`}
+                        >
+                          <div className="min-w-0">
+                            <p className="text-white font-semibold truncate">{schedule.name}</p>
+                            <p className="text-xs text-slate-400 mt-0.5">
+                              {schedule.customerName} · {FREQUENCY_LABELS[schedule.frequency]}
+                              {schedule.endDate && ` until ${formatDate(schedule.endDate)}`}
+                            </p>
+                            <p className="text-xs text-slate-300 mt-2">
+                              {!schedule.active
+                                ? 'Paused'
+                                : next
+                                  ? <>Next run <span className="font-semibold">{formatDate(next)}</span></>
+                                  : 'Finished'}
+                              {' · '}
+                              {generated} invoice{generated !== 1 ? 's' : ''} generated
+                            </p>
+                          </div>
+                          <div className="flex gap-2 shrink-0">
+                            <motion.button
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.9 }}
+                              onClick={() => onUpdate(schedule.id, { active: !schedule.active })}
+                              className="p-2 bg-slate-800 text-amber-300 rounded-lg hover:bg-amber-600 hover:text-white transition-colors"
+                              title={schedule.active ? 'Pause Schedule' : 'Resume Schedule'}
+                            >
+                              {schedule.active ? <Pause size={16} /> : <Play size={16} />}
+                            </motion.button>
+                            <motion.button
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.9 }}
+                              onClick={() => openForm(schedule)}
+                              className="p-2 bg-slate-800 text-blue-300 rounded-lg hover:bg-blue-600 hover:text-white transition-colors"
+                              title="Edit Schedule"
+                            >
+                              <Edit2 size={16} />
+                            </motion.button>
+                            <motion.button
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.9 }}
+                              onClick={() => {
+                                if (window.confirm(`Delete schedule ${schedule.name}? Invoices it already created are kept.`)) {
+                                  onDelete(schedule.id);
+                                }
+                              }}
+                              className="p-2 bg-slate-800 text-red-300 rounded-lg hover:bg-red-600 hover:text-white transition-colors"
+                              title="Delete Schedule"
+                            >
+                              <Trash2 size={16} />
+                            </motion.button>
+                          </div>
+                        </div>
+                      );
+                    })
+                  )}
+
+                  {/* Upcoming */}
+                  {upcoming.length > 0 && (
+                    <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-3">
+                      <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider">Upcoming Invoices</h3>
+                      <ul className="space-y-2 text-sm">
+                        {upcoming.map(run => (
+                          <li key={run.key} className="flex items-start justify-between gap-3">
+                            <span className="text-slate-300 min-w-0">
+                              <span className="text-white font-semibold">{formatDate(run.date)}</span>
+                              {' · '}
+                              {run.schedule.customerName}
+                              <span className="block text-xs text-slate-400 truncate">{run.description}</span>
+                            </span>
+                            <span className="text-white font-semibold shrink-0">{formatMoney(run.amount)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </motion.div>
+          </>
+        )}
+      </AnimatePresence>
+
+      <ScheduleFormModal
+        isOpen={isFormOpen}
+        initialData={editingSchedule}
+        customers={customers}
+        today={today}
+        onSave={(data) => {
+          if (editingSchedule) {
+            onUpdate(editingSchedule.id, data);
+          } else {
+            onAdd(data);
+          }
+        }}
+        onClose={closeForm}
+      />
+    </>
+  );
+};
+
+export default RecurringSchedulesPanel;
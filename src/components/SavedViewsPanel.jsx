@@ -0,0 +1,318 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import {
+  AlertCircle,
+  Bookmark,
+  Check,
+  Download,
+  Edit2,
+  Pin,
+  PinOff,
+  RefreshCw,
+  Star,
+  Trash2,
+  Upload,
+  X
+} from 'lucide-react';
+import { useRef, useState } from 'react';
+import { downloadFile } from '../utils/csv';
+import {
+  describeView,
+  getViewDefinition,
+  isViewActive,
+  parseViewsFile,
+  serializeViews,
+  validateViewName
+} from '../utils/savedViews';
+
+const fileNameFor = (name) => `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'views'}.views.json`;
+
+const ErrorText = ({ children }) => (
+  <p className="text-red-400 text-xs font-semibold mt-2 flex items-center gap-1">
+    <AlertCircle size={14} />
+    {children}
+  </p>
+);
+
+const IconButton = ({ onClick, title, className, children }) => (
+  <motion.button
+    whileHover={{ scale: 1.1 }}
+    whileTap={{ scale: 0.9 }}
+    onClick={onClick}
+    className={`p-2 bg-slate-800 rounded-lg hover:text-white transition-colors ${className}`}
+    title={title}
+  >
+    {children}
+  </motion.button>
+);
+
+// ============================================
+// SAVED VIEWS PANEL COMPONENT
+// ============================================
+
+const SavedViewsPanel = ({ isOpen, onClose, views, route, onSave, onApply, onUpdate, onDelete, onSetDefault, onImport }) => {
+  const [newName, setNewName] = useState('');
+  const [saveError, setSaveError] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [renameError, setRenameError] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleSave = () => {
+    const error = validateViewName(newName, views);
+    if (error) {
+      setSaveError(error);
+      return;
+    }
+    onSave(newName.trim());
+    setNewName('');
+    setSaveError(null);
+  };
+
+  const startRename = (view) => {
+    setRenamingId(view.id);
+    setRenameValue(view.name);
+    setRenameError(null);
+  };
+
+  const handleRename = () => {
+    const error = validateViewName(renameValue, views, renamingId);
+    if (error) {
+      setRenameError(error);
+      return;
+    }
+    onUpdate(renamingId, { name: renameValue.trim() });
+    setRenamingId(null);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const definitions = parseViewsFile(await file.text());
+      onImport(definitions);
+      setImportMessage({
+        type: 'success',
+        text: `Imported ${definitions.length} view${definitions.length !== 1 ? 's' : ''} from ${file.name}`
+      });
+    } catch (err) {
+      setImportMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const exportViews = (list, name) => {
+    downloadFile(serializeViews(list), fileNameFor(name), 'application/json');
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ x: 400, opacity: 0 }}
+            animate={{ x: 0, opacity: 1 }}
+            exit={{ x: 400, opacity: 0 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed right-0 top-0 h-full w-full max-w-xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
+          >
+            <div className="flex flex-col h-full">
+              {/* Header */}
+              <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+                <div>
+                  <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                    <Bookmark size={20} />
+                    Saved Views
+                  </h2>
+                  <p className="text-sm text-slate-300 mt-1">
+                    {views.length} view{views.length !== 1 ? 's' : ''} · pinned views show as tabs above the table
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => fileInputRef.current.click()}
+                    className="flex items-center gap-2 px-3 py-2 bg-slate-700 text-white rounded-lg font-semibold hover:bg-slate-600 transition-colors"
+                    title="Import views from a file"
+                  >
+                    <Upload size={16} />
+                    Import
+                  </motion.button>
+                  {views.length > 0 && (
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => exportViews(views, 'invoice')}
+                      className="flex items-center gap-2 px-3 py-2 bg-slate-700 text-white rounded-lg font-semibold hover:bg-slate-600 transition-colors"
+                      title="Export all views to a file"
+                    >
+                      <Download size={16} />
+                      Export
+                    </motion.button>
+                  )}
+                  <motion.button
+                    whileHover={{ rotate: 90, scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={onClose}
+                    className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                  >
+                    <X size={22} />
+                  </motion.button>
+                </div>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleImport}
+                  className="hidden"
+                />
+              </div>
+
+              <div className="flex-1 p-6 space-y-4">
+                {/* Save current */}
+                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-3">
+                  <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider">Save Current View</h3>
+                  <p className="text-sm text-slate-300">{describeView(getViewDefinition(route))}</p>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={newName}
+                      onChange={(e) => {
+                        setNewName(e.target.value);
+                        setSaveError(null);
+                      }}
+                      onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                      placeholder="e.g. Overdue over ₹50,000"
+                      className="flex-1 px-4 py-2.5 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30"
+                    />
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={handleSave}
+                      className="px-4 py-2.5 bg-cyan-500 text-white rounded-lg font-semibold hover:bg-cyan-400 transition-colors"
+                    >
+                      Save View
+                    </motion.button>
+                  </div>
+                  {saveError && <ErrorText>{saveError}</ErrorText>}
+                </div>
+
+                {importMessage && (
+                  <p className={`text-sm font-semibold flex items-center gap-2 ${
+                    importMessage.type === 'error' ? 'text-red-400' : 'text-green-400'
+                  }`}>
+                    {importMessage.type === 'error' ? <AlertCircle size={16} /> : <Check size={16} />}
+                    {importMessage.text}
+                  </p>
+                )}
+
+                {views.length === 0 ? (
+                  <p className="text-center text-slate-400 py-10">No saved views yet</p>
+                ) : (
+                  views.map(view => (
+                    <div
+                      key={view.id}
+                      className={`bg-slate-700/50 border rounded-xl p-4 ${
+                        isViewActive(view, route) ? 'border-cyan-400/60' : 'border-white/10'
+                      }`}
+                    >
+                      <div className="flex items-start justify-between gap-4">
+                        <div className="min-w-0 flex-1">
+                          {renamingId === view.id ? (
+                            <div className="flex gap-2">
+                              <input
+                                type="text"
+                                value={renameValue}
+                                onChange={(e) => {
+                                  setRenameValue(e.target.value);
+                                  setRenameError(null);
+                                }}
+                                onKeyDown={(e) => {
+                                  if (e.key === 'Enter') handleRename();
+                                  if (e.key === 'Escape') setRenamingId(null);
+                                }}
+                                aria-label="View name"
+                                className="flex-1 min-w-0 px-3 py-1.5 border rounded-lg focus:outline-none bg-slate-800 text-white border-slate-600 focus:border-cyan-400"
+                              />
+                              <IconButton onClick={handleRename} title="Save Name" className="text-green-300 hover:bg-green-600">
+                                <Check size={16} />
+                              </IconButton>
+                            </div>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => onApply(view)}
+                              className="text-left text-white font-semibold hover:text-cyan-300 flex items-center gap-2"
+                              title="Show this view"
+                            >
+                              <span className="truncate">{view.name}</span>
+                              {view.isDefault && (
+                                <span className="px-2 py-0.5 bg-amber-500/20 text-amber-300 rounded text-[10px] font-bold uppercase">
+                                  Default
+                                </span>
+                              )}
+                            </button>
+                          )}
+                          {renamingId === view.id && renameError && <ErrorText>{renameError}</ErrorText>}
+                          <p className="text-xs text-slate-400 mt-1">{describeView(view)}</p>
+                        </div>
+                        <div className="flex gap-1.5 shrink-0">
+                          <IconButton
+                            onClick={() => onUpdate(view.id, { pinned: !view.pinned })}
+                            title={view.pinned ? 'Unpin from Tabs' : 'Pin as Tab'}
+                            className={view.pinned ? 'text-cyan-300 hover:bg-cyan-600' : 'text-slate-400 hover:bg-cyan-600'}
+                          >
+                            {view.pinned ? <Pin size={16} /> : <PinOff size={16} />}
+                          </IconButton>
+                          <IconButton
+                            onClick={() => onSetDefault(view.isDefault ? null : view.id)}
+                            title={view.isDefault ? 'Stop Opening by Default' : 'Open by Default'}
+                            className={view.isDefault ? 'text-amber-300 hover:bg-amber-600' : 'text-slate-400 hover:bg-amber-600'}
+                          >
+                            <Star size={16} fill={view.isDefault ? 'currentColor' : 'none'} />
+                          </IconButton>
+                          <IconButton onClick={() => startRename(view)} title="Rename View" className="text-blue-300 hover:bg-blue-600">
+                            <Edit2 size={16} />
+                          </IconButton>
+                          <IconButton
+                            onClick={() => onUpdate(view.id, getViewDefinition(route))}
+                            title="Replace with Current Filters"
+                            className="text-purple-300 hover:bg-purple-600"
+                          >
+                            <RefreshCw size={16} />
+                          </IconButton>
+                          <IconButton onClick={() => exportViews([view], view.name)} title="Export View" className="text-slate-300 hover:bg-slate-600">
+                            <Download size={16} />
+                          </IconButton>
+                          <IconButton
+                            onClick={() => {
+                              if (window.confirm(`Delete view ${view.name}?`)) onDelete(view.id);
+                            }}
+                            title="Delete View"
+                            className="text-red-300 hover:bg-red-600"
+                          >
+                            <Trash2 size={16} />
+                          </IconButton>
+                        </div>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default SavedViewsPanel;
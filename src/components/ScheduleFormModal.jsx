@@ -0,0 +1,301 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, CalendarClock, Save, X } from 'lucide-react';
+import { useState } from 'react';
+import { formatDate } from '../utils/dates';
+import { PAYMENT_TERMS_OPTIONS } from '../utils/customers';
+import { calculateInvoiceTotals, normalizeLineItem } from '../utils/gst';
+import {
+  DAY_OF_MONTH_OPTIONS,
+  PERIOD_TOKEN,
+  RECURRENCE_FREQUENCIES,
+  buildInvoiceFromSchedule,
+  createEmptySchedule,
+  getUpcomingRunDates,
+  validateSchedule
+} from '../utils/recurring';
+import CustomerPicker from './CustomerPicker';
+import LineItemsEditor from './LineItemsEditor';
+
+const inputClass = (hasError) =>
+  `w-full px-4 py-2.5 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white ${
+    hasError
+      ? 'border-red-500 focus:ring-red-500/50'
+      : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+  }`;
+
+const Field = ({ label, required, error, children, className = '' }) => (
+  <div className={className}>
+    <label className="block text-sm font-semibold text-slate-200 mb-1.5">
+      {label} {required && <span className="text-red-400">*</span>}
+    </label>
+    {children}
+    {error && (
+      <p className="text-red-400 text-xs font-semibold mt-1.5 flex items-center gap-1">
+        <AlertCircle size={14} />
+        {error}
+      </p>
+    )}
+  </div>
+);
+
+const PREVIEW_COUNT = 3;
+
+// ============================================
+// SCHEDULE FORM MODAL COMPONENT
+// ============================================
+
+const ScheduleFormModal = ({ isOpen, initialData = null, customers, today, onSave, onClose }) => {
+  const [formData, setFormData] = useState(() => initialData || createEmptySchedule(today));
+  const [errors, setErrors] = useState({});
+
+  const [loadedData, setLoadedData] = useState(initialData);
+  const [wasOpen, setWasOpen] = useState(isOpen);
+  if (initialData !== loadedData || isOpen !== wasOpen) {
+    setLoadedData(initialData);
+    setWasOpen(isOpen);
+    setFormData(initialData || createEmptySchedule(today));
+    setErrors({});
+  }
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => {
+      const newErrors = { ...prev };
+      delete newErrors[field];
+      if (field === 'lineItems') delete newErrors.lineItemErrors;
+      return newErrors;
+    });
+  };
+
+  const handleCustomerSelect = (customer) => {
+    setFormData(prev => ({
+      ...prev,
+      customerId: customer.id,
+      customerName: customer.legalName,
+      placeOfSupply: customer.stateCode || prev.placeOfSupply,
+      paymentTerms: customer.defaultPaymentTerms || prev.paymentTerms,
+      name: prev.name || `${customer.legalName} retainer`
+    }));
+    setErrors(prev => {
+      const newErrors = { ...prev };
+      delete newErrors.customerId;
+      delete newErrors.name;
+      return newErrors;
+    });
+  };
+
+  const handleSubmit = () => {
+    const validationErrors = validateSchedule(formData);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    onSave({
+      ...formData,
+      name: formData.name.trim(),
+      endDate: formData.endDate || '',
+      lineItems: formData.lineItems.map(normalizeLineItem)
+    });
+    onClose();
+  };
+
+  const preview = formData.startDate
+    ? getUpcomingRunDates(formData, today, PREVIEW_COUNT)
+    : [];
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[60]"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ x: 400, opacity: 0 }}
+            animate={{ x: 0, opacity: 1 }}
+            exit={{ x: 400, opacity: 0 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed right-0 top-0 h-full w-full max-w-xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-[70] overflow-y-auto"
+          >
+            <div className="flex flex-col h-full">
+              {/* Header */}
+              <div className="flex items-center justify-between p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+                <div>
+                  <h2 className="text-xl font-bold text-white">
+                    {initialData ? 'Edit Schedule' : 'New Schedule'}
+                  </h2>
+                  <p className="text-sm text-slate-300 mt-1">Draft invoices are created on each run date</p>
+                </div>
+                <motion.button
+                  whileHover={{ rotate: 90, scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={onClose}
+                  className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  <X size={22} />
+                </motion.button>
+              </div>
+
+              {/* Form */}
+              <div className="flex-1 p-6 space-y-5 overflow-y-auto">
+                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
+                  <Field label="Customer" required>
+                    <CustomerPicker
+                      customers={customers}
+                      value={formData.customerId}
+                      onChange={handleCustomerSelect}
+                      error={errors.customerId}
+                    />
+                  </Field>
+                  <Field label="Schedule Name" required error={errors.name}>
+                    <input
+                      type="text"
+                      value={formData.name}
+                      onChange={(e) => handleChange('name', e.target.value)}
+                      className={inputClass(errors.name)}
+                    />
+                  </Field>
+                </div>
+
+                {/* Recurrence */}
+                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-4">
+                  <h3 className="text-xs font-bold text-amber-400 uppercase tracking-wider flex items-center gap-2">
+                    <CalendarClock size={16} />
+                    Recurrence
+                  </h3>
+                  <div className="grid grid-cols-2 gap-4">
+                    <Field label="Frequency">
+                      <select
+                        value={formData.frequency}
+                        onChange={(e) => handleChange('frequency', e.target.value)}
+                        className={`${inputClass(false)} cursor-pointer`}
+                      >
+                        {RECURRENCE_FREQUENCIES.map(f => (
+                          <option key={f.value} value={f.value}>{f.label}</option>
+                        ))}
+                      </select>
+                    </Field>
+                    <Field label="Day of Month">
+                      <select
+                        value={formData.dayOfMonth}
+                        onChange={(e) => handleChange('dayOfMonth', parseInt(e.target.value, 10))}
+                        className={`${inputClass(false)} cursor-pointer`}
+                      >
+                        {DAY_OF_MONTH_OPTIONS.map(day => (
+                          <option key={day} value={day}>{day === 31 ? 'Last day' : day}</option>
+                        ))}
+                      </select>
+                    </Field>
+                    <Field label="Start Date" required error={errors.startDate}>
+                      <input
+                        type="date"
+                        value={formData.startDate}
+                        onChange={(e) => handleChange('startDate', e.target.value)}
+                        className={inputClass(errors.startDate)}
+                      />
+                    </Field>
+                    <Field label="End Date" error={errors.endDate}>
+                      <input
+                        type="date"
+                        value={formData.endDate}
+                        onChange={(e) => handleChange('endDate', e.target.value)}
+                        className={inputClass(errors.endDate)}
+                      />
+                    </Field>
+                    <Field label="Payment Terms">
+                      <select
+                        value={formData.paymentTerms}
+                        onChange={(e) => handleChange('paymentTerms', parseInt(e.target.value, 10))}
+                        className={`${inputClass(false)} cursor-pointer`}
+                      >
+                        {PAYMENT_TERMS_OPTIONS.map(days => (
+                          <option key={days} value={days}>{days} days</option>
+                        ))}
+                      </select>
+                    </Field>
+                  </div>
+                  <label className="flex items-start gap-2 text-sm text-slate-200 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.addPeriodToDescription}
+                      onChange={(e) => handleChange('addPeriodToDescription', e.target.checked)}
+                      className="accent-cyan-400 mt-1"
+                    />
+                    <span>
+                      Add the billing period to line descriptions
+                      <span className="block text-xs text-slate-400">
+                        Write {PERIOD_TOKEN} in a description to place it yourself
+                      </span>
+                    </span>
+                  </label>
+                </div>
+
+                <LineItemsEditor
+                  lineItems={formData.lineItems}
+                  placeOfSupply={formData.placeOfSupply}
+                  errors={errors}
+                  onChange={(lineItems) => handleChange('lineItems', lineItems)}
+                  onPlaceOfSupplyChange={(value) => handleChange('placeOfSupply', value)}
+                />
+
+                {/* Preview */}
+                <div className="bg-slate-700/50 border border-white/10 rounded-xl p-5 space-y-3">
+                  <h3 className="text-xs font-bold text-cyan-400 uppercase tracking-wider">Next Invoices</h3>
+                  {preview.length === 0 ? (
+                    <p className="text-sm text-slate-400">No runs left in this schedule</p>
+                  ) : (
+                    <ul className="space-y-2 text-sm">
+                      {preview.map(date => {
+                        const invoice = buildInvoiceFromSchedule(formData, date);
+                        return (
+                          <li key={date} className="flex items-start justify-between gap-3">
+                            <span className="text-slate-300">
+                              <span className="text-white font-semibold">{formatDate(date)}</span>
+                              <span className="block text-xs text-slate-400">
+                                {invoice.lineItems.map(item => item.description).join(', ')}
+                              </span>
+                            </span>
+                            <span className="text-white font-semibold shrink-0">
+                              ₹{calculateInvoiceTotals(invoice).grandTotal.toLocaleString('en-IN')}
+                            </span>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </div>
+              </div>
+
+              {/* Footer */}
+              <div className="flex gap-3 p-6 border-t border-white/10 bg-slate-800/90 backdrop-blur-md sticky bottom-0">
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleSubmit}
+                  className="flex-1 flex items-center justify-center gap-2 text-white py-3 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500"
+                >
+                  <Save size={18} />
+                  {initialData ? 'Save Schedule' : 'Create Schedule'}
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={onClose}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3 px-4 rounded-xl font-bold transition-all"
+                >
+                  Cancel
+                </motion.button>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ScheduleFormModal;
@@ -0,0 +1,173 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, ArrowRightLeft, X } from 'lucide-react';
+import { useState } from 'react';
+import { STATUS_BY_KEY, getAvailableTransitions } from '../utils/invoiceStatus';
+
+// ============================================
+// STATUS CHANGE DIALOG COMPONENT
+// ============================================
+
+// Lists the lifecycle transitions open to an invoice. `onTransition` returns
+// an error message when the change is refused.
+const StatusChangeDialog = ({ invoice, onClose, onTransition }) => {
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+
+  const [loadedId, setLoadedId] = useState(invoice?.id);
+  if (invoice?.id !== loadedId) {
+    setLoadedId(invoice?.id);
+    setSelectedKey(null);
+    setReason('');
+    setError(null);
+  }
+
+  const transitions = invoice ? getAvailableTransitions(invoice) : [];
+  const selected = transitions.find(t => t.key === selectedKey);
+
+  const handleSubmit = () => {
+    const result = onTransition(invoice.id, selectedKey, reason);
+    if (result) {
+      setError(result);
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <AnimatePresence>
+      {invoice && (
+        <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="absolute inset-0 bg-black/60 backdrop-blur-sm"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border border-white/10 rounded-2xl shadow-2xl"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-white/10">
+              <div>
+                <h2 className="text-xl font-bold text-white">Change Status</h2>
+                <p className="text-sm text-slate-300 mt-1">
+                  {invoice.id} · currently {STATUS_BY_KEY[invoice.status].label}
+                </p>
+              </div>
+              <motion.button
+                whileHover={{ rotate: 90, scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={onClose}
+                className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+              >
+                <X size={22} />
+              </motion.button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {transitions.length === 0 ? (
+                <p className="text-sm text-slate-400">
+                  No status changes are available for a {STATUS_BY_KEY[invoice.status].label.toLowerCase()} invoice.
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  {transitions.map(transition => (
+                    <label
+                      key={transition.key}
+                      className={`flex items-start gap-3 p-3 rounded-xl border transition-colors ${
+                        transition.blockedReason
+                          ? 'border-white/5 opacity-60 cursor-not-allowed'
+                          : selectedKey === transition.key
+                          ? 'border-cyan-400 bg-cyan-400/10 cursor-pointer'
+                          : 'border-white/10 hover:bg-slate-700/50 cursor-pointer'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="status-transition"
+                        checked={selectedKey === transition.key}
+                        disabled={Boolean(transition.blockedReason)}
+                        onChange={() => {
+                          setSelectedKey(transition.key);
+                          setError(null);
+                        }}
+                        className="accent-cyan-400 mt-1"
+                      />
+                      <span className="text-sm">
+                        <span className="text-white font-semibold">{transition.label}</span>
+                        <span className="text-slate-400"> → {STATUS_BY_KEY[transition.to].label}</span>
+                        <span className="block text-xs text-slate-400 mt-0.5">
+                          {transition.blockedReason || transition.description}
+                        </span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {selected && selected.reason && (
+                <div>
+                  <label className="block text-sm font-semibold text-slate-200 mb-2">
+                    Reason {selected.reason === 'required'
+                      ? <span className="text-red-400">*</span>
+                      : <span className="text-slate-400 font-normal">(optional)</span>}
+                  </label>
+                  <textarea
+                    value={reason}
+                    onChange={(e) => {
+                      setReason(e.target.value);
+                      setError(null);
+                    }}
+                    rows={3}
+                    className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white placeholder-slate-500 ${
+                      error
+                        ? 'border-red-500 focus:ring-red-500/50'
+                        : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+                    }`}
+                    placeholder="Recorded on the invoice"
+                  />
+                </div>
+              )}
+
+              {error && (
+                <p className="text-red-400 text-xs font-semibold flex items-center gap-1">
+                  <AlertCircle size={14} />
+                  {error}
+                </p>
+              )}
+            </div>
+
+            {/* Footer */}
+            <div className="flex gap-3 p-6 border-t border-white/10">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={handleSubmit}
+                disabled={!selected}
+                className="flex-1 flex items-center justify-center gap-2 text-white py-3 px-4 rounded-xl font-bold transition-all shadow-lg bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ArrowRightLeft size={18} />
+                {selected ? selected.label : 'Change Status'}
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onClose}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-white py-3 px-4 rounded-xl font-bold transition-all"
+              >
+                Cancel
+              </motion.button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default StatusChangeDialog;
@@ -0,0 +1,66 @@
+import { Tag, X } from 'lucide-react';
+import { useState } from 'react';
+
+// ============================================
+// TAG INPUT COMPONENT
+// ============================================
+
+// Free-form labels for an invoice. Enter or a comma adds the typed tag,
+// Backspace on an empty field removes the last one. Tags already used on
+// other invoices are offered as suggestions so spellings stay consistent.
+const TagInput = ({ tags, onChange, suggestions = [] }) => {
+  const [draft, setDraft] = useState('');
+
+  const addTag = (value) => {
+    const tag = value.trim().replace(/\s+/g, ' ');
+    setDraft('');
+    if (!tag || tags.some(t => t.toLowerCase() === tag.toLowerCase())) return;
+    onChange([...tags, tag]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(draft);
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-3 py-2 border border-slate-600 rounded-lg bg-slate-800 focus-within:border-cyan-400 focus-within:ring-2 focus-within:ring-cyan-400/30 transition-all">
+      <Tag size={16} className="text-slate-400" />
+      {tags.map(tag => (
+        <span
+          key={tag}
+          className="flex items-center gap-1 px-2 py-1 bg-cyan-500/20 text-cyan-200 rounded-md text-xs font-semibold"
+        >
+          {tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter(t => t !== tag))}
+            className="text-cyan-300 hover:text-white"
+            title={`Remove ${tag}`}
+          >
+            <X size={12} />
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        list="invoice-tag-suggestions"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => addTag(draft)}
+        className="flex-1 min-w-[8rem] py-1 bg-transparent text-white text-sm focus:outline-none"
+        placeholder={tags.length > 0 ? 'Add another tag' : 'e.g. retainer, priority'}
+      />
+      <datalist id="invoice-tag-suggestions">
+        {suggestions.filter(s => !tags.includes(s)).map(s => <option key={s} value={s} />)}
+      </datalist>
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,387 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { AlertCircle, Copy, FileText, Plus, Save, Trash2, X } from 'lucide-react';
+import { useRef, useState } from 'react';
+import {
+  LANGUAGE_LABELS,
+  MERGE_FIELDS,
+  TEMPLATE_LANGUAGES,
+  TEMPLATE_PURPOSES,
+  createTemplate,
+  findUnknownFields,
+  renderTemplate,
+  validateTemplate
+} from '../utils/messageTemplates';
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 transition-all bg-slate-800 text-white text-sm ${
+    hasError
+      ? 'border-red-500 focus:ring-red-500/50'
+      : 'border-slate-600 focus:border-cyan-400 focus:ring-cyan-400/30'
+  }`;
+
+const Field = ({ label, error, children, className = '' }) => (
+  <div className={className}>
+    <label className="block text-xs font-semibold text-slate-300 mb-1">{label}</label>
+    {children}
+    {error && (
+      <p className="text-red-400 text-xs font-semibold mt-1 flex items-center gap-1">
+        <AlertCircle size={12} />
+        {error}
+      </p>
+    )}
+  </div>
+);
+
+const TEXT_FIELDS = ['subject', 'body', 'whatsapp'];
+
+const isSameTemplate = (a, b) => ['name', 'purpose', 'language', ...TEXT_FIELDS].every(key => a[key] === b[key]);
+
+// ============================================
+// TEMPLATES PANEL COMPONENT
+// ============================================
+
+// The reminder and invoice email templates, edited one at a time with a
+// live preview against a real invoice. `previewInvoices` are evaluated
+// invoices; `levels` are the dunning levels, which keep a template from
+// being deleted while they send it.
+const TemplatesPanel = ({
+  isOpen,
+  onClose,
+  templates,
+  levels,
+  previewInvoices,
+  customers,
+  today,
+  onAdd,
+  onUpdate,
+  onDelete
+}) => {
+  // `id` is null while a new template has not been saved yet.
+  const [editing, setEditing] = useState(() => (
+    templates[0] ? { id: templates[0].id, draft: templates[0] } : { id: null, draft: createTemplate() }
+  ));
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState(null);
+  const [previewId, setPreviewId] = useState('');
+  const [lastField, setLastField] = useState('body');
+  const fieldRefs = useRef({});
+
+  const { draft } = editing;
+  const saved = editing.id ? templates.find(t => t.id === editing.id) : null;
+  const isDirty = saved ? !isSameTemplate(saved, draft) : true;
+  const unknownFields = findUnknownFields(draft);
+
+  const previewInvoice = previewInvoices.find(inv => inv.id === previewId) || previewInvoices[0] || null;
+  const previewCustomer = previewInvoice ? customers.find(c => c.id === previewInvoice.customerId) : null;
+
+  const groups = TEMPLATE_PURPOSES.map(purpose => ({
+    ...purpose,
+    templates: templates
+      .filter(t => t.purpose === purpose.value)
+      .sort((a, b) => a.language.localeCompare(b.language) || a.name.localeCompare(b.name))
+  }));
+
+  const startEditing = (id, template) => {
+    if (isDirty && !window.confirm('Discard the unsaved changes to this template?')) return;
+    setEditing({ id, draft: template });
+    setErrors({});
+    setNotice(null);
+  };
+
+  const handleChange = (field, value) => {
+    setEditing(prev => ({ ...prev, draft: { ...prev.draft, [field]: value } }));
+    if (errors[field]) setErrors(prev => ({ ...prev, [field]: null }));
+  };
+
+  // Inserts a merge field at the cursor of the subject, message or
+  // WhatsApp text, whichever was focused last.
+  const insertField = (key) => {
+    const element = fieldRefs.current[lastField];
+    const text = draft[lastField];
+    const placeholder = `{{${key}}}`;
+    const start = element?.selectionStart ?? text.length;
+    const end = element?.selectionEnd ?? text.length;
+    handleChange(lastField, text.slice(0, start) + placeholder + text.slice(end));
+    requestAnimationFrame(() => {
+      if (!element) return;
+      element.focus();
+      element.setSelectionRange(start + placeholder.length, start + placeholder.length);
+    });
+  };
+
+  const handleSave = () => {
+    const validation = validateTemplate(draft);
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+    if (editing.id) {
+      onUpdate(editing.id, draft);
+      setEditing(prev => ({ ...prev, draft: { ...draft } }));
+    } else {
+      const template = onAdd(draft);
+      setEditing({ id: template.id, draft: template });
+    }
+    setNotice(`Saved "${draft.name}"`);
+  };
+
+  const handleDelete = () => {
+    const usedBy = levels.filter(level => Object.values(level.templateIds || {}).includes(editing.id));
+    if (usedBy.length > 0) {
+      setNotice(`Used by ${usedBy.map(l => l.name).join(', ')}. Pick another template for ${usedBy.length !== 1 ? 'those levels' : 'that level'} first.`);
+      return;
+    }
+    if (!window.confirm(`Delete the template "${saved.name}"?`)) return;
+    onDelete(editing.id);
+    const next = templates.find(t => t.id !== editing.id);
+    setEditing(next ? { id: next.id, draft: next } : { id: null, draft: createTemplate() });
+    setErrors({});
+    setNotice(null);
+  };
+
+  const preview = previewInvoice && renderTemplate(draft, previewInvoice, previewCustomer, today);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-40"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ x: 400, opacity: 0 }}
+            animate={{ x: 0, opacity: 1 }}
+            exit={{ x: 400, opacity: 0 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed right-0 top-0 h-full w-full max-w-5xl bg-gradient-to-br from-slate-800 via-slate-800 to-slate-900 border-l border-white/10 shadow-2xl z-50 overflow-y-auto"
+          >
+            <div className="flex flex-col h-full">
+              {/* Header */}
+              <div className="p-6 border-b border-white/10 bg-slate-800/90 backdrop-blur-md sticky top-0 z-10">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                      <FileText size={20} />
+                      Message Templates
+                    </h2>
+                    <p className="text-sm text-slate-300 mt-1">
+                      {templates.length} template{templates.length !== 1 ? 's' : ''} for reminders and invoice emails
+                    </p>
+                  </div>
+                  <motion.button
+                    whileHover={{ rotate: 90, scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={onClose}
+                    className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+                  >
+                    <X size={22} />
+                  </motion.button>
+                </div>
+              </div>
+
+              <div className="flex-1 p-6 grid grid-cols-1 lg:grid-cols-[14rem_1fr] gap-6">
+                {/* Template list */}
+                <div className="space-y-4">
+                  <button
+                    type="button"
+                    onClick={() => startEditing(null, createTemplate())}
+                    className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-cyan-500 text-white rounded-lg font-semibold hover:bg-cyan-400 transition-colors text-sm"
+                  >
+                    <Plus size={16} />
+                    New Template
+                  </button>
+                  {groups.map(group => (
+                    <div key={group.value}>
+                      <p className="text-xs font-bold uppercase text-slate-400 mb-1">{group.label}</p>
+                      {group.templates.length === 0 ? (
+                        <p className="text-xs text-slate-500">None yet</p>
+                      ) : (
+                        <ul className="space-y-1">
+                          {group.templates.map(t => (
+                            <li key={t.id}>
+                              <button
+                                type="button"
+                                onClick={() => t.id !== editing.id && startEditing(t.id, t)}
+                                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                                  t.id === editing.id ? 'bg-slate-600 text-white' : 'text-slate-300 hover:bg-slate-700'
+                                }`}
+                              >
+                                {t.name}
+                                <span className="block text-xs text-slate-400">{LANGUAGE_LABELS[t.language]}</span>
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                {/* Editor */}
+                <div className="space-y-4">
+                  {notice && (
+                    <p className="text-sm text-amber-300 bg-amber-500/10 border border-amber-500/30 rounded-lg px-4 py-2">
+                      {notice}
+                    </p>
+                  )}
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    <Field label="Name" error={errors.name}>
+                      <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => handleChange('name', e.target.value)}
+                        className={inputClass(errors.name)}
+                      />
+                    </Field>
+                    <Field label="Used for">
+                      <select
+                        value={draft.purpose}
+                        onChange={(e) => handleChange('purpose', e.target.value)}
+                        className={`${inputClass(false)} cursor-pointer`}
+                      >
+                        {TEMPLATE_PURPOSES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                      </select>
+                    </Field>
+                    <Field label="Language">
+                      <select
+                        value={draft.language}
+                        onChange={(e) => handleChange('language', e.target.value)}
+                        className={`${inputClass(false)} cursor-pointer`}
+                      >
+                        {TEMPLATE_LANGUAGES.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+                      </select>
+                    </Field>
+                  </div>
+
+                  <div>
+                    <p className="text-xs font-semibold text-slate-300 mb-1">Insert a merge field</p>
+                    <div className="flex flex-wrap gap-1.5">
+                      {MERGE_FIELDS.map(field => (
+                        <button
+                          key={field.key}
+                          type="button"
+                          onClick={() => insertField(field.key)}
+                          className="px-2 py-1 bg-slate-700 text-cyan-300 rounded text-xs font-mono hover:bg-slate-600 transition-colors"
+                          title={field.label}
+                        >
+                          {`{{${field.key}}}`}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <Field label="Email subject" error={errors.subject}>
+                    <input
+                      ref={el => { fieldRefs.current.subject = el; }}
+                      type="text"
+                      value={draft.subject}
+                      onFocus={() => setLastField('subject')}
+                      onChange={(e) => handleChange('subject', e.target.value)}
+                      className={inputClass(errors.subject)}
+                    />
+                  </Field>
+                  <Field label="Email message" error={errors.body}>
+                    <textarea
+                      ref={el => { fieldRefs.current.body = el; }}
+                      value={draft.body}
+                      onFocus={() => setLastField('body')}
+                      onChange={(e) => handleChange('body', e.target.value)}
+                      rows={9}
+                      className={`${inputClass(errors.body)} font-mono`}
+                    />
+                  </Field>
+                  <Field label="WhatsApp text">
+                    <textarea
+                      ref={el => { fieldRefs.current.whatsapp = el; }}
+                      value={draft.whatsapp}
+                      onFocus={() => setLastField('whatsapp')}
+                      onChange={(e) => handleChange('whatsapp', e.target.value)}
+                      rows={3}
+                      className={inputClass(false)}
+                      placeholder="Leave empty to send the email message on WhatsApp"
+                    />
+                  </Field>
+                  {unknownFields.length > 0 && (
+                    <p className="text-xs text-amber-300">
+                      Not a merge field, left as typed: {unknownFields.map(key => `{{${key}}}`).join(', ')}
+                    </p>
+                  )}
+
+                  <div className="flex flex-wrap gap-3">
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={handleSave}
+                      disabled={!isDirty}
+                      className="flex items-center gap-2 px-4 py-2 bg-cyan-500 text-white rounded-lg font-semibold hover:bg-cyan-400 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Save size={16} />
+                      {editing.id ? 'Save Changes' : 'Save Template'}
+                    </motion.button>
+                    {saved && (
+                      <>
+                        <motion.button
+                          whileHover={{ scale: 1.02 }}
+                          whileTap={{ scale: 0.98 }}
+                          onClick={() => startEditing(null, createTemplate({ ...draft, id: undefined, name: `${draft.name} (copy)` }))}
+                          className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-white rounded-lg font-semibold hover:bg-slate-600 transition-colors text-sm"
+                        >
+                          <Copy size={16} />
+                          Duplicate
+                        </motion.button>
+                        <motion.button
+                          whileHover={{ scale: 1.02 }}
+                          whileTap={{ scale: 0.98 }}
+                          onClick={handleDelete}
+                          className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-red-300 rounded-lg font-semibold hover:bg-red-600 hover:text-white transition-colors text-sm"
+                        >
+                          <Trash2 size={16} />
+                          Delete
+                        </motion.button>
+                      </>
+                    )}
+                  </div>
+
+                  {/* Preview */}
+                  <div className="bg-slate-700/50 border border-white/10 rounded-xl p-4 space-y-3">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                      <p className="text-sm font-bold text-white">Preview</p>
+                      {previewInvoices.length > 0 && (
+                        <select
+                          value={previewInvoice.id}
+                          onChange={(e) => setPreviewId(e.target.value)}
+                          className={`${inputClass(false)} w-auto cursor-pointer`}
+                        >
+                          {previewInvoices.map(inv => (
+                            <option key={inv.id} value={inv.id}>{inv.id} · {inv.customerName}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                    {preview ? (
+                      <>
+                        <p className="text-xs text-slate-400">To: {preview.to || 'no email address on file'}</p>
+                        <p className="text-sm font-semibold text-white">{preview.subject}</p>
+                        <pre className="text-sm text-slate-200 whitespace-pre-wrap font-sans">{preview.body}</pre>
+                        <div className="border-t border-white/10 pt-3">
+                          <p className="text-xs font-semibold text-slate-400 mb-1">WhatsApp</p>
+                          <p className="text-sm text-slate-200 whitespace-pre-wrap">{preview.whatsapp}</p>
+                        </div>
+                      </>
+                    ) : (
+                      <p className="text-sm text-slate-400">Create an invoice to preview templates against it</p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default TemplatesPanel;
@@ -0,0 +1,164 @@
+import { motion } from 'framer-motion';
+import { useMemo, useState } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from 'recharts';
+import { getFinancialYear } from '../utils/dates';
+import { ALL_YEARS, TREND_GRANULARITIES, buildTrendSeries, getTrendYears, summarizeTrend } from '../utils/trends';
+
+const formatMoney = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+const formatAxisMoney = (value) => `₹${(value / 1000).toLocaleString('en-IN')}k`;
+
+const TrendTooltip = ({ active, payload, label, money = true }) => {
+  if (active && payload && payload.length) {
+    return (
+      <div className="bg-white/95 backdrop-blur-md border border-gray-200 p-3 rounded-lg shadow-xl">
+        <p className="font-bold text-gray-800 text-sm mb-1">{label}</p>
+        {payload.map(entry => (
+          <p key={entry.dataKey} className="text-gray-600 text-sm">
+            <span style={{ color: entry.color }}>●</span> {entry.name}: {money ? formatMoney(entry.value) : entry.value}
+          </p>
+        ))}
+      </div>
+    );
+  }
+  return null;
+};
+
+const legendFormatter = (value) => (
+  <span className="text-gray-700 font-semibold text-sm">{value}</span>
+);
+
+// ============================================
+// TREND CHARTS COMPONENT
+// ============================================
+
+// Invoiced against collected, the outstanding balance and the number of
+// invoices, month by month or quarter by quarter through Indian financial
+// years (April to March). `invoices` is every evaluated invoice, not the
+// filtered table.
+const TrendCharts = ({ invoices, today }) => {
+  const [year, setYear] = useState(() => getFinancialYear(today));
+  const [granularity, setGranularity] = useState('month');
+
+  const years = useMemo(() => getTrendYears(invoices, today), [invoices, today]);
+  // Keeps a selected year valid while invoices change; falls back to the latest.
+  const selectedYear = year === ALL_YEARS || years.includes(year) ? year : years[0];
+  const rows = useMemo(
+    () => buildTrendSeries(invoices, { year: selectedYear, granularity, today }),
+    [invoices, selectedYear, granularity, today]
+  );
+  const totals = summarizeTrend(rows);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.45 }}
+      className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8"
+    >
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800">Revenue &amp; Collections</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            {formatMoney(totals.invoiced)} invoiced · {formatMoney(totals.collected)} collected · {totals.count} invoice{totals.count !== 1 ? 's' : ''} · all invoices, whatever the table filters
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={selectedYear}
+            onChange={(e) => setYear(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-semibold text-gray-700 bg-white cursor-pointer"
+          >
+            {years.map(fy => (
+              <option key={fy} value={fy}>FY {fy}</option>
+            ))}
+            <option value={ALL_YEARS}>All years</option>
+          </select>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+            {TREND_GRANULARITIES.map(g => (
+              <button
+                key={g.value}
+                type="button"
+                onClick={() => setGranularity(g.value)}
+                className={`px-3 py-2 text-sm font-semibold transition-colors ${
+                  granularity === g.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {g.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Invoiced vs Collected */}
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={rows}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="label" fontSize={12} />
+            <YAxis tickFormatter={formatAxisMoney} fontSize={12} />
+            <Tooltip content={<TrendTooltip />} />
+            <Legend formatter={legendFormatter} />
+            <Bar dataKey="invoiced" name="Invoiced" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+            <Bar dataKey="collected" name="Collected" fill="#10b981" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+        {/* Outstanding Balance */}
+        <div>
+          <p className="text-sm font-semibold text-gray-700 mb-2">Outstanding at period end</p>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={rows}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="label" fontSize={12} />
+                <YAxis tickFormatter={formatAxisMoney} fontSize={12} />
+                <Tooltip content={<TrendTooltip />} />
+                <Line
+                  type="monotone"
+                  dataKey="outstanding"
+                  name="Outstanding"
+                  stroke="#f59e0b"
+                  strokeWidth={2}
+                  dot={{ r: 3 }}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {/* Invoice Count */}
+        <div>
+          <p className="text-sm font-semibold text-gray-700 mb-2">Invoices issued</p>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={rows}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="label" fontSize={12} />
+                <YAxis allowDecimals={false} fontSize={12} />
+                <Tooltip content={<TrendTooltip money={false} />} />
+                <Bar dataKey="count" name="Invoices" fill="#6366f1" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default TrendCharts;
@@ -0,0 +1,55 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { RotateCcw, X } from 'lucide-react';
+import { useEffect } from 'react';
+
+const UNDO_TIMEOUT_MS = 10000;
+
+// ============================================
+// UNDO TOAST COMPONENT
+// ============================================
+
+// Announces a bulk change and offers to undo it. `onExpire` runs when the
+// toast times out or is dismissed, i.e. once the change is final.
+const UndoToast = ({ toast, onUndo, onExpire }) => {
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(onExpire, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [toast, onExpire]);
+
+  return (
+    <AnimatePresence>
+      {toast && (
+        <motion.div
+          key={toast.id}
+          initial={{ y: 40, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 40, opacity: 0 }}
+          className="fixed bottom-6 inset-x-0 mx-auto w-fit z-[70] flex items-center gap-4 px-5 py-3 bg-slate-900 text-white rounded-xl shadow-2xl"
+        >
+          <span className="text-sm font-semibold">{toast.message}</span>
+          {toast.changes.length > 0 && (
+            <button
+              type="button"
+              onClick={onUndo}
+              className="flex items-center gap-1.5 text-sm font-bold text-cyan-300 hover:text-cyan-200"
+            >
+              <RotateCcw size={14} />
+              Undo
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onExpire}
+            className="text-slate-400 hover:text-white"
+            title="Dismiss"
+          >
+            <X size={16} />
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,24 @@
+// ============================================
+// COMPANY PROFILE
+// ============================================
+
+// The business issuing the invoices. `stateCode` is the GST state code of
+// the registered place of business and decides CGST/SGST vs IGST. The
+// address, bank and UPI details are printed on PDF invoices.
+export const COMPANY_PROFILE = {
+  name: 'QistonPe Technologies Pvt Ltd',
+  gstin: '27AABCQ1234F1Z5',
+  pan: 'AABCQ1234F',
+  stateCode: '27',
+  address: '4th Floor, Pinnacle House, Baner Road, Pune, Maharashtra 411045',
+  email: 'billing@qistonpe.example',
+  phone: '+91 20 4000 1234',
+  bank: {
+    accountName: 'QistonPe Technologies Pvt Ltd',
+    bankName: 'HDFC Bank',
+    branch: 'Baner, Pune',
+    accountNumber: '50200012345678',
+    ifsc: 'HDFC0001234'
+  },
+  upiId: 'qistonpe@hdfcbank'
+};
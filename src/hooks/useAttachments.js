@@ -0,0 +1,40 @@
+import { useCallback } from 'react';
+import { getDefaultAdapter } from '../storage';
+import usePersistentState from './usePersistentState';
+
+// ============================================
+// ATTACHMENTS HOOK
+// ============================================
+
+// Files attached to invoices, kept apart from the invoices so the table,
+// exports and audit snapshots never carry their contents. localStorage's
+// quota (a few MB, shared with the invoices) cannot hold them, so on that
+// adapter `canAttach` is false and new files are refused.
+const useAttachments = ({ adapter = getDefaultAdapter() } = {}) => {
+  const [attachments, setAttachments, { isLoaded }] = usePersistentState('invoiceAttachments', [], { adapter });
+  const canAttach = adapter.name !== 'localStorage';
+
+  const addAttachment = useCallback((attachment) => {
+    if (!canAttach) return;
+    setAttachments(prev => [...prev, attachment]);
+  }, [canAttach, setAttachments]);
+
+  const deleteAttachment = useCallback((id) => {
+    setAttachments(prev => prev.filter(a => a.id !== id));
+  }, [setAttachments]);
+
+  const deleteInvoiceAttachments = useCallback((invoiceId) => {
+    setAttachments(prev => prev.filter(a => a.invoiceId !== invoiceId));
+  }, [setAttachments]);
+
+  return {
+    attachments,
+    isLoaded,
+    canAttach,
+    addAttachment,
+    deleteAttachment,
+    deleteInvoiceAttachments
+  };
+};
+
+export default useAttachments;
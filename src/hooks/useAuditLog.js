@@ -0,0 +1,30 @@
+import { useCallback } from 'react';
+import { createAuditEvent } from '../utils/auditLog';
+import usePersistentState from './usePersistentState';
+
+// ============================================
+// AUDIT LOG HOOK
+// ============================================
+
+// Stores the invoice event log. Events are only ever appended. `actor` is
+// the name changes are recorded under, since the app has no sign-in.
+const useAuditLog = ({ adapter } = {}) => {
+  const [events, setEvents, { isLoaded }] = usePersistentState('invoiceEvents', [], { adapter });
+  const [actor, setActor] = usePersistentState('auditActor', '', { adapter });
+
+  const recordEvent = useCallback((event) => {
+    const entry = createAuditEvent({ ...event, actor });
+    setEvents(prev => [...prev, entry]);
+    return entry;
+  }, [actor, setEvents]);
+
+  return {
+    events,
+    isLoaded,
+    actor,
+    setActor,
+    recordEvent
+  };
+};
+
+export default useAuditLog;
@@ -0,0 +1,142 @@
+import { useCallback } from 'react';
+import { CUSTOMER_SCHEMA_VERSION, customerMigrations } from '../storage/migrations';
+import { createEmptyCustomer, normalizeCustomer } from '../utils/customers';
+import usePersistentState from './usePersistentState';
+
+// ============================================
+// CUSTOMER MASTER HOOK
+// ============================================
+
+const SAMPLE_CUSTOMERS = [
+  {
+    id: 'cus-acme-corporation',
+    legalName: 'Acme Corporation',
+    gstin: '27AABCA1234C1Z8',
+    pan: 'AABCA1234C',
+    billingAddress: '12 Nariman Point, Mumbai 400021',
+    shippingAddress: '12 Nariman Point, Mumbai 400021',
+    stateCode: '27',
+    email: 'accounts@acme.example',
+    phone: '9820012345',
+    defaultPaymentTerms: 30,
+    creditLimit: 200000
+  },
+  {
+    id: 'cus-tech-solutions-inc',
+    legalName: 'Tech Solutions Inc',
+    gstin: '29AAECT5678D1Z3',
+    pan: 'AAECT5678D',
+    billingAddress: '45 MG Road, Bengaluru 560001',
+    shippingAddress: '45 MG Road, Bengaluru 560001',
+    stateCode: '29',
+    email: 'finance@techsolutions.example',
+    phone: '9845098450',
+    defaultPaymentTerms: 30,
+    creditLimit: 150000
+  },
+  {
+    id: 'cus-global-industries-ltd',
+    legalName: 'Global Industries Ltd',
+    gstin: '07AABCG9012E1Z1',
+    pan: 'AABCG9012E',
+    billingAddress: '8 Connaught Place, New Delhi 110001',
+    shippingAddress: 'Plot 22, Okhla Phase II, New Delhi 110020',
+    stateCode: '07',
+    email: 'ap@globalindustries.example',
+    phone: '9810098100',
+    defaultPaymentTerms: 45,
+    creditLimit: 100000
+  },
+  {
+    id: 'cus-digital-marketing-pro',
+    legalName: 'Digital Marketing Pro',
+    gstin: '',
+    pan: '',
+    billingAddress: '3 FC Road, Pune 411004',
+    shippingAddress: '3 FC Road, Pune 411004',
+    stateCode: '27',
+    email: 'hello@dmpro.example',
+    phone: '9890098900',
+    defaultPaymentTerms: 15,
+    creditLimit: null
+  },
+  {
+    id: 'cus-cloud-services-ltd',
+    legalName: 'Cloud Services Ltd',
+    gstin: '33AABCC3456F1Z6',
+    pan: 'AABCC3456F',
+    billingAddress: '101 Anna Salai, Chennai 600002',
+    shippingAddress: '101 Anna Salai, Chennai 600002',
+    stateCode: '33',
+    email: 'billing@cloudservices.example',
+    phone: '9840098400',
+    defaultPaymentTerms: 30,
+    creditLimit: 300000
+  },
+  {
+    id: 'cus-software-development-co',
+    legalName: 'Software Development Co',
+    gstin: '27AABCS7890G1Z2',
+    pan: 'AABCS7890G',
+    billingAddress: '22 Baner Road, Pune 411045',
+    shippingAddress: '22 Baner Road, Pune 411045',
+    stateCode: '27',
+    email: 'accounts@softdev.example',
+    phone: '9822098220',
+    defaultPaymentTerms: 45,
+    creditLimit: 250000
+  }
+];
+
+const useCustomers = ({ adapter } = {}) => {
+  const [customers, setCustomers, { isLoaded }] = usePersistentState('customers', SAMPLE_CUSTOMERS, {
+    adapter,
+    version: CUSTOMER_SCHEMA_VERSION,
+    migrations: customerMigrations
+  });
+
+  // Returns the saved customer so callers can select it straight away.
+  const addCustomer = useCallback((data) => {
+    const customer = normalizeCustomer({ ...data, id: undefined });
+    setCustomers(prev => [...prev, customer]);
+    return customer;
+  }, [setCustomers]);
+
+  const updateCustomer = useCallback((id, data) => {
+    setCustomers(prev => prev.map(c => 
+      c.id === id ? normalizeCustomer({ ...c, ...data, id }) : c
+    ));
+  }, [setCustomers]);
+
+  const deleteCustomer = useCallback((id) => {
+    setCustomers(prev => prev.filter(c => c.id !== id));
+  }, [setCustomers]);
+
+  // Creates placeholder records for customer ids that invoices reference but
+  // the master does not know yet (invoices migrated from free-text names or
+  // imported from a spreadsheet). References may carry extra known fields
+  // such as a GSTIN.
+  const ensureCustomers = useCallback((references) => {
+    setCustomers(prev => {
+      const known = new Set(prev.map(c => c.id));
+      const missing = [];
+      references.forEach(reference => {
+        if (!reference.id || known.has(reference.id)) return;
+        known.add(reference.id);
+        missing.push({ ...createEmptyCustomer(), creditLimit: null, ...reference });
+      });
+      return missing.length > 0 ? [...prev, ...missing] : prev;
+    });
+  }, [setCustomers]);
+
+  return {
+    customers,
+    isLoaded,
+    addCustomer,
+    updateCustomer,
+    deleteCustomer,
+    ensureCustomers
+  };
+};
+
+export default useCustomers;
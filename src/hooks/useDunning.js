@@ -0,0 +1,49 @@
+import { useCallback } from 'react';
+import { DEFAULT_DUNNING_LEVELS, createReminderRecord } from '../utils/dunning';
+import usePersistentState from './usePersistentState';
+
+// ============================================
+// DUNNING HOOK
+// ============================================
+
+// The configured reminder levels and the log of reminders sent, which is
+// what keeps an invoice from being reminded twice at the same level.
+const useDunning = ({ adapter } = {}) => {
+  const [levels, setLevels, { isLoaded: levelsLoaded }] = usePersistentState('dunningLevels', DEFAULT_DUNNING_LEVELS, { adapter });
+  const [sent, setSent, { isLoaded: sentLoaded }] = usePersistentState('remindersSent', [], { adapter });
+
+  const addLevel = useCallback((level) => {
+    setLevels(prev => [...prev, level]);
+  }, [setLevels]);
+
+  const updateLevel = useCallback((id, changes) => {
+    setLevels(prev => prev.map(l => (l.id === id ? { ...l, ...changes } : l)));
+  }, [setLevels]);
+
+  const deleteLevel = useCallback((id) => {
+    setLevels(prev => prev.filter(l => l.id !== id));
+  }, [setLevels]);
+
+  const resetLevels = useCallback(() => {
+    setLevels(DEFAULT_DUNNING_LEVELS);
+  }, [setLevels]);
+
+  const recordSent = useCallback((data) => {
+    const record = createReminderRecord(data);
+    setSent(prev => [...prev, record]);
+    return record;
+  }, [setSent]);
+
+  return {
+    levels,
+    sent,
+    isLoaded: levelsLoaded && sentLoaded,
+    addLevel,
+    updateLevel,
+    deleteLevel,
+    resetLevels,
+    recordSent
+  };
+};
+
+export default useDunning;
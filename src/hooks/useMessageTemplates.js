@@ -0,0 +1,36 @@
+import { useCallback } from 'react';
+import { DEFAULT_TEMPLATES, createTemplate } from '../utils/messageTemplates';
+import usePersistentState from './usePersistentState';
+
+// ============================================
+// MESSAGE TEMPLATES HOOK
+// ============================================
+
+const useMessageTemplates = ({ adapter } = {}) => {
+  const [templates, setTemplates, { isLoaded }] = usePersistentState('messageTemplates', DEFAULT_TEMPLATES, { adapter });
+
+  // Returns the saved template so the editor can select it.
+  const addTemplate = useCallback((data) => {
+    const template = createTemplate({ ...data, id: undefined });
+    setTemplates(prev => [...prev, template]);
+    return template;
+  }, [setTemplates]);
+
+  const updateTemplate = useCallback((id, data) => {
+    setTemplates(prev => prev.map(t => (t.id === id ? { ...t, ...data, id } : t)));
+  }, [setTemplates]);
+
+  const deleteTemplate = useCallback((id) => {
+    setTemplates(prev => prev.filter(t => t.id !== id));
+  }, [setTemplates]);
+
+  return {
+    templates,
+    isLoaded,
+    addTemplate,
+    updateTemplate,
+    deleteTemplate
+  };
+};
+
+export default useMessageTemplates;
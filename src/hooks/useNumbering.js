@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { DEFAULT_NUMBERING_SETTINGS, getNextNumber, getSeriesStem, parseDocumentNumber } from '../utils/numbering';
+import usePersistentState from './usePersistentState';
+
+// ============================================
+// NUMBERING HOOK
+// ============================================
+
+// Hands out document numbers. Counters (highest number issued per series
+// stem) are kept in a ref as well as in storage so several numbers taken in
+// one event, e.g. during an import, never see a stale counter.
+const useNumbering = ({ adapter } = {}) => {
+  const [savedSettings, setSettings] = usePersistentState('numberingSettings', DEFAULT_NUMBERING_SETTINGS, { adapter });
+  // Series added after the settings were saved start from their defaults.
+  const settings = useMemo(() => ({ ...DEFAULT_NUMBERING_SETTINGS, ...savedSettings }), [savedSettings]);
+  const [counters, setCounters, { isLoaded }] = usePersistentState('numberCounters', {}, { adapter });
+  const countersRef = useRef(counters);
+
+  useEffect(() => {
+    countersRef.current = counters;
+  }, [counters]);
+
+  const bumpCounter = useCallback((stem, sequence) => {
+    if ((countersRef.current[stem] || 0) >= sequence) return;
+    countersRef.current = { ...countersRef.current, [stem]: sequence };
+    setCounters(countersRef.current);
+  }, [setCounters]);
+
+  // Reserves and returns the next number of `series` for a document dated
+  // `date`, skipping any id in `existingIds`.
+  const allocateNumber = useCallback((series, date, existingIds) => {
+    const next = getNextNumber(settings[series], date, countersRef.current, existingIds);
+    bumpCounter(next.stem, next.sequence);
+    return next.id;
+  }, [settings, bumpCounter]);
+
+  // Records a number chosen elsewhere (an imported invoice) so the series
+  // continues after it. Ids outside the series' own format are ignored.
+  const registerNumber = useCallback((series, date, id) => {
+    const parsed = parseDocumentNumber(id);
+    if (parsed && parsed.stem === getSeriesStem(settings[series], date)) {
+      bumpCounter(parsed.stem, parsed.sequence);
+    }
+  }, [settings, bumpCounter]);
+
+  const previewNumber = useCallback((series, date, existingIds, seriesSettings = settings) =>
+    getNextNumber(seriesSettings[series], date, counters, existingIds).id,
+  [settings, counters]);
+
+  return {
+    settings,
+    setSettings,
+    counters,
+    isLoaded,
+    allocateNumber,
+    registerNumber,
+    previewNumber
+  };
+};
+
+export default useNumbering;
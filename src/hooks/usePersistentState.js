@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getDefaultAdapter, loadCollection, saveCollection } from '../storage';
+import { clearStorageFailure, reportStorageFailure } from './useStorageFailures';
+
+// ============================================
+// PERSISTENT STATE HOOK
+// ============================================
+
+const applyUpdate = (value, update) => (typeof update === 'function' ? update(value) : update);
+
+// useState backed by a storage adapter: reads the saved collection on mount
+// (running any pending schema migrations) and writes every change back.
+// Changes made before the saved copy has loaded are replayed on top of it
+// rather than lost. Failures are returned as `error` (load) and
+// `saveError`, and reported to useStorageFailures so the user is told.
+const usePersistentState = (key, initialValue, {
+  adapter = getDefaultAdapter(),
+  version = 1,
+  migrations = {}
+} = {}) => {
+  const [value, setValue] = useState(initialValue);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [error, setError] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const loadedRef = useRef(false);
+  const pendingRef = useRef([]);
+
+  // Migrations are module-level tables, so a new object each render must
+  // not trigger a reload; the latest one is read when loading.
+  const migrationsRef = useRef(migrations);
+  useEffect(() => {
+    migrationsRef.current = migrations;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadedRef.current = false;
+    pendingRef.current = [];
+
+    loadCollection(adapter, key, { version, migrations: migrationsRef.current })
+      .then(saved => {
+        if (cancelled) return;
+        const pending = pendingRef.current;
+        loadedRef.current = true;
+        pendingRef.current = [];
+        if (saved !== null) setValue(pending.reduce(applyUpdate, saved));
+        setIsLoaded(true);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error(`Failed to load "${key}" from ${adapter.name}`, err);
+        reportStorageFailure(key, 'load', err);
+        loadedRef.current = true;
+        pendingRef.current = [];
+        setError(err);
+        setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [adapter, key, version]);
+
+  const setPersistentValue = useCallback((update) => {
+    if (!loadedRef.current) pendingRef.current.push(update);
+    setValue(update);
+  }, []);
+
+  useEffect(() => {
+    // Never write back over data we failed to read (e.g. saved by a newer
+    // version of the app), or before the saved copy has been loaded.
+    if (!isLoaded || error) return;
+    saveCollection(adapter, key, value, { version })
+      .then(() => {
+        setSaveError(null);
+        clearStorageFailure(key);
+      })
+      .catch(err => {
+        console.error(`Failed to save "${key}" to ${adapter.name}`, err);
+        setSaveError(err);
+        reportStorageFailure(key, 'save', err);
+      });
+  }, [adapter, key, value, version, isLoaded, error]);
+
+  return [value, setPersistentValue, { isLoaded, error, saveError }];
+};
+
+export default usePersistentState;
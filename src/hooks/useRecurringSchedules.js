@@ -0,0 +1,41 @@
+import { useCallback } from 'react';
+import { createId } from '../utils/ids';
+import usePersistentState from './usePersistentState';
+
+// ============================================
+// RECURRING SCHEDULES HOOK
+// ============================================
+
+const useRecurringSchedules = ({ adapter } = {}) => {
+  const [schedules, setSchedules, { isLoaded }] = usePersistentState('recurringSchedules', [], { adapter });
+
+  const addSchedule = useCallback((data) => {
+    setSchedules(prev => [...prev, { ...data, id: createId(), lastRunDate: null }]);
+  }, [setSchedules]);
+
+  const updateSchedule = useCallback((id, data) => {
+    setSchedules(prev => prev.map(s => (s.id === id ? { ...s, ...data } : s)));
+  }, [setSchedules]);
+
+  const deleteSchedule = useCallback((id) => {
+    setSchedules(prev => prev.filter(s => s.id !== id));
+  }, [setSchedules]);
+
+  // Remembers the latest run that produced an invoice so it never runs again.
+  const markRun = useCallback((id, runDate) => {
+    setSchedules(prev => prev.map(s =>
+      s.id === id && (!s.lastRunDate || runDate > s.lastRunDate) ? { ...s, lastRunDate: runDate } : s
+    ));
+  }, [setSchedules]);
+
+  return {
+    schedules,
+    isLoaded,
+    addSchedule,
+    updateSchedule,
+    deleteSchedule,
+    markRun
+  };
+};
+
+export default useRecurringSchedules;
@@ -0,0 +1,45 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { buildRoute, parseRoute } from '../utils/routes';
+
+// ============================================
+// ROUTE HOOK
+// ============================================
+
+// pushState does not fire popstate, so our own navigations announce
+// themselves with this event.
+const NAVIGATE_EVENT = 'invoice-dashboard:navigate';
+
+const subscribe = (callback) => {
+  window.addEventListener('popstate', callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener('popstate', callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+};
+
+const getHref = () => `${window.location.pathname}${window.location.search}`;
+
+// The current route, parsed from the URL, and `navigate(changes, { replace })`
+// to update part of it. `changes` may be a function of the current route.
+// Each navigation adds a history entry unless `replace` is set, which suits
+// changes made on every keystroke.
+const useRoute = () => {
+  const href = useSyncExternalStore(subscribe, getHref);
+  const route = useMemo(() => parseRoute(href), [href]);
+
+  const navigate = useCallback((changes, { replace = false } = {}) => {
+    const current = parseRoute(getHref());
+    const next = buildRoute({
+      ...current,
+      ...(typeof changes === 'function' ? changes(current) : changes)
+    });
+    if (next === getHref()) return;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', next);
+    window.dispatchEvent(new Event(NAVIGATE_EVENT));
+  }, []);
+
+  return [route, navigate];
+};
+
+export default useRoute;
@@ -0,0 +1,52 @@
+import { useCallback } from 'react';
+import { createView, getUniqueViewName } from '../utils/savedViews';
+import usePersistentState from './usePersistentState';
+
+// ============================================
+// SAVED VIEWS HOOK
+// ============================================
+
+// At most one view is the default; it is applied when the dashboard opens
+// without any table state in the URL.
+const useSavedViews = ({ adapter } = {}) => {
+  const [views, setViews, { isLoaded }] = usePersistentState('savedViews', [], { adapter });
+
+  const addView = useCallback((name, source) => {
+    const view = createView(name, source);
+    setViews(prev => [...prev, view]);
+    return view;
+  }, [setViews]);
+
+  const updateView = useCallback((id, changes) => {
+    setViews(prev => prev.map(v => (v.id === id ? { ...v, ...changes } : v)));
+  }, [setViews]);
+
+  const deleteView = useCallback((id) => {
+    setViews(prev => prev.filter(v => v.id !== id));
+  }, [setViews]);
+
+  // Pass null to clear the default.
+  const setDefaultView = useCallback((id) => {
+    setViews(prev => prev.map(v => ({ ...v, isDefault: v.id === id })));
+  }, [setViews]);
+
+  // Imported views are pinned and renamed if their name is already taken.
+  const importViews = useCallback((definitions) => {
+    setViews(prev => definitions.reduce((list, { name, ...definition }) => [
+      ...list,
+      createView(getUniqueViewName(name, list), definition)
+    ], prev));
+  }, [setViews]);
+
+  return {
+    views,
+    isLoaded,
+    addView,
+    updateView,
+    deleteView,
+    setDefaultView,
+    importViews
+  };
+};
+
+export default useSavedViews;
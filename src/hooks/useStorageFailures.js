@@ -0,0 +1,39 @@
+import { useSyncExternalStore } from 'react';
+
+// ============================================
+// STORAGE FAILURES HOOK
+// ============================================
+
+// Collections whose last load or save failed, shared by every
+// usePersistentState so the dashboard can warn about all of them at once.
+let failures = [];
+const listeners = new Set();
+
+const setFailures = (next) => {
+  failures = next;
+  listeners.forEach(listener => listener());
+};
+
+// `action` is 'load' or 'save'. A later failure of the same collection
+// replaces the earlier one.
+export const reportStorageFailure = (key, action, error) => {
+  setFailures([
+    ...failures.filter(f => f.key !== key),
+    { key, action, message: error?.message || String(error) }
+  ]);
+};
+
+export const clearStorageFailure = (key) => {
+  if (failures.some(f => f.key === key)) setFailures(failures.filter(f => f.key !== key));
+};
+
+const subscribe = (callback) => {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+};
+
+const getFailures = () => failures;
+
+const useStorageFailures = () => useSyncExternalStore(subscribe, getFailures);
+
+export default useStorageFailures;
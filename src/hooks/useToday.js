@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { getTodayDate, msUntilNextMidnight } from '../utils/dates';
+
+// ============================================
+// CLOCK HOOK
+// ============================================
+
+// Returns today's date (YYYY-MM-DD) and re-renders when it changes at
+// local midnight. Timers are paused while a laptop sleeps, so the date is
+// also re-checked whenever the tab becomes visible again.
+const useToday = () => {
+  const [today, setToday] = useState(getTodayDate);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setToday(getTodayDate()), msUntilNextMidnight() + 1000);
+    return () => clearTimeout(timer);
+  }, [today]);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') setToday(getTodayDate());
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  return today;
+};
+
+export default useToday;
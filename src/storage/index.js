@@ -0,0 +1,59 @@
+import { createIndexedDBAdapter, isIndexedDBAvailable } from './indexedDBAdapter';
+import { createLocalStorageAdapter, isLocalStorageAvailable } from './localStorageAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+import { runMigrations } from './migrations';
+
+/**
+ * Every adapter implements the same promise-based key/value interface:
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name
+ * @property {(key: string) => Promise<any>} getItem  Resolves to null when the key is missing
+ * @property {(key: string, value: any) => Promise<void>} setItem
+ * @property {(key: string) => Promise<void>} removeItem
+ */
+
+const adapterFactories = {
+  indexedDB: createIndexedDBAdapter,
+  localStorage: createLocalStorageAdapter,
+  memory: createMemoryAdapter
+};
+
+export const createStorageAdapter = (type) => {
+  const factory = adapterFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown storage adapter "${type}"`);
+  }
+  return factory();
+};
+
+let defaultAdapter = null;
+
+// Picks the configured adapter (VITE_STORAGE_ADAPTER), otherwise the most
+// capable one the browser supports.
+export const getDefaultAdapter = () => {
+  if (defaultAdapter) return defaultAdapter;
+
+  const configured = import.meta.env.VITE_STORAGE_ADAPTER;
+  if (configured) {
+    defaultAdapter = createStorageAdapter(configured);
+  } else if (isIndexedDBAvailable()) {
+    defaultAdapter = createIndexedDBAdapter();
+  } else if (isLocalStorageAvailable()) {
+    defaultAdapter = createLocalStorageAdapter();
+  } else {
+    defaultAdapter = createMemoryAdapter();
+  }
+  return defaultAdapter;
+};
+
+export const loadCollection = async (adapter, key, { version, migrations }) => {
+  const stored = await adapter.getItem(key);
+  if (stored === null) return null;
+  return runMigrations(stored, version, migrations);
+};
+
+export const saveCollection = (adapter, key, data, { version }) =>
+  adapter.setItem(key, { version, data, savedAt: new Date().toISOString() });
+
+export { createIndexedDBAdapter, createLocalStorageAdapter, createMemoryAdapter };
@@ -0,0 +1,61 @@
+// ============================================
+// INDEXEDDB ADAPTER
+// ============================================
+
+export const isIndexedDBAvailable = () =>
+  typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined';
+
+const openDatabase = (dbName, storeName) =>
+  new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const createIndexedDBAdapter = ({
+  dbName = 'invoice-dashboard',
+  storeName = 'collections'
+} = {}) => {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, storeName).catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const runRequest = async (mode, createRequest) => {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = createRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+
+    async getItem(key) {
+      const value = await runRequest('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    },
+
+    async setItem(key, value) {
+      await runRequest('readwrite', store => store.put(value, key));
+    },
+
+    async removeItem(key) {
+      await runRequest('readwrite', store => store.delete(key));
+    }
+  };
+};
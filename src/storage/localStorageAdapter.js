@@ -0,0 +1,35 @@
+// ============================================
+// LOCAL STORAGE ADAPTER
+// ============================================
+
+export const isLocalStorageAvailable = () => {
+  try {
+    const probe = '__invoice_dashboard_probe__';
+    window.localStorage.setItem(probe, probe);
+    window.localStorage.removeItem(probe);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const createLocalStorageAdapter = ({ namespace = 'invoice-dashboard' } = {}) => {
+  const storageKey = (key) => `${namespace}:${key}`;
+
+  return {
+    name: 'localStorage',
+
+    async getItem(key) {
+      const raw = window.localStorage.getItem(storageKey(key));
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async setItem(key, value) {
+      window.localStorage.setItem(storageKey(key), JSON.stringify(value));
+    },
+
+    async removeItem(key) {
+      window.localStorage.removeItem(storageKey(key));
+    }
+  };
+};
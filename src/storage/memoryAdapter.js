@@ -0,0 +1,25 @@
+// ============================================
+// IN-MEMORY ADAPTER
+// ============================================
+
+// Used when the browser exposes no persistent storage (e.g. private mode
+// with storage disabled). Data lives only as long as the page.
+export const createMemoryAdapter = () => {
+  const store = new Map();
+
+  return {
+    name: 'memory',
+
+    async getItem(key) {
+      return store.has(key) ? structuredClone(store.get(key)) : null;
+    },
+
+    async setItem(key, value) {
+      store.set(key, structuredClone(value));
+    },
+
+    async removeItem(key) {
+      store.delete(key);
+    }
+  };
+};
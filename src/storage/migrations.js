@@ -0,0 +1,132 @@
+import { COMPANY_PROFILE } from '../config/company';
+import { normalizeCustomerName } from '../utils/customers';
+import { calculateDueDate } from '../utils/dates';
+import { calculateInvoiceTotals } from '../utils/gst';
+import { createId } from '../utils/ids';
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+
+// Each collection stores its data inside a versioned envelope:
+//   { version, data, savedAt }
+// A migration keyed by N upgrades data from version N - 1 to N. Data saved
+// before envelopes existed (a bare array) is treated as version 0.
+
+export const runMigrations = (stored, targetVersion, migrations = {}) => {
+  const isEnvelope = stored && !Array.isArray(stored) && typeof stored.version === 'number';
+  let version = isEnvelope ? stored.version : 0;
+  let data = isEnvelope ? stored.data : stored;
+
+  if (version > targetVersion) {
+    throw new Error(
+      `Saved data is at schema version ${version}, but this app only understands up to ${targetVersion}`
+    );
+  }
+
+  while (version < targetVersion) {
+    const migrate = migrations[version + 1];
+    if (!migrate) {
+      throw new Error(`Missing migration to schema version ${version + 1}`);
+    }
+    data = migrate(data);
+    version += 1;
+  }
+
+  return data;
+};
+
+// ============================================
+// INVOICE MIGRATIONS
+// ============================================
+
+export const INVOICE_SCHEMA_VERSION = 6;
+
+export const invoiceMigrations = {
+  // v1: amounts and payment terms were stored exactly as typed into the
+  // form, so some invoices carry strings instead of numbers.
+  1: (invoices) =>
+    invoices.map(inv => ({
+      ...inv,
+      amount: parseFloat(inv.amount) || 0,
+      paymentTerms: parseInt(inv.paymentTerms, 10) || 30
+    })),
+
+  // v2: `overdue` is derived from the due date by the status engine and is
+  // no longer stored.
+  2: (invoices) =>
+    invoices.map(inv => (inv.status === 'overdue' ? { ...inv, status: 'pending' } : inv)),
+
+  // v3: a single `amount` became a list of line items with GST. Existing
+  // amounts carry over as one untaxed line so grand totals are unchanged.
+  3: (invoices) =>
+    invoices.map(({ amount, ...inv }) => ({
+      ...inv,
+      placeOfSupply: COMPANY_PROFILE.stateCode,
+      lineItems: [
+        {
+          id: createId(),
+          description: 'Invoice amount',
+          hsnSac: '',
+          quantity: 1,
+          unitPrice: amount || 0,
+          discount: 0,
+          gstRate: 0
+        }
+      ]
+    })),
+
+  // v4: payments are recorded in a per-invoice ledger. Invoices already
+  // stored as `paid` keep that status and are treated as settled in full.
+  4: (invoices) =>
+    invoices.map(inv => ({ ...inv, payments: inv.payments || [] })),
+
+  // v5: invoices reference a customer in the customer master. The name is
+  // kept as a snapshot; matching customer records are created on load.
+  // Invoices whose names normalize the same share one new id.
+  5: (invoices) => {
+    const idsByName = new Map();
+    return invoices.map(inv => {
+      if (inv.customerId) return inv;
+      const key = normalizeCustomerName(inv.customerName) || inv.customerName;
+      if (!idsByName.has(key)) idsByName.set(key, createId());
+      return { ...inv, customerId: idsByName.get(key) };
+    });
+  },
+
+  // v6: the lifecycle stores `sent` instead of `pending`, and `paid` is
+  // always derived from the ledger. Invoices stored as `paid` get a payment
+  // for their unsettled balance, dated on the due date.
+  6: (invoices) =>
+    invoices.map(inv => {
+      if (inv.status === 'pending') return { ...inv, status: 'sent' };
+      if (inv.status !== 'paid') return inv;
+      const payments = inv.payments || [];
+      const received = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
+      const balance = calculateInvoiceTotals(inv).grandTotal - received;
+      return {
+        ...inv,
+        status: 'sent',
+        payments: balance > 0
+          ? [
+              ...payments,
+              {
+                id: createId(),
+                date: calculateDueDate(inv.invoiceDate, inv.paymentTerms),
+                amount: balance,
+                mode: 'other',
+                reference: 'Marked paid before payments were tracked'
+              }
+            ]
+          : payments
+      };
+    })
+};
+
+// ============================================
+// CUSTOMER MIGRATIONS
+// ============================================
+
+export const CUSTOMER_SCHEMA_VERSION = 1;
+
+export const customerMigrations = {};
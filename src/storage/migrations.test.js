@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { INVOICE_SCHEMA_VERSION, invoiceMigrations, runMigrations } from './migrations';
+
+// An invoice as the first release saved it: a bare array, amounts as typed.
+const legacyInvoice = (overrides) => ({
+  id: 'INV-001',
+  customerName: 'Acme Corporation',
+  invoiceDate: '2026-01-01',
+  dueDate: '2026-01-31',
+  amount: '1180',
+  paymentTerms: '30',
+  status: 'pending',
+  ...overrides
+});
+
+const migrate = (invoices) => runMigrations(invoices, INVOICE_SCHEMA_VERSION, invoiceMigrations);
+
+describe('runMigrations', () => {
+  it('returns enveloped data that is already current', () => {
+    const data = [{ id: 'a' }];
+    expect(runMigrations({ version: 2, data, savedAt: 'x' }, 2, {})).toBe(data);
+  });
+
+  it('refuses data saved by a newer version', () => {
+    expect(() => runMigrations({ version: 3, data: [] }, 2, {})).toThrow(/schema version 3/);
+  });
+
+  it('reports a missing step', () => {
+    expect(() => runMigrations([], 2, { 1: d => d })).toThrow('Missing migration to schema version 2');
+  });
+});
+
+describe('invoiceMigrations', () => {
+  it('upgrades a bare v0 array to the current schema', () => {
+    const [inv] = migrate([legacyInvoice()]);
+    expect(inv).not.toHaveProperty('amount');
+    expect(inv.paymentTerms).toBe(30);
+    expect(inv.status).toBe('sent');
+    expect(inv.payments).toEqual([]);
+    expect(inv.customerId).toEqual(expect.any(String));
+    expect(inv.lineItems).toEqual([
+      expect.objectContaining({ quantity: 1, unitPrice: 1180, gstRate: 0 })
+    ]);
+  });
+
+  it('stores overdue invoices as sent', () => {
+    expect(migrate([legacyInvoice({ status: 'overdue' })])[0].status).toBe('sent');
+  });
+
+  it('records the unsettled balance of paid invoices as a payment on the due date', () => {
+    const [inv] = migrate([legacyInvoice({ status: 'paid', invoiceDate: '2026-01-01', paymentTerms: 15 })]);
+    expect(inv.status).toBe('sent');
+    expect(inv.payments).toEqual([
+      expect.objectContaining({ amount: 1180, date: '2026-01-16', mode: 'other' })
+    ]);
+  });
+
+  it('gives names that normalize the same one customer id', () => {
+    const invoices = migrate([
+      legacyInvoice({ id: 'INV-001', customerName: 'Acme Corporation' }),
+      legacyInvoice({ id: 'INV-002', customerName: '  ACME corporation. ' }),
+      legacyInvoice({ id: 'INV-003', customerName: 'शर्मा ट्रेडर्स' }),
+      legacyInvoice({ id: 'INV-004', customerName: 'शर्मा  ट्रेडर्स' }),
+      legacyInvoice({ id: 'INV-005', customerName: 'गुप्ता एंड संस' })
+    ]);
+    const [acme, acmeAgain, sharma, sharmaAgain, gupta] = invoices.map(inv => inv.customerId);
+    expect(acmeAgain).toBe(acme);
+    expect(sharmaAgain).toBe(sharma);
+    expect(new Set([acme, sharma, gupta]).size).toBe(3);
+  });
+
+  it('keeps customer ids that are already set', () => {
+    const [inv] = invoiceMigrations[5]([{ id: 'INV-001', customerName: 'Acme', customerId: 'c1' }]);
+    expect(inv.customerId).toBe('c1');
+  });
+});
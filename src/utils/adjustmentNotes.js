@@ -0,0 +1,89 @@
+import { calculateInvoiceTotals, createLineItem } from './gst';
+import { createId } from './ids';
+import { validateInvoice } from './invoiceValidation';
+
+// ============================================
+// CREDIT & DEBIT NOTES
+// ============================================
+
+// Notes are stored alongside invoices with a `documentType` and the id of
+// the invoice they adjust (`referenceInvoiceId`). They never carry a
+// balance of their own: a credit note lowers the original invoice's net
+// amount and a debit note raises it. `sign` is that direction.
+export const DOCUMENT_TYPES = {
+  invoice: { label: 'Invoice', series: 'invoice', sign: 1 },
+  credit_note: {
+    label: 'Credit Note',
+    series: 'creditNote',
+    sign: -1,
+    badgeClass: 'bg-teal-100 text-teal-700',
+    color: '#14b8a6'
+  },
+  debit_note: {
+    label: 'Debit Note',
+    series: 'debitNote',
+    sign: 1,
+    badgeClass: 'bg-indigo-100 text-indigo-700',
+    color: '#6366f1'
+  }
+};
+
+export const NOTE_TYPES = ['credit_note', 'debit_note'];
+
+export const getDocumentType = (doc) => doc.documentType || 'invoice';
+
+export const isAdjustmentNote = (doc) => NOTE_TYPES.includes(doc.documentType);
+
+// Invoice amount with the sign a spreadsheet or report should total it by.
+export const getSignedAmount = (doc) => DOCUMENT_TYPES[getDocumentType(doc)].sign * doc.amount;
+
+// Net adjustment per invoice id from every note that has not been voided.
+export const getAdjustmentsByInvoice = (documents) => {
+  const adjustments = new Map();
+  documents
+    .filter(doc => isAdjustmentNote(doc) && doc.status !== 'void')
+    .forEach(note => {
+      const amount = DOCUMENT_TYPES[note.documentType].sign * calculateInvoiceTotals(note).grandTotal;
+      adjustments.set(note.referenceInvoiceId, (adjustments.get(note.referenceInvoiceId) || 0) + amount);
+    });
+  return adjustments;
+};
+
+// Drafts have not been issued and void invoices no longer exist for the
+// customer, so neither can be adjusted.
+export const canIssueNote = (invoice) =>
+  getDocumentType(invoice) === 'invoice' && !['draft', 'void'].includes(invoice.status);
+
+// A credit note for returned goods starts from the original lines; a debit
+// note is usually for something extra, so it starts blank.
+export const createNoteForm = (type, invoice, date) => ({
+  documentType: type,
+  referenceInvoiceId: invoice.id,
+  customerId: invoice.customerId,
+  customerName: invoice.customerName,
+  placeOfSupply: invoice.placeOfSupply,
+  invoiceDate: date,
+  noteReason: '',
+  lineItems: type === 'credit_note'
+    ? invoice.lineItems.map(item => ({ ...item, id: createId() }))
+    : [createLineItem()]
+});
+
+// `invoice` is the evaluated original, whose `netAmount` already includes
+// earlier notes. Credits can never take it below zero.
+export const validateNote = (note, invoice) => {
+  const errors = validateInvoice(note);
+  if (!note.noteReason.trim()) {
+    errors.noteReason = 'A reason is required';
+  }
+  if (note.invoiceDate && note.invoiceDate < invoice.invoiceDate) {
+    errors.invoiceDate = 'A note cannot be dated before its invoice';
+  }
+  if (!errors.lineItems && !errors.lineItemErrors && note.documentType === 'credit_note') {
+    const credit = calculateInvoiceTotals(note).grandTotal;
+    if (credit > invoice.netAmount) {
+      errors.lineItems = `Credit cannot exceed the invoice's net amount of ₹${invoice.netAmount.toLocaleString('en-IN')}`;
+    }
+  }
+  return errors;
+};
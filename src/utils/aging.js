@@ -0,0 +1,50 @@
+import { daysBetween, getTodayDate } from './dates';
+
+// ============================================
+// ACCOUNTS RECEIVABLE AGING
+// ============================================
+
+// `maxDays` is inclusive; invoices not yet due or due today fall into
+// `current`.
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0, color: '#10b981' },
+  { key: 'days1to30', label: '1-30 days', maxDays: 30, color: '#facc15' },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60, color: '#f59e0b' },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90, color: '#f97316' },
+  { key: 'days90plus', label: '90+ days', maxDays: Infinity, color: '#ef4444' }
+];
+
+export const getDaysOverdue = (invoice, today = getTodayDate()) =>
+  daysBetween(invoice.dueDate, today);
+
+export const getAgingBucket = (daysOverdue) =>
+  AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays);
+
+const emptyBuckets = () =>
+  Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+// Expects evaluated invoices; only balances still due are aged.
+export const buildAgingReport = (invoices, today = getTodayDate()) => {
+  const totals = emptyBuckets();
+  const byCustomer = new Map();
+
+  invoices
+    .filter(inv => inv.balanceDue > 0)
+    .forEach(inv => {
+      const bucket = getAgingBucket(getDaysOverdue(inv, today));
+      const key = inv.customerId || inv.customerName;
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, { customerId: key, customerName: inv.customerName, ...emptyBuckets(), total: 0, invoiceCount: 0 });
+      }
+      const row = byCustomer.get(key);
+      row[bucket.key] += inv.balanceDue;
+      row.total += inv.balanceDue;
+      row.invoiceCount += 1;
+      totals[bucket.key] += inv.balanceDue;
+    });
+
+  const customers = [...byCustomer.values()].sort((a, b) => b.total - a.total);
+  const total = customers.reduce((sum, row) => sum + row.total, 0);
+
+  return { customers, totals, total };
+};
@@ -0,0 +1,44 @@
+// ============================================
+// AMOUNT IN WORDS (INDIAN NUMBERING)
+// ============================================
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigits = (n) =>
+  n < 20 ? ONES[n] : [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+
+const threeDigits = (n) =>
+  [n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : '', twoDigits(n % 100)]
+    .filter(Boolean)
+    .join(' ');
+
+// 12345678 -> "One Crore Twenty Three Lakh Forty Five Thousand Six Hundred
+// Seventy Eight". Amounts above 99 crore repeat the scale ("Two Hundred
+// Crore") as is customary.
+export const numberToIndianWords = (value) => {
+  const n = Math.floor(Math.abs(value));
+  if (n === 0) return 'Zero';
+
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  return [
+    crore ? `${numberToIndianWords(crore)} Crore` : '',
+    lakh ? `${twoDigits(lakh)} Lakh` : '',
+    thousand ? `${twoDigits(thousand)} Thousand` : '',
+    threeDigits(rest)
+  ].filter(Boolean).join(' ');
+};
+
+// 118000.5 -> "Rupees One Lakh Eighteen Thousand and Fifty Paise Only"
+export const amountInWords = (amount) => {
+  const rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+  return `Rupees ${numberToIndianWords(rupees)}${paise ? ` and ${twoDigits(paise)} Paise` : ''} Only`;
+};
@@ -0,0 +1,39 @@
+import { createId } from './ids';
+
+// ============================================
+// INVOICE ATTACHMENTS
+// ============================================
+
+// Attachments (purchase orders, delivery challans, signed copies) are kept
+// as data URLs in the same storage as the invoices, which for them must be
+// IndexedDB (see useAttachments).
+export const MAX_ATTACHMENT_SIZE = 2 * 1024 * 1024;
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+  reader.readAsDataURL(file);
+});
+
+// Resolves to the stored attachment, or rejects with a message to show.
+export const readAttachment = async (file, invoiceId) => {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`);
+  }
+  return {
+    id: createId(),
+    invoiceId,
+    name: file.name,
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+    dataUrl: await readAsDataUrl(file),
+    addedAt: new Date().toISOString()
+  };
+};
@@ -0,0 +1,104 @@
+import { formatDate } from './dates';
+import { calculateInvoiceTotals } from './gst';
+import { createId } from './ids';
+import { STATUS_LABELS } from './invoiceStatus';
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+// Events are append-only. Each one carries the field-level diff for the
+// timeline and a snapshot of the stored invoice after the change, which is
+// what "revert to this version" restores.
+export const AUDIT_ACTIONS = {
+  created: 'Created',
+  updated: 'Edited',
+  status_changed: 'Status changed',
+  payment_recorded: 'Payment recorded',
+  payment_deleted: 'Payment deleted',
+  reminder_sent: 'Reminder sent',
+  reverted: 'Reverted',
+  deleted: 'Deleted'
+};
+
+const FIELD_LABELS = {
+  id: 'Invoice #',
+  customerId: 'Customer',
+  customerName: 'Customer name',
+  invoiceDate: 'Invoice date',
+  paymentTerms: 'Payment terms',
+  placeOfSupply: 'Place of supply',
+  tags: 'Tags',
+  lineItems: 'Line items',
+  payments: 'Payments',
+  status: 'Status',
+  statusReason: 'Status reason'
+};
+
+// Bookkeeping that changes alongside a field already in the diff.
+const IGNORED_FIELDS = ['statusChangedAt'];
+
+// A revert restores the document, not its lifecycle or ledger: status only
+// moves through transitions and payments through the payment panel.
+const REVERT_KEPT_FIELDS = ['id', 'status', 'statusReason', 'statusChangedAt', 'payments'];
+
+const money = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+export const getFieldLabel = (field) => FIELD_LABELS[field] || field;
+
+export const formatAuditValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  switch (field) {
+    case 'lineItems':
+      return `${value.length} item${value.length !== 1 ? 's' : ''}, ${money(calculateInvoiceTotals({ lineItems: value }).grandTotal)}`;
+    case 'payments':
+      return `${value.length} payment${value.length !== 1 ? 's' : ''}, ${money(value.reduce((sum, p) => sum + (p.amount || 0), 0))}`;
+    case 'invoiceDate':
+      return formatDate(value);
+    case 'paymentTerms':
+      return `${value} days`;
+    case 'status':
+      return STATUS_LABELS[value] || value;
+    case 'tags':
+      return value.length > 0 ? value.join(', ') : '—';
+    default:
+      return String(value);
+  }
+};
+
+// Field-level differences between two stored invoices. Either side may be
+// null for a create or delete.
+export const diffInvoice = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+};
+
+export const createAuditEvent = ({ action, before = null, after = null, actor = '', note = '' }) => ({
+  id: createId(),
+  invoiceId: (after || before).id,
+  action,
+  at: new Date().toISOString(),
+  actor: actor.trim(),
+  note,
+  changes: diffInvoice(before, after),
+  snapshot: after
+});
+
+// Ids of the drafts that have been deleted. Only drafts can be deleted
+// (see checkDelete), so these explain the gaps in a number series.
+export const getDeletedDraftIds = (events) =>
+  events
+    .filter(e => e.action === 'deleted' && e.changes.some(c => c.field === 'status' && c.before === 'draft'))
+    .map(e => e.invoiceId);
+
+// Newest first.
+export const getInvoiceHistory = (events, invoiceId) =>
+  events.filter(e => e.invoiceId === invoiceId).reverse();
+
+export const buildRevertedInvoice = (current, snapshot) => ({
+  ...snapshot,
+  ...Object.fromEntries(REVERT_KEPT_FIELDS.filter(f => f in current).map(f => [f, current[f]]))
+});
@@ -0,0 +1,86 @@
+import { INVOICE_TRANSITIONS, STATUS_BY_KEY, checkDelete, getAvailableTransitions } from './invoiceStatus';
+
+// ============================================
+// BULK ACTIONS
+// ============================================
+
+// Actions that change several invoices at once. `check` receives an
+// evaluated invoice and the action's options and returns why the invoice is
+// left out, or null when the action applies to it. `done` words the result
+// for the undo bar.
+export const BULK_ACTIONS = {
+  mark_paid: {
+    label: 'Mark as Paid',
+    check: (inv) => {
+      if (!STATUS_BY_KEY[inv.status].receivable) return `${STATUS_BY_KEY[inv.status].label} invoices take no payments`;
+      if (inv.balanceDue <= 0) return 'Nothing left to pay';
+      return null;
+    },
+    done: (count) => `Marked ${count} invoice${count !== 1 ? 's' : ''} as paid`
+  },
+  status: {
+    label: 'Change Status',
+    check: (inv, { transitionKey }) => {
+      const transition = getAvailableTransitions(inv).find(t => t.key === transitionKey);
+      if (!transition) return `Not available for ${STATUS_BY_KEY[inv.status].label.toLowerCase()} invoices`;
+      return transition.blockedReason;
+    },
+    done: (count) => `Changed the status of ${count} invoice${count !== 1 ? 's' : ''}`
+  },
+  tag: {
+    label: 'Tag',
+    check: (inv, { tags, mode }) => {
+      if (STATUS_BY_KEY[inv.status].locked) return 'Void, written-off and issued documents cannot be edited';
+      if (tags.length === 0) return null;
+      const current = inv.tags || [];
+      if (mode === 'remove' && !tags.some(tag => current.includes(tag))) return 'Has none of these tags';
+      if (mode !== 'remove' && tags.every(tag => current.includes(tag))) return 'Already has these tags';
+      return null;
+    },
+    done: (count) => `Updated the tags of ${count} invoice${count !== 1 ? 's' : ''}`
+  },
+  delete: {
+    label: 'Delete',
+    check: (inv) => checkDelete(inv),
+    done: (count) => `Deleted ${count} invoice${count !== 1 ? 's' : ''}`
+  }
+};
+
+// Splits the selection into the invoices the action applies to and the
+// ones it skips, with the reason for each.
+export const planBulkAction = (actionKey, invoices, options = {}) => {
+  const { check } = BULK_ACTIONS[actionKey];
+  const eligible = [];
+  const skipped = [];
+  invoices.forEach(invoice => {
+    const reason = check(invoice, options);
+    if (reason) {
+      skipped.push({ invoice, reason });
+    } else {
+      eligible.push(invoice);
+    }
+  });
+  return { eligible, skipped };
+};
+
+// Skipped invoices grouped by reason, most common first, for the
+// confirmation summary.
+export const groupSkipped = (skipped) => {
+  const groups = new Map();
+  skipped.forEach(({ invoice, reason }) => {
+    groups.set(reason, [...(groups.get(reason) || []), invoice.id]);
+  });
+  return [...groups.entries()]
+    .map(([reason, ids]) => ({ reason, ids }))
+    .sort((a, b) => b.ids.length - a.ids.length);
+};
+
+// Transitions open to at least one of the invoices.
+export const getBulkTransitions = (invoices) =>
+  INVOICE_TRANSITIONS.filter(t => invoices.some(inv => t.from.includes(inv.status)));
+
+// Adds or removes `tags` on an invoice's tag list, keeping its order.
+export const applyTagChange = (current = [], { tags, mode }) =>
+  mode === 'remove'
+    ? current.filter(tag => !tags.includes(tag))
+    : [...current, ...tags.filter(tag => !current.includes(tag))];
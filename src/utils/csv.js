@@ -0,0 +1,77 @@
+// ============================================
+// CSV HELPERS
+// ============================================
+
+// RFC 4180: fields containing a comma, quote or line break are wrapped in
+// double quotes, and embedded quotes are doubled.
+export const escapeCSVField = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCSV = (headers, rows) =>
+  [headers, ...rows].map(row => row.map(escapeCSVField).join(',')).join('\r\n');
+
+// Safari and Firefox read the blob after click() returns, and cancel the
+// download if its URL is already gone, so it is released well afterwards.
+const REVOKE_DELAY_MS = 40 * 1000;
+
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+// Excel only reads a CSV as UTF-8 (and so shows ₹ correctly) when the file
+// starts with a byte order mark.
+const UTF8_BOM = '\uFEFF';
+
+export const downloadCSV = (filename, headers, rows, { bom = false } = {}) =>
+  downloadFile((bom ? UTF8_BOM : '') + toCSV(headers, rows), filename, 'text/csv;charset=utf-8');
+
+// Inverse of toCSV: RFC 4180 parsing with quoted fields, doubled quotes and
+// CRLF or LF line endings. A leading BOM is dropped and blank lines skipped.
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value !== '')) rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
@@ -0,0 +1,98 @@
+import { createId } from './ids';
+
+// ============================================
+// CUSTOMER MASTER
+// ============================================
+
+export const PAYMENT_TERMS_OPTIONS = [7, 15, 30, 45, 60];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^(\+91[\s-]?)?[6-9][0-9]{9}$/;
+
+// "Acme Corp." and "ACME CORP" are the same customer. Letters, combining
+// marks and digits of any script are kept, so names in Devanagari or Tamil
+// compare as themselves; a name with none of them normalizes to ''.
+export const normalizeCustomerName = (name) =>
+  name.normalize('NFKC').trim().toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+
+export const createEmptyCustomer = () => ({
+  legalName: '',
+  gstin: '',
+  pan: '',
+  billingAddress: '',
+  shippingAddress: '',
+  stateCode: '',
+  email: '',
+  phone: '',
+  language: 'en',
+  defaultPaymentTerms: 30,
+  creditLimit: ''
+});
+
+export const normalizeCustomer = (data) => ({
+  ...data,
+  id: data.id || createId(),
+  legalName: data.legalName.trim(),
+  gstin: data.gstin.trim().toUpperCase(),
+  pan: data.pan.trim().toUpperCase(),
+  billingAddress: data.billingAddress.trim(),
+  shippingAddress: data.shippingAddress.trim(),
+  email: data.email.trim(),
+  phone: data.phone.trim(),
+  defaultPaymentTerms: parseInt(data.defaultPaymentTerms, 10) || 30,
+  creditLimit: data.creditLimit === '' || data.creditLimit === null ? null : parseFloat(data.creditLimit)
+});
+
+export const validateCustomer = (data, existingCustomers = []) => {
+  const errors = {};
+  const gstin = data.gstin.trim().toUpperCase();
+  const pan = data.pan.trim().toUpperCase();
+  const others = existingCustomers.filter(c => c.id !== data.id);
+  const nameKey = normalizeCustomerName(data.legalName);
+
+  if (!data.legalName.trim()) {
+    errors.legalName = 'Legal name is required';
+  } else if (nameKey && others.some(c => normalizeCustomerName(c.legalName) === nameKey)) {
+    errors.legalName = 'A customer with this name already exists';
+  }
+
+  if (gstin) {
+    if (!GSTIN_PATTERN.test(gstin)) {
+      errors.gstin = 'GSTIN must be 15 characters, e.g. 27AAPFU0939F1ZV';
+    } else if (data.stateCode && gstin.slice(0, 2) !== data.stateCode) {
+      errors.gstin = 'GSTIN state code does not match the selected state';
+    } else if (pan && gstin.slice(2, 12) !== pan) {
+      errors.gstin = 'GSTIN does not contain this PAN';
+    } else if (others.some(c => c.gstin === gstin)) {
+      errors.gstin = 'Another customer already uses this GSTIN';
+    }
+  }
+  if (pan && !PAN_PATTERN.test(pan)) {
+    errors.pan = 'PAN must be 10 characters, e.g. AAPFU0939F';
+  }
+  if (!data.stateCode) {
+    errors.stateCode = 'State is required for place of supply';
+  }
+  if (data.email.trim() && !EMAIL_PATTERN.test(data.email.trim())) {
+    errors.email = 'Enter a valid email address';
+  }
+  if (data.phone.trim() && !PHONE_PATTERN.test(data.phone.trim().replace(/\s/g, ''))) {
+    errors.phone = 'Enter a valid 10-digit mobile number';
+  }
+  if (data.creditLimit !== '' && data.creditLimit !== null && !(parseFloat(data.creditLimit) >= 0)) {
+    errors.creditLimit = 'Credit limit cannot be negative';
+  }
+  return errors;
+};
+
+export const searchCustomers = (customers, query) => {
+  const term = query.trim().toLowerCase();
+  if (!term) return customers;
+  return customers.filter(c =>
+    c.legalName.toLowerCase().includes(term) ||
+    c.gstin.toLowerCase().includes(term) ||
+    c.email.toLowerCase().includes(term)
+  );
+};
@@ -0,0 +1,60 @@
+// ============================================
+// DATE UTILITIES
+// ============================================
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Dates are handled as local calendar days in YYYY-MM-DD form so that
+// "today" flips at the user's midnight rather than UTC midnight.
+export const toDateString = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const getTodayDate = () => toDateString(new Date());
+
+export const formatDate = (dateStr) => {
+  if (!dateStr) return '';
+  const date = new Date(dateStr);
+  return date.toLocaleDateString('en-IN', { 
+    day: '2-digit', 
+    month: 'short', 
+    year: 'numeric' 
+  });
+};
+
+const toUTCDay = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+export const calculateDueDate = (invoiceDate, paymentTerms) => {
+  const date = new Date(toUTCDay(invoiceDate));
+  date.setUTCDate(date.getUTCDate() + paymentTerms);
+  return date.toISOString().split('T')[0];
+};
+
+// Whole calendar days from `from` to `to` (negative when `to` is earlier).
+export const daysBetween = (from, to) =>
+  Math.round((toUTCDay(to) - toUTCDay(from)) / MS_PER_DAY);
+
+export const addDays = (dateStr, days) => calculateDueDate(dateStr, days);
+
+// Weeks start on Monday.
+export const getWeekStart = (dateStr) => {
+  const dayOfWeek = new Date(toUTCDay(dateStr)).getUTCDay();
+  return addDays(dateStr, -((dayOfWeek + 6) % 7));
+};
+
+export const msUntilNextMidnight = (now = new Date()) => {
+  const midnight = new Date(now);
+  midnight.setHours(24, 0, 0, 0);
+  return midnight - now;
+};
+
+// Indian financial years run April to March: 2027-02-10 -> "2026-27".
+export const getFinancialYear = (dateStr) => {
+  const [year, month] = dateStr.split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${pad((start + 1) % 100)}`;
+};
@@ -0,0 +1,113 @@
+import { isAdjustmentNote } from './adjustmentNotes';
+import { getDaysOverdue } from './aging';
+import { createId } from './ids';
+import { STATUS_BY_KEY } from './invoiceStatus';
+import { FALLBACK_LANGUAGE, pickTemplate, renderTemplate } from './messageTemplates';
+
+// ============================================
+// DUNNING LEVELS
+// ============================================
+
+// Each level fires `offsetDays` after the due date (negative: before it).
+// `templateIds` maps a language to the reminder template sent at that
+// level (see messageTemplates).
+export const DEFAULT_DUNNING_LEVELS = [
+  { id: 'before-due', name: 'Upcoming', offsetDays: -3, templateIds: { en: 'reminder-upcoming-en', hi: 'reminder-upcoming-hi' } },
+  { id: 'on-due', name: 'Due today', offsetDays: 0, templateIds: { en: 'reminder-due-today-en', hi: 'reminder-due-today-hi' } },
+  { id: 'overdue-7', name: 'First reminder', offsetDays: 7, templateIds: { en: 'reminder-first-en', hi: 'reminder-overdue-hi' } },
+  { id: 'overdue-15', name: 'Second reminder', offsetDays: 15, templateIds: { en: 'reminder-second-en', hi: 'reminder-overdue-hi' } },
+  { id: 'overdue-30', name: 'Final notice', offsetDays: 30, templateIds: { en: 'reminder-final-en', hi: 'reminder-overdue-hi' } }
+];
+
+export const createDunningLevel = (offsetDays = 45, templateIds = {}) => ({
+  id: createId(),
+  name: `${offsetDays} days overdue`,
+  offsetDays,
+  templateIds
+});
+
+// Levels saved before the template library carry their own subject and
+// text instead of `templateIds`. Their text becomes an English template of
+// its own; built-in levels keep their other languages.
+export const isLegacyLevel = (level) => !level.templateIds;
+
+export const getLegacyLevelTemplate = (level) => ({
+  name: level.name,
+  purpose: 'reminder',
+  language: FALLBACK_LANGUAGE,
+  subject: level.subject || '',
+  body: level.body || '',
+  whatsapp: level.whatsapp || ''
+});
+
+export const getUpgradedTemplateIds = (level, templateId) => ({
+  ...DEFAULT_DUNNING_LEVELS.find(l => l.id === level.id)?.templateIds,
+  [FALLBACK_LANGUAGE]: templateId
+});
+
+export const sortLevels = (levels) => [...levels].sort((a, b) => a.offsetDays - b.offsetDays);
+
+// "3 days before due", "On the due date", "7 days after due".
+export const describeOffset = (offsetDays) => {
+  if (offsetDays === 0) return 'On the due date';
+  const days = Math.abs(offsetDays);
+  return `${days} day${days !== 1 ? 's' : ''} ${offsetDays < 0 ? 'before' : 'after'} due`;
+};
+
+// ============================================
+// REMINDER QUEUE
+// ============================================
+
+// Disputed invoices are left alone until the query is resolved.
+export const isDunnable = (invoice) =>
+  !isAdjustmentNote(invoice)
+  && STATUS_BY_KEY[invoice.status].receivable
+  && invoice.status !== 'disputed'
+  && invoice.balanceDue > 0;
+
+// The level an invoice has reached today: the latest one whose day has
+// come. Levels passed over while the app was not opened are not sent late.
+export const getCurrentLevel = (levels, invoice, today) => {
+  const days = getDaysOverdue(invoice, today);
+  return sortLevels(levels).filter(level => level.offsetDays <= days).pop() || null;
+};
+
+// Invoices whose current level has not been sent yet, most overdue first.
+// `sent` is the reminder log kept by useDunning.
+export const buildDunningQueue = (invoices, levels, sent, today) => {
+  const sentKeys = new Set(sent.map(r => `${r.invoiceId}:${r.levelId}`));
+  return invoices
+    .filter(isDunnable)
+    .map(invoice => ({
+      invoice,
+      level: getCurrentLevel(levels, invoice, today),
+      daysOverdue: getDaysOverdue(invoice, today)
+    }))
+    .filter(entry => entry.level && !sentKeys.has(`${entry.invoice.id}:${entry.level.id}`))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+};
+
+// The template a level sends to a customer, in their language where the
+// level has one.
+export const getLevelTemplate = (level, templates, customer) =>
+  pickTemplate(templates, level.templateIds, customer?.language);
+
+// The email and WhatsApp text of a level for one evaluated invoice.
+export const buildDunningMessage = (level, invoice, customer, today, templates) =>
+  renderTemplate(getLevelTemplate(level, templates, customer), invoice, customer, today);
+
+export const REMINDER_CHANNELS = {
+  email: 'Email',
+  eml: 'Email draft (.eml)',
+  whatsapp: 'WhatsApp'
+};
+
+export const createReminderRecord = ({ invoiceId, level = null, channel, to = '' }) => ({
+  id: createId(),
+  invoiceId,
+  levelId: level?.id ?? null,
+  levelName: level?.name ?? 'Manual reminder',
+  channel,
+  to,
+  sentAt: new Date().toISOString()
+});
@@ -0,0 +1,165 @@
+import { PAYMENT_TERMS_OPTIONS } from './customers';
+import { daysBetween, formatDate } from './dates';
+import { STATUS_BY_KEY } from './invoiceStatus';
+
+// ============================================
+// ADVANCED FILTERS
+// ============================================
+
+// A filter is a list of groups; each group is a list of conditions. `match`
+// says whether all or any of them must hold, at both levels:
+//
+//   { match: 'all', groups: [{ match: 'any', conditions: [...] }] }
+//
+// Conditions are { field, min, max } for ranges and { field, values } for
+// multi-selects. Empty bounds are left out, so a condition with nothing set
+// matches everything.
+export const EMPTY_FILTERS = { match: 'all', groups: [] };
+
+export const MATCH_OPTIONS = [
+  { value: 'all', label: 'All', joiner: 'and' },
+  { value: 'any', label: 'Any', joiner: 'or' }
+];
+
+const money = (value) => `₹${Number(value).toLocaleString('en-IN')}`;
+
+// Days past due for invoices still being collected; null for the rest, so
+// they never match a days-overdue range.
+const getDaysOverdue = (invoice, today) =>
+  STATUS_BY_KEY[invoice.status]?.receivable ? Math.max(0, daysBetween(invoice.dueDate, today)) : null;
+
+// `type` picks the editor and the matcher. `get` reads the value to test
+// from an evaluated invoice.
+export const FILTER_FIELDS = {
+  invoiceDate: { label: 'Invoice date', type: 'dateRange', get: (inv) => inv.invoiceDate, format: formatDate },
+  dueDate: { label: 'Due date', type: 'dateRange', get: (inv) => inv.dueDate, format: formatDate },
+  amount: { label: 'Amount', type: 'numberRange', get: (inv) => inv.amount, format: money },
+  daysOverdue: {
+    label: 'Days overdue',
+    type: 'numberRange',
+    get: getDaysOverdue,
+    format: (value) => `${value} day${Number(value) !== 1 ? 's' : ''}`
+  },
+  customer: { label: 'Customer', type: 'multiSelect', get: (inv) => [inv.customerId] },
+  paymentTerms: { label: 'Payment terms', type: 'multiSelect', get: (inv) => [String(inv.paymentTerms)] },
+  tags: { label: 'Tags', type: 'multiSelect', get: (inv) => inv.tags || [] }
+};
+
+export const createCondition = (field) =>
+  FILTER_FIELDS[field].type === 'multiSelect' ? { field, values: [] } : { field };
+
+export const createGroup = (field = 'amount') => ({ match: 'all', conditions: [createCondition(field)] });
+
+// The choices a multi-select condition offers, as { value, label }.
+export const getFieldOptions = (field, { customers = [], invoices = [] } = {}) => {
+  switch (field) {
+    case 'customer':
+      return customers
+        .map(c => ({ value: c.id, label: c.legalName }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+    case 'paymentTerms': {
+      const terms = new Set([...PAYMENT_TERMS_OPTIONS, ...invoices.map(inv => inv.paymentTerms)]);
+      return [...terms].sort((a, b) => a - b).map(days => ({ value: String(days), label: `${days} days` }));
+    }
+    case 'tags': {
+      const tags = new Set(invoices.flatMap(inv => inv.tags || []));
+      return [...tags].sort().map(tag => ({ value: tag, label: tag }));
+    }
+    default:
+      return [];
+  }
+};
+
+const hasBound = (value) => value !== undefined && value !== null && value !== '';
+
+export const isConditionSet = (condition) =>
+  FILTER_FIELDS[condition.field].type === 'multiSelect'
+    ? condition.values.length > 0
+    : hasBound(condition.min) || hasBound(condition.max);
+
+// A range whose lower bound is above its upper bound can never match.
+export const getConditionError = (condition) => {
+  const field = FILTER_FIELDS[condition.field];
+  if (field.type === 'multiSelect' || !hasBound(condition.min) || !hasBound(condition.max)) return null;
+  const toComparable = field.type === 'numberRange' ? Number : String;
+  if (toComparable(condition.min) <= toComparable(condition.max)) return null;
+  return field.type === 'dateRange' ? 'The start date is after the end date' : 'The minimum is above the maximum';
+};
+
+const matchesCondition = (invoice, condition, today) => {
+  const field = FILTER_FIELDS[condition.field];
+  const value = field.get(invoice, today);
+
+  if (field.type === 'multiSelect') {
+    return value.some(v => condition.values.includes(v));
+  }
+  if (value === null) return false;
+  const toComparable = field.type === 'numberRange' ? Number : String;
+  if (hasBound(condition.min) && value < toComparable(condition.min)) return false;
+  if (hasBound(condition.max) && value > toComparable(condition.max)) return false;
+  return true;
+};
+
+const combine = (match, items, test) => {
+  if (items.length === 0) return true;
+  return match === 'any' ? items.some(test) : items.every(test);
+};
+
+// Expects filters that have been through cleanFilters, so every condition
+// has something set.
+export const matchesFilters = (invoice, filters, today) =>
+  combine(filters.match, filters.groups, group =>
+    combine(group.match, group.conditions, condition => matchesCondition(invoice, condition, today))
+  );
+
+const cleanCondition = ({ field, values, min, max }) =>
+  FILTER_FIELDS[field].type === 'multiSelect'
+    ? { field, values }
+    : { field, ...(hasBound(min) && { min }), ...(hasBound(max) && { max }) };
+
+// Drops empty bounds, unset conditions and groups left empty, so a
+// half-built filter never empties the table.
+export const cleanFilters = (filters) => ({
+  match: filters.match,
+  groups: filters.groups
+    .map(group => ({ match: group.match, conditions: group.conditions.filter(isConditionSet).map(cleanCondition) }))
+    .filter(group => group.conditions.length > 0)
+});
+
+export const countConditions = (filters) =>
+  filters.groups.reduce((sum, group) => sum + group.conditions.length, 0);
+
+// Chip text for one condition, e.g. "Amount ₹10,000 – ₹50,000" or
+// "Customer: Acme Corporation, Tech Solutions Inc".
+export const describeCondition = (condition, options = []) => {
+  const field = FILTER_FIELDS[condition.field];
+  if (field.type === 'multiSelect') {
+    const labels = condition.values.map(v => options.find(o => o.value === v)?.label || v);
+    return `${field.label}: ${labels.join(', ')}`;
+  }
+  const { min, max } = condition;
+  if (hasBound(min) && hasBound(max)) return `${field.label} ${field.format(min)} – ${field.format(max)}`;
+  if (hasBound(min)) return `${field.label} from ${field.format(min)}`;
+  return `${field.label} up to ${field.format(max)}`;
+};
+
+// Filters travel in the URL as JSON; anything malformed is dropped.
+export const parseFilters = (value) => {
+  if (!value) return EMPTY_FILTERS;
+  try {
+    const parsed = JSON.parse(value);
+    const groups = (Array.isArray(parsed.groups) ? parsed.groups : [])
+      .map(group => ({
+        match: group.match === 'any' ? 'any' : 'all',
+        conditions: (Array.isArray(group.conditions) ? group.conditions : [])
+          .filter(c => Object.hasOwn(FILTER_FIELDS, c?.field))
+          .map(c => ({ ...c, values: Array.isArray(c.values) ? c.values.map(String) : [] }))
+      }));
+    return cleanFilters({ match: parsed.match === 'any' ? 'any' : 'all', groups });
+  } catch {
+    return EMPTY_FILTERS;
+  }
+};
+
+export const serializeFilters = (filters) =>
+  filters.groups.length > 0 ? JSON.stringify(filters) : '';
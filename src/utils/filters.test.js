@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_FILTERS, cleanFilters, getConditionError, matchesFilters, parseFilters, serializeFilters } from './filters';
+
+const today = '2026-06-30';
+
+const invoice = {
+  invoiceDate: '2026-05-10',
+  dueDate: '2026-06-09',
+  amount: 25000,
+  status: 'sent',
+  customerId: 'c1',
+  paymentTerms: 30,
+  tags: ['retainer']
+};
+
+const group = (match, ...conditions) => ({ match, conditions });
+
+describe('matchesFilters', () => {
+  const big = { field: 'amount', min: 50000 };
+  const late = { field: 'daysOverdue', min: 15 };
+  const tagged = { field: 'tags', values: ['retainer'] };
+
+  it('needs every condition of an "all" group', () => {
+    expect(matchesFilters(invoice, { match: 'all', groups: [group('all', late, tagged)] }, today)).toBe(true);
+    expect(matchesFilters(invoice, { match: 'all', groups: [group('all', big, tagged)] }, today)).toBe(false);
+  });
+
+  it('needs one condition of an "any" group', () => {
+    expect(matchesFilters(invoice, { match: 'all', groups: [group('any', big, tagged)] }, today)).toBe(true);
+  });
+
+  it('combines groups the same way', () => {
+    const filters = (match) => ({ match, groups: [group('all', big), group('all', late)] });
+    expect(matchesFilters(invoice, filters('all'), today)).toBe(false);
+    expect(matchesFilters(invoice, filters('any'), today)).toBe(true);
+  });
+
+  it('never matches days overdue on invoices that are not being collected', () => {
+    const filters = { match: 'all', groups: [group('all', { field: 'daysOverdue', max: 100 })] };
+    expect(matchesFilters({ ...invoice, status: 'paid' }, filters, today)).toBe(false);
+  });
+
+  it('matches everything without filters', () => {
+    expect(matchesFilters(invoice, EMPTY_FILTERS, today)).toBe(true);
+  });
+});
+
+describe('cleanFilters', () => {
+  it('drops empty bounds, unset conditions and empty groups', () => {
+    const filters = {
+      match: 'any',
+      groups: [
+        group('all', { field: 'amount', min: '', max: 100 }, { field: 'tags', values: [] }),
+        group('all', { field: 'invoiceDate' })
+      ]
+    };
+    expect(cleanFilters(filters)).toEqual({ match: 'any', groups: [group('all', { field: 'amount', max: 100 })] });
+  });
+});
+
+describe('getConditionError', () => {
+  it('flags ranges that can never match', () => {
+    expect(getConditionError({ field: 'amount', min: '900', max: '1000' })).toBeNull();
+    expect(getConditionError({ field: 'amount', min: '1000', max: '900' })).toBe('The minimum is above the maximum');
+    expect(getConditionError({ field: 'dueDate', min: '2026-02-01', max: '2026-01-01' }))
+      .toBe('The start date is after the end date');
+  });
+});
+
+describe('parseFilters', () => {
+  it('reads back what serializeFilters wrote', () => {
+    const filters = { match: 'any', groups: [group('all', { field: 'customer', values: ['c1'] })] };
+    expect(parseFilters(serializeFilters(filters))).toEqual(filters);
+  });
+
+  it('drops unknown fields and malformed input', () => {
+    expect(parseFilters('{"groups":[{"conditions":[{"field":"constructor"}]}]}')).toEqual(EMPTY_FILTERS);
+    expect(parseFilters('not json')).toEqual(EMPTY_FILTERS);
+  });
+});
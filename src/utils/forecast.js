@@ -0,0 +1,163 @@
+import { isAdjustmentNote } from './adjustmentNotes';
+import { addDays, calculateDueDate, daysBetween, getWeekStart } from './dates';
+import { calculateInvoiceTotals } from './gst';
+import { STATUS_BY_KEY, getUnpaidAmount } from './invoiceStatus';
+import { buildInvoiceFromSchedule, getRunDates } from './recurring';
+
+// ============================================
+// PAYMENT HISTORY
+// ============================================
+
+// Customers with fewer payments than this are forecast from the delays of
+// all customers together.
+export const MIN_PAYMENT_HISTORY = 3;
+
+// Days from due date to payment for every payment received, per customer
+// and overall, each sorted ascending. Negative delays are early payments.
+export const buildPaymentHistory = (invoices) => {
+  const byCustomer = new Map();
+  const all = [];
+  invoices
+    .filter(inv => !isAdjustmentNote(inv))
+    .forEach(inv => {
+      (inv.payments || []).forEach(payment => {
+        const delay = daysBetween(inv.dueDate, payment.date);
+        const key = inv.customerId || inv.customerName;
+        if (!byCustomer.has(key)) byCustomer.set(key, []);
+        byCustomer.get(key).push(delay);
+        all.push(delay);
+      });
+    });
+  const ascending = (a, b) => a - b;
+  byCustomer.forEach(delays => delays.sort(ascending));
+  all.sort(ascending);
+  return { byCustomer, all };
+};
+
+const percentile = (sorted, p) => {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower));
+};
+
+// The delay a customer is expected to pay with in a scenario; zero (on the
+// due date) when nobody has paid anything yet.
+export const getExpectedDelay = (history, customerKey, scenario) => {
+  const own = history.byCustomer.get(customerKey) || [];
+  const delays = own.length >= MIN_PAYMENT_HISTORY ? own : history.all;
+  return delays.length > 0 ? percentile(delays, scenario.percentile) : 0;
+};
+
+// ============================================
+// SCENARIOS
+// ============================================
+
+// `percentile` picks the delay from each customer's payment history.
+// Disputed balances only count in the optimistic case, and the pessimistic
+// case gives up on balances already more than `maxDaysOverdue` late.
+export const FORECAST_SCENARIOS = [
+  {
+    key: 'optimistic',
+    label: 'Optimistic',
+    description: 'Customers pay as fast as their quickest quarter of past payments, disputes included',
+    percentile: 0.25,
+    includeDisputed: true,
+    maxDaysOverdue: null
+  },
+  {
+    key: 'expected',
+    label: 'Expected',
+    description: 'Customers pay with their median delay',
+    percentile: 0.5,
+    includeDisputed: false,
+    maxDaysOverdue: null
+  },
+  {
+    key: 'pessimistic',
+    label: 'Pessimistic',
+    description: 'Customers pay as slowly as their slowest quarter of past payments; balances over 90 days late are left out',
+    percentile: 0.75,
+    includeDisputed: false,
+    maxDaysOverdue: 90
+  }
+];
+
+export const SCENARIOS_BY_KEY = Object.fromEntries(FORECAST_SCENARIOS.map(s => [s.key, s]));
+
+export const FORECAST_HORIZONS = [4, 8, 13, 26];
+
+// ============================================
+// CASH-FLOW FORECAST
+// ============================================
+
+// Balances to collect on evaluated invoices, plus drafts generated by a
+// recurring schedule, which are about to be sent.
+const getOpenInflows = (invoices, scenario, today) =>
+  invoices
+    .filter(inv => !isAdjustmentNote(inv))
+    .filter(inv => (inv.status === 'draft' ? Boolean(inv.recurringScheduleId) : STATUS_BY_KEY[inv.status].receivable))
+    .filter(inv => scenario.includeDisputed || inv.status !== 'disputed')
+    .filter(inv => scenario.maxDaysOverdue === null || daysBetween(inv.dueDate, today) <= scenario.maxDaysOverdue)
+    .map(inv => ({
+      source: 'invoices',
+      customerKey: inv.customerId || inv.customerName,
+      dueDate: inv.dueDate,
+      amount: inv.status === 'draft' ? getUnpaidAmount(inv) : inv.balanceDue
+    }))
+    .filter(inflow => inflow.amount > 0);
+
+// Invoices active schedules will generate after today, up to `until`.
+// Runs already due have been generated and are among the invoices.
+const getRecurringInflows = (schedules, today, until) =>
+  schedules
+    .filter(schedule => schedule.active)
+    .flatMap(schedule =>
+      getRunDates(schedule, until)
+        .filter(date => date > today && (!schedule.lastRunDate || date > schedule.lastRunDate))
+        .map(date => ({
+          source: 'recurring',
+          customerKey: schedule.customerId || schedule.customerName,
+          dueDate: calculateDueDate(date, schedule.paymentTerms),
+          amount: calculateInvoiceTotals(buildInvoiceFromSchedule(schedule, date)).grandTotal
+        }))
+    );
+
+// Expected receipts per week, starting with the current week. A balance
+// whose expected payment date has already passed is expected this week.
+// `later` is what is expected after the last week shown.
+export const buildCashFlowForecast = ({ invoices, schedules = [], history, today, weeks, scenario }) => {
+  const start = getWeekStart(today);
+  const end = addDays(start, weeks * 7);
+  const rows = Array.from({ length: weeks }, (_, i) => ({
+    weekStart: addDays(start, i * 7),
+    invoices: 0,
+    recurring: 0,
+    count: 0
+  }));
+  let later = 0;
+
+  [
+    ...getOpenInflows(invoices, scenario, today),
+    ...getRecurringInflows(schedules, today, addDays(end, -1))
+  ].forEach(inflow => {
+    const expected = addDays(inflow.dueDate, getExpectedDelay(history, inflow.customerKey, scenario));
+    const date = expected < today ? today : expected;
+    const week = Math.floor(daysBetween(start, date) / 7);
+    if (week >= weeks) {
+      later += inflow.amount;
+      return;
+    }
+    rows[week][inflow.source] += inflow.amount;
+    rows[week].count += 1;
+  });
+
+  let cumulative = 0;
+  const weeklyRows = rows.map(row => {
+    const total = row.invoices + row.recurring;
+    cumulative += total;
+    return { ...row, total, cumulative };
+  });
+
+  return { weeks: weeklyRows, total: cumulative, later };
+};
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { SCENARIOS_BY_KEY, buildCashFlowForecast, buildPaymentHistory, getExpectedDelay } from './forecast';
+
+// c1 has paid 0, 4, 10 and 20 days after the due date.
+const paid = {
+  customerId: 'c1',
+  status: 'paid',
+  dueDate: '2026-05-01',
+  payments: ['2026-05-01', '2026-05-05', '2026-05-11', '2026-05-21'].map(date => ({ date, amount: 100 }))
+};
+
+const history = buildPaymentHistory([paid, { ...paid, customerId: 'c2', payments: [], documentType: 'credit_note' }]);
+
+describe('buildPaymentHistory', () => {
+  it('collects payment delays per customer, leaving notes out', () => {
+    expect(history.byCustomer.get('c1')).toEqual([0, 4, 10, 20]);
+    expect(history.byCustomer.has('c2')).toBe(false);
+    expect(history.all).toEqual([0, 4, 10, 20]);
+  });
+});
+
+describe('getExpectedDelay', () => {
+  it('picks the scenario percentile of the customer\'s delays', () => {
+    expect(getExpectedDelay(history, 'c1', SCENARIOS_BY_KEY.optimistic)).toBe(3);
+    expect(getExpectedDelay(history, 'c1', SCENARIOS_BY_KEY.expected)).toBe(7);
+    expect(getExpectedDelay(history, 'c1', SCENARIOS_BY_KEY.pessimistic)).toBe(13);
+  });
+
+  it('falls back to everyone\'s delays for customers with little history', () => {
+    const sparse = buildPaymentHistory([paid, { customerId: 'c3', dueDate: '2026-05-01', payments: [{ date: '2026-06-30' }] }]);
+    expect(getExpectedDelay(sparse, 'c3', SCENARIOS_BY_KEY.expected)).toBe(10);
+  });
+
+  it('expects payment on the due date without any history', () => {
+    expect(getExpectedDelay(buildPaymentHistory([]), 'c1', SCENARIOS_BY_KEY.pessimistic)).toBe(0);
+  });
+});
+
+describe('buildCashFlowForecast', () => {
+  // 2026-06-15 is a Monday.
+  const today = '2026-06-15';
+  const invoices = [
+    paid,
+    { customerId: 'c1', status: 'sent', dueDate: '2026-06-15', balanceDue: 1000 },
+    { customerId: 'c2', status: 'disputed', dueDate: '2026-06-15', balanceDue: 500 },
+    { customerId: 'c1', status: 'sent', dueDate: '2026-03-01', balanceDue: 200 }
+  ];
+  const forecast = (key) =>
+    buildCashFlowForecast({ invoices, history, today, weeks: 2, scenario: SCENARIOS_BY_KEY[key] })
+      .weeks.map(week => week.invoices);
+
+  it('places each balance in the week it is expected', () => {
+    expect(forecast('expected')).toEqual([200, 1000]);
+  });
+
+  it('counts disputes only when optimistic', () => {
+    expect(forecast('optimistic')).toEqual([1700, 0]);
+  });
+
+  it('gives up on long-overdue balances when pessimistic', () => {
+    expect(forecast('pessimistic')).toEqual([0, 1000]);
+  });
+});
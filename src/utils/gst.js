@@ -0,0 +1,146 @@
+import { COMPANY_PROFILE } from '../config/company';
+import { createId } from './ids';
+
+// ============================================
+// GST REFERENCE DATA
+// ============================================
+
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+export const INDIAN_STATES = [
+  { code: '01', name: 'Jammu & Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra & Nagar Haveli and Daman & Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman & Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' },
+  { code: '97', name: 'Other Territory' }
+];
+
+export const getStateName = (code) =>
+  INDIAN_STATES.find(s => s.code === code)?.name || code;
+
+// ============================================
+// LINE ITEMS
+// ============================================
+
+export const createLineItem = (overrides = {}) => ({
+  id: createId(),
+  description: '',
+  hsnSac: '',
+  quantity: 1,
+  unitPrice: '',
+  discount: 0,
+  gstRate: 18,
+  ...overrides
+});
+
+// Form inputs hand back strings; stored line items always hold numbers.
+export const normalizeLineItem = (item) => ({
+  ...item,
+  description: item.description.trim(),
+  hsnSac: String(item.hsnSac || '').trim(),
+  quantity: parseFloat(item.quantity) || 0,
+  unitPrice: parseFloat(item.unitPrice) || 0,
+  discount: parseFloat(item.discount) || 0,
+  gstRate: parseFloat(item.gstRate) || 0
+});
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// `discount` is a percentage of the line's gross value.
+export const calculateLineItem = (item) => {
+  const quantity = parseFloat(item.quantity) || 0;
+  const unitPrice = parseFloat(item.unitPrice) || 0;
+  const discountPercent = parseFloat(item.discount) || 0;
+  const gstRate = parseFloat(item.gstRate) || 0;
+
+  const gross = round2(quantity * unitPrice);
+  const discountAmount = round2(gross * discountPercent / 100);
+  const taxableValue = round2(gross - discountAmount);
+  const taxAmount = round2(taxableValue * gstRate / 100);
+
+  return { gross, discountAmount, taxableValue, gstRate, taxAmount, total: round2(taxableValue + taxAmount) };
+};
+
+// ============================================
+// INVOICE TOTALS
+// ============================================
+
+// Supplies within the seller's own state attract CGST + SGST (half the rate
+// each); supplies to any other state attract IGST at the full rate.
+export const isInterState = (placeOfSupply, sellerStateCode = COMPANY_PROFILE.stateCode) =>
+  Boolean(placeOfSupply) && placeOfSupply !== sellerStateCode;
+
+export const calculateInvoiceTotals = (invoice) => {
+  const interState = isInterState(invoice.placeOfSupply);
+  const byRate = {};
+  let subtotal = 0;
+  let discountTotal = 0;
+
+  (invoice.lineItems || []).forEach(item => {
+    const line = calculateLineItem(item);
+    subtotal += line.taxableValue;
+    discountTotal += line.discountAmount;
+    byRate[line.gstRate] = (byRate[line.gstRate] || 0) + line.taxableValue;
+  });
+
+  const taxBreakdown = Object.entries(byRate)
+    .map(([rate, taxableValue]) => {
+      const gstRate = Number(rate);
+      const cgst = interState ? 0 : round2(taxableValue * gstRate / 200);
+      const igst = interState ? round2(taxableValue * gstRate / 100) : 0;
+      return { gstRate, taxableValue: round2(taxableValue), cgst, sgst: cgst, igst };
+    })
+    .sort((a, b) => a.gstRate - b.gstRate);
+
+  const cgst = round2(taxBreakdown.reduce((sum, t) => sum + t.cgst, 0));
+  const sgst = cgst;
+  const igst = round2(taxBreakdown.reduce((sum, t) => sum + t.igst, 0));
+  const taxTotal = round2(cgst + sgst + igst);
+  const exactTotal = round2(subtotal + taxTotal);
+  const grandTotal = Math.round(exactTotal);
+
+  return {
+    interState,
+    subtotal: round2(subtotal),
+    discountTotal: round2(discountTotal),
+    taxBreakdown,
+    cgst,
+    sgst,
+    igst,
+    taxTotal,
+    roundOff: round2(grandTotal - exactTotal),
+    grandTotal
+  };
+};
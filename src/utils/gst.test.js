@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { COMPANY_PROFILE } from '../config/company';
+import { calculateInvoiceTotals, calculateLineItem, isInterState, normalizeLineItem } from './gst';
+
+const line = (overrides) => ({ quantity: 1, unitPrice: 0, discount: 0, gstRate: 18, ...overrides });
+
+describe('calculateLineItem', () => {
+  it('applies the discount before tax', () => {
+    expect(calculateLineItem(line({ quantity: 2, unitPrice: 500, discount: 10 }))).toEqual({
+      gross: 1000,
+      discountAmount: 100,
+      taxableValue: 900,
+      gstRate: 18,
+      taxAmount: 162,
+      total: 1062
+    });
+  });
+
+  it('treats blank form inputs as zero', () => {
+    expect(calculateLineItem({ quantity: '', unitPrice: 'abc', discount: '', gstRate: '' }).total).toBe(0);
+  });
+});
+
+describe('normalizeLineItem', () => {
+  it('stores numbers instead of strings', () => {
+    const item = normalizeLineItem({ id: 'a', description: 'Work', hsnSac: '9983', quantity: '3', unitPrice: '12.5', discount: '', gstRate: '5' });
+    expect(item).toMatchObject({ quantity: 3, unitPrice: 12.5, discount: 0, gstRate: 5 });
+  });
+});
+
+describe('calculateInvoiceTotals', () => {
+  const lineItems = [
+    line({ unitPrice: 1000, gstRate: 18 }),
+    line({ unitPrice: 333.33, gstRate: 5 }),
+    line({ unitPrice: 200, gstRate: 18 })
+  ];
+
+  it('splits intra-state tax into CGST and SGST per rate', () => {
+    const totals = calculateInvoiceTotals({ placeOfSupply: COMPANY_PROFILE.stateCode, lineItems });
+    expect(totals.interState).toBe(false);
+    expect(totals.taxBreakdown).toEqual([
+      { gstRate: 5, taxableValue: 333.33, cgst: 8.33, sgst: 8.33, igst: 0 },
+      { gstRate: 18, taxableValue: 1200, cgst: 108, sgst: 108, igst: 0 }
+    ]);
+    expect(totals.taxTotal).toBe(232.66);
+    expect(totals.grandTotal).toBe(1766);
+    expect(totals.roundOff).toBe(0.01);
+  });
+
+  it('charges IGST at the full rate for other states', () => {
+    const totals = calculateInvoiceTotals({ placeOfSupply: '29', lineItems });
+    expect(totals.interState).toBe(true);
+    expect(totals.cgst).toBe(0);
+    expect(totals.igst).toBe(232.67);
+    expect(totals.grandTotal).toBe(1766);
+  });
+
+  it('handles an invoice without line items', () => {
+    expect(calculateInvoiceTotals({ placeOfSupply: '29' }).grandTotal).toBe(0);
+  });
+});
+
+describe('isInterState', () => {
+  it('is false without a place of supply', () => {
+    expect(isInterState('')).toBe(false);
+    expect(isInterState(COMPANY_PROFILE.stateCode)).toBe(false);
+    expect(isInterState('07')).toBe(true);
+  });
+});
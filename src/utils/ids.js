@@ -0,0 +1,8 @@
+// ============================================
+// ID GENERATION
+// ============================================
+
+export const createId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
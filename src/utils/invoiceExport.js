@@ -0,0 +1,67 @@
+import { DOCUMENT_TYPES, getDocumentType } from './adjustmentNotes';
+import { getAgingBucket, getDaysOverdue } from './aging';
+import { getStateName } from './gst';
+import { STATUS_LABELS } from './invoiceStatus';
+
+// ============================================
+// INVOICE EXPORT COLUMNS
+// ============================================
+
+// `value` receives an evaluated invoice and the export context
+// ({ today, customersById }). Amounts are exported as plain numbers so
+// spreadsheets can total them; dates stay ISO (YYYY-MM-DD), which Excel
+// recognises in every locale. Credit notes export their values as negative
+// numbers so a column total nets them off against the invoices.
+const signed = (inv, value) => DOCUMENT_TYPES[getDocumentType(inv)].sign * value;
+
+export const EXPORT_COLUMNS = [
+  { key: 'id', label: 'Invoice #', value: (inv) => inv.id, default: true },
+  { key: 'documentType', label: 'Type', value: (inv) => DOCUMENT_TYPES[getDocumentType(inv)].label, default: true },
+  { key: 'referenceInvoiceId', label: 'Against Invoice', value: (inv) => inv.referenceInvoiceId || '' },
+  { key: 'customerName', label: 'Customer', value: (inv) => inv.customerName, default: true },
+  { key: 'gstin', label: 'Customer GSTIN', value: (inv, ctx) => ctx.customersById.get(inv.customerId)?.gstin || '' },
+  { key: 'invoiceDate', label: 'Invoice Date', value: (inv) => inv.invoiceDate, default: true },
+  { key: 'dueDate', label: 'Due Date', value: (inv) => inv.dueDate, default: true },
+  { key: 'paymentTerms', label: 'Payment Terms (days)', value: (inv) => inv.paymentTerms },
+  { key: 'placeOfSupply', label: 'Place of Supply', value: (inv) => getStateName(inv.placeOfSupply) },
+  { key: 'tags', label: 'Tags', value: (inv) => (inv.tags || []).join(', ') },
+  { key: 'subtotal', label: 'Taxable Value (₹)', value: (inv) => signed(inv, inv.totals.subtotal) },
+  { key: 'cgst', label: 'CGST (₹)', value: (inv) => signed(inv, inv.totals.cgst) },
+  { key: 'sgst', label: 'SGST (₹)', value: (inv) => signed(inv, inv.totals.sgst) },
+  { key: 'igst', label: 'IGST (₹)', value: (inv) => signed(inv, inv.totals.igst) },
+  { key: 'taxTotal', label: 'Total Tax (₹)', value: (inv) => signed(inv, inv.totals.taxTotal) },
+  { key: 'amount', label: 'Amount (₹)', value: (inv) => signed(inv, inv.amount), default: true },
+  { key: 'adjustments', label: 'Credit/Debit Notes (₹)', value: (inv) => inv.adjustments },
+  { key: 'netAmount', label: 'Net Amount (₹)', value: (inv) => signed(inv, inv.netAmount) },
+  { key: 'amountPaid', label: 'Amount Paid (₹)', value: (inv) => inv.amountPaid },
+  { key: 'balanceDue', label: 'Balance Due (₹)', value: (inv) => inv.balanceDue, default: true },
+  { key: 'status', label: 'Status', value: (inv) => STATUS_LABELS[inv.status] || inv.status, default: true },
+  {
+    key: 'daysOverdue',
+    label: 'Days Overdue',
+    value: (inv, ctx) => (inv.balanceDue > 0 ? Math.max(0, getDaysOverdue(inv, ctx.today)) : 0),
+    default: true
+  },
+  {
+    key: 'agingBucket',
+    label: 'Aging Bucket',
+    value: (inv, ctx) => (inv.balanceDue > 0 ? getAgingBucket(getDaysOverdue(inv, ctx.today)).label : '')
+  }
+];
+
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter(c => c.default).map(c => c.key);
+
+// Spreadsheet apps run cells starting with these characters as formulas;
+// a leading apostrophe makes them plain text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const protectFormula = (value) =>
+  typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+
+export const buildInvoiceExport = (invoices, columnKeys, context) => {
+  const columns = EXPORT_COLUMNS.filter(c => columnKeys.includes(c.key));
+  return {
+    headers: columns.map(c => c.label),
+    rows: invoices.map(inv => columns.map(c => protectFormula(c.value(inv, context))))
+  };
+};
@@ -0,0 +1,251 @@
+import { COMPANY_PROFILE } from '../config/company';
+import { normalizeCustomerName } from './customers';
+import { GST_RATES, INDIAN_STATES, calculateInvoiceTotals, createLineItem, normalizeLineItem } from './gst';
+import { createId } from './ids';
+import { validateInvoice } from './invoiceValidation';
+
+// ============================================
+// IMPORT FIELDS
+// ============================================
+
+// Each row of the sheet is one line item. Rows sharing an invoice number are
+// grouped into a single invoice; rows without one become an invoice each.
+export const IMPORT_FIELDS = [
+  { key: 'id', label: 'Invoice #', aliases: ['invoice', 'invoice no', 'invoice number', 'invoice id', 'inv no', 'bill no'] },
+  { key: 'customerName', label: 'Customer', required: true, aliases: ['customer name', 'client', 'party', 'party name', 'bill to'] },
+  { key: 'customerGstin', label: 'Customer GSTIN', aliases: ['gstin', 'gst number', 'gst no', 'gstin uin'] },
+  { key: 'invoiceDate', label: 'Invoice Date', required: true, aliases: ['date', 'bill date', 'invoice dt'] },
+  { key: 'paymentTerms', label: 'Payment Terms (days)', aliases: ['payment terms', 'terms', 'credit days', 'credit period'] },
+  { key: 'placeOfSupply', label: 'Place of Supply', aliases: ['pos', 'state', 'supply state'] },
+  { key: 'description', label: 'Description', required: true, aliases: ['item', 'item description', 'particulars', 'service', 'product'] },
+  { key: 'hsnSac', label: 'HSN/SAC', aliases: ['hsn', 'sac', 'hsn code', 'sac code'] },
+  { key: 'quantity', label: 'Quantity', aliases: ['qty', 'units'] },
+  { key: 'unitPrice', label: 'Unit Price (₹)', required: true, aliases: ['unit price', 'rate', 'price', 'taxable value', 'amount'] },
+  { key: 'discount', label: 'Discount (%)', aliases: ['discount', 'disc', 'discount percent'] },
+  { key: 'gstRate', label: 'GST Rate (%)', aliases: ['gst rate', 'gst', 'tax rate', 'gst percent'] }
+];
+
+const normalizeHeader = (header) =>
+  String(header).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Pre-selects a source column for every field whose label or a common
+// alias matches a header. Unmatched fields map to ''.
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const candidates = [normalizeHeader(field.label), ...field.aliases];
+    const index = normalized.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+    if (index >= 0) used.add(index);
+    mapping[field.key] = index >= 0 ? index : '';
+    return mapping;
+  }, {});
+};
+
+export const getMissingRequiredFields = (mapping) =>
+  IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === '');
+
+// ============================================
+// CELL PARSING
+// ============================================
+
+const toISODate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Accepts ISO dates, Indian-style DD/MM/YYYY (or with - or .) and the
+// serial day numbers Excel stores dates as.
+export const parseImportDate = (value) => {
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return toISODate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) return toISODate(Number(match[3]), Number(match[2]), Number(match[1]));
+
+  if (/^\d{4,5}(\.\d+)?$/.test(value)) {
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(value)) * 86400000);
+    return date.toISOString().slice(0, 10);
+  }
+  return null;
+};
+
+// "₹1,20,000.50" -> 120000.5, "18%" -> 18, "30 days" -> 30
+const parseImportNumber = (value) => {
+  const cleaned = value.replace(/₹|rs\.?|inr|days?|,|%|\s/gi, '');
+  return cleaned === '' ? null : Number(cleaned);
+};
+
+// "27", "7", "27 - Maharashtra" or "Maharashtra"
+const parseStateCode = (value) => {
+  const codeMatch = value.match(/^(\d{1,2})\b/);
+  if (codeMatch) {
+    const code = codeMatch[1].padStart(2, '0');
+    return INDIAN_STATES.some(s => s.code === code) ? code : null;
+  }
+  const name = normalizeCustomerName(value);
+  return INDIAN_STATES.find(s => normalizeCustomerName(s.name) === name)?.code || null;
+};
+
+// ============================================
+// PREVIEW
+// ============================================
+
+// Matches a row's customer by GSTIN, then by normalized name. `created`
+// collects the new customers of one import by normalized name, so rows
+// naming the same new customer share one record. A name that normalizes to
+// nothing (only punctuation) matches no one.
+const resolveCustomer = (name, gstin, customers, created) => {
+  const byGstin = gstin && customers.find(c => c.gstin === gstin);
+  if (byGstin) return { customer: byGstin, isNew: false };
+  const key = normalizeCustomerName(name);
+  if (!key) {
+    return { customer: null, isNew: false, error: name ? `Customer name "${name}" has no letters or digits` : null };
+  }
+  const byName = customers.find(c => normalizeCustomerName(c.legalName) === key);
+  if (byName) return { customer: byName, isNew: false };
+  if (!created.has(key)) {
+    created.set(key, {
+      id: createId(),
+      legalName: name,
+      gstin,
+      stateCode: /^\d{2}/.test(gstin) ? gstin.slice(0, 2) : '',
+      defaultPaymentTerms: 30
+    });
+  }
+  return { customer: created.get(key), isNew: true };
+};
+
+const FIELD_MESSAGES = {
+  customerId: 'Customer is required',
+  invoiceDate: 'Invoice date is required'
+};
+
+const ITEM_FIELD_ORDER = ['description', 'quantity', 'unitPrice', 'discount'];
+
+// Turns mapped sheet rows into candidate invoices. Each entry carries the
+// sheet row numbers it came from (header = row 1), the invoice data ready
+// for addInvoice, and human-readable errors; entries with errors are not
+// imported.
+export const buildImportPreview = (rows, mapping, { customers, existingIds }) => {
+  const taken = new Set([...existingIds].map(id => id.toUpperCase()));
+  const created = new Map();
+  const cell = (row, key) =>
+    mapping[key] === '' ? '' : String(row[mapping[key]] ?? '').trim();
+
+  const groups = new Map();
+  rows.slice(1).forEach((row, index) => {
+    const rowNumber = index + 2;
+    const id = cell(row, 'id');
+    const groupKey = id ? `id:${id.toUpperCase()}` : `row:${rowNumber}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push({ row, rowNumber });
+  });
+
+  return [...groups.values()].map(groupRows => {
+    const [{ row: first }] = groupRows;
+    const rowNumbers = groupRows.map(r => r.rowNumber);
+    const errors = [];
+
+    const id = cell(first, 'id');
+    if (id && taken.has(id.toUpperCase())) {
+      errors.push(`Invoice ${id} already exists`);
+    }
+    const conflicting = groupRows.slice(1).find(({ row }) =>
+      normalizeCustomerName(cell(row, 'customerName')) !== normalizeCustomerName(cell(first, 'customerName'))
+      || cell(row, 'invoiceDate') !== cell(first, 'invoiceDate')
+    );
+    if (conflicting) {
+      errors.push(`Duplicate invoice number ${id}: rows ${rowNumbers[0]} and ${conflicting.rowNumber} have different customers or dates`);
+    }
+
+    const gstin = cell(first, 'customerGstin').toUpperCase();
+    const resolved = resolveCustomer(cell(first, 'customerName'), gstin, customers, created);
+    const { customer, isNew } = resolved;
+    if (resolved.error) errors.push(resolved.error);
+    if (customer && !isNew && gstin && customer.gstin && customer.gstin !== gstin) {
+      errors.push(`GSTIN ${gstin} does not match ${customer.legalName} in the customer master`);
+    }
+
+    const rawDate = cell(first, 'invoiceDate');
+    const invoiceDate = rawDate ? parseImportDate(rawDate) : '';
+    if (invoiceDate === null) {
+      errors.push(`Invoice date "${rawDate}" is not a date (use YYYY-MM-DD or DD/MM/YYYY)`);
+    }
+
+    const rawTerms = cell(first, 'paymentTerms');
+    const paymentTerms = rawTerms ? parseImportNumber(rawTerms) : (customer?.defaultPaymentTerms || 30);
+    if (!Number.isInteger(paymentTerms) || paymentTerms < 0) {
+      errors.push(`Payment terms "${rawTerms}" must be a whole number of days`);
+    }
+
+    const rawState = cell(first, 'placeOfSupply');
+    const placeOfSupply = rawState
+      ? parseStateCode(rawState)
+      : (customer?.stateCode || COMPANY_PROFILE.stateCode);
+    if (!placeOfSupply) {
+      errors.push(`Unknown place of supply "${rawState}"`);
+    }
+
+    const itemRows = new Map();
+    const lineItems = groupRows.map(({ row, rowNumber }) => {
+      const numberOr = (key, fallback) => {
+        const value = parseImportNumber(cell(row, key));
+        return value === null ? fallback : value;
+      };
+      const gstRate = numberOr('gstRate', 18);
+      if (!GST_RATES.includes(gstRate)) {
+        errors.push(`Row ${rowNumber}: GST rate must be one of ${GST_RATES.join(', ')}%`);
+      }
+      const item = normalizeLineItem(createLineItem({
+        description: cell(row, 'description'),
+        hsnSac: cell(row, 'hsnSac'),
+        quantity: numberOr('quantity', 1),
+        unitPrice: numberOr('unitPrice', 0),
+        discount: numberOr('discount', 0),
+        gstRate
+      }));
+      itemRows.set(item.id, rowNumber);
+      return item;
+    });
+
+    const invoice = {
+      ...(id && { id }),
+      customerId: customer?.id || '',
+      customerName: customer?.legalName || '',
+      invoiceDate: invoiceDate || '',
+      paymentTerms,
+      placeOfSupply: placeOfSupply || '',
+      lineItems
+    };
+
+    // Same rules as the invoice form. An unparseable date was reported
+    // above, so skip the generic "required" message for it.
+    const validationErrors = validateInvoice(invoice);
+    Object.entries(validationErrors).forEach(([field, message]) => {
+      if (field === 'lineItemErrors') {
+        Object.entries(message).forEach(([itemId, itemErrors]) => {
+          ITEM_FIELD_ORDER.filter(key => itemErrors[key]).forEach(key => {
+            errors.push(`Row ${itemRows.get(itemId)}: ${itemErrors[key]}`);
+          });
+        });
+      } else if (!(field === 'invoiceDate' && invoiceDate === null)) {
+        errors.push(FIELD_MESSAGES[field] || message);
+      }
+    });
+
+    return {
+      key: id ? id.toUpperCase() : `row-${rowNumbers[0]}`,
+      rowNumbers,
+      invoice,
+      newCustomer: isNew
+        ? { ...customer, stateCode: customer.stateCode || (rawState && placeOfSupply) || '' }
+        : null,
+      grandTotal: calculateInvoiceTotals(invoice).grandTotal,
+      errors
+    };
+  });
+};
@@ -0,0 +1,339 @@
+import { jsPDF } from 'jspdf';
+import QRCode from 'qrcode';
+import { COMPANY_PROFILE } from '../config/company';
+import { DOCUMENT_TYPES, isAdjustmentNote } from './adjustmentNotes';
+import { amountInWords } from './amountInWords';
+import { formatDate } from './dates';
+import { calculateLineItem, getStateName } from './gst';
+import { buildUpiPayload } from './upi';
+
+// ============================================
+// PDF INVOICE
+// ============================================
+
+// Laid out on A4 in millimetres. The built-in PDF fonts have no ₹ glyph,
+// so amounts are printed as "Rs.".
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 14;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const CONTENT_BOTTOM = PAGE_HEIGHT - 20;
+const LINE_HEIGHT = 4.2;
+
+const money = (value) =>
+  `Rs. ${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const ITEM_COLUMNS = [
+  { label: '#', width: 8 },
+  { label: 'Description', width: 58 },
+  { label: 'HSN/SAC', width: 18 },
+  { label: 'Qty', width: 12, align: 'right' },
+  { label: 'Rate', width: 24, align: 'right' },
+  { label: 'Disc %', width: 12, align: 'right' },
+  { label: 'GST %', width: 12, align: 'right' },
+  { label: 'Taxable Value', width: 38, align: 'right' }
+];
+
+export const getInvoicePdfFileName = (invoice) => `${invoice.id.replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+
+const setText = (doc, size, style = 'normal', color = 30) => {
+  doc.setFont('helvetica', style);
+  doc.setFontSize(size);
+  doc.setTextColor(color);
+};
+
+const drawQRCode = (doc, payload, x, y, size) => {
+  const { modules } = QRCode.create(payload, { errorCorrectionLevel: 'M' });
+  const cell = size / modules.size;
+  doc.setFillColor(0);
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell, 'F');
+    }
+  }
+};
+
+// Drafts and void documents must not pass for a valid tax invoice or note.
+const getDocumentTitle = (invoice) => {
+  const title = invoice.documentType ? DOCUMENT_TYPES[invoice.documentType].label.toUpperCase() : 'TAX INVOICE';
+  if (invoice.status === 'draft') return 'DRAFT INVOICE';
+  if (invoice.status === 'void') return `VOID ${title.replace('TAX ', '')}`;
+  return title;
+};
+
+const drawHeader = (doc, invoice, company) => {
+  setText(doc, 16, 'bold');
+  doc.text(company.name, MARGIN, 20);
+  setText(doc, 9, 'normal', 80);
+  const addressLines = doc.splitTextToSize(company.address, 110);
+  doc.text(addressLines, MARGIN, 26);
+  let y = 26 + addressLines.length * LINE_HEIGHT;
+  doc.text(`GSTIN: ${company.gstin}   PAN: ${company.pan}`, MARGIN, y);
+  doc.text(`${company.email}   ${company.phone}`, MARGIN, y + LINE_HEIGHT);
+
+  setText(doc, 16, 'bold', 37);
+  doc.text(getDocumentTitle(invoice), RIGHT, 20, { align: 'right' });
+  setText(doc, 9, 'normal', 60);
+  const placeOfSupply = ['Place of Supply', `${getStateName(invoice.placeOfSupply)} (${invoice.placeOfSupply})`];
+  (isAdjustmentNote(invoice)
+    ? [
+        ['Note #', invoice.id],
+        ['Note Date', formatDate(invoice.invoiceDate)],
+        ['Against Invoice', invoice.referenceInvoiceId],
+        placeOfSupply
+      ]
+    : [
+        ['Invoice #', invoice.id],
+        ['Invoice Date', formatDate(invoice.invoiceDate)],
+        ['Due Date', formatDate(invoice.dueDate)],
+        placeOfSupply
+      ]
+  ).forEach(([label, value], index) => {
+    doc.text(`${label}: ${value}`, RIGHT, 26 + index * LINE_HEIGHT, { align: 'right' });
+  });
+
+  y = Math.max(y + LINE_HEIGHT, 26 + 3 * LINE_HEIGHT) + 4;
+  doc.setDrawColor(200);
+  doc.line(MARGIN, y, RIGHT, y);
+  return y + 6;
+};
+
+const drawParty = (doc, title, lines, x, y) => {
+  setText(doc, 8, 'bold', 120);
+  doc.text(title, x, y);
+  setText(doc, 10, 'bold');
+  doc.text(lines[0], x, y + 5);
+  setText(doc, 9, 'normal', 60);
+  let lineY = y + 5 + LINE_HEIGHT;
+  lines.slice(1).filter(Boolean).forEach(line => {
+    const wrapped = doc.splitTextToSize(line, 85);
+    doc.text(wrapped, x, lineY);
+    lineY += wrapped.length * LINE_HEIGHT;
+  });
+  return lineY;
+};
+
+const drawTableHeader = (doc, y) => {
+  doc.setFillColor(241, 245, 249);
+  doc.rect(MARGIN, y, RIGHT - MARGIN, 7, 'F');
+  setText(doc, 8, 'bold', 60);
+  let x = MARGIN;
+  ITEM_COLUMNS.forEach(column => {
+    const textX = column.align === 'right' ? x + column.width - 2 : x + 2;
+    doc.text(column.label, textX, y + 4.8, { align: column.align || 'left' });
+    x += column.width;
+  });
+  return y + 7;
+};
+
+const drawLineItems = (doc, invoice, startY) => {
+  let y = drawTableHeader(doc, startY);
+  invoice.lineItems.forEach((item, index) => {
+    const line = calculateLineItem(item);
+    const cells = [
+      String(index + 1),
+      doc.splitTextToSize(item.description, ITEM_COLUMNS[1].width - 4),
+      item.hsnSac || '',
+      item.quantity.toLocaleString('en-IN'),
+      item.unitPrice.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      item.discount ? String(item.discount) : '',
+      String(item.gstRate),
+      line.taxableValue.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    ];
+    const rowHeight = Math.max(1, cells[1].length) * LINE_HEIGHT + 3;
+    if (y + rowHeight > CONTENT_BOTTOM) {
+      doc.addPage();
+      y = drawTableHeader(doc, 20);
+    }
+
+    setText(doc, 9, 'normal', 30);
+    let x = MARGIN;
+    ITEM_COLUMNS.forEach((column, col) => {
+      const textX = column.align === 'right' ? x + column.width - 2 : x + 2;
+      doc.text(cells[col], textX, y + 4.8, { align: column.align || 'left' });
+      x += column.width;
+    });
+    y += rowHeight;
+    doc.setDrawColor(226);
+    doc.line(MARGIN, y, RIGHT, y);
+  });
+  return y + 6;
+};
+
+const drawTotals = (doc, invoice, y) => {
+  const { totals } = invoice;
+  const rows = [['Taxable Value', totals.subtotal]];
+  totals.taxBreakdown.filter(t => t.gstRate > 0).forEach(t => {
+    if (totals.interState) {
+      rows.push([`IGST @ ${t.gstRate}%`, t.igst]);
+    } else {
+      rows.push([`CGST @ ${t.gstRate / 2}%`, t.cgst], [`SGST @ ${t.gstRate / 2}%`, t.sgst]);
+    }
+  });
+  if (totals.roundOff) rows.push(['Round Off', totals.roundOff]);
+
+  const labelX = 124;
+  setText(doc, 9, 'normal', 60);
+  rows.forEach(([label, value]) => {
+    doc.text(label, labelX, y);
+    doc.text(money(value), RIGHT, y, { align: 'right' });
+    y += 5;
+  });
+
+  doc.setDrawColor(200);
+  doc.line(labelX, y - 2, RIGHT, y - 2);
+  setText(doc, 11, 'bold');
+  doc.text('Grand Total', labelX, y + 3);
+  doc.text(money(totals.grandTotal), RIGHT, y + 3, { align: 'right' });
+  y += 9;
+
+  if (invoice.adjustments) {
+    setText(doc, 9, 'normal', 60);
+    doc.text('Credit / Debit Notes', labelX, y);
+    doc.text(money(invoice.adjustments), RIGHT, y, { align: 'right' });
+    setText(doc, 10, 'bold');
+    doc.text('Net Amount', labelX, y + 5);
+    doc.text(money(invoice.netAmount), RIGHT, y + 5, { align: 'right' });
+    y += 10;
+  }
+
+  if (invoice.amountPaid > 0) {
+    setText(doc, 9, 'normal', 60);
+    doc.text('Amount Paid', labelX, y);
+    doc.text(money(invoice.amountPaid), RIGHT, y, { align: 'right' });
+    setText(doc, 10, 'bold');
+    doc.text('Balance Due', labelX, y + 5);
+    doc.text(money(invoice.balanceDue), RIGHT, y + 5, { align: 'right' });
+    y += 10;
+  }
+  return y;
+};
+
+const drawPaymentDetails = (doc, invoice, company, y) => {
+  const { bank } = company;
+  setText(doc, 8, 'bold', 120);
+  doc.text('BANK DETAILS', MARGIN, y);
+  setText(doc, 9, 'normal', 60);
+  [
+    `Account Name: ${bank.accountName}`,
+    `Bank: ${bank.bankName}, ${bank.branch}`,
+    `Account No: ${bank.accountNumber}`,
+    `IFSC: ${bank.ifsc}`
+  ].forEach((line, index) => doc.text(line, MARGIN, y + 5 + index * LINE_HEIGHT));
+
+  if (invoice.balanceDue > 0 && company.upiId) {
+    const size = 30;
+    const x = RIGHT - size;
+    drawQRCode(doc, buildUpiPayload(invoice, company), x, y - 3, size);
+    setText(doc, 8, 'normal', 60);
+    doc.text('Scan to pay with any UPI app', x - 4, y + 5, { align: 'right' });
+    doc.text(company.upiId, x - 4, y + 5 + LINE_HEIGHT, { align: 'right' });
+    setText(doc, 9, 'bold');
+    doc.text(money(invoice.balanceDue), x - 4, y + 5 + 2 * LINE_HEIGHT, { align: 'right' });
+  }
+  return y + 32;
+};
+
+// Pages are numbered within one invoice, which starts on `firstPage` when
+// several share a document.
+const drawFooter = (doc, company, firstPage = 1) => {
+  const lastPage = doc.getNumberOfPages();
+  const pageCount = lastPage - firstPage + 1;
+  for (let page = firstPage; page <= lastPage; page++) {
+    doc.setPage(page);
+    setText(doc, 8, 'normal', 130);
+    doc.text('This is a computer-generated invoice.', MARGIN, PAGE_HEIGHT - 10);
+    if (pageCount > 1) {
+      doc.text(`Page ${page - firstPage + 1} of ${pageCount}`, RIGHT, PAGE_HEIGHT - 10, { align: 'right' });
+    }
+  }
+  doc.setPage(lastPage);
+  setText(doc, 9, 'bold');
+  doc.text(`For ${company.name}`, RIGHT, CONTENT_BOTTOM - 10, { align: 'right' });
+  setText(doc, 8, 'normal', 100);
+  doc.text('Authorised Signatory', RIGHT, CONTENT_BOTTOM, { align: 'right' });
+};
+
+// Draws one invoice from the top of the document's last page.
+const drawInvoice = (doc, invoice, customer, company) => {
+  const firstPage = doc.getNumberOfPages();
+  let y = drawHeader(doc, invoice, company);
+  const billTo = [
+    customer?.legalName || invoice.customerName,
+    customer?.billingAddress,
+    customer?.gstin ? `GSTIN: ${customer.gstin}` : 'Unregistered',
+    customer?.stateCode ? `State: ${getStateName(customer.stateCode)} (${customer.stateCode})` : ''
+  ];
+  let partyBottom = drawParty(doc, 'BILL TO', billTo, MARGIN, y);
+  if (customer?.shippingAddress && customer.shippingAddress !== customer.billingAddress) {
+    partyBottom = Math.max(
+      partyBottom,
+      drawParty(doc, 'SHIP TO', [customer.legalName, customer.shippingAddress], 110, y)
+    );
+  }
+
+  y = drawLineItems(doc, invoice, partyBottom + 4);
+
+  // Totals, amount in words and payment details stay together.
+  if (y + 85 > CONTENT_BOTTOM - 14) {
+    doc.addPage();
+    y = 20;
+  }
+  const wordsY = y;
+  y = drawTotals(doc, invoice, y);
+  setText(doc, 8, 'bold', 120);
+  doc.text('AMOUNT IN WORDS', MARGIN, wordsY);
+  setText(doc, 9, 'normal', 30);
+  doc.text(doc.splitTextToSize(amountInWords(invoice.totals.grandTotal), 100), MARGIN, wordsY + 5);
+
+  drawPaymentDetails(doc, invoice, company, y + 6);
+  drawFooter(doc, company, firstPage);
+};
+
+// `invoice` is an evaluated invoice (totals, dueDate, amountPaid and
+// balanceDue filled in); `customer` is its record from the customer master,
+// if there is one.
+export const createInvoicePdf = (invoice, customer, company = COMPANY_PROFILE) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  doc.setProperties({ title: `Invoice ${invoice.id}`, author: company.name });
+  drawInvoice(doc, invoice, customer, company);
+  return doc;
+};
+
+// Several invoices in one document, each starting on a new page. Browsers
+// block a run of automatic downloads, so bulk PDFs are saved as one file.
+export const createInvoicesPdf = (entries, company = COMPANY_PROFILE) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  doc.setProperties({ title: `Invoices (${entries.length})`, author: company.name });
+  entries.forEach(({ invoice, customer }, index) => {
+    if (index > 0) doc.addPage();
+    drawInvoice(doc, invoice, customer, company);
+  });
+  return doc;
+};
+
+export const downloadInvoicePdf = (invoice, customer) => {
+  createInvoicePdf(invoice, customer).save(getInvoicePdfFileName(invoice));
+};
+
+export const downloadInvoicesPdf = (entries, fileName) => {
+  createInvoicesPdf(entries).save(fileName);
+};
+
+// Prints through a hidden frame rather than a new tab so popup blockers do
+// not get in the way. The frame stays until the next print, since the print
+// dialog may still be reading it; its blob URL is released then.
+export const printInvoicePdf = (invoice, customer) => {
+  const url = createInvoicePdf(invoice, customer).output('bloburl');
+  const previous = document.getElementById('invoice-print-frame');
+  if (previous) {
+    URL.revokeObjectURL(previous.src);
+    previous.remove();
+  }
+  const frame = document.createElement('iframe');
+  frame.id = 'invoice-print-frame';
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0';
+  frame.onload = () => frame.contentWindow.print();
+  frame.src = url;
+  document.body.appendChild(frame);
+};
@@ -0,0 +1,207 @@
+import { calculateDueDate, daysBetween, getTodayDate } from './dates';
+import { calculateInvoiceTotals } from './gst';
+
+// ============================================
+// INVOICE LIFECYCLE
+// ============================================
+
+// Every status an invoice can show, in the order filters, badges and chart
+// slices list them. `stored` statuses are saved on the invoice and only
+// change through INVOICE_TRANSITIONS; the rest are derived from the payment
+// ledger and due date of a sent invoice. `receivable` statuses carry a
+// balance due and accept payments; `locked` invoices can no longer be edited.
+// `note` statuses belong to credit and debit notes only.
+export const INVOICE_STATUSES = [
+  { key: 'draft', label: 'Draft', stored: true, badgeClass: 'bg-slate-100 text-slate-600', color: '#94a3b8' },
+  { key: 'sent', label: 'Sent', stored: true, receivable: true, badgeClass: 'bg-yellow-100 text-yellow-700', color: '#f59e0b' },
+  { key: 'partially_paid', label: 'Partially Paid', receivable: true, badgeClass: 'bg-blue-100 text-blue-700', color: '#3b82f6' },
+  { key: 'overdue', label: 'Overdue', receivable: true, badgeClass: 'bg-red-100 text-red-700', color: '#ef4444' },
+  { key: 'disputed', label: 'Disputed', stored: true, receivable: true, badgeClass: 'bg-purple-100 text-purple-700', color: '#a855f7' },
+  { key: 'paid', label: 'Paid', badgeClass: 'bg-green-100 text-green-700', color: '#10b981' },
+  { key: 'void', label: 'Void', stored: true, locked: true, badgeClass: 'bg-gray-200 text-gray-500', color: '#6b7280' },
+  { key: 'written_off', label: 'Written Off', stored: true, locked: true, badgeClass: 'bg-orange-100 text-orange-700', color: '#f97316' },
+  { key: 'issued', label: 'Issued', stored: true, locked: true, note: true, badgeClass: 'bg-teal-100 text-teal-700', color: '#14b8a6' }
+];
+
+export const STATUS_BY_KEY = Object.fromEntries(INVOICE_STATUSES.map(s => [s.key, s]));
+
+export const STATUS_LABELS = Object.fromEntries(INVOICE_STATUSES.map(s => [s.key, s.label]));
+
+// `from` lists effective statuses, so e.g. an overdue invoice can be
+// disputed. `to` is always a stored status. `reason` is 'required' or
+// 'optional'; `guard` returns a message when the move is not allowed.
+export const INVOICE_TRANSITIONS = [
+  {
+    key: 'send',
+    label: 'Mark as Sent',
+    description: 'The invoice has been issued to the customer and now counts towards receivables.',
+    from: ['draft'],
+    to: 'sent'
+  },
+  {
+    key: 'dispute',
+    label: 'Mark as Disputed',
+    description: 'The customer has raised a query; reminders stop until it is resolved.',
+    from: ['sent', 'partially_paid', 'overdue'],
+    to: 'disputed',
+    reason: 'optional'
+  },
+  {
+    key: 'resolve',
+    label: 'Resolve Dispute',
+    description: 'The query is settled and the invoice is due again.',
+    from: ['disputed'],
+    to: 'sent',
+    reason: 'optional'
+  },
+  {
+    key: 'void',
+    label: 'Void',
+    description: 'Cancel the invoice. Its number stays used so the series has no gap.',
+    from: ['draft', 'sent', 'overdue', 'disputed', 'issued'],
+    to: 'void',
+    reason: 'required',
+    guard: (invoice) =>
+      invoice.amountPaid > 0 ? 'Invoices with payments cannot be voided; delete the payments first' : null
+  },
+  {
+    key: 'write_off',
+    label: 'Write Off',
+    description: 'Stop collecting the remaining balance and record it as a bad debt.',
+    from: ['sent', 'partially_paid', 'overdue', 'disputed'],
+    to: 'written_off',
+    reason: 'required'
+  },
+  {
+    key: 'reinstate',
+    label: 'Reinstate',
+    description: 'Collection has resumed on a written-off balance.',
+    from: ['written_off'],
+    to: 'sent',
+    reason: 'required'
+  }
+];
+
+export const TRANSITIONS_BY_KEY = Object.fromEntries(INVOICE_TRANSITIONS.map(t => [t.key, t]));
+
+// Transitions open to an evaluated invoice, each with the guard's message
+// (if any) as `blockedReason`.
+export const getAvailableTransitions = (invoice) =>
+  INVOICE_TRANSITIONS
+    .filter(t => t.from.includes(invoice.status))
+    .map(t => ({ ...t, blockedReason: t.guard?.(invoice) || null }));
+
+// Returns why `transitionKey` cannot be applied, or null when it can.
+export const checkTransition = (invoice, transitionKey, reason = '') => {
+  const transition = TRANSITIONS_BY_KEY[transitionKey];
+  if (!transition) return `Unknown status change "${transitionKey}"`;
+  if (!transition.from.includes(invoice.status)) {
+    return `A ${STATUS_LABELS[invoice.status].toLowerCase()} invoice cannot be changed with "${transition.label}"`;
+  }
+  const blocked = transition.guard?.(invoice);
+  if (blocked) return blocked;
+  if (transition.reason === 'required' && !reason.trim()) return 'A reason is required';
+  return null;
+};
+
+// Only drafts can be deleted. Anything sent or issued has used its number
+// and stays on record; it is voided instead. Returns why an invoice cannot
+// be deleted, or null when it can.
+export const checkDelete = (invoice) => {
+  if (invoice.status === 'draft') return null;
+  const status = STATUS_BY_KEY[invoice.status];
+  if (status.note) return 'Issued notes cannot be deleted; void the note instead';
+  if (status.locked) return `${status.label} invoices stay on record and cannot be deleted`;
+  return 'Only drafts can be deleted; void the invoice instead';
+};
+
+// ============================================
+// STATUS ENGINE
+// ============================================
+
+export const getAmountPaid = (invoice) =>
+  (invoice.payments || []).reduce((sum, p) => sum + (p.amount || 0), 0);
+
+// What the customer owes before payments: the grand total plus any credit
+// and debit notes, once evaluateInvoice has worked out `netAmount`.
+const getGrandTotal = (invoice) =>
+  invoice.netAmount ?? (invoice.totals || calculateInvoiceTotals(invoice)).grandTotal;
+
+export const getBalanceDue = (invoice) =>
+  Math.max(0, getGrandTotal(invoice) - getAmountPaid(invoice));
+
+// Drafts, void and written-off invoices keep their stored status. A sent or
+// disputed invoice is `paid` once the ledger covers the grand total. An
+// overdue invoice stays `overdue` even after a part payment: what matters
+// for collections is that a balance is past its due date.
+export const getEffectiveStatus = (invoice, today = getTodayDate()) => {
+  const stored = STATUS_BY_KEY[invoice.status];
+  if (stored && !stored.receivable) return invoice.status;
+
+  const grandTotal = getGrandTotal(invoice);
+  const paid = getAmountPaid(invoice);
+  // A fully credited invoice (net amount zero) counts as settled too.
+  if ((grandTotal > 0 || invoice.adjustments) && paid >= grandTotal) return 'paid';
+  if (invoice.status === 'disputed') return 'disputed';
+
+  const dueDate = calculateDueDate(invoice.invoiceDate, invoice.paymentTerms);
+  if (daysBetween(today, dueDate) < 0) return 'overdue';
+  return paid > 0 ? 'partially_paid' : 'sent';
+};
+
+// Adds the derived fields the table, totals and charts read. `amount` is
+// the computed grand total of the invoice's line items; `adjustments` is
+// the net of its credit and debit notes (see getAdjustmentsByInvoice) and
+// `netAmount` the two together. `balanceDue` is zero unless the invoice is
+// still being collected.
+export const evaluateInvoice = (invoice, today = getTodayDate(), adjustments = 0) => {
+  const totals = calculateInvoiceTotals(invoice);
+  const withTotals = {
+    ...invoice,
+    totals,
+    amount: totals.grandTotal,
+    adjustments,
+    netAmount: Math.max(0, totals.grandTotal + adjustments)
+  };
+  const status = getEffectiveStatus(withTotals, today);
+  return {
+    ...withTotals,
+    dueDate: calculateDueDate(invoice.invoiceDate, invoice.paymentTerms),
+    amountPaid: getAmountPaid(withTotals),
+    balanceDue: STATUS_BY_KEY[status].receivable ? getBalanceDue(withTotals) : 0,
+    status
+  };
+};
+
+// The part of an evaluated invoice's net amount that has not been received:
+// the balance still due, a draft's full amount, or the amount written off.
+export const getUnpaidAmount = (invoice) =>
+  invoice.status === 'void' ? 0 : Math.max(0, invoice.netAmount - invoice.amountPaid);
+
+// How an evaluated invoice stands against its due date, for display.
+export const describeDueDate = (invoice, today = getTodayDate()) => {
+  const diffDays = daysBetween(today, invoice.dueDate);
+
+  if (invoice.status === 'paid') return '✓ Paid';
+  if (invoice.status === 'draft') return 'Not sent';
+  if (!STATUS_BY_KEY[invoice.status].receivable) return '—';
+  if (diffDays < 0) return `${Math.abs(diffDays)} days overdue`;
+  if (diffDays === 0) return 'Due today';
+  return `${diffDays} days left`;
+};
+
+// Derived fields must not be written back into storage when an evaluated
+// invoice is passed to updateInvoice (e.g. from the edit modal). Status
+// only changes through transitions.
+export const stripDerivedFields = (invoice) => {
+  const stored = { ...invoice };
+  delete stored.dueDate;
+  delete stored.status;
+  delete stored.amount;
+  delete stored.adjustments;
+  delete stored.netAmount;
+  delete stored.totals;
+  delete stored.amountPaid;
+  delete stored.balanceDue;
+  return stored;
+};
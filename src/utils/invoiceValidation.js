@@ -0,0 +1,47 @@
+import { calculateInvoiceTotals } from './gst';
+
+// ============================================
+// INVOICE VALIDATION
+// ============================================
+
+// Shared by the invoice form and the spreadsheet import so both accept
+// exactly the same invoices. Line item errors are keyed by line item id.
+export const validateInvoice = (formData) => {
+  const errors = {};
+  if (!formData.customerId) {
+    errors.customerId = 'Select a customer';
+  }
+  if (!formData.invoiceDate) {
+    errors.invoiceDate = 'Invoice date is required';
+  }
+
+  const lineItemErrors = {};
+  formData.lineItems.forEach(item => {
+    const itemErrors = {};
+    if (!String(item.description).trim()) {
+      itemErrors.description = 'Description is required';
+    }
+    if (!(parseFloat(item.quantity) > 0)) {
+      itemErrors.quantity = 'Quantity must be greater than 0';
+    }
+    if (!(parseFloat(item.unitPrice) > 0)) {
+      itemErrors.unitPrice = 'Unit price must be greater than 0';
+    }
+    const discount = parseFloat(item.discount) || 0;
+    if (discount < 0 || discount > 100) {
+      itemErrors.discount = 'Discount must be between 0 and 100%';
+    }
+    if (Object.keys(itemErrors).length > 0) {
+      lineItemErrors[item.id] = itemErrors;
+    }
+  });
+
+  if (formData.lineItems.length === 0) {
+    errors.lineItems = 'Add at least one line item';
+  } else if (Object.keys(lineItemErrors).length > 0) {
+    errors.lineItemErrors = lineItemErrors;
+  } else if (calculateInvoiceTotals(formData).grandTotal <= 0) {
+    errors.lineItems = 'Amount must be greater than 0';
+  }
+  return errors;
+};
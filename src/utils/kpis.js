@@ -0,0 +1,138 @@
+import { isAdjustmentNote } from './adjustmentNotes';
+import { addDays, daysBetween, toDateString } from './dates';
+
+// ============================================
+// COLLECTION KPIS
+// ============================================
+
+// Rolling periods ending today. Each is compared with the period of the
+// same length just before it.
+export const KPI_PERIODS = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 180, label: 'Last 180 days' },
+  { days: 365, label: 'Last 365 days' }
+];
+
+// `better` says which way a change is an improvement.
+export const COLLECTION_KPIS = [
+  {
+    key: 'dso',
+    label: 'Days Sales Outstanding',
+    description: 'Receivables at the end of the period against the sales made in it',
+    unit: 'days',
+    better: 'lower'
+  },
+  {
+    key: 'cei',
+    label: 'Collection Effectiveness',
+    description: 'Share of the collectible balance actually collected in the period',
+    unit: '%',
+    better: 'higher'
+  },
+  {
+    key: 'avgDaysToPay',
+    label: 'Average Days to Pay',
+    description: 'From invoice date to final payment, for invoices settled in the period',
+    unit: 'days',
+    better: 'lower'
+  }
+];
+
+export const getPeriod = (today, days) => ({ start: addDays(today, -(days - 1)), end: today, days });
+
+export const getPreviousPeriod = (period) => ({
+  start: addDays(period.start, -period.days),
+  end: addDays(period.start, -1),
+  days: period.days
+});
+
+// Invoices that were billed to the customer. Written-off invoices count:
+// they are revenue that went uncollected.
+export const isBilled = (invoice) =>
+  !isAdjustmentNote(invoice) && !['draft', 'void'].includes(invoice.status);
+
+// The day a written-off balance left receivables. Invoices written off
+// before the status change was dated count from their due date.
+const getWriteOffDate = (invoice) =>
+  (invoice.statusChangedAt ? toDateString(new Date(invoice.statusChangedAt)) : invoice.dueDate);
+
+// What was still owed on an evaluated invoice at the end of `date`. A
+// written-off balance is owed until the day it was written off.
+export const getBalanceOn = (invoice, date) => {
+  if (invoice.invoiceDate > date) return 0;
+  if (invoice.status === 'written_off' && getWriteOffDate(invoice) <= date) return 0;
+  const paid = (invoice.payments || [])
+    .filter(p => p.date <= date)
+    .reduce((sum, p) => sum + (p.amount || 0), 0);
+  return Math.max(0, invoice.netAmount - paid);
+};
+
+// The date of the payment that settled a paid invoice.
+export const getSettledDate = (invoice) => {
+  if (invoice.status !== 'paid' || !invoice.payments?.length) return null;
+  return invoice.payments.reduce((latest, p) => (p.date > latest ? p.date : latest), '');
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const inPeriod = (date, period) => date >= period.start && date <= period.end;
+
+// DSO, Collection Effectiveness Index and average days to pay for one
+// period, with the invoices behind each: balances open at the end for DSO,
+// the part of them already overdue for CEI, and the settled invoices for
+// days to pay. A KPI is null when the period has nothing to measure.
+// CEI counts the payments received, so balances written off in the period
+// count against it rather than as collected.
+export const buildCollectionKpis = (invoices, period) => {
+  const billed = invoices.filter(isBilled);
+  const openingDate = addDays(period.start, -1);
+
+  const opening = sum(billed.map(inv => getBalanceOn(inv, openingDate)));
+  const sales = sum(billed.filter(inv => inPeriod(inv.invoiceDate, period)).map(inv => inv.netAmount));
+
+  const closingRows = billed
+    .map(invoice => ({ invoice, balance: getBalanceOn(invoice, period.end) }))
+    .filter(row => row.balance > 0)
+    .sort((a, b) => b.balance - a.balance);
+  const overdueRows = closingRows.filter(row => row.invoice.dueDate < period.end);
+  const closing = sum(closingRows.map(row => row.balance));
+  const closingCurrent = closing - sum(overdueRows.map(row => row.balance));
+
+  const settledRows = billed
+    .map(invoice => ({ invoice, settledOn: getSettledDate(invoice) }))
+    .filter(row => row.settledOn && inPeriod(row.settledOn, period))
+    .map(row => ({ ...row, days: daysBetween(row.invoice.invoiceDate, row.settledOn) }))
+    .sort((a, b) => b.days - a.days);
+
+  const collectible = opening + sales - closingCurrent;
+  const collected = sum(billed.flatMap(inv => (inv.payments || [])
+    .filter(p => inPeriod(p.date, period))
+    .map(p => p.amount || 0)));
+
+  return {
+    period,
+    opening,
+    sales,
+    closing,
+    collected,
+    values: {
+      dso: sales > 0 ? (closing / sales) * period.days : null,
+      cei: collectible > 0 ? (collected / collectible) * 100 : null,
+      avgDaysToPay: settledRows.length > 0 ? sum(settledRows.map(row => row.days)) / settledRows.length : null
+    },
+    drillDown: {
+      dso: closingRows,
+      cei: overdueRows,
+      avgDaysToPay: settledRows
+    }
+  };
+};
+
+// The change from the previous period, and whether it is an improvement.
+export const getKpiTrend = (kpi, current, previous) => {
+  if (current === null || previous === null) return null;
+  const change = current - previous;
+  if (Math.abs(change) < 0.05) return { change: 0, improved: null };
+  return { change, improved: kpi.better === 'lower' ? change < 0 : change > 0 };
+};
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { buildCollectionKpis, getBalanceOn, getKpiTrend, getPeriod, getPreviousPeriod, isBilled } from './kpis';
+
+// Evaluated invoices, as the dashboard hands them over.
+const invoice = (overrides) => ({
+  invoiceDate: '2026-06-10',
+  dueDate: '2026-07-10',
+  status: 'sent',
+  netAmount: 1000,
+  payments: [],
+  ...overrides
+});
+
+const period = getPeriod('2026-06-30', 30);
+
+const invoices = [
+  // Sold in the period and not yet due.
+  invoice({ id: 'open' }),
+  // Open at the start, settled 35 days after it was issued.
+  invoice({
+    id: 'settled',
+    invoiceDate: '2026-05-01',
+    dueDate: '2026-05-31',
+    status: 'paid',
+    netAmount: 500,
+    payments: [{ date: '2026-06-05', amount: 500 }]
+  }),
+  // Open at the start, written off in the period.
+  invoice({
+    id: 'written-off',
+    invoiceDate: '2026-04-01',
+    dueDate: '2026-05-01',
+    status: 'written_off',
+    statusChangedAt: '2026-06-15T10:00:00',
+    netAmount: 300
+  }),
+  invoice({ id: 'draft', status: 'draft', netAmount: 9999 }),
+  invoice({ id: 'void', status: 'void', netAmount: 9999 }),
+  invoice({ id: 'note', documentType: 'credit_note', netAmount: 9999 })
+];
+
+describe('getPeriod', () => {
+  it('ends today and is followed by the period just before it', () => {
+    expect(period).toEqual({ start: '2026-06-01', end: '2026-06-30', days: 30 });
+    expect(getPreviousPeriod(period)).toEqual({ start: '2026-05-02', end: '2026-05-31', days: 30 });
+  });
+});
+
+describe('isBilled', () => {
+  it('counts written-off invoices but not drafts, void invoices or notes', () => {
+    expect(invoices.filter(isBilled).map(inv => inv.id)).toEqual(['open', 'settled', 'written-off']);
+  });
+});
+
+describe('getBalanceOn', () => {
+  it('keeps a written-off balance owed until the day it was written off', () => {
+    const writtenOff = invoices[2];
+    expect(getBalanceOn(writtenOff, '2026-06-14')).toBe(300);
+    expect(getBalanceOn(writtenOff, '2026-06-15')).toBe(0);
+  });
+
+  it('falls back to the due date when the write-off is undated', () => {
+    const writtenOff = invoice({ status: 'written_off', dueDate: '2026-07-10' });
+    expect(getBalanceOn(writtenOff, '2026-07-09')).toBe(1000);
+    expect(getBalanceOn(writtenOff, '2026-07-10')).toBe(0);
+  });
+
+  it('is nothing before the invoice date', () => {
+    expect(getBalanceOn(invoices[0], '2026-06-09')).toBe(0);
+  });
+});
+
+describe('buildCollectionKpis', () => {
+  const kpis = buildCollectionKpis(invoices, period);
+
+  it('measures the period', () => {
+    expect(kpis).toMatchObject({ opening: 800, sales: 1000, closing: 1000, collected: 500 });
+  });
+
+  it('works out DSO from the closing balance and sales', () => {
+    expect(kpis.values.dso).toBe(30);
+    expect(kpis.drillDown.dso.map(row => row.invoice.id)).toEqual(['open']);
+  });
+
+  it('counts a write-off against collection effectiveness', () => {
+    // Collectible: 800 opening + 1000 sales - 1000 not yet due.
+    expect(kpis.values.cei).toBe(62.5);
+  });
+
+  it('averages days to pay over invoices settled in the period', () => {
+    expect(kpis.values.avgDaysToPay).toBe(35);
+  });
+
+  it('leaves a KPI empty when there is nothing to measure', () => {
+    const empty = buildCollectionKpis([], period);
+    expect(empty.values).toEqual({ dso: null, cei: null, avgDaysToPay: null });
+  });
+});
+
+describe('getKpiTrend', () => {
+  const dso = { better: 'lower' };
+
+  it('says whether the change is an improvement', () => {
+    expect(getKpiTrend(dso, 40, 45)).toEqual({ change: -5, improved: true });
+    expect(getKpiTrend({ better: 'higher' }, 40, 45)).toEqual({ change: -5, improved: false });
+  });
+
+  it('ignores rounding noise and missing values', () => {
+    expect(getKpiTrend(dso, 40.01, 40)).toEqual({ change: 0, improved: null });
+    expect(getKpiTrend(dso, null, 40)).toBeNull();
+  });
+});
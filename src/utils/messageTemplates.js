@@ -0,0 +1,329 @@
+import { createId } from './ids';
+import { buildReminderEmail, fillTemplate, getReminderFields } from './reminders';
+
+// ============================================
+// MERGE FIELDS
+// ============================================
+
+// The {{placeholders}} a template can use, filled in by getReminderFields.
+export const MERGE_FIELDS = [
+  { key: 'customerName', label: 'Customer name' },
+  { key: 'invoiceId', label: 'Invoice #' },
+  { key: 'invoiceDate', label: 'Invoice date' },
+  { key: 'dueDate', label: 'Due date' },
+  { key: 'amount', label: 'Balance due' },
+  { key: 'daysOverdue', label: 'Days overdue' },
+  { key: 'paymentLink', label: 'UPI payment link' },
+  { key: 'upiId', label: 'UPI ID' },
+  { key: 'bankDetails', label: 'Bank details' },
+  { key: 'companyName', label: 'Our company name' }
+];
+
+const MERGE_FIELD_KEYS = new Set(MERGE_FIELDS.map(f => f.key));
+
+// Placeholders typed into a template that no merge field fills.
+export const findUnknownFields = (template) => {
+  const text = [template.subject, template.body, template.whatsapp].join('\n');
+  const keys = [...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+  return [...new Set(keys.filter(key => !MERGE_FIELD_KEYS.has(key)))];
+};
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+export const TEMPLATE_LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'hi', label: 'Hindi' },
+  { value: 'mr', label: 'Marathi' },
+  { value: 'gu', label: 'Gujarati' },
+  { value: 'ta', label: 'Tamil' },
+  { value: 'te', label: 'Telugu' },
+  { value: 'kn', label: 'Kannada' },
+  { value: 'bn', label: 'Bengali' }
+];
+
+export const LANGUAGE_LABELS = Object.fromEntries(TEMPLATE_LANGUAGES.map(l => [l.value, l.label]));
+
+// Messages fall back to English when there is nothing in the customer's
+// language.
+export const FALLBACK_LANGUAGE = 'en';
+
+// `reminder` templates are chosen per dunning level; `invoice` templates
+// go out with a newly issued invoice.
+export const TEMPLATE_PURPOSES = [
+  { value: 'reminder', label: 'Payment reminder' },
+  { value: 'invoice', label: 'Invoice email' }
+];
+
+const lines = (...text) => text.join('\n');
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'reminder-upcoming-en',
+    name: 'Upcoming due date',
+    purpose: 'reminder',
+    language: 'en',
+    subject: 'Invoice {{invoiceId}} is due on {{dueDate}}',
+    body: lines(
+      'Dear {{customerName}},',
+      '',
+      'A quick note that invoice {{invoiceId}} dated {{invoiceDate}} for {{amount}} is due on {{dueDate}}.',
+      '',
+      'Pay by UPI: {{paymentLink}}',
+      'Bank: {{bankDetails}}',
+      '',
+      'Regards,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'Hi {{customerName}}, invoice {{invoiceId}} for {{amount}} is due on {{dueDate}}. UPI: {{upiId}}. Thank you! – {{companyName}}'
+  },
+  {
+    id: 'reminder-due-today-en',
+    name: 'Due today',
+    purpose: 'reminder',
+    language: 'en',
+    subject: 'Invoice {{invoiceId}} is due today',
+    body: lines(
+      'Dear {{customerName}},',
+      '',
+      'Invoice {{invoiceId}} dated {{invoiceDate}} for {{amount}} is due today.',
+      '',
+      'Pay by UPI: {{paymentLink}}',
+      'Bank: {{bankDetails}}',
+      '',
+      'Please ignore this message if payment has already been made.',
+      '',
+      'Regards,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'Hi {{customerName}}, invoice {{invoiceId}} for {{amount}} is due today. UPI: {{upiId}}. – {{companyName}}'
+  },
+  {
+    id: 'reminder-first-en',
+    name: 'First reminder',
+    purpose: 'reminder',
+    language: 'en',
+    subject: 'Payment reminder: invoice {{invoiceId}} ({{amount}} overdue)',
+    body: lines(
+      'Dear {{customerName}},',
+      '',
+      'Invoice {{invoiceId}} was due on {{dueDate}} and is now {{daysOverdue}} days overdue.',
+      'Balance due: {{amount}}',
+      '',
+      'Pay by UPI: {{paymentLink}}',
+      'Bank: {{bankDetails}}',
+      '',
+      'Please ignore this message if payment has already been made.',
+      '',
+      'Regards,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'Hi {{customerName}}, invoice {{invoiceId}} ({{amount}}) is {{daysOverdue}} days overdue. Kindly arrange payment. UPI: {{upiId}}. – {{companyName}}'
+  },
+  {
+    id: 'reminder-second-en',
+    name: 'Second reminder',
+    purpose: 'reminder',
+    language: 'en',
+    subject: 'Second reminder: invoice {{invoiceId}} is {{daysOverdue}} days overdue',
+    body: lines(
+      'Dear {{customerName}},',
+      '',
+      'We have not yet received payment for invoice {{invoiceId}}, due on {{dueDate}}.',
+      'Balance due: {{amount}} ({{daysOverdue}} days overdue)',
+      '',
+      'Pay by UPI: {{paymentLink}}',
+      'Bank: {{bankDetails}}',
+      '',
+      'Please let us know if there is anything holding up the payment.',
+      '',
+      'Regards,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'Hi {{customerName}}, a second reminder that invoice {{invoiceId}} ({{amount}}) is {{daysOverdue}} days overdue. Please let us know the payment date. – {{companyName}}'
+  },
+  {
+    id: 'reminder-final-en',
+    name: 'Final notice',
+    purpose: 'reminder',
+    language: 'en',
+    subject: 'Final notice: invoice {{invoiceId}} ({{amount}})',
+    body: lines(
+      'Dear {{customerName}},',
+      '',
+      'Invoice {{invoiceId}} for {{amount}} is now {{daysOverdue}} days past its due date of {{dueDate}}.',
+      'Please settle the balance within 7 days to avoid your account being put on hold.',
+      '',
+      'Pay by UPI: {{paymentLink}}',
+      'Bank: {{bankDetails}}',
+      '',
+      'Regards,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'Hi {{customerName}}, final notice for invoice {{invoiceId}} ({{amount}}), {{daysOverdue}} days overdue. Please pay within 7 days. – {{companyName}}'
+  },
+  {
+    id: 'reminder-upcoming-hi',
+    name: 'देय तिथि निकट',
+    purpose: 'reminder',
+    language: 'hi',
+    subject: 'चालान {{invoiceId}} की देय तिथि {{dueDate}} है',
+    body: lines(
+      'प्रिय {{customerName}},',
+      '',
+      'आपको सूचित किया जाता है कि {{invoiceDate}} का चालान {{invoiceId}}, राशि {{amount}}, {{dueDate}} को देय है।',
+      '',
+      'UPI से भुगतान करें: {{paymentLink}}',
+      'बैंक: {{bankDetails}}',
+      '',
+      'सादर,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'नमस्ते {{customerName}}, चालान {{invoiceId}} ({{amount}}) {{dueDate}} को देय है। UPI: {{upiId}}। धन्यवाद! – {{companyName}}'
+  },
+  {
+    id: 'reminder-due-today-hi',
+    name: 'आज देय',
+    purpose: 'reminder',
+    language: 'hi',
+    subject: 'चालान {{invoiceId}} आज देय है',
+    body: lines(
+      'प्रिय {{customerName}},',
+      '',
+      '{{invoiceDate}} का चालान {{invoiceId}}, राशि {{amount}}, आज देय है।',
+      '',
+      'UPI से भुगतान करें: {{paymentLink}}',
+      'बैंक: {{bankDetails}}',
+      '',
+      'यदि भुगतान पहले ही कर दिया गया है, तो कृपया इस संदेश को अनदेखा करें।',
+      '',
+      'सादर,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'नमस्ते {{customerName}}, चालान {{invoiceId}} ({{amount}}) आज देय है। UPI: {{upiId}}। – {{companyName}}'
+  },
+  {
+    id: 'reminder-overdue-hi',
+    name: 'भुगतान अनुस्मारक',
+    purpose: 'reminder',
+    language: 'hi',
+    subject: 'भुगतान अनुस्मारक: चालान {{invoiceId}} ({{amount}} बकाया)',
+    body: lines(
+      'प्रिय {{customerName}},',
+      '',
+      'चालान {{invoiceId}} की देय तिथि {{dueDate}} थी और यह अब {{daysOverdue}} दिन से बकाया है।',
+      'बकाया राशि: {{amount}}',
+      '',
+      'UPI से भुगतान करें: {{paymentLink}}',
+      'बैंक: {{bankDetails}}',
+      '',
+      'यदि भुगतान पहले ही कर दिया गया है तो कृपया इस संदेश को अनदेखा करें।',
+      '',
+      'सादर,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'नमस्ते {{customerName}}, चालान {{invoiceId}} ({{amount}}) {{daysOverdue}} दिन से बकाया है। कृपया भुगतान करें। UPI: {{upiId}}। – {{companyName}}'
+  },
+  {
+    id: 'invoice-en',
+    name: 'New invoice',
+    purpose: 'invoice',
+    language: 'en',
+    subject: 'Invoice {{invoiceId}} from {{companyName}} ({{amount}})',
+    body: lines(
+      'Dear {{customerName}},',
+      '',
+      'Please find invoice {{invoiceId}} dated {{invoiceDate}} for {{amount}}, due on {{dueDate}}.',
+      '',
+      'Pay by UPI: {{paymentLink}}',
+      'Bank: {{bankDetails}}',
+      '',
+      'Thank you for your business.',
+      '',
+      'Regards,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'Hi {{customerName}}, invoice {{invoiceId}} for {{amount}} is due on {{dueDate}}. UPI: {{upiId}}. – {{companyName}}'
+  },
+  {
+    id: 'invoice-hi',
+    name: 'नया चालान',
+    purpose: 'invoice',
+    language: 'hi',
+    subject: '{{companyName}} का चालान {{invoiceId}} ({{amount}})',
+    body: lines(
+      'प्रिय {{customerName}},',
+      '',
+      'कृपया {{invoiceDate}} का चालान {{invoiceId}}, राशि {{amount}}, देखें। इसकी देय तिथि {{dueDate}} है।',
+      '',
+      'UPI से भुगतान करें: {{paymentLink}}',
+      'बैंक: {{bankDetails}}',
+      '',
+      'आपके व्यवसाय के लिए धन्यवाद।',
+      '',
+      'सादर,',
+      '{{companyName}}'
+    ),
+    whatsapp: 'नमस्ते {{customerName}}, चालान {{invoiceId}} ({{amount}}) {{dueDate}} को देय है। UPI: {{upiId}}। – {{companyName}}'
+  }
+];
+
+export const createTemplate = (overrides = {}) => ({
+  name: '',
+  purpose: 'reminder',
+  language: FALLBACK_LANGUAGE,
+  subject: '',
+  body: '',
+  whatsapp: '',
+  ...overrides,
+  id: overrides.id || createId()
+});
+
+export const validateTemplate = (template) => {
+  const errors = {};
+  if (!template.name.trim()) errors.name = 'Give the template a name';
+  if (!template.subject.trim()) errors.subject = 'Subject is required';
+  if (!template.body.trim()) errors.body = 'Message is required';
+  const unknown = findUnknownFields(template);
+  if (unknown.length > 0) {
+    errors.fields = `Unknown placeholder${unknown.length !== 1 ? 's' : ''}: ${unknown.map(key => `{{${key}}}`).join(', ')}`;
+  }
+  return errors;
+};
+
+// The template `ids` (a map of language to template id) name for a
+// customer's language, falling back to English.
+export const pickTemplate = (templates, ids = {}, language = FALLBACK_LANGUAGE) => {
+  const byId = (id) => templates.find(t => t.id === id);
+  return byId(ids[language]) || byId(ids[FALLBACK_LANGUAGE]) || null;
+};
+
+// The first invoice email in the customer's language, or in English.
+export const pickInvoiceTemplate = (templates, language = FALLBACK_LANGUAGE) => {
+  const invoiceTemplates = templates.filter(t => t.purpose === 'invoice');
+  return invoiceTemplates.find(t => t.language === language)
+    || invoiceTemplates.find(t => t.language === FALLBACK_LANGUAGE)
+    || null;
+};
+
+// Fills a template in for one evaluated invoice. Reminders ask for the
+// balance due and invoice emails for the invoice total, since a draft or
+// settled invoice has no balance due. Without a template the general
+// reminder text is used; without WhatsApp text the email message is sent
+// there too.
+export const renderTemplate = (template, invoice, customer, today) => {
+  if (!template) {
+    const email = buildReminderEmail(invoice, customer, today);
+    return { ...email, phone: customer?.phone || '', whatsapp: email.body };
+  }
+  const amount = template.purpose === 'invoice' ? invoice.netAmount : invoice.balanceDue;
+  const fields = getReminderFields(invoice, today, { amount });
+  return {
+    to: customer?.email || '',
+    phone: customer?.phone || '',
+    subject: fillTemplate(template.subject, fields),
+    body: fillTemplate(template.body, fields),
+    whatsapp: fillTemplate(template.whatsapp || template.body, fields)
+  };
+};
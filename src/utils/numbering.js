@@ -0,0 +1,148 @@
+import { getFinancialYear } from './dates';
+
+// ============================================
+// DOCUMENT NUMBERING
+// ============================================
+
+// Each series numbers one kind of document. With `includeFinancialYear`
+// the sequence restarts every April: INV/2026-27/0001, INV/2027-28/0001.
+export const NUMBERING_SERIES = [
+  { key: 'invoice', label: 'Invoices' },
+  { key: 'creditNote', label: 'Credit Notes' },
+  { key: 'debitNote', label: 'Debit Notes' }
+];
+
+export const DEFAULT_NUMBERING_SETTINGS = {
+  invoice: { prefix: 'INV', includeFinancialYear: true, separator: '/', padding: 4 },
+  creditNote: { prefix: 'CN', includeFinancialYear: true, separator: '/', padding: 4 },
+  debitNote: { prefix: 'DN', includeFinancialYear: true, separator: '/', padding: 4 }
+};
+
+export const NUMBER_SEPARATORS = ['/', '-'];
+export const NUMBER_PADDING_OPTIONS = [3, 4, 5, 6];
+
+const PREFIX_PATTERN = /^[A-Za-z][A-Za-z0-9-]*[A-Za-z-]$|^[A-Za-z]$/;
+
+// Everything before the running number, e.g. "INV/2026-27/".
+export const getSeriesStem = (config, date) =>
+  [config.prefix, config.includeFinancialYear && getFinancialYear(date), '']
+    .filter(part => part !== false)
+    .join(config.separator);
+
+export const formatDocumentNumber = (config, date, sequence) =>
+  `${getSeriesStem(config, date)}${String(sequence).padStart(config.padding, '0')}`;
+
+// Splits any id ending in digits into its stem and running number, so ids
+// from older formats (INV-004) and imports are understood too.
+export const parseDocumentNumber = (id) => {
+  const match = String(id).match(/^(.*?)(\d+)$/);
+  return match ? { stem: match[1], sequence: parseInt(match[2], 10) } : null;
+};
+
+const highestIssued = (stem, counters, existingIds) =>
+  existingIds.reduce((max, id) => {
+    const parsed = parseDocumentNumber(id);
+    return parsed && parsed.stem === stem ? Math.max(max, parsed.sequence) : max;
+  }, counters[stem] || 0);
+
+// The next free number in a series. `counters` holds the highest number
+// ever issued per stem, so numbers of deleted documents are never reused.
+export const getNextNumber = (config, date, counters, existingIds) => {
+  const stem = getSeriesStem(config, date);
+  const taken = new Set(existingIds);
+  let sequence = highestIssued(stem, counters, existingIds) + 1;
+  while (taken.has(formatDocumentNumber(config, date, sequence))) sequence++;
+  return { id: formatDocumentNumber(config, date, sequence), stem, sequence };
+};
+
+export const validateNumberingSettings = (settings) => {
+  const errors = {};
+  NUMBERING_SERIES.forEach(({ key }) => {
+    const prefix = settings[key].prefix.trim();
+    if (!prefix) {
+      errors[key] = 'Prefix is required';
+    } else if (!PREFIX_PATTERN.test(prefix)) {
+      errors[key] = 'Use letters, digits and hyphens, starting with a letter and not ending in a digit';
+    }
+  });
+  const prefixes = NUMBERING_SERIES.map(({ key }) => settings[key].prefix.trim().toUpperCase());
+  NUMBERING_SERIES.forEach(({ key }, index) => {
+    if (!errors[key] && prefixes.indexOf(prefixes[index]) !== index) {
+      errors[key] = 'Each series needs its own prefix';
+    }
+  });
+  return errors;
+};
+
+// ============================================
+// GAP REPORT
+// ============================================
+
+// [3, 4, 5, 9] -> [[3, 5], [9, 9]]
+const toRuns = (numbers) => numbers.reduce((runs, n) => {
+  const last = runs[runs.length - 1];
+  if (last && n === last[1] + 1) last[1] = n;
+  else runs.push([n, n]);
+  return runs;
+}, []);
+
+// [[3, 5], [9, 9]] -> "3–5, 9"
+const formatRanges = (ranges) =>
+  ranges.map(([from, to]) => (from === to ? String(from) : `${from}–${to}`)).join(', ');
+
+// The runs of numbers from `from` to `to` that are not in `present`. Worked
+// out from the numbers present rather than by counting through the range,
+// so one mistyped import (e.g. 999999) costs nothing.
+const findGaps = (present, from, to) => {
+  const gaps = [];
+  let next = from;
+  [...present].sort((a, b) => a - b).forEach(n => {
+    if (n > next) gaps.push([next, n - 1]);
+    next = Math.max(next, n + 1);
+  });
+  if (next <= to) gaps.push([next, to]);
+  return gaps;
+};
+
+// Missing numbers per series for audit, as runs. Series issued by this app
+// are checked from 1 up to the highest number ever issued; series that only
+// exist through imports are checked between their lowest and highest ids.
+// Numbers of deleted drafts (`deletedIds`) are listed apart; anything else
+// missing is unexplained.
+export const buildGapReport = (ids, counters = {}, deletedIds = []) => {
+  const stems = new Map();
+  const group = (list, field) => list.forEach(id => {
+    const parsed = parseDocumentNumber(id);
+    if (!parsed) return;
+    if (!stems.has(parsed.stem)) stems.set(parsed.stem, { present: new Set(), deleted: new Set() });
+    stems.get(parsed.stem)[field].add(parsed.sequence);
+  });
+  group(ids, 'present');
+  group(deletedIds, 'deleted');
+  Object.keys(counters).forEach(stem => {
+    if (!stems.has(stem)) stems.set(stem, { present: new Set(), deleted: new Set() });
+  });
+
+  return [...stems.entries()]
+    .filter(([stem, { present }]) => present.size > 0 || stem in counters)
+    .map(([stem, { present, deleted }]) => {
+      const numbers = [...present];
+      const issuedHere = stem in counters;
+      const from = issuedHere ? 1 : Math.min(...numbers);
+      const to = Math.max(counters[stem] || 0, ...numbers);
+      // A deleted number can have been issued again, e.g. by an import.
+      const deletedDrafts = [...deleted].filter(n => !present.has(n) && n >= from && n <= to).sort((a, b) => a - b);
+      const gaps = findGaps([...present, ...deletedDrafts], from, to);
+      return {
+        stem,
+        from,
+        to,
+        count: present.size,
+        deletedCount: deletedDrafts.length,
+        deletedLabel: formatRanges(toRuns(deletedDrafts)),
+        missingCount: gaps.reduce((sum, [start, end]) => sum + end - start + 1, 0),
+        missingLabel: formatRanges(gaps)
+      };
+    })
+    .sort((a, b) => a.stem.localeCompare(b.stem));
+};
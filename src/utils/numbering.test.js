@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_NUMBERING_SETTINGS,
+  buildGapReport,
+  formatDocumentNumber,
+  getNextNumber,
+  parseDocumentNumber,
+  validateNumberingSettings
+} from './numbering';
+
+const invoice = DEFAULT_NUMBERING_SETTINGS.invoice;
+
+describe('formatDocumentNumber', () => {
+  it('includes the financial year, which starts in April', () => {
+    expect(formatDocumentNumber(invoice, '2027-03-31', 7)).toBe('INV/2026-27/0007');
+    expect(formatDocumentNumber(invoice, '2027-04-01', 7)).toBe('INV/2027-28/0007');
+  });
+
+  it('leaves the year out when the series does not use it', () => {
+    const config = { prefix: 'BILL', includeFinancialYear: false, separator: '-', padding: 3 };
+    expect(formatDocumentNumber(config, '2026-05-01', 12)).toBe('BILL-012');
+  });
+});
+
+describe('parseDocumentNumber', () => {
+  it('splits off the running number', () => {
+    expect(parseDocumentNumber('INV/2026-27/0042')).toEqual({ stem: 'INV/2026-27/', sequence: 42 });
+    expect(parseDocumentNumber('INV-004')).toEqual({ stem: 'INV-', sequence: 4 });
+    expect(parseDocumentNumber('DRAFT')).toBeNull();
+  });
+});
+
+describe('getNextNumber', () => {
+  it('never reuses the number of a deleted document', () => {
+    const counters = { 'INV/2026-27/': 5 };
+    expect(getNextNumber(invoice, '2026-06-01', counters, ['INV/2026-27/0003']).id).toBe('INV/2026-27/0006');
+  });
+
+  it('skips numbers already taken by imports', () => {
+    const ids = ['INV/2026-27/0001', 'INV/2026-27/0002'];
+    expect(getNextNumber(invoice, '2026-06-01', {}, ids).sequence).toBe(3);
+  });
+
+  it('restarts at 1 in a new financial year', () => {
+    const counters = { 'INV/2026-27/': 40 };
+    expect(getNextNumber(invoice, '2027-04-01', counters, []).id).toBe('INV/2027-28/0001');
+  });
+});
+
+describe('validateNumberingSettings', () => {
+  const withPrefix = (key, prefix) => ({
+    ...DEFAULT_NUMBERING_SETTINGS,
+    [key]: { ...DEFAULT_NUMBERING_SETTINGS[key], prefix }
+  });
+
+  it('accepts the defaults', () => {
+    expect(validateNumberingSettings(DEFAULT_NUMBERING_SETTINGS)).toEqual({});
+  });
+
+  it('rejects prefixes ending in a digit', () => {
+    expect(validateNumberingSettings(withPrefix('invoice', 'INV2'))).toEqual({
+      invoice: 'Use letters, digits and hyphens, starting with a letter and not ending in a digit'
+    });
+  });
+
+  it('requires each series to have its own prefix', () => {
+    expect(validateNumberingSettings(withPrefix('creditNote', 'inv'))).toEqual({
+      creditNote: 'Each series needs its own prefix'
+    });
+  });
+});
+
+describe('buildGapReport', () => {
+  it('lists missing numbers up to the highest ever issued', () => {
+    const ids = ['INV/2026-27/0001', 'INV/2026-27/0002', 'INV/2026-27/0005'];
+    const [row] = buildGapReport(ids, { 'INV/2026-27/': 7 });
+    expect(row).toMatchObject({ from: 1, to: 7, count: 3, missingCount: 4, missingLabel: '3–4, 6–7' });
+  });
+
+  it('lists deleted drafts apart from unexplained gaps', () => {
+    const ids = ['INV/2026-27/0001', 'INV/2026-27/0005'];
+    const deleted = ['INV/2026-27/0002', 'INV/2026-27/0003'];
+    const [row] = buildGapReport(ids, { 'INV/2026-27/': 5 }, deleted);
+    expect(row).toMatchObject({ deletedCount: 2, deletedLabel: '2–3', missingCount: 1, missingLabel: '4' });
+  });
+
+  it('checks imported series between their lowest and highest numbers', () => {
+    const [row] = buildGapReport(['OLD-010', 'OLD-012']);
+    expect(row).toMatchObject({ stem: 'OLD-', from: 10, to: 12, missingLabel: '11' });
+  });
+
+  it('handles a very high number without counting through the range', () => {
+    const [row] = buildGapReport(['INV-001', 'INV-999999']);
+    expect(row.missingCount).toBe(999997);
+    expect(row.missingLabel).toBe('2–999998');
+  });
+
+  it('leaves out series that only have deleted drafts', () => {
+    expect(buildGapReport([], {}, ['TMP-001'])).toEqual([]);
+  });
+});
@@ -0,0 +1,45 @@
+import { getTodayDate } from './dates';
+import { createId } from './ids';
+
+// ============================================
+// PAYMENTS
+// ============================================
+
+export const PAYMENT_MODES = [
+  { value: 'upi', label: 'UPI' },
+  { value: 'neft', label: 'NEFT' },
+  { value: 'rtgs', label: 'RTGS' },
+  { value: 'imps', label: 'IMPS' },
+  { value: 'cheque', label: 'Cheque' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'other', label: 'Other' }
+];
+
+export const getPaymentModeLabel = (mode) =>
+  PAYMENT_MODES.find(m => m.value === mode)?.label || mode;
+
+export const createPayment = ({ date = getTodayDate(), amount, mode = 'upi', reference = '' }) => ({
+  id: createId(),
+  date,
+  amount: Math.round(parseFloat(amount) * 100) / 100,
+  mode,
+  reference: reference.trim()
+});
+
+export const validatePayment = (payment, balanceDue) => {
+  const errors = {};
+  const amount = parseFloat(payment.amount);
+  if (!payment.date) {
+    errors.date = 'Payment date is required';
+  }
+  if (!(amount > 0)) {
+    errors.amount = 'Amount must be greater than 0';
+  } else if (amount > balanceDue + 0.005) {
+    errors.amount = `Amount cannot exceed the balance due (₹${balanceDue.toLocaleString('en-IN')})`;
+  }
+  if (payment.mode === 'cheque' && !payment.reference.trim()) {
+    errors.reference = 'Cheque number is required';
+  }
+  return errors;
+};
@@ -0,0 +1,141 @@
+import { COMPANY_PROFILE } from '../config/company';
+import { createLineItem } from './gst';
+import { createId } from './ids';
+import { validateInvoice } from './invoiceValidation';
+
+// ============================================
+// RECURRING SCHEDULES
+// ============================================
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'monthly', label: 'Monthly', months: 1 },
+  { value: 'quarterly', label: 'Quarterly', months: 3 },
+  { value: 'half_yearly', label: 'Every 6 months', months: 6 },
+  { value: 'yearly', label: 'Yearly', months: 12 }
+];
+
+const FREQUENCY_MONTHS = Object.fromEntries(RECURRENCE_FREQUENCIES.map(f => [f.value, f.months]));
+
+// Day 31 means "last day of the month" in shorter months.
+export const DAY_OF_MONTH_OPTIONS = Array.from({ length: 31 }, (_, i) => i + 1);
+
+export const PERIOD_TOKEN = '{period}';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// Month arithmetic on { year, monthIndex } so runs never drift the way
+// repeatedly adding 30 days would.
+const addMonths = ({ year, monthIndex }, months) => {
+  const total = year * 12 + monthIndex + months;
+  return { year: Math.floor(total / 12), monthIndex: total % 12 };
+};
+
+const runDateIn = ({ year, monthIndex }, dayOfMonth) =>
+  `${year}-${pad(monthIndex + 1)}-${pad(Math.min(dayOfMonth, daysInMonth(year, monthIndex)))}`;
+
+export const createEmptySchedule = (today) => ({
+  name: '',
+  active: true,
+  customerId: '',
+  customerName: '',
+  placeOfSupply: COMPANY_PROFILE.stateCode,
+  paymentTerms: 30,
+  lineItems: [createLineItem({ description: `Retainer fees – ${PERIOD_TOKEN}` })],
+  frequency: 'monthly',
+  dayOfMonth: 1,
+  startDate: today,
+  endDate: '',
+  addPeriodToDescription: true,
+  lastRunDate: null
+});
+
+// Every run date from the start date up to and including `until` (and the
+// end date, if any), in order.
+export const getRunDates = (schedule, until) => {
+  const [startYear, startMonth] = schedule.startDate.split('-').map(Number);
+  const step = FREQUENCY_MONTHS[schedule.frequency];
+  const last = schedule.endDate && schedule.endDate < until ? schedule.endDate : until;
+  const dates = [];
+  for (let month = { year: startYear, monthIndex: startMonth - 1 }; ; month = addMonths(month, step)) {
+    const date = runDateIn(month, schedule.dayOfMonth);
+    if (date > last) break;
+    if (date >= schedule.startDate) dates.push(date);
+  }
+  return dates;
+};
+
+// Runs that have come round since the schedule last generated an invoice.
+export const getDueRunDates = (schedule, today) =>
+  schedule.active
+    ? getRunDates(schedule, today).filter(date => !schedule.lastRunDate || date > schedule.lastRunDate)
+    : [];
+
+// The next `count` runs after `after` (exclusive), looking far enough
+// ahead for any frequency.
+export const getUpcomingRunDates = (schedule, after, count) => {
+  const [year, month, day] = after.split('-');
+  const years = Math.ceil((count * FREQUENCY_MONTHS[schedule.frequency]) / 12) + 1;
+  return getRunDates(schedule, `${Number(year) + years}-${month}-${day}`)
+    .filter(date => date > after && (!schedule.lastRunDate || date > schedule.lastRunDate))
+    .slice(0, count);
+};
+
+// The billing period a run covers: "October 2026" for monthly schedules,
+// "Oct 2026 – Dec 2026" for longer ones.
+export const formatBillingPeriod = (runDate, frequency) => {
+  const [year, month] = runDate.split('-').map(Number);
+  const start = { year, monthIndex: month - 1 };
+  const months = FREQUENCY_MONTHS[frequency];
+  if (months === 1) return `${MONTH_NAMES[start.monthIndex]} ${start.year}`;
+  const end = addMonths(start, months - 1);
+  return `${MONTHS[start.monthIndex]} ${start.year} – ${MONTHS[end.monthIndex]} ${end.year}`;
+};
+
+const describePeriod = (description, period, addPeriod) => {
+  if (description.includes(PERIOD_TOKEN)) return description.split(PERIOD_TOKEN).join(period);
+  return addPeriod ? `${description} – ${period}` : description;
+};
+
+// Invoice form data for one run. Generated invoices are drafts, so they can
+// be checked before they are sent.
+export const buildInvoiceFromSchedule = (schedule, runDate) => {
+  const period = formatBillingPeriod(runDate, schedule.frequency);
+  return {
+    customerId: schedule.customerId,
+    customerName: schedule.customerName,
+    invoiceDate: runDate,
+    paymentTerms: schedule.paymentTerms,
+    placeOfSupply: schedule.placeOfSupply,
+    lineItems: schedule.lineItems.map(item => ({
+      ...item,
+      id: createId(),
+      description: describePeriod(item.description, period, schedule.addPeriodToDescription)
+    })),
+    status: 'draft',
+    recurringScheduleId: schedule.id,
+    recurringRunDate: runDate
+  };
+};
+
+export const validateSchedule = (schedule) => {
+  const errors = validateInvoice({ ...schedule, invoiceDate: schedule.startDate });
+  delete errors.invoiceDate;
+  if (!schedule.name.trim()) {
+    errors.name = 'Name is required';
+  }
+  if (!schedule.startDate) {
+    errors.startDate = 'Start date is required';
+  }
+  if (schedule.endDate && schedule.startDate && schedule.endDate < schedule.startDate) {
+    errors.endDate = 'End date must be after the start date';
+  }
+  return errors;
+};
@@ -0,0 +1,102 @@
+import { COMPANY_PROFILE } from '../config/company';
+import { daysBetween, formatDate } from './dates';
+import { buildUpiPayload } from './upi';
+
+// ============================================
+// PAYMENT REMINDERS
+// ============================================
+
+const money = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+// Reminders go out from the user's own mail client; the app only drafts the
+// message. `invoice` is evaluated, so the balance reflects payments and notes.
+export const buildReminderEmail = (invoice, customer, today, company = COMPANY_PROFILE) => {
+  const days = daysBetween(today, invoice.dueDate);
+  const timing = days < 0
+    ? `was due on ${formatDate(invoice.dueDate)} and is now ${Math.abs(days)} day${days !== -1 ? 's' : ''} overdue`
+    : days === 0
+      ? 'is due today'
+      : `is due on ${formatDate(invoice.dueDate)}`;
+
+  return {
+    to: customer?.email || '',
+    subject: `Payment reminder: invoice ${invoice.id} (${money(invoice.balanceDue)} due)`,
+    body: [
+      `Dear ${invoice.customerName},`,
+      '',
+      `This is a reminder that invoice ${invoice.id} dated ${formatDate(invoice.invoiceDate)} ${timing}.`,
+      `Balance due: ${money(invoice.balanceDue)}`,
+      '',
+      `Bank: ${company.bank.bankName}, A/c ${company.bank.accountNumber}, IFSC ${company.bank.ifsc}`,
+      `UPI: ${company.upiId}`,
+      '',
+      'Please ignore this message if payment has already been made.',
+      '',
+      'Regards,',
+      company.name
+    ].join('\n')
+  };
+};
+
+export const buildMailtoLink = ({ to, subject, body }) =>
+  `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+// ============================================
+// MESSAGE TEMPLATES
+// ============================================
+
+// Values for the {{placeholders}} in message templates (see MERGE_FIELDS).
+// `amount` is the balance due unless given (an invoice email asks for the
+// invoice total); `paymentLink` is the UPI link for that amount.
+// `daysOverdue` is zero until the due date has passed.
+export const getReminderFields = (invoice, today, { amount = invoice.balanceDue, company = COMPANY_PROFILE } = {}) => ({
+  customerName: invoice.customerName,
+  invoiceId: invoice.id,
+  invoiceDate: formatDate(invoice.invoiceDate),
+  dueDate: formatDate(invoice.dueDate),
+  amount: money(amount),
+  daysOverdue: Math.max(0, daysBetween(invoice.dueDate, today)),
+  companyName: company.name,
+  bankDetails: `${company.bank.bankName}, A/c ${company.bank.accountNumber}, IFSC ${company.bank.ifsc}`,
+  upiId: company.upiId,
+  paymentLink: buildUpiPayload(invoice, company, amount)
+});
+
+// Unknown placeholders are left as typed so a mistake shows in the preview.
+export const fillTemplate = (template, fields) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in fields ? String(fields[key]) : match));
+
+// ============================================
+// DRAFT FORMATS
+// ============================================
+
+const isPlainAscii = (value) => /^[\x20-\x7e]*$/.test(value);
+
+// RFC 2047 encoded word, so ₹ and other non-ASCII text survive in headers.
+const encodeHeader = (value) => {
+  if (isPlainAscii(value)) return value;
+  const bytes = new TextEncoder().encode(value);
+  return `=?UTF-8?B?${btoa(String.fromCharCode(...bytes))}?=`;
+};
+
+// A ready-to-send message file. `X-Unsent` makes Outlook open it as a draft
+// rather than a received mail; other clients open it for forwarding.
+export const buildEmlFile = ({ to, subject, body }, company = COMPANY_PROFILE) => [
+  `From: ${encodeHeader(company.name)} <${company.email}>`,
+  `To: ${to}`,
+  `Subject: ${encodeHeader(subject)}`,
+  `Date: ${new Date().toUTCString()}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=UTF-8',
+  'Content-Transfer-Encoding: 8bit',
+  'X-Unsent: 1',
+  '',
+  body.replace(/\r?\n/g, '\r\n')
+].join('\r\n');
+
+// Indian mobile numbers are stored without the country code.
+export const buildWhatsAppLink = (phone, text) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  const number = digits.length === 10 ? `91${digits}` : digits;
+  return `https://wa.me/${number}?text=${encodeURIComponent(text)}`;
+};
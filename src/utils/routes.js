@@ -0,0 +1,88 @@
+import { EMPTY_FILTERS, parseFilters, serializeFilters } from './filters';
+
+// ============================================
+// ROUTES & QUERY STRING
+// ============================================
+
+// Everything that decides what the dashboard shows lives in the URL so it
+// can be bookmarked, shared and restored with back/forward:
+//
+//   /?status=overdue&q=acme&page=2&sort=dueDate,amount:desc
+//   /?filters={"match":"all","groups":[...]}   advanced filters (see filters.js)
+//   /?hide=dueDate,days          table columns that are switched off
+//   /invoices/INV-003            invoice detail
+//   /invoices/INV-003/edit       edit form
+//
+// Invoice numbers may contain "/" (INV/2026-27/0001), so the id is encoded
+// as a single path segment.
+
+export const DEFAULT_ROUTE = {
+  invoiceId: null,
+  mode: null,
+  status: 'all',
+  search: '',
+  page: 1,
+  sort: [],
+  filters: EMPTY_FILTERS,
+  hidden: []
+};
+
+const INVOICE_PATH = /^\/invoices\/([^/]+)(\/edit)?\/?$/;
+
+const parseList = (value) => (value || '').split(',').filter(Boolean);
+
+const parseSort = (value) =>
+  parseList(value).map(part => {
+    const [key, direction] = part.split(':');
+    return { key, direction: direction === 'desc' ? 'desc' : 'asc' };
+  });
+
+const formatSort = (sortBy) =>
+  sortBy.map(({ key, direction }) => (direction === 'desc' ? `${key}:desc` : key)).join(',');
+
+// `href` is a path with an optional query string, e.g. location.pathname +
+// location.search.
+export const parseRoute = (href) => {
+  const [pathname, query = ''] = href.split('?');
+  const params = new URLSearchParams(query);
+  const match = pathname.match(INVOICE_PATH);
+  const page = parseInt(params.get('page'), 10);
+
+  let invoiceId = null;
+  if (match) {
+    try {
+      invoiceId = decodeURIComponent(match[1]);
+    } catch {
+      invoiceId = match[1];
+    }
+  }
+
+  return {
+    invoiceId,
+    mode: invoiceId ? (match[2] ? 'edit' : 'detail') : null,
+    status: params.get('status') || DEFAULT_ROUTE.status,
+    search: params.get('q') || DEFAULT_ROUTE.search,
+    page: page > 0 ? page : DEFAULT_ROUTE.page,
+    sort: parseSort(params.get('sort')),
+    filters: parseFilters(params.get('filters')),
+    hidden: parseList(params.get('hide'))
+  };
+};
+
+// Defaults are left out so a plain dashboard stays at "/".
+export const buildRoute = (route) => {
+  const params = new URLSearchParams();
+  if (route.status !== DEFAULT_ROUTE.status) params.set('status', route.status);
+  if (route.search) params.set('q', route.search);
+  if (route.page > 1) params.set('page', String(route.page));
+  if (route.sort.length > 0) params.set('sort', formatSort(route.sort));
+  const filters = serializeFilters(route.filters);
+  if (filters) params.set('filters', filters);
+  if (route.hidden.length > 0) params.set('hide', route.hidden.join(','));
+
+  const pathname = route.invoiceId
+    ? `/invoices/${encodeURIComponent(route.invoiceId)}${route.mode === 'edit' ? '/edit' : ''}`
+    : '/';
+  const query = params.toString();
+  return query ? `${pathname}?${query}` : pathname;
+};
@@ -0,0 +1,108 @@
+import { EMPTY_FILTERS, countConditions, parseFilters } from './filters';
+import { createId } from './ids';
+import { STATUS_LABELS } from './invoiceStatus';
+import { DEFAULT_ROUTE, buildRoute } from './routes';
+import { SORT_ACCESSORS } from './sorting';
+
+// ============================================
+// SAVED VIEWS
+// ============================================
+
+// A view is the part of the route that shapes the invoice table. Applying
+// one is just a navigation, so a view behaves like any bookmarked URL.
+export const VIEW_FIELDS = ['status', 'search', 'sort', 'filters', 'hidden'];
+
+const VIEWS_FILE_TYPE = 'invoice-dashboard-views';
+const VIEWS_FILE_VERSION = 1;
+
+export const getViewDefinition = (source) =>
+  Object.fromEntries(VIEW_FIELDS.map(field => [field, source[field] ?? DEFAULT_ROUTE[field]]));
+
+const toQuery = (source) => buildRoute({ ...DEFAULT_ROUTE, ...getViewDefinition(source) });
+
+// True when the table currently shows exactly what `view` would.
+export const isViewActive = (view, route) => toQuery(view) === toQuery(route);
+
+export const isDefaultTableState = (route) => toQuery(route) === toQuery(DEFAULT_ROUTE);
+
+export const createView = (name, source) => ({
+  id: createId(),
+  name: name.trim(),
+  pinned: true,
+  isDefault: false,
+  ...getViewDefinition(source)
+});
+
+export const validateViewName = (name, views, excludeId = null) => {
+  const trimmed = name.trim();
+  if (!trimmed) return 'Give the view a name';
+  if (views.some(v => v.id !== excludeId && v.name.toLowerCase() === trimmed.toLowerCase())) {
+    return `A view called "${trimmed}" already exists`;
+  }
+  return null;
+};
+
+// "Overdue (2)" style names for imports that clash with an existing view.
+export const getUniqueViewName = (name, views) => {
+  const taken = new Set(views.map(v => v.name.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+  let n = 2;
+  while (taken.has(`${name} (${n})`.toLowerCase())) n++;
+  return `${name} (${n})`;
+};
+
+// One-line summary, e.g. "Overdue · "acme" · 2 filters · 1 sort".
+export const describeView = (view) => {
+  const parts = [view.status === 'all' ? 'All invoices' : STATUS_LABELS[view.status] || view.status];
+  if (view.search) parts.push(`"${view.search}"`);
+  const filterCount = countConditions(view.filters);
+  if (filterCount > 0) parts.push(`${filterCount} filter${filterCount !== 1 ? 's' : ''}`);
+  if (view.sort.length > 0) parts.push(`${view.sort.length} sort${view.sort.length !== 1 ? 's' : ''}`);
+  if (view.hidden.length > 0) parts.push(`${view.hidden.length} hidden column${view.hidden.length !== 1 ? 's' : ''}`);
+  return parts.join(' · ');
+};
+
+// ============================================
+// SHARING
+// ============================================
+
+// Views are shared as a small JSON file. Ids, pins and the default are
+// personal, so only names and definitions travel.
+export const serializeViews = (views) => JSON.stringify({
+  type: VIEWS_FILE_TYPE,
+  version: VIEWS_FILE_VERSION,
+  views: views.map(view => ({ name: view.name, ...getViewDefinition(view) }))
+}, null, 2);
+
+const normalizeDefinition = (raw) => ({
+  name: String(raw.name).trim(),
+  status: STATUS_LABELS[raw.status] ? raw.status : 'all',
+  search: typeof raw.search === 'string' ? raw.search : '',
+  sort: (Array.isArray(raw.sort) ? raw.sort : [])
+    .filter(s => Object.hasOwn(SORT_ACCESSORS, s?.key))
+    .map(s => ({ key: s.key, direction: s.direction === 'desc' ? 'desc' : 'asc' })),
+  filters: parseFilters(JSON.stringify(raw.filters ?? EMPTY_FILTERS)),
+  hidden: (Array.isArray(raw.hidden) ? raw.hidden : []).filter(key => typeof key === 'string')
+});
+
+// Returns the view definitions in an exported file, or throws with a
+// message to show.
+export const parseViewsFile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (parsed?.type !== VIEWS_FILE_TYPE || !Array.isArray(parsed.views)) {
+    throw new Error('The file does not contain saved views');
+  }
+  if (parsed.version > VIEWS_FILE_VERSION) {
+    throw new Error('The file was exported by a newer version of the dashboard');
+  }
+  const views = parsed.views
+    .filter(v => typeof v?.name === 'string' && v.name.trim())
+    .map(normalizeDefinition);
+  if (views.length === 0) throw new Error('The file does not contain any views');
+  return views;
+};
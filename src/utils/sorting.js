@@ -0,0 +1,75 @@
+import { daysBetween } from './dates';
+import { STATUS_BY_KEY } from './invoiceStatus';
+
+// ============================================
+// TABLE SORTING
+// ============================================
+
+// Most urgent first when sorting by status ascending.
+const STATUS_RANK = {
+  overdue: 0,
+  disputed: 1,
+  partially_paid: 2,
+  sent: 3,
+  draft: 4,
+  paid: 5,
+  written_off: 6,
+  issued: 7,
+  void: 8
+};
+
+// Each accessor returns a string or number to compare. Accessors receive
+// evaluated invoices and today's date (for the relative "Days" column).
+export const SORT_ACCESSORS = {
+  id: (inv) => inv.id,
+  customerName: (inv) => inv.customerName,
+  invoiceDate: (inv) => inv.invoiceDate,
+  dueDate: (inv) => inv.dueDate,
+  amount: (inv) => inv.amount,
+  status: (inv) => STATUS_RANK[inv.status] ?? Number.MAX_SAFE_INTEGER,
+  // Only invoices being collected have days left to count; the rest sort last.
+  days: (inv, today) =>
+    (STATUS_BY_KEY[inv.status]?.receivable ? daysBetween(today, inv.dueDate) : Number.MAX_SAFE_INTEGER)
+};
+
+const collator = new Intl.Collator('en-IN', { numeric: true, sensitivity: 'base' });
+
+const compareValues = (a, b) =>
+  typeof a === 'string' && typeof b === 'string' ? collator.compare(a, b) : a - b;
+
+// Sorts by each { key, direction } in turn. Array.prototype.sort is stable,
+// and invoice number is the final tie-breaker, so rows never reshuffle
+// between pages or exports.
+export const sortInvoices = (invoices, sortBy, today) => {
+  if (sortBy.length === 0) return invoices;
+  const criteria = [...sortBy, { key: 'id', direction: 'asc' }];
+
+  return [...invoices].sort((a, b) => {
+    for (const { key, direction } of criteria) {
+      const accessor = SORT_ACCESSORS[key];
+      if (!accessor) continue;
+      const result = compareValues(accessor(a, today), accessor(b, today));
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+};
+
+// Plain click: sort by this column alone, cycling asc → desc → off.
+// Shift-click: add the column as a further sort key, or cycle it in place.
+export const toggleSortKey = (sortBy, key, { multi = false } = {}) => {
+  const existing = sortBy.find(s => s.key === key);
+
+  if (!multi) {
+    if (sortBy.length === 1 && existing) {
+      return existing.direction === 'asc' ? [{ key, direction: 'desc' }] : [];
+    }
+    return [{ key, direction: 'asc' }];
+  }
+
+  if (!existing) return [...sortBy, { key, direction: 'asc' }];
+  if (existing.direction === 'asc') {
+    return sortBy.map(s => (s.key === key ? { key, direction: 'desc' } : s));
+  }
+  return sortBy.filter(s => s.key !== key);
+};
@@ -0,0 +1,116 @@
+import { getFinancialYear } from './dates';
+import { getBalanceOn, isBilled } from './kpis';
+
+// ============================================
+// REVENUE AND COLLECTION TRENDS
+// ============================================
+
+export const TREND_GRANULARITIES = [
+  { value: 'month', label: 'Monthly' },
+  { value: 'quarter', label: 'Quarterly' }
+];
+
+export const ALL_YEARS = 'all';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const monthKey = (dateStr) => dateStr.slice(0, 7);
+
+// Financial quarters: Q1 is April to June, Q4 January to March.
+const quarterOf = (month) => Math.floor(((month + 8) % 12) / 3) + 1;
+
+const lastDayOfMonth = (year, month) => `${year}-${pad(month)}-${pad(new Date(Date.UTC(year, month, 0)).getUTCDate())}`;
+
+// Every month from `start` to `end` (YYYY-MM), in order.
+const monthsBetween = (start, end) => {
+  const months = [];
+  let [year, month] = start.split('-').map(Number);
+  while (`${year}-${pad(month)}` <= end) {
+    months.push({ year, month });
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+};
+
+// The financial years with invoices in them and the current one, latest
+// first.
+export const getTrendYears = (invoices, today) =>
+  [...new Set([getFinancialYear(today), ...invoices.filter(isBilled).map(inv => getFinancialYear(inv.invoiceDate))])]
+    .sort()
+    .reverse();
+
+// The months a selection covers: April to March of one financial year, or
+// every financial year from the first invoice up to today.
+const getTrendMonths = (invoices, year, today) => {
+  if (year !== ALL_YEARS) {
+    const startYear = Number(year.slice(0, 4));
+    return monthsBetween(`${startYear}-04`, `${startYear + 1}-03`);
+  }
+  const first = invoices.filter(isBilled).reduce((earliest, inv) => (inv.invoiceDate < earliest ? inv.invoiceDate : earliest), today);
+  const firstYear = Number(getFinancialYear(first).slice(0, 4));
+  const lastYear = Number(getFinancialYear(today).slice(0, 4));
+  return monthsBetween(`${firstYear}-04`, `${lastYear + 1}-03`);
+};
+
+// Invoiced and collected amounts, invoice count and the outstanding balance
+// at the end of each month or financial quarter. Outstanding is null for
+// periods that have not started yet; the current period shows today's
+// balance. Written-off invoices count as invoiced, and the payments
+// received on them before the write-off as collected.
+export const buildTrendSeries = (invoices, { year, granularity, today }) => {
+  const billed = invoices.filter(isBilled);
+  const buckets = new Map();
+  const bucketByMonth = new Map();
+
+  getTrendMonths(invoices, year, today).forEach(({ year: y, month }) => {
+    const fy = getFinancialYear(`${y}-${pad(month)}-01`);
+    const key = granularity === 'quarter' ? `${fy}-Q${quarterOf(month)}` : `${y}-${pad(month)}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        key,
+        label: granularity === 'quarter'
+          ? `Q${quarterOf(month)} ${fy}`
+          : `${MONTHS[month - 1]} ${String(y).slice(2)}`,
+        start: `${y}-${pad(month)}-01`,
+        invoiced: 0,
+        collected: 0,
+        count: 0
+      });
+    }
+    const bucket = buckets.get(key);
+    bucketByMonth.set(`${y}-${pad(month)}`, bucket);
+    bucket.end = lastDayOfMonth(y, month);
+  });
+
+  billed.forEach(inv => {
+    const issued = bucketByMonth.get(monthKey(inv.invoiceDate));
+    if (issued) {
+      issued.invoiced += inv.netAmount;
+      issued.count += 1;
+    }
+    (inv.payments || []).forEach(payment => {
+      const received = bucketByMonth.get(monthKey(payment.date));
+      if (received) received.collected += payment.amount || 0;
+    });
+  });
+
+  return [...buckets.values()].map(row => {
+    const asOf = row.end > today ? today : row.end;
+    return {
+      ...row,
+      outstanding: row.start > today ? null : billed.reduce((sum, inv) => sum + getBalanceOn(inv, asOf), 0)
+    };
+  });
+};
+
+export const summarizeTrend = (rows) => ({
+  invoiced: rows.reduce((sum, row) => sum + row.invoiced, 0),
+  collected: rows.reduce((sum, row) => sum + row.collected, 0),
+  count: rows.reduce((sum, row) => sum + row.count, 0)
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { buildTrendSeries, getTrendYears, summarizeTrend } from './trends';
+
+const today = '2026-07-15';
+
+const invoices = [
+  {
+    id: 'sent',
+    invoiceDate: '2026-04-10',
+    status: 'sent',
+    netAmount: 1000,
+    payments: [{ date: '2026-05-05', amount: 400 }]
+  },
+  {
+    id: 'written-off',
+    invoiceDate: '2026-04-20',
+    status: 'written_off',
+    statusChangedAt: '2026-06-10T12:00:00',
+    dueDate: '2026-05-20',
+    netAmount: 500,
+    payments: [{ date: '2026-04-25', amount: 100 }]
+  },
+  { id: 'draft', invoiceDate: '2026-04-11', status: 'draft', netAmount: 9999, payments: [] },
+  { id: 'void', invoiceDate: '2026-04-12', status: 'void', netAmount: 9999, payments: [] },
+  { id: 'last-year', invoiceDate: '2026-01-05', status: 'paid', netAmount: 200, payments: [{ date: '2026-01-20', amount: 200 }] }
+];
+
+describe('getTrendYears', () => {
+  it('lists financial years with invoices, latest first', () => {
+    expect(getTrendYears(invoices, today)).toEqual(['2026-27', '2025-26']);
+  });
+});
+
+describe('buildTrendSeries', () => {
+  const rows = buildTrendSeries(invoices, { year: '2026-27', granularity: 'month', today });
+  const byLabel = Object.fromEntries(rows.map(row => [row.label, row]));
+
+  it('covers April to March', () => {
+    expect(rows.map(row => row.label)).toEqual([
+      'Apr 26', 'May 26', 'Jun 26', 'Jul 26', 'Aug 26', 'Sep 26',
+      'Oct 26', 'Nov 26', 'Dec 26', 'Jan 27', 'Feb 27', 'Mar 27'
+    ]);
+  });
+
+  it('counts written-off invoices as invoiced and their payments as collected', () => {
+    expect(byLabel['Apr 26']).toMatchObject({ invoiced: 1500, count: 2, collected: 100 });
+    expect(byLabel['May 26'].collected).toBe(400);
+  });
+
+  it('drops a written-off balance from outstanding once written off', () => {
+    expect(byLabel['Apr 26'].outstanding).toBe(1400);
+    expect(byLabel['May 26'].outstanding).toBe(1000);
+    expect(byLabel['Jun 26'].outstanding).toBe(600);
+  });
+
+  it('shows today\'s balance for the current month and nothing after it', () => {
+    expect(byLabel['Jul 26'].outstanding).toBe(600);
+    expect(byLabel['Aug 26'].outstanding).toBeNull();
+  });
+
+  it('groups months into financial quarters', () => {
+    const quarters = buildTrendSeries(invoices, { year: '2026-27', granularity: 'quarter', today });
+    expect(quarters.map(row => row.label)).toEqual(['Q1 2026-27', 'Q2 2026-27', 'Q3 2026-27', 'Q4 2026-27']);
+    expect(quarters[0]).toMatchObject({ invoiced: 1500, collected: 500, outstanding: 600 });
+  });
+
+  it('spans every financial year for all years', () => {
+    const all = buildTrendSeries(invoices, { year: 'all', granularity: 'quarter', today });
+    expect(all).toHaveLength(8);
+    expect(summarizeTrend(all)).toEqual({ invoiced: 1700, collected: 700, count: 3 });
+  });
+});
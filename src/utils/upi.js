@@ -0,0 +1,12 @@
+import { COMPANY_PROFILE } from '../config/company';
+
+// ============================================
+// UPI PAYMENTS
+// ============================================
+
+// UPI deep link understood by every UPI app (NPCI linking specification),
+// asking for the balance due unless `amount` says otherwise. Kept out of
+// invoicePdf so message templates can use it without loading jsPDF.
+export const buildUpiPayload = (invoice, company = COMPANY_PROFILE, amount = invoice.balanceDue) =>
+  `upi://pay?pa=${company.upiId}&pn=${encodeURIComponent(company.name)}`
+  + `&am=${amount.toFixed(2)}&cu=INR&tn=${encodeURIComponent(`Invoice ${invoice.id}`)}`;
@@ -0,0 +1,113 @@
+// ============================================
+// XLSX READER
+// ============================================
+
+// Just enough of the Office Open XML format to pull the cell values out of
+// the first worksheet: an .xlsx file is a zip archive of XML parts. Deflated
+// entries are inflated with the browser's DecompressionStream.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a valid .xlsx file');
+
+  const entries = new Map();
+  const count = view.getUint16(eocd + 10, true);
+  const decoder = new TextDecoder();
+  let offset = view.getUint32(eocd + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    const dataStart = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    entries.set(name, { method, data: new Uint8Array(buffer, dataStart, compressedSize) });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const readEntryText = async (entries, name) => {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  if (entry.method === 0) return new TextDecoder().decode(entry.data);
+  if (entry.method !== 8) throw new Error(`Unsupported compression in ${name}`);
+  const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+const parseXML = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+// "AB12" -> 27 (zero-based column index)
+const columnIndex = (ref) => {
+  const letters = ref.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const resolveFirstSheet = async (entries) => {
+  const workbook = await readEntryText(entries, 'xl/workbook.xml');
+  const rels = await readEntryText(entries, 'xl/_rels/workbook.xml.rels');
+  const sheet = workbook && parseXML(workbook).getElementsByTagName('sheet')[0];
+  if (!sheet || !rels) return 'xl/worksheets/sheet1.xml';
+
+  const relId = sheet.getAttribute('r:id');
+  const rel = [...parseXML(rels).getElementsByTagName('Relationship')]
+    .find(r => r.getAttribute('Id') === relId);
+  const target = rel?.getAttribute('Target');
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+// Resolves to the first worksheet as an array of rows of strings. Dates come
+// through as Excel serial numbers (see parseImportDate).
+export const readXLSXRows = async (buffer) => {
+  const entries = readZipEntries(buffer);
+
+  const sharedXml = await readEntryText(entries, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedXml
+    ? [...parseXML(sharedXml).getElementsByTagName('si')].map(si =>
+      [...si.getElementsByTagName('t')].map(t => t.textContent).join(''))
+    : [];
+
+  const sheetXml = await readEntryText(entries, await resolveFirstSheet(entries));
+  if (!sheetXml) throw new Error('The workbook has no worksheets');
+
+  const rows = [];
+  [...parseXML(sheetXml).getElementsByTagName('row')].forEach(rowEl => {
+    const row = [];
+    [...rowEl.getElementsByTagName('c')].forEach((cell, position) => {
+      const ref = cell.getAttribute('r');
+      const index = ref ? columnIndex(ref) : position;
+      const type = cell.getAttribute('t');
+      const raw = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+      let value = raw;
+      if (type === 's') {
+        value = sharedStrings[parseInt(raw, 10)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = [...cell.getElementsByTagName('t')].map(t => t.textContent).join('');
+      } else if (type === 'b') {
+        value = raw === '1' ? 'TRUE' : 'FALSE';
+      }
+      row[index] = value;
+    });
+    const filled = Array.from(row, value => value ?? '');
+    if (filled.some(value => value !== '')) rows.push(filled);
+  });
+  return rows;
+};